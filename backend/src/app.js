@@ -11,9 +11,17 @@ import rateLimit from '@fastify/rate-limit';
 
 import { config } from './config/index.js';
 import { translationRoutes } from './features/translation/translation.routes.js';
+import { authRoutes } from './features/auth/auth.routes.js';
+import { projectRoutes } from './features/project/project.routes.js';
+import { ProjectRepository } from './features/project/project.repository.js';
+import { ProjectService } from './features/project/project.service.js';
+import { AuthRepository } from './features/auth/auth.repository.js';
+import { AuthService } from './features/auth/auth.service.js';
+import { createAuthenticationHook } from './middleware/authenticate.js';
 import { zodErrorHandler } from './middleware/errorHandler.js';
-import { getMongoStatus } from './config/database.js';
+import { getDb, getMongoStatus } from './config/database.js';
 import { getPineconeStatus } from './services/vector.service.js';
+import { getLlmScheduler } from './services/llm.service.js';
 
 /**
  * Builds and configures the Fastify application instance.
@@ -36,7 +44,7 @@ export function buildApp({ logger }) {
   app.register(helmet, { contentSecurityPolicy: false });
   app.register(cors, {
     origin: config.CORS_ORIGIN,
-    methods: ['GET', 'POST', 'PUT', 'DELETE'],
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'],
   });
   app.register(rateLimit, {
     max: config.RATE_LIMIT_MAX,
@@ -56,6 +64,8 @@ export function buildApp({ logger }) {
       status: isHealthy ? 'ok' : 'error',
       timestamp: new Date().toISOString(),
       dependencies: [mongoStatus, pineconeStatus],
+      // Load on each model across all jobs; reported for monitoring, not part of the health verdict.
+      llmModels: getLlmScheduler({ logger }).getStats(),
     };
 
     const httpStatus = isHealthy ? 200 : 503;
@@ -65,7 +75,27 @@ export function buildApp({ logger }) {
   app.get('/', async () => ({ status: 'ok', message: 'PST Backend is online.' }));
 
   // 6. Register Feature-Specific Routes
-  app.register(translationRoutes, { prefix: '/api/v1/translate' });
+  // Everything under /api/v1 is authenticated; the hook attaches the caller as `request.principal`.
+  app.register(async (api) => {
+    const authService = new AuthService({
+      repository: new AuthRepository({ db: getDb(), logger: api.log }),
+      settings: {
+        tokenSecret: config.AUTH_TOKEN_SECRET,
+        tokenTtlSeconds: config.AUTH_TOKEN_TTL_SECONDS,
+        bootstrapApiKey: config.AUTH_ADMIN_API_KEY,
+      },
+      logger: api.log,
+    });
+    api.decorateRequest('principal', null);
+    api.addHook('onRequest', createAuthenticationHook({ authService, mode: config.AUTH_MODE }));
+    const projectService = new ProjectService({
+      repository: new ProjectRepository({ db: getDb(), logger: api.log }),
+      logger: api.log,
+    });
+    api.register(authRoutes, { authService });
+    api.register(projectRoutes, { projectService });
+    api.register(translationRoutes, { prefix: '/translate', projectService });
+  }, { prefix: '/api/v1' });
 
   logger.info('Application routes and plugins registered.');
   return app;
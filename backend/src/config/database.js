@@ -1,11 +1,13 @@
 // ===== DEVELOPMENT/DEBUG DATABASE CLIENT (MONGO) =====
 // This module manages the singleton connection to the MongoDB database.
+// When DB_PROVIDER is 'memory', an in-memory database with the same API is used instead.
 
 // ===== IMPORTS & DEPENDENCIES =====
 import { MongoClient } from 'mongodb';
 import { config } from './index.js';
 import { logger } from './logger.js';
 import { ApiError } from '../core/AppError.js';
+import { InMemoryDb } from './memoryDatabase.js';
 
 // ===== MODULE-LEVEL CLIENT STATE =====
 let client;
@@ -17,6 +19,11 @@ export async function connectToMongo() {
     logger.info('MongoDB connection already established. Skipping.');
     return;
   }
+  if (config.DB_PROVIDER === 'memory') {
+    dbInstance = new InMemoryDb();
+    logger.warn('Using the in-memory database. Jobs will not persist across restarts.');
+    return;
+  }
   try {
     logger.info('Initializing MongoDB client...');
     const url = new URL(config.MONGO_URI);
@@ -57,7 +64,7 @@ export async function closeMongoConnection() {
 }
 
 export async function getMongoStatus() {
-  if (!client || !dbInstance) {
+  if (!dbInstance) {
     return { name: 'MongoDB', isHealthy: false, message: 'Client not initialized.' };
   }
   try {
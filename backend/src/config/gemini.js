@@ -1,15 +1,19 @@
 // ===== DEVELOPMENT/DEBUG GEMINI CLIENT (CONNECTION) =====
 // This module manages the singleton client and the core API call logic for Google Gemini.
+// Each function makes a single attempt; retries are left to the LLM scheduler.
 
 // ===== IMPORTS & DEPENDENCIES =====
 import { GoogleGenerativeAI, HarmCategory, HarmBlockThreshold } from '@google/generative-ai';
 import { config } from './index.js';
 import { logger as globalLogger } from './logger.js';
-import { ApiError } from '../core/AppError.js';
+import { ApiError, LlmProviderError } from '../core/AppError.js';
 
 // ===== MODULE-LEVEL CLIENT STATE =====
 let genAI = null;
 
+// batchEmbedContents accepts at most this many texts per request.
+export const EMBED_BATCH_LIMIT = 100;
+
 const safetySettings = [
   { category: HarmCategory.HARM_CATEGORY_HARASSMENT, threshold: HarmBlockThreshold.BLOCK_NONE },
   // ... other harm categories
@@ -21,6 +25,10 @@ export function connectToGemini() {
     globalLogger.info('Google AI client already initialized.');
     return;
   }
+  if (config.LLM_FIXTURE_MODE === 'replay') {
+    globalLogger.warn('LLM fixture replay is on; the Google AI client is not initialized.');
+    return;
+  }
   try {
     globalLogger.info('Initializing Google AI client...');
     genAI = new GoogleGenerativeAI(config.GEMINI_API_KEY);
@@ -32,39 +40,89 @@ export function connectToGemini() {
 }
 
 /**
- * A robust, instrumented function for calling Gemini models.
+ * Reads the delay Gemini asks for from a RetryInfo error detail, e.g. `{ retryDelay: "7s" }`.
+ * @private
+ * @param {Array<object>} [errorDetails]
+ * @returns {number|null} The delay in milliseconds.
+ */
+function _retryDelayMs(errorDetails) {
+  const retryInfo = errorDetails?.find(detail => String(detail['@type']).endsWith('RetryInfo'));
+  const seconds = parseFloat(retryInfo?.retryDelay);
+  return Number.isFinite(seconds) ? Math.round(seconds * 1000) : null;
+}
+
+/**
+ * Runs a single Gemini API operation. Retries are left to the LLM scheduler, so a failure is
+ * reported with what it needs to decide on one: the HTTP status and Gemini's retry hint.
+ * @private
+ * @template T
+ * @param {() => Promise<T>} operation
+ * @param {string} modelName - Used for error context only.
+ * @returns {Promise<T>}
+ * @throws {ApiError|LlmProviderError} An ApiError with code 'GEMINI_UNAVAILABLE' if the client is not initialized.
+ */
+async function _callOnce(operation, modelName) {
+  if (!genAI) {
+    throw new ApiError('Gemini client not initialized.', 503, 'GEMINI_UNAVAILABLE');
+  }
+  try {
+    return await operation();
+  } catch (error) {
+    // Errors without a status (network failures, blocked or empty responses) may well pass on a second try.
+    const status = error.status ?? null;
+    throw new LlmProviderError(`Gemini API call failed: ${error.message}`, {
+      provider: 'gemini',
+      model: modelName,
+      status,
+      retryable: status == null || status === 408 || status === 429 || status >= 500,
+      retryAfterMs: _retryDelayMs(error.errorDetails),
+      originalError: error,
+    });
+  }
+}
+
+/**
+ * Calls a Gemini model once.
  * @param {string} prompt
  * @param {object} options
  * @param {string} options.modelName
  * @param {boolean} [options.expectJson=false]
  * @param {number} [options.temperature=0.5]
- * @returns {Promise<string>}
- * @throws {ApiError}
+ * @returns {Promise<{text: string, usage: import('../services/llm.service.js').LlmUsage|null}>}
+ * @throws {ApiError|LlmProviderError}
  */
 export async function callGemini(prompt, { modelName, expectJson = false, temperature = 0.5 }) {
-  if (!genAI) {
-    throw new ApiError('Gemini client not initialized.', 503, 'GEMINI_UNAVAILABLE');
-  }
+  return _callOnce(async () => {
+    const generationConfig = {
+      temperature,
+      ...(expectJson && { responseMimeType: 'application/json' }),
+    };
+    const model = genAI.getGenerativeModel({ model: modelName, safetySettings, generationConfig });
+    const result = await model.generateContent(prompt);
+    const { usageMetadata } = result.response;
+    return {
+      text: result.response.text(),
+      usage: usageMetadata
+        ? { inputTokens: usageMetadata.promptTokenCount ?? 0, outputTokens: usageMetadata.candidatesTokenCount ?? 0, totalTokens: usageMetadata.totalTokenCount ?? 0 }
+        : null,
+    };
+  }, modelName);
+}
 
-  for (let attempt = 1; attempt <= config.GEMINI_MAX_RETRIES; attempt++) {
-    try {
-      const generationConfig = {
-        temperature,
-        ...(expectJson && { responseMimeType: 'application/json' }),
-      };
-      const model = genAI.getGenerativeModel({ model: modelName, safetySettings, generationConfig });
-      const result = await model.generateContent(prompt);
-      return result.response.text();
-    } catch (error) {
-      const isLastAttempt = attempt === config.GEMINI_MAX_RETRIES;
-      const logContext = { attempt, modelName, error: error.message };
-      if (isLastAttempt) {
-        globalLogger.error(logContext, "Gemini API call failed on final attempt.");
-        throw new ApiError(`Gemini API call failed after ${config.GEMINI_MAX_RETRIES} attempts.`, 503, 'GEMINI_API_ERROR', { originalError: error });
-      }
-      const delay = config.GEMINI_BACKOFF_MS * Math.pow(2, attempt - 1);
-      globalLogger.warn(logContext, `Gemini API call failed. Retrying in ${delay}ms...`);
-      await new Promise(resolve => setTimeout(resolve, delay));
-    }
-  }
+/**
+ * Embeds a list of texts with a Gemini embedding model in one batched request.
+ * @param {string[]} texts - At most {@link EMBED_BATCH_LIMIT} texts.
+ * @param {object} options
+ * @param {string} options.modelName
+ * @returns {Promise<number[][]>} One embedding vector per input text, in order.
+ * @throws {ApiError|LlmProviderError}
+ */
+export async function embedWithGemini(texts, { modelName }) {
+  return _callOnce(async () => {
+    const model = genAI.getGenerativeModel({ model: modelName });
+    const result = await model.batchEmbedContents({
+      requests: texts.map(text => ({ content: { role: 'user', parts: [{ text }] } })),
+    });
+    return result.embeddings.map(embedding => embedding.values);
+  }, modelName);
 }
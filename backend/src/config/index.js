@@ -10,6 +10,17 @@ import { z } from 'zod';
 // Load environment variables from .env file
 dotenv.config();
 
+// The pipeline stages that call an LLM, and the providers that can serve them.
+export const LLM_STAGES = ['blueprint', 'transcreate', 'edit', 'qa', 'sync'];
+const LLM_PROVIDERS = ['gemini', 'openai-compatible'];
+
+/**
+ * Makes an environment variable optional, treating an empty value (`KEY=""`) as unset.
+ * @param {z.ZodTypeAny} schema
+ * @returns {z.ZodTypeAny}
+ */
+const optionalEnv = schema => z.preprocess(value => (value === '' ? undefined : value), schema.optional());
+
 // Define the schema for your environment variables.
 const envSchema = z.object({
   // Application
@@ -20,23 +31,123 @@ const envSchema = z.object({
   CORS_ORIGIN: z.string().url(),
 
   // MongoDB
-  MONGO_URI: z.string().url(),
+  // 'memory' swaps MongoDB for a process-local database, for tests and local development.
+  DB_PROVIDER: z.enum(['mongodb', 'memory']).default('mongodb'),
+  MONGO_URI: optionalEnv(z.string().url()),
 
-  // Pinecone
-  PINECONE_API_KEY: z.string().min(1),
-  PINECONE_INDEX_NAME: z.string().min(1),
+  // Vector Store
+  // 'memory' swaps Pinecone for a process-local index, for tests and local development.
+  VECTOR_STORE_PROVIDER: z.enum(['pinecone', 'memory']).default('pinecone'),
+  PINECONE_API_KEY: optionalEnv(z.string().min(1)),
+  PINECONE_INDEX_NAME: optionalEnv(z.string().min(1)),
 
   // Google Gemini
-  GEMINI_API_KEY: z.string().min(1),
+  GEMINI_API_KEY: optionalEnv(z.string().min(1)),
   GEMINI_BLUEPRINT_MODEL: z.string().default('gemini-2.5-flash-latest'),
   GEMINI_TRANSLATION_MODEL: z.string().default('gemini-2.5-flash-latest'),
   GEMINI_SYNC_MODEL: z.string().default('gemini-2.5-pro-latest'),
+  GEMINI_EMBEDDING_MODEL: z.string().default('text-embedding-004'),
   GEMINI_MAX_RETRIES: z.coerce.number().default(3),
   GEMINI_BACKOFF_MS: z.coerce.number().default(1000),
 
+  // OpenAI-compatible chat completions API (OpenAI, or a local server such as Ollama or llama.cpp)
+  OPENAI_COMPATIBLE_BASE_URL: optionalEnv(z.string().url()),
+  // Local servers usually need no key.
+  OPENAI_COMPATIBLE_API_KEY: optionalEnv(z.string().min(1)),
+  OPENAI_COMPATIBLE_TIMEOUT_MS: z.coerce.number().default(120000),
+  OPENAI_COMPATIBLE_MAX_RETRIES: z.coerce.number().default(3),
+  OPENAI_COMPATIBLE_BACKOFF_MS: z.coerce.number().default(1000),
+
+  // LLM Fixtures
+  // 'record' saves every LLM response under LLM_FIXTURE_DIR; 'replay' answers from those files
+  // without calling any provider, for offline, deterministic pipeline tests.
+  LLM_FIXTURE_MODE: z.enum(['off', 'record', 'replay']).default('off'),
+  LLM_FIXTURE_DIR: z.string().min(1).default('fixtures/llm'),
+
+  // LLM Provider per Pipeline Stage
+  // A stage without a model uses the matching GEMINI_*_MODEL when its provider is Gemini.
+  LLM_BLUEPRINT_PROVIDER: z.enum(LLM_PROVIDERS).default('gemini'),
+  LLM_BLUEPRINT_MODEL: optionalEnv(z.string().min(1)),
+  LLM_TRANSCREATE_PROVIDER: z.enum(LLM_PROVIDERS).default('gemini'),
+  LLM_TRANSCREATE_MODEL: optionalEnv(z.string().min(1)),
+  LLM_EDIT_PROVIDER: z.enum(LLM_PROVIDERS).default('gemini'),
+  LLM_EDIT_MODEL: optionalEnv(z.string().min(1)),
+  LLM_QA_PROVIDER: z.enum(LLM_PROVIDERS).default('gemini'),
+  LLM_QA_MODEL: optionalEnv(z.string().min(1)),
+  LLM_SYNC_PROVIDER: z.enum(LLM_PROVIDERS).default('gemini'),
+  LLM_SYNC_MODEL: optionalEnv(z.string().min(1)),
+
+  // LLM Scheduling
+  // Budgets for each model, shared by every job in the process. LLM_MODEL_LIMITS overrides
+  // them per model name, as JSON: {"gemini-2.5-pro-latest": {"rpm": 5, "tpm": 250000}}.
+  LLM_DEFAULT_RPM: z.coerce.number().int().positive().default(60),
+  LLM_DEFAULT_TPM: z.coerce.number().int().positive().default(1000000),
+  LLM_MAX_CONCURRENCY: z.coerce.number().int().positive().default(8),
+  LLM_MODEL_LIMITS: z.string().default('{}').transform((value, ctx) => {
+    try {
+      return JSON.parse(value);
+    } catch {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, message: 'LLM_MODEL_LIMITS must be valid JSON.' });
+      return z.NEVER;
+    }
+  }).pipe(z.record(z.object({
+    rpm: z.number().int().positive().optional(),
+    tpm: z.number().int().positive().optional(),
+    maxConcurrency: z.number().int().positive().optional(),
+  }).strict())),
+
+  // Translation Jobs
+  // What to do on startup with jobs that were left running by a crash or redeploy.
+  JOB_RECOVERY_MODE: z.enum(['resume', 'fail']).default('resume'),
+  // A running job that writes no progress for this long is treated as interrupted and recovered by any instance.
+  JOB_LEASE_SECONDS: z.coerce.number().int().positive().default(600),
+
+  // Authentication
+  // 'disabled' lets every request through as a local admin; only for local development and tests.
+  AUTH_MODE: z.enum(['required', 'disabled']).default('required'),
+  // Signs the short-lived access tokens clients exchange their API keys for.
+  AUTH_TOKEN_SECRET: optionalEnv(z.string().min(32)),
+  AUTH_TOKEN_TTL_SECONDS: z.coerce.number().int().positive().default(3600),
+  // A bootstrap admin key from the environment, to issue the first stored keys with.
+  AUTH_ADMIN_API_KEY: optionalEnv(z.string().min(32)),
+
   // Fastify Rate Limiting
   RATE_LIMIT_MAX: z.coerce.number().default(100),
   RATE_LIMIT_WINDOW: z.string().default('1 minute'),
+}).superRefine((env, ctx) => {
+  if (env.DB_PROVIDER === 'mongodb' && !env.MONGO_URI) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['MONGO_URI'], message: 'MONGO_URI is required when DB_PROVIDER is "mongodb".' });
+  }
+  // Embeddings always come from Gemini, so only a fully replayed run can do without a key.
+  if (env.LLM_FIXTURE_MODE !== 'replay' && !env.GEMINI_API_KEY) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['GEMINI_API_KEY'], message: 'GEMINI_API_KEY is required unless LLM_FIXTURE_MODE is "replay".' });
+  }
+  if (env.AUTH_MODE === 'required' && !env.AUTH_TOKEN_SECRET) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['AUTH_TOKEN_SECRET'], message: 'AUTH_TOKEN_SECRET is required when AUTH_MODE is "required".' });
+  }
+  // Pinecone credentials are only required when Pinecone is the selected vector store.
+  if (env.VECTOR_STORE_PROVIDER === 'pinecone') {
+    ['PINECONE_API_KEY', 'PINECONE_INDEX_NAME'].forEach((key) => {
+      if (!env[key]) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, path: [key], message: `${key} is required when VECTOR_STORE_PROVIDER is "pinecone".` });
+      }
+    });
+  }
+  // Stages served by an OpenAI-compatible server need its URL and an explicit model name.
+  LLM_STAGES.forEach((stage) => {
+    const providerKey = `LLM_${stage.toUpperCase()}_PROVIDER`;
+    const modelKey = `LLM_${stage.toUpperCase()}_MODEL`;
+    if (env[providerKey] !== 'openai-compatible') {
+      return;
+    }
+    // A replayed run never reaches the server.
+    if (!env.OPENAI_COMPATIBLE_BASE_URL && env.LLM_FIXTURE_MODE !== 'replay') {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['OPENAI_COMPATIBLE_BASE_URL'], message: `OPENAI_COMPATIBLE_BASE_URL is required when ${providerKey} is "openai-compatible".` });
+    }
+    if (!env[modelKey]) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: [modelKey], message: `${modelKey} is required when ${providerKey} is "openai-compatible".` });
+    }
+  });
 });
 
 // Parse and validate the environment variables.
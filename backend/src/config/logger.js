@@ -9,8 +9,9 @@ import { config } from './index.js';
 
 // ===== TRANSPORT CONFIGURATION =====
 // A "transport" is a destination for logs. We only define one for development
-// to pipe the JSON logs into a "pretty-printer" for readability.
-const transport = pino.transport({
+// to pipe the JSON logs into a "pretty-printer" for readability. It runs in a worker
+// thread, so it is only started in development; in tests it would keep the process alive.
+const transport = config.NODE_ENV === 'development' && pino.transport({
   target: 'pino-pretty',
   options: {
     // These options format the log output to be clean and informative.
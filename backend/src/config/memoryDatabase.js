@@ -0,0 +1,260 @@
+// ===== DEVELOPMENT/DEBUG IN-MEMORY DATABASE =====
+// This module is a local stand-in for a MongoDB database. It implements the subset of
+// the driver's Db and Collection API that the application uses (insert, find with
+// sort/limit, update with upsert, delete, and the ping health check), so tests and
+// local development can run without a MongoDB server. Data lives only as long as the process.
+
+// ===== IMPORTS & DEPENDENCIES =====
+import { ObjectId } from 'mongodb';
+
+// ===== PRIVATE HELPER FUNCTIONS =====
+
+/**
+ * Deep-copies a document. structuredClone would turn ObjectIds into plain objects.
+ * @private
+ */
+function _clone(value) {
+  if (value instanceof ObjectId) return new ObjectId(value.toHexString());
+  if (value instanceof Date) return new Date(value);
+  if (Array.isArray(value)) return value.map(_clone);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, _clone(item)]));
+  }
+  return value;
+}
+
+/**
+ * Reads a dotted path (e.g. "progress.batchesTotal").
+ * @private
+ */
+function _getPath(document, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), document);
+}
+
+/**
+ * @private
+ */
+function _setPath(document, path, value) {
+  const keys = path.split('.');
+  const parent = keys.slice(0, -1).reduce((node, key) => {
+    if (node[key] == null || typeof node[key] !== 'object') node[key] = {};
+    return node[key];
+  }, document);
+  parent[keys.at(-1)] = value;
+}
+
+/**
+ * @private
+ */
+function _unsetPath(document, path) {
+  const keys = path.split('.');
+  const parent = keys.slice(0, -1).reduce((node, key) => node?.[key], document);
+  if (parent && typeof parent === 'object') delete parent[keys.at(-1)];
+}
+
+/**
+ * Compares two values the way a Mongo equality match does for the types we store.
+ * An array field matches a value if any of its elements do.
+ * @private
+ */
+function _equals(value, expected) {
+  if (Array.isArray(value) && !Array.isArray(expected)) return value.some(item => _equals(item, expected));
+  if (value instanceof ObjectId || expected instanceof ObjectId) return String(value) === String(expected);
+  if (value instanceof Date && expected instanceof Date) return value.getTime() === expected.getTime();
+  if (value && expected && typeof value === 'object' && typeof expected === 'object') {
+    return JSON.stringify(value) === JSON.stringify(expected);
+  }
+  return value === expected;
+}
+
+/**
+ * @private
+ */
+function _isOperatorObject(condition) {
+  return condition !== null && typeof condition === 'object' && !(condition instanceof ObjectId) && !(condition instanceof Date)
+    && !Array.isArray(condition) && Object.keys(condition).some(key => key.startsWith('$'));
+}
+
+/**
+ * Checks a document against a Mongo-style filter. Supports plain equality on dotted paths,
+ * `$eq`, `$ne`, `$in`, `$nin`, `$exists`, `$gt`, `$gte`, `$lt`, `$lte`, and top-level `$or` and `$and`.
+ * @private
+ */
+function _matchesFilter(document, filter = {}) {
+  return Object.entries(filter).every(([key, condition]) => {
+    if (key === '$or') return condition.some(clause => _matchesFilter(document, clause));
+    if (key === '$and') return condition.every(clause => _matchesFilter(document, clause));
+    const value = _getPath(document, key);
+    if (!_isOperatorObject(condition)) return _equals(value, condition);
+    return Object.entries(condition).every(([operator, operand]) => {
+      switch (operator) {
+        case '$eq': return _equals(value, operand);
+        case '$ne': return !_equals(value, operand);
+        case '$in': return operand.some(item => _equals(value, item));
+        case '$nin': return !operand.some(item => _equals(value, item));
+        case '$exists': return (value !== undefined) === Boolean(operand);
+        case '$gt': return value > operand;
+        case '$gte': return value >= operand;
+        case '$lt': return value < operand;
+        case '$lte': return value <= operand;
+        default: throw new Error(`Unsupported query operator in the in-memory database: ${operator}`);
+      }
+    });
+  });
+}
+
+/**
+ * Applies an update document. Supports `$set`, `$unset`, `$inc`, `$push` (with `$each`) and `$pull`.
+ * @private
+ */
+function _applyUpdate(document, update) {
+  Object.entries(update.$set || {}).forEach(([path, value]) => _setPath(document, path, _clone(value)));
+  Object.keys(update.$unset || {}).forEach(path => _unsetPath(document, path));
+  Object.entries(update.$inc || {}).forEach(([path, amount]) => _setPath(document, path, (_getPath(document, path) || 0) + amount));
+  Object.entries(update.$push || {}).forEach(([path, value]) => {
+    const items = value && typeof value === 'object' && '$each' in value ? value.$each : [value];
+    _setPath(document, path, [...(_getPath(document, path) || []), ...items.map(_clone)]);
+  });
+  Object.entries(update.$pull || {}).forEach(([path, condition]) => {
+    // An object condition is a filter on the array's items; anything else is a value to remove.
+    const isItemFilter = condition !== null && typeof condition === 'object' && !(condition instanceof ObjectId) && !(condition instanceof Date);
+    const items = _getPath(document, path) || [];
+    _setPath(document, path, items.filter(item => (isItemFilter ? !_matchesFilter(item, condition) : !_equals(item, condition))));
+  });
+}
+
+// ===== DATABASE CLASSES =====
+
+/**
+ * The result of `find`, supporting the cursor methods the application chains.
+ */
+class InMemoryCursor {
+  constructor(documents) {
+    this.documents = documents;
+  }
+
+  sort(spec) {
+    const fields = Object.entries(spec);
+    this.documents.sort((a, b) => {
+      for (const [path, direction] of fields) {
+        const left = _getPath(a, path);
+        const right = _getPath(b, path);
+        if (left < right) return -direction;
+        if (left > right) return direction;
+      }
+      return 0;
+    });
+    return this;
+  }
+
+  skip(count) {
+    this.documents = this.documents.slice(count);
+    return this;
+  }
+
+  limit(count) {
+    if (count > 0) this.documents = this.documents.slice(0, count);
+    return this;
+  }
+
+  async toArray() {
+    return this.documents.map(_clone);
+  }
+}
+
+/**
+ * An in-memory replacement for a MongoDB Collection.
+ */
+class InMemoryCollection {
+  constructor() {
+    /** @type {object[]} */
+    this.documents = [];
+  }
+
+  async insertOne(document) {
+    const stored = _clone({ _id: new ObjectId(), ...document });
+    this.documents.push(stored);
+    return { acknowledged: true, insertedId: stored._id };
+  }
+
+  async findOne(filter) {
+    const document = this.documents.find(candidate => _matchesFilter(candidate, filter));
+    return document ? _clone(document) : null;
+  }
+
+  find(filter) {
+    return new InMemoryCursor(this.documents.filter(document => _matchesFilter(document, filter)));
+  }
+
+  async countDocuments(filter) {
+    return this.documents.filter(document => _matchesFilter(document, filter)).length;
+  }
+
+  async updateOne(filter, update, { upsert = false } = {}) {
+    const document = this.documents.find(candidate => _matchesFilter(candidate, filter));
+    if (document) {
+      _applyUpdate(document, update);
+      return { acknowledged: true, matchedCount: 1, modifiedCount: 1, upsertedId: null };
+    }
+    if (!upsert) {
+      return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedId: null };
+    }
+    // Like Mongo, an upsert starts from the equality conditions of its filter.
+    const inserted = { _id: new ObjectId() };
+    Object.entries(filter)
+      .filter(([key, condition]) => !key.startsWith('$') && !_isOperatorObject(condition))
+      .forEach(([path, value]) => _setPath(inserted, path, _clone(value)));
+    _applyUpdate(inserted, { ...update, $set: { ...update.$setOnInsert, ...update.$set } });
+    this.documents.push(inserted);
+    return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedId: inserted._id };
+  }
+
+  async updateMany(filter, update) {
+    const matched = this.documents.filter(document => _matchesFilter(document, filter));
+    matched.forEach(document => _applyUpdate(document, update));
+    return { acknowledged: true, matchedCount: matched.length, modifiedCount: matched.length };
+  }
+
+  async deleteOne(filter) {
+    const index = this.documents.findIndex(document => _matchesFilter(document, filter));
+    if (index !== -1) this.documents.splice(index, 1);
+    return { acknowledged: true, deletedCount: index === -1 ? 0 : 1 };
+  }
+
+  async deleteMany(filter) {
+    const before = this.documents.length;
+    this.documents = this.documents.filter(document => !_matchesFilter(document, filter));
+    return { acknowledged: true, deletedCount: before - this.documents.length };
+  }
+
+  // Indexes only matter for performance and uniqueness on a real server.
+  async createIndex() {
+    return 'in-memory';
+  }
+}
+
+/**
+ * An in-memory replacement for a MongoDB Db.
+ */
+export class InMemoryDb {
+  constructor() {
+    /** @type {Map<string, InMemoryCollection>} */
+    this.collections = new Map();
+  }
+
+  /**
+   * Returns a collection, creating it on first use.
+   * @param {string} name
+   * @returns {InMemoryCollection}
+   */
+  collection(name) {
+    if (!this.collections.has(name)) {
+      this.collections.set(name, new InMemoryCollection());
+    }
+    return this.collections.get(name);
+  }
+
+  admin() {
+    return { command: async () => ({ ok: 1 }) };
+  }
+}
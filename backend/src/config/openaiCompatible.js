@@ -0,0 +1,115 @@
+// ===== DEVELOPMENT/DEBUG OPENAI-COMPATIBLE CLIENT (CONNECTION) =====
+// This module contains the core API call logic for any server that speaks the OpenAI
+// chat completions API: OpenAI itself, or a local server such as Ollama or llama.cpp.
+// The API is plain HTTP, so there is no client to initialize; every call uses fetch.
+// Each function makes a single attempt; retries are left to the LLM scheduler.
+
+// ===== IMPORTS & DEPENDENCIES =====
+import { config } from './index.js';
+import { ApiError, LlmProviderError } from '../core/AppError.js';
+
+// ===== PRIVATE HELPER FUNCTIONS =====
+
+/**
+ * Reads the delay a server asks for: `retry-after-ms` (OpenAI), or `Retry-After` in seconds or as a date.
+ * @private
+ * @param {Headers} headers
+ * @returns {number|null} The delay in milliseconds.
+ */
+function _retryAfterMs(headers) {
+  const milliseconds = parseFloat(headers.get('retry-after-ms'));
+  if (Number.isFinite(milliseconds)) {
+    return milliseconds;
+  }
+  const retryAfter = headers.get('retry-after');
+  if (!retryAfter) {
+    return null;
+  }
+  const seconds = Number(retryAfter);
+  if (Number.isFinite(seconds)) {
+    return seconds * 1000;
+  }
+  const date = Date.parse(retryAfter);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Wraps a failed call in the error the LLM scheduler decides retries on.
+ * @private
+ * @param {string} message
+ * @param {{modelName: string, status?: number|null, retryAfterMs?: number|null, originalError?: Error}} details
+ * @returns {LlmProviderError}
+ */
+function _providerError(message, { modelName, status = null, retryAfterMs = null, originalError }) {
+  return new LlmProviderError(`OpenAI-compatible API call failed: ${message}`, {
+    provider: 'openai-compatible',
+    model: modelName,
+    status,
+    // Without a status the request never got an answer (network failure or timeout).
+    retryable: status == null || status === 408 || status === 429 || status >= 500,
+    retryAfterMs,
+    originalError,
+  });
+}
+
+// ===== CONNECTION & API LOGIC =====
+
+/**
+ * Calls a chat model once through an OpenAI-compatible chat completions endpoint.
+ * @param {string} prompt
+ * @param {object} options
+ * @param {string} options.modelName
+ * @param {boolean} [options.expectJson=false] - Requests JSON mode (`response_format: json_object`).
+ * @param {number} [options.temperature=0.5]
+ * @returns {Promise<{text: string, usage: import('../services/llm.service.js').LlmUsage|null}>}
+ * @throws {ApiError|LlmProviderError} An ApiError with code 'LLM_UNAVAILABLE' if no server is configured.
+ */
+export async function callOpenAiCompatible(prompt, { modelName, expectJson = false, temperature = 0.5 }) {
+  if (!config.OPENAI_COMPATIBLE_BASE_URL) {
+    throw new ApiError('OPENAI_COMPATIBLE_BASE_URL is not configured.', 503, 'LLM_UNAVAILABLE');
+  }
+
+  let response;
+  try {
+    response = await fetch(`${config.OPENAI_COMPATIBLE_BASE_URL.replace(/\/+$/, '')}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(config.OPENAI_COMPATIBLE_API_KEY && { Authorization: `Bearer ${config.OPENAI_COMPATIBLE_API_KEY}` }),
+      },
+      body: JSON.stringify({
+        model: modelName,
+        messages: [{ role: 'user', content: prompt }],
+        temperature,
+        ...(expectJson && { response_format: { type: 'json_object' } }),
+      }),
+      signal: AbortSignal.timeout(config.OPENAI_COMPATIBLE_TIMEOUT_MS),
+    });
+  } catch (error) {
+    throw _providerError(error.message, { modelName, originalError: error });
+  }
+  if (!response.ok) {
+    throw _providerError(`HTTP ${response.status}: ${(await response.text()).slice(0, 500)}`, {
+      modelName,
+      status: response.status,
+      retryAfterMs: _retryAfterMs(response.headers),
+    });
+  }
+
+  let result;
+  try {
+    result = await response.json();
+  } catch (error) {
+    throw _providerError(`The response is not JSON (${error.message}).`, { modelName, originalError: error });
+  }
+  const text = result.choices?.[0]?.message?.content;
+  if (typeof text !== 'string') {
+    throw _providerError('The response has no message content.', { modelName });
+  }
+  return {
+    text,
+    usage: result.usage
+      ? { inputTokens: result.usage.prompt_tokens ?? 0, outputTokens: result.usage.completion_tokens ?? 0, totalTokens: result.usage.total_tokens ?? 0 }
+      : null,
+  };
+}
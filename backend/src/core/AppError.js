@@ -78,6 +78,16 @@ export class NotFoundError extends ApiError {
   }
 }
 
+/**
+ * Represents a 409 Conflict error.
+ * Use when the request conflicts with the current state of the resource (e.g., a job that is already running).
+ */
+export class ConflictError extends ApiError {
+  constructor(message = 'Conflict', context = {}) {
+    super(message, 409, 'CONFLICT', context);
+  }
+}
+
 /**
  * Represents a 503 Service Unavailable error.
  * Use for operational errors on the server, like a dependency (DB, external API) being down.
@@ -87,3 +97,14 @@ export class ServiceUnavailableError extends ApiError {
     super(message, 503, 'SERVICE_UNAVAILABLE', context);
   }
 }
+
+/**
+ * Represents a single failed call to an LLM provider.
+ * The context tells the LLM scheduler whether the call is worth repeating, and how long the
+ * provider asked us to wait first: `{ provider, status, retryable, retryAfterMs, originalError }`.
+ */
+export class LlmProviderError extends ApiError {
+  constructor(message = 'LLM provider call failed', context = {}) {
+    super(message, 503, 'LLM_PROVIDER_ERROR', context);
+  }
+}
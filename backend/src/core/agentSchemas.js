@@ -0,0 +1,77 @@
+// ===== DEVELOPMENT/DEBUG AGENT OUTPUT SCHEMAS =====
+// This file holds the Zod schemas every agent response is validated against, including
+// the Blueprint, which is also the shape clients must send back when they confirm it.
+
+// ===== IMPORTS & DEPENDENCIES =====
+import { z } from 'zod';
+
+// --- Blueprint (Phase 1) ---
+
+// The entry schemas are also used on their own when single blueprint entries are edited.
+export const glossaryItemSchema = z.object({
+  term: z.string(),
+  proposedTranslation: z.string(),
+  justification: z.string(),
+});
+
+export const characterProfileSchema = z.object({
+  character: z.string(),
+  style: z.string(),
+});
+
+export const culturalAdaptationSchema = z.object({
+  original: z.string(),
+  adaptation: z.string(),
+});
+
+// This is the detailed schema for the blueprint object.
+// It ensures that the data we receive from the user (and from our AI agent)
+// is structured correctly, preventing a major source of potential bugs.
+export const blueprintSchema = z.object({
+  summary: z.string(),
+  keyPoints: z.array(z.string()),
+  characterProfiles: z.array(characterProfileSchema),
+  culturalAdaptations: z.array(culturalAdaptationSchema),
+  glossary: z.array(glossaryItemSchema),
+  // House style for the whole series, inherited from a project's master blueprint. Agents do not generate it.
+  styleRules: z.array(z.string()).optional(),
+});
+
+export const keywordsResponseSchema = z.object({
+  keywords: z.array(z.object({
+    term: z.string().min(1),
+    definition: z.string(),
+  })),
+});
+
+export const groundedKeywordsResponseSchema = z.object({
+  grounded_keywords: z.array(z.object({
+    term: z.string().min(1),
+    translations: z.array(z.string()),
+  })),
+});
+
+// --- Batch Agents (Phase 2) ---
+
+// Transcreation, editing and QA return one translated line per batch line.
+export const translatedLineSchema = z.string();
+
+// The sync agent returns the rewritten line and, if it shortened it, the line it received.
+// A bare string is what the agent returned before this structure existed, and is still accepted.
+export const syncedLineSchema = z.union([
+  z.string(),
+  z.object({
+    text: z.string(),
+    original: z.string().nullable().optional(),
+  }),
+]);
+
+/**
+ * Builds the schema of a batch agent response: `{ translations: [...] }` with one item per line.
+ * The line count is checked separately, so a mismatch can be told apart from malformed items.
+ * @param {z.ZodTypeAny} itemSchema
+ * @returns {z.ZodObject}
+ */
+export function batchResponseSchema(itemSchema) {
+  return z.object({ translations: z.array(itemSchema) });
+}
@@ -0,0 +1,212 @@
+// ===== DEVELOPMENT/DEBUG ASS/SSA PARSER UTILITY =====
+// This module contains pure functions for handling the Advanced SubStation Alpha
+// (.ass) and SubStation Alpha (.ssa) formats. Only the text of Dialogue events is
+// exposed to the translation chain as SrtLines, with its inline {\...} override tags left
+// in place for the formatting-tag protection step; script info, styles and every other
+// event field are kept and rebuilt untouched.
+
+// ===== IMPORTS & DEPENDENCIES =====
+import { BadRequestError } from './AppError.js';
+import { parseTimestamp, formatSrtTimestamp, formatAssTimestamp } from './timecode.js';
+import { stripTags } from './formatTags.js';
+
+// ===== CONFIGURATION & CONSTANTS =====
+const SECTION_PATTERN = /^\[([^\]]+)\]\s*$/;
+// Drawing mode ({\p1} and up) renders vector shapes; its "text" is path commands, not speech.
+const DRAWING_PATTERN = /\{[^}]*\\p[1-9][^}]*\}/;
+// Splits text into the runs between override blocks and the blocks themselves (odd indexes).
+const OVERRIDE_BLOCK_SPLIT_PATTERN = /(\{[^}]*\})/;
+// \h is a space the renderer never wraps at; it is kept as a no-break space while translating.
+const HARD_SPACE = '\u00A0';
+// Whitespace other than hard spaces, which are part of the text.
+const EDGE_SPACE_PATTERN = /^[^\S\u00A0]+|[^\S\u00A0]+$/g;
+
+// ===== TYPES & INTERFACES (JSDoc) =====
+
+/**
+ * An [Events] line that is not translated (comments, drawings, empty dialogue, etc.).
+ * @typedef {object} AssPassthroughEvent
+ * @property {string} raw - The raw line.
+ * @property {number} position - The number of translatable cues that precede the line.
+ */
+
+/**
+ * Everything in an ASS/SSA file other than the spoken dialogue text.
+ * @typedef {object} AssDocument
+ * @property {string[]} head - All lines up to and including the [Events] "Format:" line.
+ * @property {string[]} fields - The [Events] field names, in order.
+ * @property {AssPassthroughEvent[]} passthrough - Non-translatable event lines.
+ * @property {string[]} tail - The lines of any sections that follow [Events].
+ * @property {string} eol - The line ending used by the source file.
+ */
+
+// ===== PRIVATE HELPER FUNCTIONS =====
+
+/**
+ * Splits the value part of an event line into its fields. Text is always the last
+ * field and may itself contain commas.
+ * @private
+ * @param {string} values
+ * @param {number} fieldCount
+ * @returns {string[]}
+ */
+function _splitEventValues(values, fieldCount) {
+  const parts = values.split(',');
+  return [...parts.slice(0, fieldCount - 1), parts.slice(fieldCount - 1).join(',')];
+}
+
+/**
+ * Applies a replacement to the text of a Dialogue event but not to its override blocks,
+ * whose backslash codes are tags rather than escapes.
+ * @private
+ * @param {string} text
+ * @param {(run: string) => string} replace
+ * @returns {string}
+ */
+function _outsideOverrides(text, replace) {
+  return text.split(OVERRIDE_BLOCK_SPLIT_PATTERN).map((part, i) => (i % 2 === 0 ? replace(part) : part)).join('');
+}
+
+/**
+ * Converts ASS line-break and hard-space escapes in a text field to plain characters.
+ * This happens before the override tags are protected, so their positions refer to the decoded text.
+ * @private
+ * @param {string} rawText
+ * @returns {string}
+ */
+function _decodeText(rawText) {
+  return _outsideOverrides(rawText, run => run.replace(/\\[Nn]/g, '\n').replace(/\\h/g, HARD_SPACE));
+}
+
+/**
+ * Converts line breaks and hard spaces back into ASS escapes.
+ * @private
+ * @param {string} text
+ * @returns {string}
+ */
+function _encodeText(text) {
+  return _outsideOverrides(text, run => run.replace(/\r?\n/g, '\\N').replaceAll(HARD_SPACE, '\\h'));
+}
+
+/**
+ * Maps a Dialogue event onto our internal SrtLine format.
+ * @private
+ * @param {Record<string, string>} fields - The event's fields keyed by name.
+ * @param {number} index - The zero-based position of the cue among translatable cues.
+ * @returns {import('./srtParser.js').SrtLine}
+ */
+function _mapToSrtLine(fields, index) {
+  const startSeconds = parseTimestamp(fields.Start);
+  const endSeconds = parseTimestamp(fields.End);
+  const { Text, ...otherFields } = fields;
+  return {
+    sequence: index + 1,
+    startTime: formatSrtTimestamp(startSeconds),
+    endTime: formatSrtTimestamp(endSeconds),
+    duration: parseFloat((endSeconds - startSeconds).toFixed(3)),
+    text: _decodeText(Text).replace(EDGE_SPACE_PATTERN, ''),
+    meta: { fields: otherFields },
+  };
+}
+
+/**
+ * Serializes an SrtLine back into a Dialogue event line.
+ * @private
+ * @param {import('./srtParser.js').SrtLine} srtLine
+ * @param {string[]} fieldNames
+ * @returns {string}
+ */
+function _mapFromSrtLine(srtLine, fieldNames) {
+  const { fields } = srtLine.meta;
+  const text = _encodeText(srtLine.text);
+  const values = fieldNames.map((name) => {
+    if (name === 'Start') return formatAssTimestamp(parseTimestamp(srtLine.startTime));
+    if (name === 'End') return formatAssTimestamp(parseTimestamp(srtLine.endTime));
+    if (name === 'Text') return text;
+    return fields[name];
+  });
+  return `Dialogue: ${values.join(',')}`;
+}
+
+// ===== PUBLIC API FUNCTIONS =====
+
+/**
+ * Parses a raw ASS/SSA string into translatable cues and the document structure around them.
+ * @param {string} assContent - The full content of an .ass or .ssa file.
+ * @returns {{document: AssDocument, lines: import('./srtParser.js').SrtLine[]}}
+ * @throws {BadRequestError} If the content is not a valid ASS/SSA script.
+ */
+export function parseAss(assContent) {
+  if (typeof assContent !== 'string' || !assContent.trim()) {
+    throw new BadRequestError('ASS/SSA content must be a non-empty string.');
+  }
+  const content = assContent.replace(/^\uFEFF/, '');
+  const eol = content.includes('\r\n') ? '\r\n' : '\n';
+  const rawLines = content.split(/\r?\n/);
+
+  const head = [];
+  const tail = [];
+  const passthrough = [];
+  const lines = [];
+  let fieldNames = null;
+  let section = null;
+
+  for (const rawLine of rawLines) {
+    const sectionMatch = SECTION_PATTERN.exec(rawLine.trim());
+    if (sectionMatch) {
+      section = sectionMatch[1].toLowerCase();
+    }
+
+    const inEvents = section === 'events' && !sectionMatch;
+    if (!inEvents || !fieldNames) {
+      if (inEvents && rawLine.startsWith('Format:')) {
+        fieldNames = rawLine.slice('Format:'.length).split(',').map(name => name.trim());
+      }
+      (fieldNames && section !== 'events' ? tail : head).push(rawLine);
+      continue;
+    }
+
+    const eventMatch = /^(\w+):\s?(.*)$/.exec(rawLine);
+    if (eventMatch?.[1] !== 'Dialogue') {
+      // Comments, other event types and blank lines are written back exactly where they were.
+      passthrough.push({ raw: rawLine, position: lines.length });
+      continue;
+    }
+
+    const values = _splitEventValues(eventMatch[2], fieldNames.length);
+    const fields = Object.fromEntries(fieldNames.map((name, i) => [name, values[i]]));
+    fields.Text ??= '';
+    if (DRAWING_PATTERN.test(fields.Text) || !stripTags(_decodeText(fields.Text)).trim()) {
+      passthrough.push({ raw: rawLine, position: lines.length });
+      continue;
+    }
+    lines.push(_mapToSrtLine(fields, lines.length));
+  }
+
+  if (!head.some(line => /^\[Script Info\]/i.test(line.trim())) || !fieldNames) {
+    throw new BadRequestError('ASS/SSA content must contain [Script Info] and an [Events] section with a Format line.');
+  }
+  return {
+    document: { head, fields: fieldNames, passthrough, tail, eol },
+    lines,
+  };
+}
+
+/**
+ * Converts SrtLine cues back into an ASS/SSA string, restoring every non-dialogue part of the script.
+ * @param {AssDocument} document - The document structure returned by `parseAss`.
+ * @param {import('./srtParser.js').SrtLine[]} srtLines - The cues to write.
+ * @returns {string} A valid ASS/SSA script.
+ */
+export function toAssString(document, srtLines) {
+  const eventLines = [];
+  const passthrough = [...document.passthrough];
+  srtLines.forEach((srtLine, index) => {
+    while (passthrough.length > 0 && passthrough[0].position <= index) {
+      eventLines.push(passthrough.shift().raw);
+    }
+    eventLines.push(_mapFromSrtLine(srtLine, document.fields));
+  });
+  eventLines.push(...passthrough.map(event => event.raw));
+  return [...document.head, ...eventLines, ...document.tail].join(document.eol);
+}
@@ -0,0 +1,317 @@
+// ===== DEVELOPMENT/DEBUG BLUEPRINT VERSIONING UTILITY =====
+// This module contains pure functions for editing a blueprint one entry at a time and for
+// comparing two versions of it. Entries of the list sections (glossary, character profiles,
+// cultural adaptations) are identified by their key field, compared without case or
+// surrounding whitespace, so "The Boss" and "the boss " are the same glossary term.
+// A project's master blueprint holds the same list sections plus style rules; episode
+// blueprints inherit it, and entries approved in an episode can be promoted back into it.
+
+// ===== IMPORTS & DEPENDENCIES =====
+import { z } from 'zod';
+import { BadRequestError, ConflictError, NotFoundError } from './AppError.js';
+import { characterProfileSchema, culturalAdaptationSchema, glossaryItemSchema } from './agentSchemas.js';
+import { diffWords } from './textDiff.js';
+
+// ===== CONFIGURATION & CONSTANTS =====
+// The blueprint sections whose entries can be added, changed and removed one by one.
+export const BLUEPRINT_SECTIONS = Object.freeze({
+  glossary: { keyField: 'term', entrySchema: glossaryItemSchema },
+  characterProfiles: { keyField: 'character', entrySchema: characterProfileSchema },
+  culturalAdaptations: { keyField: 'original', entrySchema: culturalAdaptationSchema },
+});
+
+// Every field an entry of any section can have, for request bodies whose section is only known
+// from the path. The entry is checked against its own section's schema when it is applied.
+export const blueprintEntryFieldsSchema = Object.values(BLUEPRINT_SECTIONS)
+  .reduce((schema, { entrySchema }) => schema.merge(entrySchema.partial()), z.object({}));
+
+// ===== TYPES & INTERFACES (JSDoc) =====
+
+/**
+ * One saved state of a job's blueprint.
+ * @typedef {object} BlueprintVersion
+ * @property {number} version - Starts at 1, the blueprint the agents generated.
+ * @property {object} blueprint
+ * @property {'generated'|'edit'|'confirmed'} source - How the version was made: by the agents,
+ *   by an entry edit, or by a full blueprint sent to /execute.
+ * @property {BlueprintChange[]} changes - What changed since the version before it.
+ * @property {string|null} createdBy - The owner ID of whoever made the version.
+ * @property {Date} createdAt
+ */
+
+/**
+ * One change to a blueprint.
+ * @typedef {object} BlueprintChange
+ * @property {'add'|'update'|'remove'} action
+ * @property {'summary'|'keyPoints'|'styleRules'|'glossary'|'characterProfiles'|'culturalAdaptations'} section
+ * @property {string} [key] - For list sections, the entry's key.
+ */
+
+/**
+ * The part of a blueprint a project shares between its episodes.
+ * @typedef {object} MasterBlueprint
+ * @property {object[]} characterProfiles
+ * @property {object[]} glossary
+ * @property {object[]} culturalAdaptations
+ * @property {string[]} styleRules
+ */
+
+/**
+ * What changed in one list section between two blueprint versions.
+ * @typedef {object} SectionDiff
+ * @property {object[]} added
+ * @property {object[]} removed
+ * @property {Array<{key: string, before: object, after: object, fields: Record<string, import('./textDiff.js').DiffPart[]>}>} changed
+ */
+
+// ===== PRIVATE HELPER FUNCTIONS =====
+
+/**
+ * @private
+ * @param {string} key
+ * @returns {string}
+ */
+function _normalizeKey(key) {
+  return key.trim().toLowerCase();
+}
+
+/**
+ * @private
+ * @param {string} section
+ * @returns {{keyField: string, entrySchema: import('zod').ZodObject}}
+ * @throws {BadRequestError} If the section cannot be edited entry by entry.
+ */
+function _sectionOf(section) {
+  const definition = BLUEPRINT_SECTIONS[section];
+  if (!definition) {
+    throw new BadRequestError(`Unknown blueprint section: ${section}. Expected one of ${Object.keys(BLUEPRINT_SECTIONS).join(', ')}.`);
+  }
+  return definition;
+}
+
+/**
+ * Validates an entry, or the fields of one, against its section's schema.
+ * @private
+ * @returns {object}
+ * @throws {BadRequestError}
+ */
+function _parseEntry(schema, entry, section) {
+  const result = schema.strict().safeParse(entry);
+  if (!result.success) {
+    const issues = result.error.issues.map(issue => `${issue.path.join('.') || '(entry)'}: ${issue.message}`);
+    throw new BadRequestError(`Invalid ${section} entry. ${issues.join('; ')}.`);
+  }
+  return result.data;
+}
+
+/**
+ * Compares two lists of plain strings, such as key points.
+ * @private
+ * @param {string[]} [before=[]]
+ * @param {string[]} [after=[]]
+ * @returns {{added: string[], removed: string[]}}
+ */
+function _diffStrings(before = [], after = []) {
+  return {
+    added: after.filter(item => !before.includes(item)),
+    removed: before.filter(item => !after.includes(item)),
+  };
+}
+
+/**
+ * Compares one list section of two blueprints.
+ * @private
+ * @param {object[]} before
+ * @param {object[]} after
+ * @param {string} keyField
+ * @returns {SectionDiff}
+ */
+function _diffSection(before, after, keyField) {
+  const beforeByKey = new Map(before.map(entry => [_normalizeKey(entry[keyField]), entry]));
+  const afterByKey = new Map(after.map(entry => [_normalizeKey(entry[keyField]), entry]));
+  const changed = [];
+  afterByKey.forEach((entry, key) => {
+    const previous = beforeByKey.get(key);
+    if (!previous) {
+      return;
+    }
+    const fields = Object.fromEntries(Object.keys(entry)
+      .filter(field => entry[field] !== previous[field])
+      .map(field => [field, diffWords(previous[field] ?? '', entry[field])]));
+    if (Object.keys(fields).length > 0) {
+      changed.push({ key: entry[keyField], before: previous, after: entry, fields });
+    }
+  });
+  return {
+    added: after.filter(entry => !beforeByKey.has(_normalizeKey(entry[keyField]))),
+    removed: before.filter(entry => !afterByKey.has(_normalizeKey(entry[keyField]))),
+    changed,
+  };
+}
+
+// ===== PUBLIC API FUNCTIONS =====
+
+/**
+ * Adds, changes or removes one entry of a blueprint's list section.
+ * @param {object} blueprint
+ * @param {{action: 'add'|'update'|'remove', section: string, key?: string, entry?: object}} change -
+ *   `key` names the entry to update or remove; `entry` is the new entry, or for updates only the fields that change.
+ * @returns {{blueprint: object, change: BlueprintChange}} A new blueprint; the input is not modified.
+ * @throws {BadRequestError} If the section or entry is invalid.
+ * @throws {NotFoundError} If the entry to update or remove does not exist.
+ * @throws {ConflictError} If an entry with the new key already exists.
+ */
+export function applyBlueprintChange(blueprint, { action, section, key, entry = {} }) {
+  const { keyField, entrySchema } = _sectionOf(section);
+  const entries = blueprint[section] || [];
+  const indexOf = value => entries.findIndex(existing => _normalizeKey(existing[keyField]) === _normalizeKey(value));
+  const assertKeyIsFree = (value, exceptIndex) => {
+    const index = indexOf(value);
+    if (index !== -1 && index !== exceptIndex) {
+      throw new ConflictError(`The ${section} entry "${entries[index][keyField]}" already exists.`);
+    }
+  };
+
+  if (action === 'add') {
+    const added = _parseEntry(entrySchema, entry, section);
+    if (!added[keyField].trim()) {
+      throw new BadRequestError(`A ${section} entry needs a non-empty ${keyField}.`);
+    }
+    assertKeyIsFree(added[keyField]);
+    return {
+      blueprint: { ...blueprint, [section]: [...entries, added] },
+      change: { action, section, key: added[keyField] },
+    };
+  }
+
+  const index = indexOf(key);
+  if (index === -1) {
+    throw new NotFoundError(`No ${section} entry "${key}" in this blueprint.`);
+  }
+  if (action === 'remove') {
+    return {
+      blueprint: { ...blueprint, [section]: entries.filter((_, position) => position !== index) },
+      change: { action, section, key: entries[index][keyField] },
+    };
+  }
+
+  const fields = _parseEntry(entrySchema.partial(), entry, section);
+  if (Object.keys(fields).length === 0) {
+    throw new BadRequestError(`Send at least one field of the ${section} entry to change.`);
+  }
+  const updated = { ...entries[index], ...fields };
+  if (!updated[keyField].trim()) {
+    throw new BadRequestError(`A ${section} entry needs a non-empty ${keyField}.`);
+  }
+  assertKeyIsFree(updated[keyField], index);
+  return {
+    blueprint: { ...blueprint, [section]: entries.map((existing, position) => (position === index ? updated : existing)) },
+    change: { action, section, key: entries[index][keyField] },
+  };
+}
+
+/**
+ * Compares two blueprints. List entries are matched by key, so reordering them is not a change.
+ * @param {object} before
+ * @param {object} after
+ * @returns {{identical: boolean, summary: {before: string, after: string, diff: import('./textDiff.js').DiffPart[]}|null, keyPoints: {added: string[], removed: string[]}, styleRules: {added: string[], removed: string[]}, sections: Record<string, SectionDiff>}}
+ */
+export function diffBlueprints(before, after) {
+  const summary = before.summary === after.summary
+    ? null
+    : { before: before.summary, after: after.summary, diff: diffWords(before.summary, after.summary) };
+  const keyPoints = _diffStrings(before.keyPoints, after.keyPoints);
+  const styleRules = _diffStrings(before.styleRules, after.styleRules);
+  const sections = Object.fromEntries(Object.entries(BLUEPRINT_SECTIONS).map(([section, { keyField }]) =>
+    [section, _diffSection(before[section] || [], after[section] || [], keyField)]
+  ));
+  const identical = !summary
+    && [keyPoints, styleRules].every(({ added, removed }) => added.length + removed.length === 0)
+    && Object.values(sections).every(({ added, removed, changed }) => added.length + removed.length + changed.length === 0);
+  return { identical, summary, keyPoints, styleRules, sections };
+}
+
+/**
+ * Lists the changes a blueprint diff describes, in the form version records keep them.
+ * @param {ReturnType<typeof diffBlueprints>} diff
+ * @returns {BlueprintChange[]}
+ */
+export function listBlueprintChanges({ summary, keyPoints, styleRules, sections }) {
+  const changes = [];
+  if (summary) {
+    changes.push({ action: 'update', section: 'summary' });
+  }
+  if (keyPoints.added.length > 0 || keyPoints.removed.length > 0) {
+    changes.push({ action: 'update', section: 'keyPoints' });
+  }
+  if (styleRules.added.length > 0 || styleRules.removed.length > 0) {
+    changes.push({ action: 'update', section: 'styleRules' });
+  }
+  Object.entries(sections).forEach(([section, { added, removed, changed }]) => {
+    const { keyField } = BLUEPRINT_SECTIONS[section];
+    changes.push(
+      ...added.map(entry => ({ action: 'add', section, key: entry[keyField] })),
+      ...changed.map(({ key }) => ({ action: 'update', section, key })),
+      ...removed.map(entry => ({ action: 'remove', section, key: entry[keyField] })),
+    );
+  });
+  return changes;
+}
+
+/**
+ * Gives an episode's blueprint the project's master entries and style rules. Where both
+ * have an entry with the same key, the master's wins; entries new to the episode are kept.
+ * @param {MasterBlueprint} master
+ * @param {object} blueprint - The blueprint generated for the episode.
+ * @returns {object} A new blueprint; neither input is modified.
+ */
+export function inheritMasterBlueprint(master, blueprint) {
+  const inherited = { ...blueprint, styleRules: [...master.styleRules] };
+  Object.entries(BLUEPRINT_SECTIONS).forEach(([section, { keyField }]) => {
+    const masterKeys = new Set(master[section].map(entry => _normalizeKey(entry[keyField])));
+    inherited[section] = [
+      ...master[section],
+      ...(blueprint[section] || []).filter(entry => !masterKeys.has(_normalizeKey(entry[keyField]))),
+    ];
+  });
+  return inherited;
+}
+
+/**
+ * Copies entries an episode added or changed into the project's master. Entries the episode
+ * dropped stay in the master; they are removed from the master itself.
+ * @param {MasterBlueprint} master
+ * @param {object} blueprint - The episode's blueprint.
+ * @param {Array<{section: string, key: string}>} [selection] - The entries to promote; by default, every added or changed one.
+ * @returns {{master: MasterBlueprint, changes: BlueprintChange[]}} A new master; the input is not modified.
+ * @throws {BadRequestError} If a selected section is unknown.
+ * @throws {NotFoundError} If a selected entry was not added or changed in the episode.
+ */
+export function promoteToMaster(master, blueprint, selection) {
+  const candidates = Object.entries(BLUEPRINT_SECTIONS).flatMap(([section, { keyField }]) => {
+    const { added, changed } = _diffSection(master[section], blueprint[section] || [], keyField);
+    return [
+      ...added.map(entry => ({ action: 'add', section, key: entry[keyField], entry })),
+      ...changed.map(({ key, after }) => ({ action: 'update', section, key, entry: after })),
+    ];
+  });
+  const selectionKey = ({ section, key }) => `${section}:${_normalizeKey(key)}`;
+  const candidateKeys = new Set(candidates.map(selectionKey));
+  (selection || []).forEach(({ section, key }) => {
+    _sectionOf(section);
+    if (!candidateKeys.has(selectionKey({ section, key }))) {
+      throw new NotFoundError(`The ${section} entry "${key}" was not added or changed in this blueprint.`);
+    }
+  });
+  const selected = selection && new Set(selection.map(selectionKey));
+  const promoted = selected ? candidates.filter(change => selected.has(selectionKey(change))) : candidates;
+
+  const updated = { ...master };
+  promoted.forEach(({ action, section, key, entry }) => {
+    const { keyField } = BLUEPRINT_SECTIONS[section];
+    updated[section] = action === 'add'
+      ? [...updated[section], entry]
+      : updated[section].map(existing => (_normalizeKey(existing[keyField]) === _normalizeKey(key) ? entry : existing));
+  });
+  return { master: updated, changes: promoted.map(({ action, section, key }) => ({ action, section, key })) };
+}
@@ -0,0 +1,91 @@
+// ===== DEVELOPMENT/DEBUG FORMATTING TAG PROTECTION UTILITY =====
+// This module contains pure functions that swap inline formatting tags for stable
+// placeholder tokens before subtitle text reaches the agents, and put the original
+// tags back afterwards. It covers HTML-style tags (<i>, <font color>, WebVTT <v> and <c>)
+// and brace-style override blocks ({\an8}, ASS {\i1}).
+
+// ===== CONFIGURATION & CONSTANTS =====
+const TAG_PATTERN = /<[^>]+>|\{[^}]*\}/g;
+const TOKEN_PATTERN = /⟦(\d+)⟧/g;
+// Text that already looks like a placeholder is protected too, so it cannot be mistaken for one.
+const PROTECTED_PATTERN = /<[^>]+>|\{[^}]*\}|⟦\d+⟧/g;
+
+// ===== TYPES & INTERFACES (JSDoc) =====
+
+/**
+ * A formatting tag that was replaced by a placeholder token.
+ * @typedef {object} ProtectedTag
+ * @property {string} token - The placeholder, e.g. "⟦1⟧".
+ * @property {string} tag - The original tag, e.g. "<i>".
+ * @property {boolean} leading - Whether the tag came before any visible text.
+ */
+
+// ===== PUBLIC API FUNCTIONS =====
+
+/**
+ * Builds the placeholder token for the nth tag of a line.
+ * @param {number} index - The 1-based tag index.
+ * @returns {string}
+ */
+export function toPlaceholder(index) {
+  return `⟦${index}⟧`;
+}
+
+/**
+ * Replaces every formatting tag in a line with a numbered placeholder token. Placeholder-like
+ * text already in the line (e.g. "⟦1⟧") is swapped out the same way and restored verbatim.
+ * @param {string} text
+ * @returns {{text: string, tags: ProtectedTag[]}}
+ */
+export function protectTags(text) {
+  const tags = [];
+  const protectedText = text.replace(PROTECTED_PATTERN, (tag, offset) => {
+    const token = toPlaceholder(tags.length + 1);
+    tags.push({ token, tag, leading: !stripTags(text.slice(0, offset)).trim() });
+    return token;
+  });
+  return { text: protectedText, tags };
+}
+
+/**
+ * Puts the original tags back in place of their placeholder tokens.
+ * Tokens the model invented are dropped, and tags whose token is missing are reported.
+ * @param {string} text - The translated text containing placeholder tokens.
+ * @param {ProtectedTag[]} tags - The tags returned by `protectTags` for the source line.
+ * @returns {{text: string, missingTags: ProtectedTag[]}}
+ */
+export function restoreTags(text, tags) {
+  const byToken = new Map(tags.map(tag => [tag.token, tag]));
+  const restored = new Set();
+  const restoredText = text.replace(TOKEN_PATTERN, (token) => {
+    const tag = byToken.get(token);
+    if (!tag || restored.has(token)) {
+      return '';
+    }
+    restored.add(token);
+    return tag.tag;
+  });
+  return { text: restoredText, missingTags: tags.filter(tag => !restored.has(tag.token)) };
+}
+
+/**
+ * Re-attaches tags the model lost, so formatting is never silently dropped.
+ * Tags that opened the line go back to the front; everything else is appended.
+ * @param {string} text - The restored text.
+ * @param {ProtectedTag[]} missingTags
+ * @returns {string}
+ */
+export function reattachTags(text, missingTags) {
+  const leading = missingTags.filter(tag => tag.leading).map(tag => tag.tag).join('');
+  const trailing = missingTags.filter(tag => !tag.leading).map(tag => tag.tag).join('');
+  return `${leading}${text}${trailing}`;
+}
+
+/**
+ * Removes all formatting tags and placeholder tokens, leaving only visible text.
+ * @param {string} text
+ * @returns {string}
+ */
+export function stripTags(text) {
+  return text.replace(TAG_PATTERN, '').replace(TOKEN_PATTERN, '');
+}
@@ -0,0 +1,101 @@
+// ===== DEVELOPMENT/DEBUG JSON REPAIR UTILITY =====
+// This module contains pure functions that parse JSON written by an LLM, repairing the
+// mistakes models commonly make: markdown code fences, prose around the object, trailing
+// commas, comments, raw line breaks inside strings, and output cut off before its closing brackets.
+
+// ===== CONFIGURATION & CONSTANTS =====
+const CLOSING_BRACKETS = { '{': '}', '[': ']' };
+const STRING_ESCAPES = { '\n': '\\n', '\r': '\\r', '\t': '\\t' };
+
+// ===== PRIVATE HELPER FUNCTIONS =====
+
+/**
+ * Cuts the JSON value out of a response: inside a code fence if there is one,
+ * from the first opening bracket onwards otherwise.
+ * @private
+ * @param {string} text
+ * @returns {string}
+ */
+function _extractJsonCandidate(text) {
+  const fenced = /```(?:json)?\s*\n?([\s\S]*?)(?:```|$)/i.exec(text);
+  const body = fenced ? fenced[1] : text;
+  const start = body.search(/[{[]/);
+  return start === -1 ? body.trim() : body.slice(start).trim();
+}
+
+/**
+ * Rewrites a JSON candidate character by character, tracking whether we are inside a string.
+ * Outside strings it drops comments, trailing commas and anything after the top-level value;
+ * inside strings it escapes raw control characters. Unclosed strings and brackets are closed.
+ * @private
+ * @param {string} text
+ * @returns {string}
+ */
+function _repairStructure(text) {
+  let output = '';
+  const openBrackets = [];
+  let inString = false;
+  let escaped = false;
+  for (let i = 0; i < text.length; i++) {
+    const character = text[i];
+    if (inString) {
+      if (escaped) {
+        escaped = false;
+        output += character;
+      } else if (character === '\\') {
+        escaped = true;
+        output += character;
+      } else {
+        inString = character !== '"';
+        output += STRING_ESCAPES[character] || character;
+      }
+      continue;
+    }
+    if (character === '/' && text[i + 1] === '/') {
+      while (i < text.length && text[i] !== '\n') i++;
+      continue;
+    }
+    if (character === '/' && text[i + 1] === '*') {
+      const end = text.indexOf('*/', i + 2);
+      i = end === -1 ? text.length : end + 1;
+      continue;
+    }
+    if (character === '"') {
+      inString = true;
+    } else if (character === '{' || character === '[') {
+      openBrackets.push(character);
+    } else if (character === '}' || character === ']') {
+      output = output.replace(/,\s*$/, '');
+      openBrackets.pop();
+      output += character;
+      if (openBrackets.length === 0) {
+        // Whatever follows the top-level value is commentary.
+        return output;
+      }
+      continue;
+    }
+    output += character;
+  }
+  if (inString) {
+    // A cut-off escape sequence cannot be completed, so it is dropped.
+    output = `${escaped ? output.slice(0, -1) : output}"`;
+  }
+  output = output.replace(/,\s*$/, '');
+  return output + openBrackets.reverse().map(bracket => CLOSING_BRACKETS[bracket]).join('');
+}
+
+// ===== PUBLIC API FUNCTIONS =====
+
+/**
+ * Parses JSON from an LLM response, repairing it only if it does not parse as it is.
+ * @param {string} text - The raw response.
+ * @returns {{value: any, repaired: boolean}}
+ * @throws {SyntaxError} If the text cannot be parsed even after repair.
+ */
+export function parseJsonWithRepair(text) {
+  try {
+    return { value: JSON.parse(text), repaired: false };
+  } catch {
+    return { value: JSON.parse(_repairStructure(_extractJsonCandidate(text))), repaired: true };
+  }
+}
@@ -0,0 +1,84 @@
+// ===== DEVELOPMENT/DEBUG LANGUAGE PROFILES =====
+// This module is the single source of truth for the languages the platform can translate
+// between, and for the readability rules each target language is delivered under.
+
+// ===== IMPORTS & DEPENDENCIES =====
+import { BadRequestError } from './AppError.js';
+
+// ===== TYPES & INTERFACES (JSDoc) =====
+
+/**
+ * The readability profile of a subtitle language.
+ * @typedef {object} LanguageProfile
+ * @property {string} code - The ISO 639-1 code (e.g., "fa").
+ * @property {string} name - The English name used in agent prompts (e.g., "Persian").
+ * @property {'ltr' | 'rtl'} direction - The script direction.
+ * @property {number} maxCps - The maximum comfortable reading speed in characters per second.
+ * @property {number} maxCharsPerLine - The maximum number of characters on one subtitle line.
+ * @property {number} maxLines - The maximum number of lines in one cue.
+ */
+
+/**
+ * The resolved source and target profiles of a job.
+ * @typedef {object} LanguagePair
+ * @property {LanguageProfile} source
+ * @property {LanguageProfile} target
+ */
+
+// ===== CONFIGURATION & CONSTANTS =====
+export const DEFAULT_SOURCE_LANGUAGE = 'en';
+export const DEFAULT_TARGET_LANGUAGE = 'fa';
+
+/** @type {Record<string, LanguageProfile>} */
+const LANGUAGE_PROFILES = {
+  en: { code: 'en', name: 'English', direction: 'ltr', maxCps: 17, maxCharsPerLine: 42, maxLines: 2 },
+  fa: { code: 'fa', name: 'Persian', direction: 'rtl', maxCps: 22, maxCharsPerLine: 42, maxLines: 2 },
+  ar: { code: 'ar', name: 'Arabic', direction: 'rtl', maxCps: 20, maxCharsPerLine: 42, maxLines: 2 },
+  tr: { code: 'tr', name: 'Turkish', direction: 'ltr', maxCps: 17, maxCharsPerLine: 42, maxLines: 2 },
+  es: { code: 'es', name: 'Spanish', direction: 'ltr', maxCps: 17, maxCharsPerLine: 42, maxLines: 2 },
+};
+
+// The languages we deliver subtitles in. Any profiled language may be a source.
+export const SUPPORTED_TARGET_LANGUAGES = ['fa', 'ar', 'tr', 'es'];
+
+// ===== PUBLIC API FUNCTIONS =====
+
+/**
+ * Looks up the profile of a language by its code.
+ * @param {string} code - The ISO 639-1 language code.
+ * @returns {LanguageProfile}
+ * @throws {BadRequestError} If the language is unknown.
+ */
+export function getLanguageProfile(code) {
+  const profile = LANGUAGE_PROFILES[code?.toLowerCase()];
+  if (!profile) {
+    throw new BadRequestError(
+      `Unsupported language "${code}". Supported languages: ${Object.keys(LANGUAGE_PROFILES).join(', ')}.`
+    );
+  }
+  return profile;
+}
+
+/**
+ * Resolves and validates the source and target languages from a job's settings.
+ * Settings saved before languages were configurable fall back to English to Persian.
+ * @param {{sourceLanguage?: string, targetLanguage?: string}} settings
+ * @returns {LanguagePair}
+ * @throws {BadRequestError} If either language is unsupported or they are the same.
+ */
+export function resolveLanguagePair(settings) {
+  const sourceCode = settings?.sourceLanguage || DEFAULT_SOURCE_LANGUAGE;
+  const targetCode = settings?.targetLanguage || DEFAULT_TARGET_LANGUAGE;
+
+  if (!SUPPORTED_TARGET_LANGUAGES.includes(targetCode.toLowerCase())) {
+    throw new BadRequestError(
+      `Unsupported target language "${targetCode}". Supported target languages: ${SUPPORTED_TARGET_LANGUAGES.join(', ')}.`
+    );
+  }
+  const source = getLanguageProfile(sourceCode);
+  const target = getLanguageProfile(targetCode);
+  if (source.code === target.code) {
+    throw new BadRequestError('Source and target languages must be different.');
+  }
+  return { source, target };
+}
@@ -0,0 +1,220 @@
+// ===== DEVELOPMENT/DEBUG LINE BREAKER UTILITY =====
+// This module contains pure functions that lay translated cue text out on screen lines:
+// text that fits stays on one line, longer text is split into balanced lines at natural
+// phrase boundaries, and dialogue cues keep one speaker per line. Right-to-left lines are
+// marked so players that guess direction from the first character render them correctly.
+
+// ===== IMPORTS & DEPENDENCIES =====
+import { protectTags, restoreTags, stripTags } from './formatTags.js';
+
+// ===== CONFIGURATION & CONSTANTS =====
+// Words a new line reads naturally from (conjunctions, relative pronouns, prepositions).
+const PHRASE_START_WORDS = {
+  en: ['and', 'but', 'or', 'so', 'because', 'that', 'which', 'who', 'when', 'where', 'if', 'while', 'to', 'of', 'in', 'on', 'at', 'for', 'with', 'from'],
+  es: ['y', 'e', 'pero', 'o', 'u', 'que', 'porque', 'cuando', 'donde', 'si', 'mientras', 'de', 'en', 'con', 'para', 'por', 'sin'],
+  tr: ['ve', 'ama', 'fakat', 'ya', 'veya', 'çünkü', 'ki', 'eğer', 'ile', 'gibi'],
+  fa: ['و', 'اما', 'ولی', 'یا', 'که', 'چون', 'اگر', 'تا', 'از', 'به', 'با', 'در', 'برای'],
+  ar: ['و', 'لكن', 'أو', 'أن', 'لأن', 'عندما', 'إذا', 'حتى', 'في', 'من', 'على', 'إلى', 'مع'],
+};
+// Words that belong to the word after them, so a line should not end on them.
+const CLINGING_WORDS = {
+  en: ['a', 'an', 'the', 'my', 'your', 'his', 'her', 'our', 'their', 'to', 'of', 'in', 'on', 'at', 'for', 'with', 'and', 'but', 'or'],
+  es: ['el', 'la', 'los', 'las', 'un', 'una', 'unos', 'unas', 'mi', 'tu', 'su', 'de', 'en', 'con', 'para', 'por', 'y', 'o', 'que'],
+  tr: ['bir', 've', 'ile'],
+  fa: ['و', 'از', 'به', 'با', 'در', 'برای', 'که', 'این', 'آن', 'یک'],
+  ar: ['و', 'في', 'من', 'على', 'إلى', 'مع', 'أن'],
+};
+const SENTENCE_END_PATTERN = /[.!?…؟]["'»”)]*$/;
+const CLAUSE_END_PATTERN = /[,;:،؛]["'»”)]*$/;
+const DIALOGUE_LINE_PATTERN = /^[-–—]/;
+const RTL_LETTER_PATTERN = /[\u0590-\u08FF\uFB1D-\uFDFF\uFE70-\uFEFF]/;
+const BIDI_MARK_PATTERN = /[\u200E\u200F\u202A-\u202E\u2066-\u2069]/g;
+const RLM = '\u200F';
+// Lines may break at any whitespace except a no-break space (e.g. an ASS \h hard space).
+const BREAKABLE_SPACE_PATTERN = /[^\S\u00A0]+/g;
+
+// Break costs. Lower is better; overflowing a line outweighs every other consideration.
+const OVERFLOW_COST = 1000;
+const ORPHAN_COST = 30;
+const CLINGING_WORD_COST = 20;
+const SENTENCE_END_BONUS = 25;
+const CLAUSE_END_BONUS = 15;
+const PHRASE_START_BONUS = 8;
+
+// ===== TYPES & INTERFACES (JSDoc) =====
+
+/**
+ * A cue whose text could not be laid out within the language's limits.
+ * @typedef {object} LineBreakIssue
+ * @property {number} sequence
+ * @property {number} lineCount - The number of lines the cue was laid out on.
+ * @property {number} maxLineLength - The length of its longest line, in visible characters.
+ * @property {string} message
+ */
+
+// ===== PRIVATE HELPER FUNCTIONS =====
+
+/**
+ * @private
+ */
+function _visibleLength(text) {
+  return stripTags(text).length;
+}
+
+/**
+ * Lowercases a word and strips surrounding punctuation, for word-list lookups.
+ * @private
+ */
+function _bareWord(word) {
+  return stripTags(word).toLowerCase().replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '');
+}
+
+/**
+ * Scores a break between two words; negative scores are good places to break.
+ * @private
+ */
+function _breakCost(lastWord, nextWord, languageCode) {
+  const visibleLastWord = stripTags(lastWord);
+  if (SENTENCE_END_PATTERN.test(visibleLastWord)) return -SENTENCE_END_BONUS;
+  if (CLAUSE_END_PATTERN.test(visibleLastWord)) return -CLAUSE_END_BONUS;
+  let cost = 0;
+  if (CLINGING_WORDS[languageCode]?.includes(_bareWord(lastWord))) cost += CLINGING_WORD_COST;
+  if (PHRASE_START_WORDS[languageCode]?.includes(_bareWord(nextWord))) cost -= PHRASE_START_BONUS;
+  return cost;
+}
+
+/**
+ * Finds the cheapest way to split words into exactly `lineCount` lines.
+ * @private
+ * @param {string[]} words
+ * @param {number} lineCount
+ * @param {import('./languages.js').LanguageProfile} profile
+ * @returns {{lines: string[], cost: number}|null}
+ */
+function _bestPartition(words, lineCount, profile) {
+  if (words.length < lineCount) {
+    return null;
+  }
+  let best = null;
+  const search = (start, lines, breakCost) => {
+    if (lines.length === lineCount - 1) {
+      const candidate = [...lines, words.slice(start).join(' ')];
+      const cost = breakCost + _layoutCost(candidate, words.length, profile);
+      if (!best || cost < best.cost) {
+        best = { lines: candidate, cost };
+      }
+      return;
+    }
+    const remainingLines = lineCount - lines.length - 1;
+    for (let end = start + 1; end <= words.length - remainingLines; end++) {
+      const cost = _breakCost(words[end - 1], words[end], profile.code);
+      search(end, [...lines, words.slice(start, end).join(' ')], breakCost + cost);
+    }
+  };
+  search(0, [], 0);
+  return best;
+}
+
+/**
+ * Scores the shape of a layout: overflow, imbalance and lone words.
+ * @private
+ */
+function _layoutCost(lines, wordCount, profile) {
+  const lengths = lines.map(_visibleLength);
+  const overflow = lengths.reduce((sum, length) => sum + Math.max(0, length - profile.maxCharsPerLine), 0);
+  const imbalance = Math.max(...lengths) - Math.min(...lengths);
+  const orphans = wordCount > lines.length ? lines.filter(line => !line.includes(' ')).length : 0;
+  return overflow * OVERFLOW_COST + imbalance + orphans * ORPHAN_COST;
+}
+
+/**
+ * Marks a right-to-left line that starts with a neutral or left-to-right character
+ * (a dash, a number, a Latin name) so it is not displayed as a left-to-right line.
+ * @private
+ */
+function _markRtlLine(line) {
+  const firstCharacter = stripTags(line).trim()[0];
+  return firstCharacter && !RTL_LETTER_PATTERN.test(firstCharacter) ? `${RLM}${line}` : line;
+}
+
+// ===== PUBLIC API FUNCTIONS =====
+
+/**
+ * Lays a cue's text out on lines that follow the language's line length and line count rules.
+ * @param {string} text - The cue text, with formatting tags.
+ * @param {import('./languages.js').LanguageProfile} profile - The target language profile.
+ * @returns {{text: string, fits: boolean, lineCount: number, maxLineLength: number}}
+ */
+export function breakLines(text, profile) {
+  const { text: protectedText, tags } = protectTags(text.replace(BIDI_MARK_PATTERN, ''));
+  const existingLines = protectedText.split(/\r?\n/).map(line => line.replace(BREAKABLE_SPACE_PATTERN, ' ').replace(/^ | $/g, '')).filter(Boolean);
+  const words = existingLines.join(' ').split(' ').filter(Boolean);
+
+  let lines;
+  const isDialogue = existingLines.length > 1 && existingLines.slice(1).every(line => DIALOGUE_LINE_PATTERN.test(stripTags(line)));
+  if (isDialogue) {
+    // One speaker per line, as the source had it.
+    lines = existingLines;
+  } else if (words.length === 0 || _visibleLength(words.join(' ')) <= profile.maxCharsPerLine || profile.maxLines < 2) {
+    lines = [words.join(' ')];
+  } else {
+    let best = null;
+    for (let lineCount = 2; lineCount <= profile.maxLines; lineCount++) {
+      const candidate = _bestPartition(words, lineCount, profile);
+      if (candidate && (!best || candidate.cost < best.cost)) {
+        best = candidate;
+      }
+      // Use as few lines as possible: stop at the first line count where nothing overflows.
+      if (best && best.lines.every(line => _visibleLength(line) <= profile.maxCharsPerLine)) {
+        break;
+      }
+    }
+    lines = best ? best.lines : [words.join(' ')];
+  }
+
+  const maxLineLength = Math.max(0, ...lines.map(_visibleLength));
+  const laidOut = (profile.direction === 'rtl' ? lines.map(_markRtlLine) : lines).join('\n');
+  return {
+    text: restoreTags(laidOut, tags).text,
+    fits: lines.length <= profile.maxLines && maxLineLength <= profile.maxCharsPerLine,
+    lineCount: lines.length,
+    maxLineLength,
+  };
+}
+
+/**
+ * Splits a cue's text in two at the most natural point near its middle, for cues that are
+ * too long for one subtitle. Each half keeps only the formatting tags that fall inside it.
+ * @param {string} text - The cue text, with formatting tags.
+ * @param {import('./languages.js').LanguageProfile} profile - The target language profile.
+ * @returns {[string, string]|null} The two halves, or null if the text is a single word.
+ */
+export function splitInTwo(text, profile) {
+  const { text: protectedText, tags } = protectTags(text.replace(BIDI_MARK_PATTERN, ''));
+  const words = protectedText.split(BREAKABLE_SPACE_PATTERN).filter(Boolean);
+  const best = _bestPartition(words, 2, profile);
+  return best ? best.lines.map(half => restoreTags(half, tags).text) : null;
+}
+
+/**
+ * Lays out the text of every cue, reporting the cues that still do not fit.
+ * @param {import('./srtParser.js').SrtLine[]} srtLines - The translated cues.
+ * @param {import('./languages.js').LanguageProfile} profile - The target language profile.
+ * @returns {{lines: import('./srtParser.js').SrtLine[], lineBreakIssues: LineBreakIssue[]}}
+ */
+export function breakCues(srtLines, profile) {
+  const lineBreakIssues = [];
+  const lines = srtLines.map((line) => {
+    const { text, fits, lineCount, maxLineLength } = breakLines(line.text, profile);
+    if (!fits) {
+      lineBreakIssues.push({
+        sequence: line.sequence,
+        lineCount,
+        maxLineLength,
+        message: `The text needs ${lineCount} line(s) of up to ${maxLineLength} characters; ${profile.name} allows ${profile.maxLines} of ${profile.maxCharsPerLine}.`,
+      });
+    }
+    return { ...line, text };
+  });
+  return { lines, lineBreakIssues };
+}
@@ -0,0 +1,229 @@
+// ===== DEVELOPMENT/DEBUG READABILITY ANALYZER UTILITY =====
+// This module contains pure functions that measure translated cues against the
+// readability rules of their target language (reading speed, line length, line count)
+// and against timing rules that apply to every language (duration and cue gaps).
+// Its findings decide which lines the sync agent rewrites, and are returned to the
+// client as `syncSuggestions`.
+
+// ===== IMPORTS & DEPENDENCIES =====
+import { parseTimestamp, formatSrtTimestamp } from './timecode.js';
+import { stripTags } from './formatTags.js';
+
+// ===== CONFIGURATION & CONSTANTS =====
+// Language-independent timing rules, in seconds. 0.833s is 20 frames at 24fps; 0.083s is 2 frames.
+export const TIMING_RULES = {
+  minDuration: 0.833,
+  maxDuration: 7,
+  minGap: 0.083,
+};
+
+// Invisible direction marks (e.g. the RLM added to right-to-left lines) take no reading time.
+const BIDI_MARK_PATTERN = /[\u200E\u200F\u202A-\u202E\u2066-\u2069]/g;
+
+// Rules a rewrite of the text can fix. Timing rules need the cue times to change instead.
+export const TEXT_RULES = ['max_cps', 'max_chars_per_line', 'max_lines'];
+
+// ===== TYPES & INTERFACES (JSDoc) =====
+
+/**
+ * The measurements of a single cue.
+ * @typedef {object} CueMetrics
+ * @property {number|null} cps - Visible characters per second (line breaks and tags excluded), or null for a cue with no duration.
+ * @property {number} maxLineLength - The length of the longest line, in visible characters.
+ * @property {number} lineCount
+ * @property {number} duration - In seconds.
+ * @property {number|null} gapToNext - Seconds until the next cue starts (negative if they overlap), or null for the last cue.
+ */
+
+/**
+ * A broken readability rule and how to fix it.
+ * @typedef {object} ReadabilityViolation
+ * @property {'max_cps'|'max_chars_per_line'|'max_lines'|'min_duration'|'max_duration'|'min_gap'} rule
+ * @property {'minor'|'major'|'critical'} severity
+ * @property {number} actual - The measured value.
+ * @property {number} limit - The value the rule allows.
+ * @property {{action: 'shorten'|'rebreak'|'extend'|'merge'|'split'|'trim_end', [key: string]: any}} fix - The proposed fix.
+ * @property {string} message - A human-readable description of the problem and the fix.
+ */
+
+/**
+ * The findings for one cue that broke at least one rule.
+ * @typedef {object} ReadabilityReport
+ * @property {number} sequence
+ * @property {CueMetrics} metrics
+ * @property {ReadabilityViolation[]} violations
+ */
+
+// ===== PRIVATE HELPER FUNCTIONS =====
+
+/**
+ * @private
+ */
+function _round(value) {
+  return parseFloat(value.toFixed(2));
+}
+
+/**
+ * Splits cue text into its non-empty visible lines, without formatting tags or direction marks.
+ * @private
+ * @param {string} text
+ * @returns {string[]}
+ */
+function _visibleLines(text) {
+  return stripTags(text).replace(BIDI_MARK_PATTERN, '').split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+}
+
+/**
+ * Grades how far a value is past its limit.
+ * @private
+ * @param {number} ratio - The measured value over the limit (or the limit over the value, for minimums).
+ * @returns {'minor'|'major'|'critical'}
+ */
+function _severity(ratio) {
+  if (ratio <= 1.1) return 'minor';
+  if (ratio <= 1.25) return 'major';
+  return 'critical';
+}
+
+/**
+ * Measures a cue.
+ * @private
+ * @param {import('./srtParser.js').SrtLine} line
+ * @param {import('./srtParser.js').SrtLine} [nextLine]
+ * @returns {CueMetrics & {characters: number, start: number, end: number}}
+ */
+function _measureCue(line, nextLine) {
+  const start = parseTimestamp(line.startTime);
+  const end = parseTimestamp(line.endTime);
+  const duration = end - start;
+  const visibleLines = _visibleLines(line.text);
+  const characters = visibleLines.join('').length;
+  return {
+    cps: duration > 0 ? _round(characters / duration) : null,
+    maxLineLength: Math.max(0, ...visibleLines.map(text => text.length)),
+    lineCount: visibleLines.length,
+    duration: _round(duration),
+    gapToNext: nextLine ? _round(parseTimestamp(nextLine.startTime) - end) : null,
+    characters,
+    start,
+    end,
+  };
+}
+
+/**
+ * Checks a measured cue against every rule.
+ * @private
+ * @param {ReturnType<typeof _measureCue>} cue
+ * @param {import('./languages.js').LanguageProfile} profile
+ * @returns {ReadabilityViolation[]}
+ */
+function _findViolations(cue, profile) {
+  const violations = [];
+  const fitsOnScreen = cue.characters <= profile.maxCharsPerLine * profile.maxLines;
+
+  // A cue with no duration has no reading speed; the duration rule reports it instead.
+  if (cue.cps !== null && cue.cps > profile.maxCps) {
+    const targetLength = Math.floor(profile.maxCps * cue.duration);
+    violations.push({
+      rule: 'max_cps',
+      severity: _severity(cue.cps / profile.maxCps),
+      actual: cue.cps,
+      limit: profile.maxCps,
+      fix: { action: 'shorten', targetLength },
+      message: `Reading speed is ${cue.cps} CPS (limit ${profile.maxCps}). Shorten to about ${targetLength} characters.`,
+    });
+  }
+  if (cue.maxLineLength > profile.maxCharsPerLine) {
+    violations.push({
+      rule: 'max_chars_per_line',
+      severity: _severity(cue.maxLineLength / profile.maxCharsPerLine),
+      actual: cue.maxLineLength,
+      limit: profile.maxCharsPerLine,
+      fix: fitsOnScreen ? { action: 'rebreak' } : { action: 'shorten', targetLength: profile.maxCharsPerLine * profile.maxLines },
+      message: `A line has ${cue.maxLineLength} characters (limit ${profile.maxCharsPerLine}). ${fitsOnScreen ? 'Re-break the lines.' : 'Shorten the text.'}`,
+    });
+  }
+  if (cue.lineCount > profile.maxLines) {
+    violations.push({
+      rule: 'max_lines',
+      severity: _severity(cue.lineCount / profile.maxLines),
+      actual: cue.lineCount,
+      limit: profile.maxLines,
+      fix: fitsOnScreen ? { action: 'rebreak', maxLines: profile.maxLines } : { action: 'shorten', targetLength: profile.maxCharsPerLine * profile.maxLines },
+      message: `The cue has ${cue.lineCount} lines (limit ${profile.maxLines}). ${fitsOnScreen ? `Re-break it into ${profile.maxLines} lines.` : 'Shorten the text.'}`,
+    });
+  }
+  if (cue.duration < TIMING_RULES.minDuration) {
+    // As in retiming, the minimum gap gives way to the minimum duration, but never the next cue's start.
+    const nextStart = cue.gapToNext === null ? Infinity : cue.end + cue.gapToNext;
+    const targetEnd = Math.min(cue.start + TIMING_RULES.minDuration, nextStart);
+    const canExtend = targetEnd > cue.end;
+    violations.push({
+      rule: 'min_duration',
+      severity: _severity(TIMING_RULES.minDuration / Math.max(cue.duration, 0.001)),
+      actual: cue.duration,
+      limit: TIMING_RULES.minDuration,
+      fix: canExtend ? { action: 'extend', targetEndTime: formatSrtTimestamp(targetEnd) } : { action: 'merge' },
+      message: `The cue is on screen for ${cue.duration}s (minimum ${TIMING_RULES.minDuration}s). ${canExtend ? 'Extend it.' : 'There is no room to extend it; merge it with a neighbouring cue.'}`,
+    });
+  }
+  if (cue.duration > TIMING_RULES.maxDuration) {
+    violations.push({
+      rule: 'max_duration',
+      severity: _severity(cue.duration / TIMING_RULES.maxDuration),
+      actual: cue.duration,
+      limit: TIMING_RULES.maxDuration,
+      fix: { action: 'split' },
+      message: `The cue is on screen for ${cue.duration}s (maximum ${TIMING_RULES.maxDuration}s). Split it.`,
+    });
+  }
+  if (cue.gapToNext !== null && cue.gapToNext < TIMING_RULES.minGap) {
+    const overlaps = cue.gapToNext < 0;
+    violations.push({
+      rule: 'min_gap',
+      severity: overlaps ? 'critical' : _severity(TIMING_RULES.minGap / Math.max(cue.gapToNext, 0.001)),
+      actual: cue.gapToNext,
+      limit: TIMING_RULES.minGap,
+      fix: { action: 'trim_end', targetEndTime: formatSrtTimestamp(cue.end + cue.gapToNext - TIMING_RULES.minGap) },
+      message: overlaps
+        ? `The cue overlaps the next one by ${-cue.gapToNext}s. End it earlier.`
+        : `The gap to the next cue is ${cue.gapToNext}s (minimum ${TIMING_RULES.minGap}s). End it earlier.`,
+    });
+  }
+  return violations;
+}
+
+// ===== PUBLIC API FUNCTIONS =====
+
+/**
+ * Analyzes translated cues against the readability rules of their target language.
+ * Gaps are measured between consecutive cues of the given array, so pass cues in order.
+ * @param {import('./srtParser.js').SrtLine[]} srtLines - The translated cues.
+ * @param {import('./languages.js').LanguageProfile} profile - The target language profile.
+ * @returns {ReadabilityReport[]} One report per cue that broke at least one rule, in cue order.
+ */
+export function analyzeReadability(srtLines, profile) {
+  return srtLines.flatMap((line, index) => {
+    const { characters, start, end, ...metrics } = _measureCue(line, srtLines[index + 1]);
+    const violations = _findViolations({ ...metrics, characters, start, end }, profile);
+    return violations.length > 0 ? [{ sequence: line.sequence, metrics, violations }] : [];
+  });
+}
+
+/**
+ * Counts the characters a viewer has to read in a cue (tags and line breaks excluded).
+ * @param {string} text
+ * @returns {number}
+ */
+export function countVisibleCharacters(text) {
+  return _visibleLines(text).join('').length;
+}
+
+/**
+ * Checks whether a report has a problem that rewriting the text can fix.
+ * @param {ReadabilityReport} report
+ * @returns {boolean}
+ */
+export function needsRewrite(report) {
+  return report.violations.some(violation => TEXT_RULES.includes(violation.rule));
+}
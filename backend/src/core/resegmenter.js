@@ -0,0 +1,227 @@
+// ===== DEVELOPMENT/DEBUG CUE RESEGMENTATION UTILITY =====
+// This module contains pure functions that change how translated text is divided into
+// cues: a cue whose translation cannot fit on screen is split in two, and two short
+// neighbouring cues from the same known speaker are merged. Cues are renumbered afterwards,
+// and a segment map records which original cues each new cue came from.
+
+// ===== IMPORTS & DEPENDENCIES =====
+import { parseTimestamp, formatSrtTimestamp } from './timecode.js';
+import { breakLines, splitInTwo } from './lineBreaker.js';
+import { countVisibleCharacters, TIMING_RULES } from './readability.js';
+import { stripTags } from './formatTags.js';
+
+// ===== CONFIGURATION & CONSTANTS =====
+// Cues shorter than this (in seconds) are candidates for merging with a neighbour.
+const MERGE_MAX_CUE_DURATION = 1.5;
+// Cues further apart than this (in seconds) are separate moments and are never merged.
+const MERGE_MAX_GAP = 0.5;
+const VOICE_TAG_PATTERN = /^<v(?:\.[^\s>]+)*\s+([^>]+)>/;
+const DIALOGUE_DASH_PATTERN = /^[-–—]\s*/;
+const LEADING_OVERRIDES_PATTERN = /^(?:\{[^}]*\})+/;
+const HTML_TAG_PATTERN = /<(\/?)([a-z]+)\b[^>]*>/gi;
+
+// ===== TYPES & INTERFACES (JSDoc) =====
+
+/**
+ * How a group of original cues became a group of new cues.
+ * @typedef {object} SegmentMapping
+ * @property {'keep'|'split'|'merge'} operation
+ * @property {number[]} original - The sequence numbers of the original cues.
+ * @property {number[]} result - The sequence numbers of the cues they became.
+ */
+
+// ===== PRIVATE HELPER FUNCTIONS =====
+
+/**
+ * Finds who speaks a cue: the ASS "Name" field or a leading WebVTT voice tag.
+ * @private
+ * @returns {string|null}
+ */
+function _speakerOf(line) {
+  return line.meta?.fields?.Name || VOICE_TAG_PATTERN.exec(line.text)?.[1]?.trim() || null;
+}
+
+/**
+ * Describes everything about a cue's presentation that two merged cues must share.
+ * Identifiers and times always differ between cues; styles, margins and cue settings must not.
+ * @private
+ * @returns {string}
+ */
+function _presentationKey(meta) {
+  const { identifier, fields, ...rest } = meta || {};
+  const { Start, End, ...style } = fields || {};
+  return JSON.stringify({ ...rest, style });
+}
+
+/**
+ * @private
+ */
+function _isDialogue(text) {
+  return stripTags(text).split(/\r?\n/).some(line => DIALOGUE_DASH_PATTERN.test(line.trim()));
+}
+
+/**
+ * Makes each half of a split cue self-contained: leading override blocks (positioning, style)
+ * apply to both halves, and HTML-style tags left open in the first half are closed there
+ * and reopened in the second.
+ * @private
+ * @returns {[string, string]}
+ */
+function _balanceSplitTags(first, second) {
+  const leadingOverrides = LEADING_OVERRIDES_PATTERN.exec(first)?.[0] || '';
+  const openTags = [];
+  for (const [tag, closing, name] of first.matchAll(HTML_TAG_PATTERN)) {
+    if (!closing) {
+      openTags.push({ tag, name });
+    } else if (openTags.at(-1)?.name.toLowerCase() === name.toLowerCase()) {
+      openTags.pop();
+    }
+  }
+  const closingTags = [...openTags].reverse().map(({ name }) => `</${name}>`).join('');
+  const reopeningTags = openTags.map(({ tag }) => tag).join('');
+  const secondPrefix = second.startsWith(leadingOverrides) ? '' : leadingOverrides;
+  return [`${first}${closingTags}`, `${secondPrefix}${reopeningTags}${second}`];
+}
+
+/**
+ * Splits a cue whose text cannot fit on screen into two cues timed in proportion to their text.
+ * @private
+ * @returns {import('./srtParser.js').SrtLine[]|null} The two new cues, or null if the cue cannot be split.
+ */
+function _splitCue(line, profile) {
+  const start = parseTimestamp(line.startTime);
+  const end = parseTimestamp(line.endTime);
+  // Both halves need at least the minimum duration, with the minimum gap between them.
+  if (end - start < 2 * TIMING_RULES.minDuration + TIMING_RULES.minGap) {
+    return null;
+  }
+
+  let halves;
+  const lines = line.text.split(/\r?\n/);
+  if (_isDialogue(line.text) && lines.length > 1) {
+    // Give each speaker a cue of their own; a single speaker needs no dash.
+    halves = [lines[0], lines.slice(1).join('\n')].map(half => half.replace(DIALOGUE_DASH_PATTERN, ''));
+  } else {
+    halves = splitInTwo(line.text, profile);
+  }
+  if (!halves) {
+    return null;
+  }
+  const [first, second] = _balanceSplitTags(...halves);
+
+  const firstLength = countVisibleCharacters(first);
+  const share = firstLength / (firstLength + countVisibleCharacters(second) || 1);
+  const splitAt = Math.min(
+    Math.max(start + (end - start) * share, start + TIMING_RULES.minDuration),
+    end - TIMING_RULES.minDuration - TIMING_RULES.minGap
+  );
+  const firstEnd = formatSrtTimestamp(splitAt);
+  const secondStart = formatSrtTimestamp(splitAt + TIMING_RULES.minGap);
+  // Cue identifiers (WebVTT) must stay unique, so the second half gets a suffix.
+  const secondMeta = line.meta?.identifier ? { ...line.meta, identifier: `${line.meta.identifier}-2` } : line.meta;
+  return [
+    { ...line, text: first, endTime: firstEnd, duration: parseFloat((parseTimestamp(firstEnd) - start).toFixed(3)) },
+    { ...line, text: second, startTime: secondStart, duration: parseFloat((end - parseTimestamp(secondStart)).toFixed(3)), meta: secondMeta },
+  ];
+}
+
+/**
+ * Merges two neighbouring cues if they are both short, close together, spoken by the
+ * same speaker in the same style, and their combined text still fits on screen.
+ * Cues that do not name their speaker (SRT, untagged WebVTT) are never merged: two short
+ * lines in a row are as likely to be an exchange between two people as one sentence.
+ * @private
+ * @returns {import('./srtParser.js').SrtLine|null} The merged cue, or null if the cues should stay apart.
+ */
+function _mergeCues(a, b, profile) {
+  const aStart = parseTimestamp(a.startTime);
+  const aEnd = parseTimestamp(a.endTime);
+  const bStart = parseTimestamp(b.startTime);
+  const bEnd = parseTimestamp(b.endTime);
+  const gap = bStart - aEnd;
+  const speaker = _speakerOf(a);
+  const canMerge = speaker !== null
+    && aEnd - aStart < MERGE_MAX_CUE_DURATION
+    && bEnd - bStart < MERGE_MAX_CUE_DURATION
+    && gap >= 0 && gap <= MERGE_MAX_GAP
+    && bEnd - aStart <= TIMING_RULES.maxDuration
+    && !_isDialogue(a.text) && !_isDialogue(b.text)
+    && _speakerOf(b) === speaker
+    && _presentationKey(a.meta) === _presentationKey(b.meta);
+  if (!canMerge) {
+    return null;
+  }
+
+  // The speaker is already named by the first cue's voice tag.
+  const text = `${a.text} ${b.text.replace(VOICE_TAG_PATTERN, '')}`;
+  if (!breakLines(text, profile).fits) {
+    return null;
+  }
+  return { ...a, text, endTime: b.endTime, duration: parseFloat((bEnd - aStart).toFixed(3)) };
+}
+
+// ===== PUBLIC API FUNCTIONS =====
+
+/**
+ * Splits overlong cues and merges short ones, then renumbers every cue.
+ * A cue is changed at most once: split halves and merged cues are not resegmented again.
+ * Pinned cues (e.g. ones a reviewer locked) are kept as they are and never merged with a neighbour.
+ * @param {import('./srtParser.js').SrtLine[]} srtLines - The translated cues, in playback order.
+ * @param {import('./languages.js').LanguageProfile} profile - The target language profile.
+ * @param {{pinnedSequences?: Set<number>}} [options={}]
+ * @returns {{lines: import('./srtParser.js').SrtLine[], segmentMap: SegmentMapping[]}}
+ */
+export function resegmentCues(srtLines, profile, { pinnedSequences = new Set() } = {}) {
+  const groups = [];
+  for (let i = 0; i < srtLines.length; i++) {
+    const line = srtLines[i];
+    const next = srtLines[i + 1];
+    if (pinnedSequences.has(line.sequence)) {
+      groups.push({ operation: 'keep', original: [line], result: [line] });
+      continue;
+    }
+    const halves = breakLines(line.text, profile).fits ? null : _splitCue(line, profile);
+    if (halves) {
+      groups.push({ operation: 'split', original: [line], result: halves });
+      continue;
+    }
+    const merged = next && !pinnedSequences.has(next.sequence) ? _mergeCues(line, next, profile) : null;
+    if (merged) {
+      groups.push({ operation: 'merge', original: [line, next], result: [merged] });
+      i++;
+      continue;
+    }
+    groups.push({ operation: 'keep', original: [line], result: [line] });
+  }
+
+  const lines = [];
+  const segmentMap = groups.map(({ operation, original, result }) => ({
+    operation,
+    original: original.map(line => line.sequence),
+    result: result.map((line) => {
+      lines.push({ ...line, sequence: lines.length + 1 });
+      return lines.length;
+    }),
+  }));
+  return { lines, segmentMap };
+}
+
+/**
+ * Translates a position in the original file (the number of cues before it) into the
+ * resegmented file. Anything that sat between two merged cues ends up before the merged cue.
+ * @param {number} position
+ * @param {SegmentMapping[]} segmentMap
+ * @returns {number}
+ */
+export function toResegmentedPosition(position, segmentMap) {
+  let originalCount = 0;
+  let resultCount = 0;
+  for (const { original, result } of segmentMap) {
+    originalCount += original.length;
+    if (originalCount > position) {
+      break;
+    }
+    resultCount += result.length;
+  }
+  return resultCount;
+}
@@ -0,0 +1,104 @@
+// ===== DEVELOPMENT/DEBUG SUBTITLE RETIMING UTILITY =====
+// This module contains pure functions that adjust cue end times so translated text
+// can be read comfortably: cues are extended into the silence after them, capped at
+// the maximum duration, and pulled back when they run into the next cue. A cue may give
+// up the minimum gap to last the minimum duration, but never overlaps the next cue. Start times
+// stay on the speech they were spotted to, so each cue only depends on itself and on
+// when the next cue starts.
+
+// ===== IMPORTS & DEPENDENCIES =====
+import { parseTimestamp, formatSrtTimestamp } from './timecode.js';
+import { TIMING_RULES, countVisibleCharacters } from './readability.js';
+
+// ===== TYPES & INTERFACES (JSDoc) =====
+
+/**
+ * A change the retiming pass made to a cue.
+ * @typedef {object} TimingChange
+ * @property {number} sequence
+ * @property {'reading_speed'|'min_duration'|'max_duration'|'overlap'} reason - Why the cue was retimed.
+ * @property {{startTime: string, endTime: string}} before
+ * @property {{startTime: string, endTime: string}} after
+ */
+
+// ===== PRIVATE HELPER FUNCTIONS =====
+
+/**
+ * Rounds seconds to the millisecond, the precision of our timestamps.
+ * @private
+ */
+function _toMillis(seconds) {
+  return Math.round(seconds * 1000) / 1000;
+}
+
+// ===== PUBLIC API FUNCTIONS =====
+
+/**
+ * Works out the end time a cue should have.
+ * @param {import('./srtParser.js').SrtLine} line - The translated cue.
+ * @param {import('./srtParser.js').SrtLine} [nextLine] - The cue that follows it, if any.
+ * @param {import('./languages.js').LanguageProfile} profile - The target language profile.
+ * @returns {{endTime: string, reason: TimingChange['reason']}|null} The new end time, or null if the cue is fine as it is.
+ */
+export function retimeCue(line, nextLine, profile) {
+  const start = parseTimestamp(line.startTime);
+  const end = parseTimestamp(line.endTime);
+  const duration = end - start;
+  const nextStart = nextLine ? parseTimestamp(nextLine.startTime) : Infinity;
+  // The minimum gap gives way to the minimum duration, so pulling a cue back from the next one
+  // cannot leave it too short to read. A cue with no room even then is reported by the
+  // readability pass, which proposes merging it with a neighbour.
+  const latestEnd = Math.max(nextStart - TIMING_RULES.minGap, Math.min(start + TIMING_RULES.minDuration, nextStart));
+  const readingTime = countVisibleCharacters(line.text) / profile.maxCps;
+  const idealDuration = Math.min(Math.max(TIMING_RULES.minDuration, readingTime), TIMING_RULES.maxDuration);
+
+  let newEnd = end;
+  let reason = null;
+  if (duration > TIMING_RULES.maxDuration) {
+    newEnd = start + TIMING_RULES.maxDuration;
+    reason = 'max_duration';
+  } else if (duration < idealDuration) {
+    // Only extend into silence; a cue that cannot grow keeps its end time.
+    const extendedEnd = Math.min(start + idealDuration, latestEnd);
+    if (extendedEnd > end) {
+      newEnd = extendedEnd;
+      reason = readingTime > duration ? 'reading_speed' : 'min_duration';
+    }
+  }
+  // Pull the end back from an overlap or a too-small gap, as long as the cue keeps some duration.
+  if (newEnd > latestEnd && latestEnd > start) {
+    newEnd = latestEnd;
+    reason ??= 'overlap';
+  }
+
+  newEnd = _toMillis(newEnd);
+  if (!reason || newEnd === _toMillis(end)) {
+    return null;
+  }
+  return { endTime: formatSrtTimestamp(newEnd), reason };
+}
+
+/**
+ * Retimes every cue of a file. Cues must be passed in playback order.
+ * @param {import('./srtParser.js').SrtLine[]} srtLines - The translated cues.
+ * @param {import('./languages.js').LanguageProfile} profile - The target language profile.
+ * @returns {{lines: import('./srtParser.js').SrtLine[], timingChanges: TimingChange[]}}
+ */
+export function retimeCues(srtLines, profile) {
+  const timingChanges = [];
+  const lines = srtLines.map((line, index) => {
+    const change = retimeCue(line, srtLines[index + 1], profile);
+    if (!change) {
+      return line;
+    }
+    timingChanges.push({
+      sequence: line.sequence,
+      reason: change.reason,
+      before: { startTime: line.startTime, endTime: line.endTime },
+      after: { startTime: line.startTime, endTime: change.endTime },
+    });
+    const duration = parseTimestamp(change.endTime) - parseTimestamp(line.startTime);
+    return { ...line, endTime: change.endTime, duration: parseFloat(duration.toFixed(3)) };
+  });
+  return { lines, timingChanges };
+}
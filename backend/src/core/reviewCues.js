@@ -0,0 +1,318 @@
+// ===== DEVELOPMENT/DEBUG REVIEW CUE UTILITY =====
+// This module contains pure functions for the human review of a translated file. A job's
+// output is kept as review cues: each final cue paired with the source lines it came from,
+// the text the pipeline produced, the text a reviewer settled on, and a history of every change.
+// Locked cues pin the source lines they came from, so a later re-translation leaves them alone.
+
+// ===== IMPORTS & DEPENDENCIES =====
+import { BadRequestError, ConflictError } from './AppError.js';
+
+// ===== CONFIGURATION & CONSTANTS =====
+// A cue selection is a list of sequence numbers and inclusive ranges such as "10-14".
+const CUE_RANGE_PATTERN = /^(\d+)\s*-\s*(\d+)$/;
+
+// ===== TYPES & INTERFACES (JSDoc) =====
+
+/**
+ * One change made to a cue by a reviewer.
+ * @typedef {object} CueChange
+ * @property {'edit'|'approve'|'unapprove'|'lock'|'unlock'|'retranslate'} action
+ * @property {string} by - The owner ID of the reviewer.
+ * @property {Date} at
+ * @property {string} [previousText] - For edits and re-translations, the text before the change.
+ * @property {string} [text] - For edits and re-translations, the text after it.
+ * @property {string} [instruction] - For re-translations, the reviewer's instruction, if any.
+ */
+
+/**
+ * A final cue, as reviewers see and change it.
+ * @typedef {object} ReviewCue
+ * @property {number} sequence - The cue's number in the final file.
+ * @property {string} startTime
+ * @property {string} endTime
+ * @property {number} duration
+ * @property {object} [meta] - Format-specific cue data, written back unchanged.
+ * @property {number[]} sourceSequences - The source lines the cue was translated from; more than one
+ *   for merged cues, and shared by both halves of a split cue.
+ * @property {string} sourceText - The text of those source lines.
+ * @property {string} machineText - The text the pipeline produced.
+ * @property {string} text - The text written to the file.
+ * @property {'machine'|'edited'|'approved'} status
+ * @property {boolean} locked - Locked cues cannot be changed, and survive re-translation.
+ * @property {CueChange[]} history
+ * @property {Date|null} updatedAt - When a reviewer last changed the cue.
+ * @property {string|null} updatedBy
+ */
+
+// ===== PRIVATE HELPER FUNCTIONS =====
+
+/**
+ * @private
+ * @param {ReviewCue} cue
+ * @returns {string}
+ */
+function _groupKey(cue) {
+  return cue.sourceSequences.join(',');
+}
+
+/**
+ * Identifies each cue by its source lines and its position among the cues made from them,
+ * which, unlike its sequence number, does not change when other cues are split or merged.
+ * @private
+ * @param {ReviewCue[]} cues
+ * @returns {Map<number, string>} Stable keys by sequence number.
+ */
+function _stableKeys(cues) {
+  const keys = new Map();
+  _groupBySource(cues).forEach((group, groupKey) => {
+    group.forEach((cue, index) => keys.set(cue.sequence, `${groupKey}#${index}`));
+  });
+  return keys;
+}
+
+/**
+ * Groups cues that share their source lines, in playback order.
+ * @private
+ * @param {ReviewCue[]} cues
+ * @returns {Map<string, ReviewCue[]>}
+ */
+function _groupBySource(cues) {
+  const groups = new Map();
+  cues.forEach((cue) => {
+    const key = _groupKey(cue);
+    groups.set(key, [...(groups.get(key) || []), cue]);
+  });
+  return groups;
+}
+
+// ===== PUBLIC API FUNCTIONS =====
+
+/**
+ * Pairs the final cues of a translation with their source lines.
+ * @param {import('./srtParser.js').SrtLine[]} lines - The final cues.
+ * @param {import('./srtParser.js').SrtLine[]} sourceLines - The cues of the source file.
+ * @param {import('./resegmenter.js').SegmentMapping[]} [segmentMap] - How cues were split or merged, if they were.
+ * @returns {ReviewCue[]}
+ */
+export function buildReviewCues(lines, sourceLines, segmentMap) {
+  const sourceBySequence = new Map(sourceLines.map(line => [line.sequence, line.text]));
+  const originalByResult = new Map((segmentMap || []).flatMap(({ original, result }) => result.map(sequence => [sequence, original])));
+  return lines.map(({ sequence, startTime, endTime, duration, text, meta }) => {
+    const sourceSequences = originalByResult.get(sequence) || [sequence];
+    return {
+      sequence,
+      startTime,
+      endTime,
+      duration,
+      ...(meta && { meta }),
+      sourceSequences,
+      sourceText: sourceSequences.map(source => sourceBySequence.get(source)).join('\n'),
+      machineText: text,
+      text,
+      status: 'machine',
+      locked: false,
+      history: [],
+      updatedAt: null,
+      updatedBy: null,
+    };
+  });
+}
+
+/**
+ * Finds the source lines that locked cues came from. A re-translation leaves these lines,
+ * and every cue made from them, exactly as they are.
+ * @param {ReviewCue[]} [cues=[]]
+ * @returns {Set<number>}
+ */
+export function findPinnedSequences(cues = []) {
+  return new Set(cues.filter(cue => cue.locked).flatMap(cue => cue.sourceSequences));
+}
+
+/**
+ * Gives the text of the cues made from each pinned source line, for use as translation context.
+ * A line that was merged into one cue with its neighbour shares that cue's text.
+ * @param {ReviewCue[]} cues
+ * @param {Set<number>} pinnedSequences
+ * @returns {Map<number, string>}
+ */
+export function pinnedTranslations(cues, pinnedSequences) {
+  const translations = new Map();
+  _groupBySource(cues).forEach((group) => {
+    const text = group.map(cue => cue.text).join('\n');
+    group[0].sourceSequences
+      .filter(sequence => pinnedSequences.has(sequence))
+      .forEach(sequence => translations.set(sequence, text));
+  });
+  return translations;
+}
+
+/**
+ * Gives the translations a reviewer signed off on, by approving or locking their cue, as
+ * source/target pairs for the translation memory. The memory is kept per source line, so cues
+ * that were split or merged are left out.
+ * @param {ReviewCue[]} cues
+ * @returns {Map<number, {sourceText: string, targetText: string}>} Pairs by cue sequence number.
+ */
+export function reviewedPairs(cues) {
+  const pairs = new Map();
+  _groupBySource(cues).forEach((group) => {
+    const [cue] = group;
+    if (group.length === 1 && cue.sourceSequences.length === 1 && (cue.status === 'approved' || cue.locked)) {
+      pairs.set(cue.sequence, { sourceText: cue.sourceText, targetText: cue.text });
+    }
+  });
+  return pairs;
+}
+
+/**
+ * Puts the pinned cues of an earlier review back into a fresh set of cues, in place of the
+ * cues the re-translation made from the same source lines, and renumbers the result.
+ * @param {ReviewCue[]} cues - The re-translated cues; pinned lines must not have been split or merged.
+ * @param {ReviewCue[]} [previousCues=[]]
+ * @param {Set<number>} [pinnedSequences] - The source lines to restore; by default, those of locked cues.
+ * @returns {ReviewCue[]}
+ */
+export function restorePinnedCues(cues, previousCues = [], pinnedSequences = findPinnedSequences(previousCues)) {
+  if (pinnedSequences.size === 0) {
+    return cues;
+  }
+  const pinnedGroups = [..._groupBySource(previousCues).values()]
+    .filter(group => group[0].sourceSequences.some(sequence => pinnedSequences.has(sequence)));
+  const groupBySequence = new Map(pinnedGroups.flatMap(group => group[0].sourceSequences.map(sequence => [sequence, group])));
+
+  const restored = [];
+  const emitted = new Set();
+  cues.forEach((cue) => {
+    const group = groupBySequence.get(cue.sourceSequences[0]);
+    if (!group) {
+      restored.push(cue);
+    } else if (!emitted.has(group)) {
+      emitted.add(group);
+      restored.push(...group);
+    }
+  });
+  return restored.map((cue, index) => ({ ...cue, sequence: index + 1 }));
+}
+
+/**
+ * Moves per-cue findings (e.g. timing changes) from one numbering of a file's cues to another.
+ * Findings about cues that no longer exist are dropped.
+ * @template {{sequence: number}} T
+ * @param {T[]} items
+ * @param {ReviewCue[]} fromCues - The cues the findings are numbered by.
+ * @param {ReviewCue[]} toCues
+ * @returns {T[]}
+ */
+export function remapCueFindings(items, fromCues, toCues) {
+  const fromKeys = _stableKeys(fromCues);
+  const sequenceByKey = new Map([..._stableKeys(toCues)].map(([sequence, key]) => [key, sequence]));
+  return items.flatMap((item) => {
+    const sequence = sequenceByKey.get(fromKeys.get(item.sequence));
+    return sequence ? [{ ...item, sequence }] : [];
+  });
+}
+
+/**
+ * Expands a cue selection into the sequence numbers it covers.
+ * @param {Array<number|string>} selection - Sequence numbers and ranges such as "10-14".
+ * @param {number} [maxCount=Infinity] - The most cues a selection may cover.
+ * @returns {Set<number>}
+ * @throws {BadRequestError} If a range is malformed or runs backwards, or the selection is too large.
+ */
+export function expandCueSelection(selection, maxCount = Infinity) {
+  const sequences = new Set();
+  selection.forEach((entry) => {
+    if (typeof entry === 'number') {
+      sequences.add(entry);
+      return;
+    }
+    const [, first, last] = CUE_RANGE_PATTERN.exec(entry) || [];
+    if (!first || Number(first) > Number(last)) {
+      throw new BadRequestError(`Invalid cue range: ${entry}`);
+    }
+    for (let sequence = Number(first); sequence <= Number(last) && sequences.size <= maxCount; sequence++) {
+      sequences.add(sequence);
+    }
+  });
+  if (sequences.size > maxCount) {
+    throw new BadRequestError(`A selection can cover at most ${maxCount} cues.`);
+  }
+  return sequences;
+}
+
+/**
+ * Describes how the source cues became the review cues, in the segment map format the
+ * subtitle writers use to re-anchor non-cue content.
+ * @param {ReviewCue[]} cues
+ * @returns {import('./resegmenter.js').SegmentMapping[]|null} Null if every source line became exactly one cue.
+ */
+export function toSegmentMap(cues) {
+  const segmentMap = [..._groupBySource(cues).values()].map((group) => {
+    const { sourceSequences } = group[0];
+    const operation = sourceSequences.length > 1 ? 'merge' : group.length > 1 ? 'split' : 'keep';
+    return { operation, original: sourceSequences, result: group.map(cue => cue.sequence) };
+  });
+  return segmentMap.every(({ operation }) => operation === 'keep') ? null : segmentMap;
+}
+
+/**
+ * Turns review cues back into the cues a subtitle file is written from.
+ * @param {ReviewCue[]} cues
+ * @returns {import('./srtParser.js').SrtLine[]}
+ */
+export function toSubtitleLines(cues) {
+  return cues.map(({ sequence, startTime, endTime, duration, text, meta }) => ({
+    sequence,
+    startTime,
+    endTime,
+    duration,
+    text,
+    ...(meta && { meta }),
+  }));
+}
+
+/**
+ * Applies a reviewer's change to a cue: an unlock first, then a new text, an approval
+ * decision and a lock, each recorded in the history. Editing un-approves the cue unless
+ * the same change approves it again.
+ * @param {ReviewCue} cue
+ * @param {{text?: string, approved?: boolean, locked?: boolean}} change
+ * @param {{by: string, at: Date}} author
+ * @returns {{cue: ReviewCue, changed: boolean}} A new cue; the input is not modified.
+ * @throws {ConflictError} If the cue is locked and the change does not unlock it.
+ */
+export function applyCueChange(cue, { text, approved, locked }, { by, at }) {
+  const updated = { ...cue, history: [...cue.history] };
+  const record = entry => updated.history.push({ ...entry, by, at });
+
+  if (locked === false && updated.locked) {
+    updated.locked = false;
+    record({ action: 'unlock' });
+  }
+  if (updated.locked && (text !== undefined || approved !== undefined)) {
+    throw new ConflictError(`Cue ${cue.sequence} is locked. Unlock it before changing it.`);
+  }
+  if (text !== undefined && text !== updated.text) {
+    record({ action: 'edit', previousText: updated.text, text });
+    updated.text = text;
+    updated.status = 'edited';
+  }
+  if (approved === true && updated.status !== 'approved') {
+    updated.status = 'approved';
+    record({ action: 'approve' });
+  } else if (approved === false && updated.status === 'approved') {
+    updated.status = updated.text === updated.machineText ? 'machine' : 'edited';
+    record({ action: 'unapprove' });
+  }
+  if (locked === true && !updated.locked) {
+    updated.locked = true;
+    record({ action: 'lock' });
+  }
+
+  const changed = updated.history.length > cue.history.length;
+  if (changed) {
+    updated.updatedAt = at;
+    updated.updatedBy = by;
+  }
+  return { cue: changed ? updated : cue, changed };
+}
@@ -0,0 +1,90 @@
+// ===== DEVELOPMENT/DEBUG SIGNED TOKEN UTILITY =====
+// This module contains pure functions that sign and verify compact JSON Web Tokens with
+// HMAC-SHA256 (HS256), the only algorithm we issue. Verification rejects any other
+// algorithm, a bad signature, and expired tokens.
+
+// ===== IMPORTS & DEPENDENCIES =====
+import { createHmac, timingSafeEqual } from 'node:crypto';
+
+// ===== CONFIGURATION & CONSTANTS =====
+const HEADER = { alg: 'HS256', typ: 'JWT' };
+
+// ===== PRIVATE HELPER FUNCTIONS =====
+
+/**
+ * @private
+ * @param {object} value
+ * @returns {string}
+ */
+function _encodeSegment(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+/**
+ * @private
+ * @param {string} segment
+ * @returns {object|null} Null if the segment is not base64url-encoded JSON.
+ */
+function _decodeSegment(segment) {
+  try {
+    return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * @private
+ * @param {string} signingInput - The encoded header and payload, joined by a dot.
+ * @param {string} secret
+ * @returns {Buffer}
+ */
+function _sign(signingInput, secret) {
+  return createHmac('sha256', secret).update(signingInput).digest();
+}
+
+// ===== PUBLIC API FUNCTIONS =====
+
+/**
+ * Signs a payload, adding its issue (`iat`) and expiry (`exp`) times in seconds.
+ * @param {object} payload
+ * @param {string} secret
+ * @param {{expiresInSeconds: number}} options
+ * @returns {string}
+ */
+export function signToken(payload, secret, { expiresInSeconds }) {
+  const issuedAt = Math.floor(Date.now() / 1000);
+  const signingInput = `${_encodeSegment(HEADER)}.${_encodeSegment({ ...payload, iat: issuedAt, exp: issuedAt + expiresInSeconds })}`;
+  return `${signingInput}.${_sign(signingInput, secret).toString('base64url')}`;
+}
+
+/**
+ * Verifies a token's signature and expiry.
+ * @param {string} token
+ * @param {string} secret
+ * @returns {{valid: true, payload: object} | {valid: false, reason: string}}
+ */
+export function verifyToken(token, secret) {
+  const segments = String(token).split('.');
+  if (segments.length !== 3) {
+    return { valid: false, reason: 'The token is malformed.' };
+  }
+  const [encodedHeader, encodedPayload, encodedSignature] = segments;
+  const header = _decodeSegment(encodedHeader);
+  const payload = _decodeSegment(encodedPayload);
+  if (!header || !payload) {
+    return { valid: false, reason: 'The token is malformed.' };
+  }
+  if (header.alg !== HEADER.alg) {
+    return { valid: false, reason: `Unsupported token algorithm: ${header.alg}.` };
+  }
+  const expected = _sign(`${encodedHeader}.${encodedPayload}`, secret);
+  const actual = Buffer.from(encodedSignature, 'base64url');
+  if (actual.length !== expected.length || !timingSafeEqual(actual, expected)) {
+    return { valid: false, reason: 'The token signature is invalid.' };
+  }
+  if (typeof payload.exp !== 'number' || payload.exp <= Math.floor(Date.now() / 1000)) {
+    return { valid: false, reason: 'The token has expired.' };
+  }
+  return { valid: true, payload };
+}
@@ -18,7 +18,9 @@ const parser = new SrtParser();
  * @property {string} startTime - The start timestamp string in SRT format (e.g., "00:00:20,490").
  * @property {string} endTime - The end timestamp string in SRT format (e.g., "00:00:22,490").
  * @property {number} duration - The calculated duration of the line in seconds.
- * @property {string} text - The sanitized (HTML-stripped and trimmed) text of the subtitle.
+ * @property {string} text - The trimmed text of the subtitle, with inline formatting tags (e.g. <i>, {\an8}) preserved.
+ * @property {object} [meta] - Format-specific cue data (e.g., a WebVTT cue identifier and settings),
+ *   carried through translation untouched.
  */
 
 // ===== PRIVATE HELPER FUNCTIONS =====
@@ -36,7 +38,7 @@ function _mapToSrtLine(libLine) {
     startTime: libLine.startTime,
     endTime: libLine.endTime,
     duration: isNaN(duration) ? 0 : parseFloat(duration.toFixed(3)),
-    text: libLine.text.replace(/<[^>]*>/g, '').trim(),
+    text: libLine.text.trim(),
   };
 }
 
@@ -0,0 +1,105 @@
+// ===== DEVELOPMENT/DEBUG SUBTITLE FORMAT REGISTRY =====
+// This module is the single entry point for reading and writing subtitle files.
+// It detects the format of an upload and dispatches to the matching parser, so the
+// translation service only ever deals with SrtLine arrays and an opaque document.
+
+// ===== IMPORTS & DEPENDENCIES =====
+import { parseSrt, toSrtString } from './srtParser.js';
+import { parseVtt, toVttString } from './vttParser.js';
+import { parseAss, toAssString } from './assParser.js';
+import { BadRequestError } from './AppError.js';
+
+// ===== TYPES & INTERFACES (JSDoc) =====
+
+/**
+ * A parsed subtitle file.
+ * @typedef {object} ParsedSubtitles
+ * @property {'srt' | 'vtt' | 'ass'} format - The detected file format.
+ * @property {object | null} document - Format-specific structure needed to rebuild the file.
+ * @property {import('./srtParser.js').SrtLine[]} lines - The cues, in our internal model.
+ */
+
+// ===== CONFIGURATION & CONSTANTS =====
+const FORMATS = {
+  srt: {
+    parse: content => ({ document: null, lines: parseSrt(content) }),
+    serialize: (document, lines) => toSrtString(lines),
+    reanchor: document => document,
+  },
+  vtt: {
+    parse: content => parseVtt(content),
+    serialize: (document, lines) => toVttString(document, lines),
+    reanchor: (document, mapPosition) => ({
+      ...document,
+      blocks: document.blocks.map(block => ({ ...block, position: mapPosition(block.position) })),
+    }),
+  },
+  // .ssa files share the same section layout and are handled by the ASS parser.
+  ass: {
+    parse: content => parseAss(content),
+    serialize: (document, lines) => toAssString(document, lines),
+    reanchor: (document, mapPosition) => ({
+      ...document,
+      passthrough: document.passthrough.map(event => ({ ...event, position: mapPosition(event.position) })),
+    }),
+  },
+};
+
+// ===== PUBLIC API FUNCTIONS =====
+
+/**
+ * Detects the subtitle format of a file from its content.
+ * @param {string} content - The raw file content.
+ * @returns {'srt' | 'vtt' | 'ass' | null} The format, or null if the content is plain text.
+ */
+export function detectSubtitleFormat(content) {
+  if (typeof content !== 'string') {
+    return null;
+  }
+  const trimmed = content.replace(/^\uFEFF/, '').trimStart();
+  if (/^WEBVTT(?:[ \t\r\n]|$)/.test(trimmed)) {
+    return 'vtt';
+  }
+  if (/^\[Script Info\]/i.test(trimmed)) {
+    return 'ass';
+  }
+  if (content.includes('-->')) {
+    return 'srt';
+  }
+  return null;
+}
+
+/**
+ * Parses a subtitle file of any supported format.
+ * @param {string} content - The raw file content.
+ * @returns {ParsedSubtitles}
+ * @throws {BadRequestError} If the content is not a supported subtitle format or is malformed.
+ */
+export function parseSubtitles(content) {
+  const format = detectSubtitleFormat(content);
+  if (!format) {
+    throw new BadRequestError(`Unrecognized subtitle format. Supported formats: ${Object.keys(FORMATS).join(', ')}.`);
+  }
+  return { format, ...FORMATS[format].parse(content) };
+}
+
+/**
+ * Writes cues back into the format they were parsed from.
+ * @param {{format: string, document: object | null}} parsed - The format and document returned by `parseSubtitles`.
+ * @param {import('./srtParser.js').SrtLine[]} lines - The cues to write.
+ * @returns {string} The serialized subtitle file.
+ */
+export function serializeSubtitles({ format, document }, lines) {
+  return FORMATS[format].serialize(document, lines);
+}
+
+/**
+ * Moves the non-cue parts of a document (WebVTT NOTE/STYLE blocks, ASS comment events) to
+ * match a file whose cues were split or merged.
+ * @param {ParsedSubtitles} parsed - The parsed file.
+ * @param {(position: number) => number} mapPosition - Maps an original cue position to the new one.
+ * @returns {ParsedSubtitles} A copy of the parsed file with the document re-anchored.
+ */
+export function reanchorDocument(parsed, mapPosition) {
+  return { ...parsed, document: FORMATS[parsed.format].reanchor(parsed.document, mapPosition) };
+}
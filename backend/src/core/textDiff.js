@@ -0,0 +1,74 @@
+// ===== DEVELOPMENT/DEBUG TEXT DIFF UTILITY =====
+// This module contains a pure word-level diff, used to show what each agent stage
+// changed in a line compared to the stage before it.
+
+// ===== TYPES & INTERFACES (JSDoc) =====
+
+/**
+ * One run of a diff.
+ * @typedef {object} DiffPart
+ * @property {'equal'|'insert'|'delete'} type
+ * @property {string} text - The words of the run, including the whitespace between them.
+ */
+
+// ===== PRIVATE HELPER FUNCTIONS =====
+
+/**
+ * Splits text into words and the whitespace that follows them, so joining the tokens
+ * gives back the original text.
+ * @private
+ * @param {string} text
+ * @returns {string[]}
+ */
+function _tokenize(text) {
+  return text.match(/\S+\s*|\s+/g) || [];
+}
+
+// ===== PUBLIC API FUNCTIONS =====
+
+/**
+ * Computes a word-level diff between two versions of a line (longest common subsequence).
+ * Words are compared without their trailing whitespace, so a re-broken line only differs where its words do.
+ * @param {string} before
+ * @param {string} after
+ * @returns {DiffPart[]} Consecutive parts of the same type are merged.
+ */
+export function diffWords(before, after) {
+  const a = _tokenize(before);
+  const b = _tokenize(after);
+  const same = (i, j) => a[i].trimEnd() === b[j].trimEnd();
+
+  // lengths[i][j] is the LCS length of a[i..] and b[j..].
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = same(i, j) ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const parts = [];
+  const push = (type, text) => {
+    const last = parts[parts.length - 1];
+    if (last?.type === type) {
+      last.text += text;
+    } else {
+      parts.push({ type, text });
+    }
+  };
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (same(i, j)) {
+      push('equal', b[j]);
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      push('delete', a[i++]);
+    } else {
+      push('insert', b[j++]);
+    }
+  }
+  while (i < a.length) push('delete', a[i++]);
+  while (j < b.length) push('insert', b[j++]);
+  return parts;
+}
@@ -0,0 +1,42 @@
+// ===== DEVELOPMENT/DEBUG TEXT SIMILARITY UTILITY =====
+// This module contains pure functions for comparing subtitle lines, used by the
+// translation memory to key exact matches and to score fuzzy ones.
+
+// ===== PUBLIC API FUNCTIONS =====
+
+/**
+ * Normalizes a line for matching: case, surrounding whitespace and runs of whitespace
+ * (including line breaks) are ignored; punctuation and formatting tags are significant.
+ * @param {string} text
+ * @returns {string}
+ */
+export function normalizeForMatching(text) {
+  return text.replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+/**
+ * Scores how similar two lines are, as 1 minus their normalized Levenshtein distance.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} A score between 0 (nothing in common) and 1 (identical after normalization).
+ */
+export function similarityScore(a, b) {
+  const left = normalizeForMatching(a);
+  const right = normalizeForMatching(b);
+  const longest = Math.max(left.length, right.length);
+  if (longest === 0) {
+    return 1;
+  }
+
+  // Classic two-row dynamic programming edit distance.
+  let previous = Array.from({ length: right.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= left.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= right.length; j++) {
+      const substitutionCost = left[i - 1] === right[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + substitutionCost);
+    }
+    previous = current;
+  }
+  return parseFloat((1 - previous[right.length] / longest).toFixed(4));
+}
@@ -0,0 +1,88 @@
+// ===== DEVELOPMENT/DEBUG TIMECODE UTILITY =====
+// This module contains pure functions for converting between subtitle timestamp
+// strings and seconds. Our internal SrtLine model stores SRT-style timestamps,
+// so every other format converts through these helpers.
+
+// ===== IMPORTS & DEPENDENCIES =====
+import { BadRequestError } from './AppError.js';
+
+// ===== CONFIGURATION & CONSTANTS =====
+// Matches "hh:mm:ss,mmm", "hh:mm:ss.mmm", "mm:ss.mmm" and the ASS "h:mm:ss.cc" form.
+const TIMESTAMP_PATTERN = /^(?:(\d+):)?(\d{1,2}):(\d{2})[.,](\d{1,3})$/;
+
+// ===== PRIVATE HELPER FUNCTIONS =====
+
+/**
+ * Splits a duration in seconds into whole time units.
+ * @private
+ * @param {number} seconds
+ * @returns {{hours: number, minutes: number, secs: number, millis: number}}
+ */
+function _toUnits(seconds) {
+  const totalMillis = Math.max(0, Math.round(seconds * 1000));
+  return {
+    hours: Math.floor(totalMillis / 3600000),
+    minutes: Math.floor((totalMillis % 3600000) / 60000),
+    secs: Math.floor((totalMillis % 60000) / 1000),
+    millis: totalMillis % 1000,
+  };
+}
+
+/**
+ * @private
+ */
+function _pad(value, length = 2) {
+  return String(value).padStart(length, '0');
+}
+
+// ===== PUBLIC API FUNCTIONS =====
+
+/**
+ * Parses a subtitle timestamp into seconds.
+ * @param {string} timestamp - e.g. "00:00:20,490", "00:20.490" or "0:00:20.49".
+ * @returns {number} The timestamp in seconds, rounded to the millisecond.
+ * @throws {BadRequestError} If the timestamp is malformed.
+ */
+export function parseTimestamp(timestamp) {
+  const match = TIMESTAMP_PATTERN.exec(String(timestamp).trim());
+  if (!match) {
+    throw new BadRequestError(`Malformed subtitle timestamp: "${timestamp}".`);
+  }
+  const [, hours = '0', minutes, seconds, fraction] = match;
+  // A fraction is a decimal, so "49" (ASS centiseconds) is 490ms and "5" is 500ms.
+  const millis = Number(fraction.padEnd(3, '0'));
+  return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds) + millis / 1000;
+}
+
+/**
+ * Formats seconds as an SRT timestamp ("hh:mm:ss,mmm").
+ * @param {number} seconds
+ * @returns {string}
+ */
+export function formatSrtTimestamp(seconds) {
+  const { hours, minutes, secs, millis } = _toUnits(seconds);
+  return `${_pad(hours)}:${_pad(minutes)}:${_pad(secs)},${_pad(millis, 3)}`;
+}
+
+/**
+ * Formats seconds as a WebVTT timestamp ("hh:mm:ss.mmm").
+ * @param {number} seconds
+ * @returns {string}
+ */
+export function formatVttTimestamp(seconds) {
+  const { hours, minutes, secs, millis } = _toUnits(seconds);
+  return `${_pad(hours)}:${_pad(minutes)}:${_pad(secs)}.${_pad(millis, 3)}`;
+}
+
+/**
+ * Formats seconds as an ASS/SSA timestamp ("h:mm:ss.cc", centisecond precision).
+ * @param {number} seconds
+ * @returns {string}
+ */
+export function formatAssTimestamp(seconds) {
+  const totalCentis = Math.max(0, Math.round(seconds * 100));
+  const hours = Math.floor(totalCentis / 360000);
+  const minutes = Math.floor((totalCentis % 360000) / 6000);
+  const secs = Math.floor((totalCentis % 6000) / 100);
+  return `${hours}:${_pad(minutes)}:${_pad(secs)}.${_pad(totalCentis % 100)}`;
+}
@@ -0,0 +1,143 @@
+// ===== DEVELOPMENT/DEBUG WEBVTT PARSER UTILITY =====
+// This module contains pure functions for handling the WebVTT subtitle format.
+// Cues are mapped onto our internal SrtLine model so the translation chain is
+// format-agnostic; everything else in the file (header, NOTE, STYLE and REGION
+// blocks, cue identifiers and cue settings) is kept so it can be written back untouched.
+
+// ===== IMPORTS & DEPENDENCIES =====
+import { BadRequestError } from './AppError.js';
+import { parseTimestamp, formatSrtTimestamp, formatVttTimestamp } from './timecode.js';
+
+// ===== CONFIGURATION & CONSTANTS =====
+const TIMING_PATTERN = /^(\S+)\s+-->\s+(\S+)(?:\s+(.*))?$/;
+const PASSTHROUGH_BLOCK_TYPES = { NOTE: 'note', STYLE: 'style', REGION: 'region' };
+
+// ===== TYPES & INTERFACES (JSDoc) =====
+
+/**
+ * A non-cue block that is carried through translation verbatim.
+ * @typedef {object} VttBlock
+ * @property {'note' | 'style' | 'region'} type
+ * @property {string} content - The raw block text, including its keyword line.
+ * @property {number} position - The number of cues that precede the block in the file.
+ */
+
+/**
+ * Everything in a WebVTT file other than the cue timings and text.
+ * @typedef {object} VttDocument
+ * @property {string} header - The "WEBVTT" line plus any header metadata lines.
+ * @property {VttBlock[]} blocks
+ */
+
+// ===== PRIVATE HELPER FUNCTIONS =====
+
+/**
+ * Returns the passthrough block type of a block, or null if it is a cue.
+ * @private
+ * @param {string} firstLine
+ * @returns {string | null}
+ */
+function _getPassthroughType(firstLine) {
+  const keyword = firstLine.split(/[ \t]/, 1)[0];
+  return PASSTHROUGH_BLOCK_TYPES[keyword] || null;
+}
+
+/**
+ * Maps a raw cue block onto our internal SrtLine format.
+ * @private
+ * @param {string[]} blockLines - The lines of a single cue block.
+ * @param {number} index - The zero-based position of the cue in the file.
+ * @returns {import('./srtParser.js').SrtLine}
+ */
+function _mapToSrtLine(blockLines, index) {
+  const hasIdentifier = !blockLines[0].includes('-->');
+  const identifier = hasIdentifier ? blockLines[0] : null;
+  const timingLine = hasIdentifier ? blockLines[1] : blockLines[0];
+  const match = TIMING_PATTERN.exec(timingLine?.trim() ?? '');
+  if (!match) {
+    throw new BadRequestError('Failed to parse malformed WebVTT cue timing.', { timingLine });
+  }
+
+  const [, start, end, settings] = match;
+  const startSeconds = parseTimestamp(start);
+  const endSeconds = parseTimestamp(end);
+  const textLines = blockLines.slice(hasIdentifier ? 2 : 1);
+  return {
+    sequence: index + 1,
+    startTime: formatSrtTimestamp(startSeconds),
+    endTime: formatSrtTimestamp(endSeconds),
+    duration: parseFloat((endSeconds - startSeconds).toFixed(3)),
+    text: textLines.join('\n').trim(),
+    meta: { identifier, settings: settings || null },
+  };
+}
+
+/**
+ * Serializes an SrtLine back into a WebVTT cue block.
+ * @private
+ * @param {import('./srtParser.js').SrtLine} srtLine
+ * @returns {string}
+ */
+function _mapFromSrtLine(srtLine) {
+  const { identifier = null, settings = null } = srtLine.meta || {};
+  const start = formatVttTimestamp(parseTimestamp(srtLine.startTime));
+  const end = formatVttTimestamp(parseTimestamp(srtLine.endTime));
+  const timingLine = settings ? `${start} --> ${end} ${settings}` : `${start} --> ${end}`;
+  return [identifier, timingLine, srtLine.text].filter(part => part !== null).join('\n');
+}
+
+// ===== PUBLIC API FUNCTIONS =====
+
+/**
+ * Parses a raw WebVTT string into cues and the document structure around them.
+ * @param {string} vttContent - The full content of a WebVTT file.
+ * @returns {{document: VttDocument, lines: import('./srtParser.js').SrtLine[]}}
+ * @throws {BadRequestError} If the content is not valid WebVTT.
+ */
+export function parseVtt(vttContent) {
+  if (typeof vttContent !== 'string' || !vttContent.trim()) {
+    throw new BadRequestError('WebVTT content must be a non-empty string.');
+  }
+  const blocks = vttContent
+    .replace(/^\uFEFF/, '')
+    .replace(/\r\n?/g, '\n')
+    .split(/\n{2,}/)
+    .map(block => block.replace(/^\n+|\n+$/g, ''))
+    .filter(Boolean);
+
+  if (!/^WEBVTT(?:[ \t]|$)/.test(blocks[0] ?? '')) {
+    throw new BadRequestError('WebVTT content must start with a "WEBVTT" header.');
+  }
+
+  const document = { header: blocks[0], blocks: [] };
+  const lines = [];
+  for (const block of blocks.slice(1)) {
+    const blockLines = block.split('\n');
+    const passthroughType = _getPassthroughType(blockLines[0]);
+    if (passthroughType) {
+      document.blocks.push({ type: passthroughType, content: block, position: lines.length });
+    } else {
+      lines.push(_mapToSrtLine(blockLines, lines.length));
+    }
+  }
+  return { document, lines };
+}
+
+/**
+ * Converts SrtLine cues back into a WebVTT string, restoring the header and passthrough blocks.
+ * @param {VttDocument} document - The document structure returned by `parseVtt`.
+ * @param {import('./srtParser.js').SrtLine[]} srtLines - The cues to write.
+ * @returns {string} A valid WebVTT string.
+ */
+export function toVttString(document, srtLines) {
+  const output = [document.header];
+  const blocks = [...document.blocks];
+  srtLines.forEach((srtLine, index) => {
+    while (blocks.length > 0 && blocks[0].position <= index) {
+      output.push(blocks.shift().content);
+    }
+    output.push(_mapFromSrtLine(srtLine));
+  });
+  output.push(...blocks.map(block => block.content));
+  return `${output.join('\n\n')}\n`;
+}
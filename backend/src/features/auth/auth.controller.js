@@ -0,0 +1,36 @@
+// ===== DEVELOPMENT/DEBUG AUTH CONTROLLER =====
+// This file contains the lean handler functions for access tokens and API key
+// administration. The caller is always `request.principal`, set by the authentication hook.
+
+// ===== CONTROLLER CLASS =====
+export class AuthController {
+  /**
+   * @param {import('./auth.service.js').AuthService} authService
+   */
+  constructor(authService) {
+    this.service = authService;
+  }
+
+  issueAccessToken = async (request, reply) => {
+    const result = this.service.issueAccessToken(request.principal);
+    reply.status(200).send(result);
+  }
+
+  issueApiKey = async (request, reply) => {
+    request.log.info({ ownerId: request.body.ownerId, workspaceId: request.body.workspaceId }, 'API key issue request received.');
+    const result = await this.service.issueApiKey(request.body, request.principal);
+    reply.status(201).send(result);
+  }
+
+  listApiKeys = async (request, reply) => {
+    const keys = await this.service.listApiKeys(request.query);
+    reply.status(200).send({ keys });
+  }
+
+  revokeApiKey = async (request, reply) => {
+    const { keyId } = request.params;
+    request.log.info({ keyId }, 'API key revoke request received.');
+    const result = await this.service.revokeApiKey(keyId);
+    reply.status(200).send(result);
+  }
+}
@@ -0,0 +1,53 @@
+// ===== DEVELOPMENT/DEBUG AUTH REPOSITORY =====
+// This class encapsulates all data access for API keys. Only a hash of each key is
+// stored; the key itself is shown once, when it is issued.
+
+// ===== IMPORTS & DEPENDENCIES =====
+import { ApiError } from '../../core/AppError.js';
+
+// ===== REPOSITORY CLASS =====
+export class AuthRepository {
+  constructor({ db, logger }) {
+    if (!db || !logger) {
+      throw new Error('AuthRepository missing dependencies: db or logger.');
+    }
+    this.db = db;
+    this.keysCollection = this.db.collection('apiKeys');
+    this.logger = logger;
+  }
+
+  async createApiKey(keyData) {
+    const keyDocument = { ...keyData, revokedAt: null, lastUsedAt: null, createdAt: new Date() };
+    try {
+      await this.keysCollection.insertOne(keyDocument);
+      this.logger.info({ keyId: keyData.keyId, workspaceId: keyData.workspaceId }, 'API key created.');
+      return keyDocument;
+    } catch (error) {
+      this.logger.error({ error }, 'Error creating API key in database.');
+      throw new ApiError('Failed to create API key in database', 500, 'DATABASE_ERROR', { originalError: error });
+    }
+  }
+
+  async findApiKey(keyId) {
+    return this.keysCollection.findOne({ keyId });
+  }
+
+  async listApiKeys({ workspaceId } = {}) {
+    const filter = workspaceId ? { workspaceId } : {};
+    const keys = await this.keysCollection.find(filter).sort({ createdAt: -1 }).toArray();
+    // Hashes never leave the repository when keys are listed.
+    return keys.map(({ _id, keyHash, ...key }) => key);
+  }
+
+  async revokeApiKey(keyId) {
+    this.logger.info({ keyId }, 'Revoking API key.');
+    return this.keysCollection.updateOne(
+      { keyId, revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    );
+  }
+
+  async touchApiKey(keyId) {
+    return this.keysCollection.updateOne({ keyId }, { $set: { lastUsedAt: new Date() } });
+  }
+}
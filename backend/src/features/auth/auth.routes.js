@@ -0,0 +1,65 @@
+// ===== DEVELOPMENT/DEBUG AUTH ROUTES =====
+// Access tokens and API key administration. These routes are registered under /api/v1,
+// behind the authentication hook; the admin routes additionally require the admin role.
+
+// ===== IMPORTS & DEPENDENCIES =====
+import { zodToJsonSchema } from 'zod-to-json-schema';
+import { AuthController } from './auth.controller.js';
+import { requireRole } from '../../middleware/authenticate.js';
+import { createApiKeyRequestSchema, listApiKeysRequestSchema, revokeApiKeyRequestSchema } from './auth.schemas.js';
+
+// --- CREATE JSON SCHEMAS ---
+const createApiKeyJsonSchema = {
+  body: zodToJsonSchema(createApiKeyRequestSchema.body, "createApiKeyRequestSchema"),
+};
+const listApiKeysJsonSchema = {
+  querystring: zodToJsonSchema(listApiKeysRequestSchema.querystring, "listApiKeysRequestSchema"),
+};
+const revokeApiKeyJsonSchema = {
+  params: zodToJsonSchema(revokeApiKeyRequestSchema.params, "revokeApiKeyRequestSchema"),
+};
+
+
+/**
+ * @param {import('fastify').FastifyInstance} app
+ * @param {{authService: import('./auth.service.js').AuthService}} options - The service the
+ *   authentication hook uses, shared so both see the same keys.
+ */
+export async function authRoutes(app, { authService }) {
+  const controller = new AuthController(authService);
+  const adminOnly = requireRole('admin');
+
+  // --- ROUTE DEFINITIONS ---
+
+  // Exchanges the API key the request was made with for a short-lived access token.
+  app.post('/auth/token', controller.issueAccessToken);
+
+  app.post(
+    '/admin/api-keys',
+    {
+      preHandler: adminOnly,
+      schema: createApiKeyJsonSchema
+    },
+    controller.issueApiKey
+  );
+
+  app.get(
+    '/admin/api-keys',
+    {
+      preHandler: adminOnly,
+      schema: listApiKeysJsonSchema
+    },
+    controller.listApiKeys
+  );
+
+  app.delete(
+    '/admin/api-keys/:keyId',
+    {
+      preHandler: adminOnly,
+      schema: revokeApiKeyJsonSchema
+    },
+    controller.revokeApiKey
+  );
+
+  app.log.info('Auth routes registered.');
+}
@@ -0,0 +1,32 @@
+// ===== DEVELOPMENT/DEBUG AUTH SCHEMAS =====
+// This file centralizes all Zod schemas for the authentication and API key endpoints.
+
+// ===== IMPORTS & DEPENDENCIES =====
+import { z } from 'zod';
+import { ROLES } from './auth.service.js';
+
+// --- Route-Specific Schemas ---
+
+// POST /api/v1/admin/api-keys
+export const createApiKeyRequestSchema = {
+  body: z.object({
+    ownerId: z.string().min(1, 'ownerId is required.'),
+    workspaceId: z.string().min(1, 'workspaceId is required.'),
+    role: z.enum(ROLES).default('member'),
+    label: z.string().max(200).optional(),
+  }),
+};
+
+// GET /api/v1/admin/api-keys
+export const listApiKeysRequestSchema = {
+  querystring: z.object({
+    workspaceId: z.string().min(1).optional(),
+  }),
+};
+
+// DELETE /api/v1/admin/api-keys/:keyId
+export const revokeApiKeyRequestSchema = {
+  params: z.object({
+    keyId: z.string().min(1, 'keyId is required.'),
+  }),
+};
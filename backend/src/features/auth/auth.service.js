@@ -0,0 +1,217 @@
+// ===== DEVELOPMENT/DEBUG AUTH SERVICE =====
+// This service turns the credentials on a request into a principal: who is calling, for
+// which workspace, and with which role. Two credentials are accepted: API keys, which are
+// long-lived and stored hashed, and short-lived signed tokens that clients get in exchange
+// for a key. Tokens are what browsers should use where a header cannot be set (event streams).
+
+// ===== IMPORTS & DEPENDENCIES =====
+import { createHash, randomBytes, timingSafeEqual } from 'node:crypto';
+import { signToken, verifyToken } from '../../core/signedToken.js';
+import { ForbiddenError, NotFoundError, UnauthorizedError } from '../../core/AppError.js';
+
+// ===== CONFIGURATION & CONSTANTS =====
+// Keys look like "pst_<keyId>_<secret>"; the key ID is what we look the key up by.
+const API_KEY_PREFIX = 'pst';
+const API_KEY_PATTERN = /^pst_([0-9a-f]{16})_[A-Za-z0-9_-]{43}$/;
+export const ROLES = ['admin', 'member'];
+// The principal the bootstrap key from the environment authenticates as.
+const BOOTSTRAP_KEY_ID = 'bootstrap';
+const BOOTSTRAP_WORKSPACE = 'admin';
+
+// ===== TYPES & INTERFACES (JSDoc) =====
+
+/**
+ * Who a request is made by.
+ * @typedef {object} Principal
+ * @property {string} keyId - The API key the credential was issued from.
+ * @property {string} ownerId - The user or service the key belongs to.
+ * @property {string} workspaceId - The team whose jobs the principal may access.
+ * @property {'admin'|'member'} role - Admins may access every workspace and manage keys.
+ * @property {'api_key'|'token'|'disabled'} credential - How the request authenticated.
+ */
+
+// ===== PRIVATE HELPER FUNCTIONS =====
+
+/**
+ * @private
+ * @param {string} value
+ * @returns {Buffer}
+ */
+function _hash(value) {
+  return createHash('sha256').update(value).digest();
+}
+
+/**
+ * Compares two secrets in constant time.
+ * @private
+ * @param {string} candidate
+ * @param {string} expected
+ * @returns {boolean}
+ */
+function _secretsMatch(candidate, expected) {
+  return timingSafeEqual(_hash(candidate), _hash(expected));
+}
+
+/**
+ * @private
+ * @param {object} keyDocument
+ * @param {Principal['credential']} credential
+ * @returns {Principal}
+ */
+function _toPrincipal({ keyId, ownerId, workspaceId, role }, credential) {
+  return { keyId, ownerId, workspaceId, role, credential };
+}
+
+// ===== SERVICE CLASS =====
+export class AuthService {
+  /**
+   * @param {object} deps
+   * @param {import('./auth.repository.js').AuthRepository} deps.repository
+   * @param {{tokenSecret: string, tokenTtlSeconds: number, bootstrapApiKey?: string}} deps.settings
+   * @param {import('pino').Logger} deps.logger
+   */
+  constructor({ repository, settings, logger }) {
+    this.repository = repository;
+    this.settings = settings;
+    this.logger = logger;
+  }
+
+  /**
+   * Looks up the stored key behind a key ID, if it is still active.
+   * The bootstrap key has no stored document and is always active.
+   * @private
+   * @param {string} keyId
+   * @returns {Promise<object|null>}
+   */
+  async _findActiveKey(keyId) {
+    if (keyId === BOOTSTRAP_KEY_ID) {
+      return this.settings.bootstrapApiKey
+        ? { keyId, ownerId: BOOTSTRAP_KEY_ID, workspaceId: BOOTSTRAP_WORKSPACE, role: 'admin' }
+        : null;
+    }
+    const key = await this.repository.findApiKey(keyId);
+    return key && !key.revokedAt ? key : null;
+  }
+
+  /**
+   * Authenticates an API key.
+   * @param {string} apiKey
+   * @returns {Promise<Principal>}
+   * @throws {UnauthorizedError} If the key is unknown, malformed or revoked.
+   */
+  async authenticateApiKey(apiKey) {
+    if (this.settings.bootstrapApiKey && _secretsMatch(apiKey, this.settings.bootstrapApiKey)) {
+      return _toPrincipal(await this._findActiveKey(BOOTSTRAP_KEY_ID), 'api_key');
+    }
+    const [, keyId] = API_KEY_PATTERN.exec(apiKey) || [];
+    const key = keyId && await this._findActiveKey(keyId);
+    if (!key || !timingSafeEqual(_hash(apiKey), Buffer.from(key.keyHash, 'hex'))) {
+      throw new UnauthorizedError('Invalid or revoked API key.');
+    }
+    // Usage tracking is informational and must never fail a request.
+    this.repository.touchApiKey(keyId).catch(error => this.logger.warn({ keyId, err: error }, 'Could not record API key use.'));
+    return _toPrincipal(key, 'api_key');
+  }
+
+  /**
+   * Authenticates a signed access token. The key it was issued from must still be active,
+   * so revoking a key also ends the tokens issued from it.
+   * @param {string} token
+   * @returns {Promise<Principal>}
+   * @throws {UnauthorizedError} If the token is invalid, expired, or its key was revoked.
+   */
+  async authenticateToken(token) {
+    const result = verifyToken(token, this.settings.tokenSecret);
+    if (!result.valid) {
+      throw new UnauthorizedError(result.reason);
+    }
+    const key = await this._findActiveKey(result.payload.kid);
+    if (!key) {
+      throw new UnauthorizedError('The API key this token was issued from has been revoked.');
+    }
+    return _toPrincipal(key, 'token');
+  }
+
+  /**
+   * Issues a short-lived access token for a principal that authenticated with an API key.
+   * @param {Principal} principal
+   * @returns {{accessToken: string, tokenType: 'Bearer', expiresIn: number}}
+   * @throws {ForbiddenError} If the principal authenticated with a token; tokens cannot be renewed with themselves.
+   */
+  issueAccessToken(principal) {
+    if (principal.credential !== 'api_key') {
+      throw new ForbiddenError('Access tokens can only be issued in exchange for an API key.');
+    }
+    const { keyId, ownerId, workspaceId, role } = principal;
+    const accessToken = signToken({ sub: ownerId, ws: workspaceId, role, kid: keyId }, this.settings.tokenSecret, {
+      expiresInSeconds: this.settings.tokenTtlSeconds,
+    });
+    return { accessToken, tokenType: 'Bearer', expiresIn: this.settings.tokenTtlSeconds };
+  }
+
+  /**
+   * Creates an API key. The key is returned only here; afterwards only its hash exists.
+   * @param {{ownerId: string, workspaceId: string, role: 'admin'|'member', label?: string}} keyData
+   * @param {Principal} issuedBy
+   * @returns {Promise<object>} The key's details, with the key itself as `apiKey`.
+   */
+  async issueApiKey({ ownerId, workspaceId, role, label }, issuedBy) {
+    const keyId = randomBytes(8).toString('hex');
+    const apiKey = `${API_KEY_PREFIX}_${keyId}_${randomBytes(32).toString('base64url')}`;
+    const { keyHash, ...stored } = await this.repository.createApiKey({
+      keyId,
+      keyHash: _hash(apiKey).toString('hex'),
+      ownerId,
+      workspaceId,
+      role,
+      label: label ?? null,
+      issuedBy: issuedBy.ownerId,
+    });
+    this.logger.info({ keyId, ownerId, workspaceId, role, issuedBy: issuedBy.ownerId }, 'API key issued.');
+    return { ...stored, apiKey };
+  }
+
+  /**
+   * @param {{workspaceId?: string}} [filter={}]
+   * @returns {Promise<object[]>} Key details, without their hashes.
+   */
+  async listApiKeys(filter = {}) {
+    return this.repository.listApiKeys(filter);
+  }
+
+  /**
+   * Revokes an API key and, with it, every token issued from it. Revoking twice is harmless.
+   * @param {string} keyId
+   * @returns {Promise<{keyId: string, revokedAt: Date}>}
+   * @throws {NotFoundError} If no such key exists.
+   */
+  async revokeApiKey(keyId) {
+    const key = await this.repository.findApiKey(keyId);
+    if (!key) {
+      throw new NotFoundError(`API key ${keyId} not found.`);
+    }
+    if (!key.revokedAt) {
+      await this.repository.revokeApiKey(keyId);
+    }
+    const { revokedAt } = await this.repository.findApiKey(keyId);
+    this.logger.info({ keyId }, 'API key revoked.');
+    return { keyId, revokedAt };
+  }
+}
+
+// ===== PUBLIC API FUNCTIONS =====
+
+/**
+ * Checks whether a principal may read or change a job: admins may access any job,
+ * everyone else only the jobs of their own workspace. Jobs created before jobs had
+ * owners carry no workspace and are therefore admin-only.
+ * @param {Principal} principal
+ * @param {{workspaceId?: string}} job
+ * @throws {ForbiddenError}
+ */
+export function assertJobAccess(principal, job) {
+  if (principal.role === 'admin' || (job.workspaceId && job.workspaceId === principal.workspaceId)) {
+    return;
+  }
+  throw new ForbiddenError('You do not have access to this job.');
+}
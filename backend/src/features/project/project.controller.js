@@ -0,0 +1,58 @@
+// ===== DEVELOPMENT/DEBUG PROJECT CONTROLLER =====
+// This file contains the lean handler functions for projects and their master blueprints.
+// The caller is always `request.principal`, set by the authentication hook.
+
+// ===== CONTROLLER CLASS =====
+export class ProjectController {
+  /**
+   * @param {import('./project.service.js').ProjectService} projectService
+   */
+  constructor(projectService) {
+    this.service = projectService;
+  }
+
+  createProject = async (request, reply) => {
+    request.log.info({ name: request.body.name }, 'Project create request received.');
+    const result = await this.service.createProject(request.body, request.principal);
+    reply.status(201).send(result);
+  }
+
+  listProjects = async (request, reply) => {
+    const projects = await this.service.listProjects(request.principal);
+    reply.status(200).send({ projects });
+  }
+
+  getProject = async (request, reply) => {
+    const { projectId } = request.params;
+    const result = await this.service.getProject(projectId, request.principal);
+    reply.status(200).send(result);
+  }
+
+  updateProject = async (request, reply) => {
+    const { projectId } = request.params;
+    request.log.info({ projectId, fields: Object.keys(request.body) }, 'Project update request received.');
+    const result = await this.service.updateProject(projectId, request.body, request.principal);
+    reply.status(200).send(result);
+  }
+
+  addMasterEntry = async (request, reply) => {
+    const { projectId, section } = request.params;
+    request.log.info({ projectId, section }, 'Master blueprint entry add request received.');
+    const result = await this.service.changeMasterEntry(projectId, { action: 'add', section, entry: request.body }, request.principal);
+    reply.status(201).send(result);
+  }
+
+  updateMasterEntry = async (request, reply) => {
+    const { projectId, section, key } = request.params;
+    request.log.info({ projectId, section, key }, 'Master blueprint entry update request received.');
+    const result = await this.service.changeMasterEntry(projectId, { action: 'update', section, key, entry: request.body }, request.principal);
+    reply.status(200).send(result);
+  }
+
+  removeMasterEntry = async (request, reply) => {
+    const { projectId, section, key } = request.params;
+    request.log.info({ projectId, section, key }, 'Master blueprint entry remove request received.');
+    const result = await this.service.changeMasterEntry(projectId, { action: 'remove', section, key }, request.principal);
+    reply.status(200).send(result);
+  }
+}
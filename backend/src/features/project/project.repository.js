@@ -0,0 +1,105 @@
+// ===== DEVELOPMENT/DEBUG PROJECT REPOSITORY =====
+// This class encapsulates all data access for projects: the series or seasons that group
+// translation jobs and hold the master blueprint their episodes share. The revisions of a
+// master blueprint live in their own collection, so a long-running series cannot outgrow
+// the document size limit.
+
+// ===== IMPORTS & DEPENDENCIES =====
+import { ObjectId } from 'mongodb';
+import { ApiError, BadRequestError, ConflictError } from '../../core/AppError.js';
+
+// ===== PRIVATE HELPER FUNCTIONS =====
+
+/**
+ * Converts a project ID string into a Mongo ObjectId, rejecting malformed IDs with a 400.
+ * @private
+ * @param {string} projectId
+ * @returns {ObjectId}
+ * @throws {BadRequestError}
+ */
+function _toObjectId(projectId) {
+  if (!ObjectId.isValid(projectId)) {
+    throw new BadRequestError(`Invalid project ID: ${projectId}`);
+  }
+  return new ObjectId(projectId);
+}
+
+// ===== REPOSITORY CLASS =====
+export class ProjectRepository {
+  constructor({ db, logger }) {
+    if (!db || !logger) {
+      throw new Error('ProjectRepository missing dependencies: db or logger.');
+    }
+    this.db = db;
+    this.projectsCollection = this.db.collection('projects');
+    this.revisionsCollection = this.db.collection('projectRevisions');
+    this.logger = logger;
+  }
+
+  async createProject(projectData, revision) {
+    const projectDocument = {
+      ...projectData,
+      masterVersion: 1,
+      jobIds: [],
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    };
+    try {
+      const result = await this.projectsCollection.insertOne(projectDocument);
+      await this.revisionsCollection.insertOne({ projectId: result.insertedId.toString(), ...revision });
+      this.logger.info({ projectId: result.insertedId, workspaceId: projectData.workspaceId }, 'Project created.');
+      return { _id: result.insertedId, ...projectDocument };
+    } catch (error) {
+      this.logger.error({ error }, 'Error creating project in database.');
+      throw new ApiError('Failed to create project in database', 500, 'DATABASE_ERROR', { originalError: error });
+    }
+  }
+
+  async getProjectById(projectId) {
+    return this.projectsCollection.findOne({ _id: _toObjectId(projectId) });
+  }
+
+  async listProjects({ workspaceId } = {}) {
+    const filter = workspaceId ? { workspaceId } : {};
+    return this.projectsCollection.find(filter).sort({ createdAt: -1 }).toArray();
+  }
+
+  async updateProject(projectId, fields) {
+    this.logger.info({ projectId, fields: Object.keys(fields) }, 'Updating project details.');
+    return this.projectsCollection.updateOne(
+      { _id: _toObjectId(projectId) },
+      { $set: { ...fields, updatedAt: new Date() } }
+    );
+  }
+
+  async saveMasterBlueprint(projectId, { masterBlueprint, revision, expectedVersion }) {
+    this.logger.info({ projectId, expectedVersion, source: revision.source }, 'Saving project master blueprint.');
+    const result = await this.projectsCollection.updateOne(
+      // Optimistic concurrency: the write only lands if nobody changed the master in between.
+      { _id: _toObjectId(projectId), masterVersion: expectedVersion },
+      {
+        $set: { masterBlueprint, updatedAt: new Date() },
+        $inc: { masterVersion: 1 },
+      }
+    );
+    if (result.matchedCount === 0) {
+      throw new ConflictError(`The master blueprint of project ${projectId} was changed by someone else. Reload it and try again.`);
+    }
+    // Only the writer that won the version check gets here, so revision numbers stay unique.
+    await this.revisionsCollection.insertOne({ projectId, ...revision });
+    return result;
+  }
+
+  async listRevisions(projectId) {
+    const revisions = await this.revisionsCollection.find({ projectId }).sort({ version: 1 }).toArray();
+    return revisions.map(({ _id, projectId: _projectId, ...revision }) => revision);
+  }
+
+  async addJob(projectId, jobId) {
+    this.logger.info({ projectId, jobId }, 'Adding job to project.');
+    return this.projectsCollection.updateOne(
+      { _id: _toObjectId(projectId) },
+      { $push: { jobIds: jobId }, $set: { updatedAt: new Date() } }
+    );
+  }
+}
@@ -0,0 +1,96 @@
+// ===== DEVELOPMENT/DEBUG PROJECT ROUTES =====
+// Projects group the jobs of a series and hold the master blueprint they share. These routes
+// are registered under /api/v1, behind the authentication hook.
+
+// ===== IMPORTS & DEPENDENCIES =====
+import { zodToJsonSchema } from 'zod-to-json-schema';
+import { ProjectController } from './project.controller.js';
+import {
+  createProjectRequestSchema,
+  masterEntryRequestSchema,
+  projectRequestSchema,
+  updateProjectRequestSchema,
+} from './project.schemas.js';
+
+// --- CREATE JSON SCHEMAS ---
+const createProjectJsonSchema = {
+  body: zodToJsonSchema(createProjectRequestSchema.body, "createProjectRequestSchema"),
+};
+const projectJsonSchema = {
+  params: zodToJsonSchema(projectRequestSchema.params, "projectRequestSchema"),
+};
+const updateProjectJsonSchema = {
+  params: zodToJsonSchema(updateProjectRequestSchema.params, "updateProjectParamsSchema"),
+  body: zodToJsonSchema(updateProjectRequestSchema.body, "updateProjectRequestSchema"),
+};
+const masterEntryJsonSchema = {
+  params: zodToJsonSchema(masterEntryRequestSchema.params, "masterEntryParamsSchema"),
+  body: zodToJsonSchema(masterEntryRequestSchema.body, "masterEntryRequestSchema"),
+};
+const masterEntryRemoveJsonSchema = {
+  params: masterEntryJsonSchema.params,
+};
+
+
+/**
+ * @param {import('fastify').FastifyInstance} app
+ * @param {{projectService: import('./project.service.js').ProjectService}} options - The service the
+ *   translation routes also use, shared so both see the same projects.
+ */
+export async function projectRoutes(app, { projectService }) {
+  const controller = new ProjectController(projectService);
+
+  // --- ROUTE DEFINITIONS ---
+
+  app.post(
+    '/projects',
+    {
+      schema: createProjectJsonSchema
+    },
+    controller.createProject
+  );
+
+  app.get('/projects', controller.listProjects);
+
+  app.get(
+    '/projects/:projectId',
+    {
+      schema: projectJsonSchema
+    },
+    controller.getProject
+  );
+
+  app.patch(
+    '/projects/:projectId',
+    {
+      schema: updateProjectJsonSchema
+    },
+    controller.updateProject
+  );
+
+  app.post(
+    '/projects/:projectId/blueprint/:section',
+    {
+      schema: masterEntryJsonSchema
+    },
+    controller.addMasterEntry
+  );
+
+  app.patch(
+    '/projects/:projectId/blueprint/:section/:key',
+    {
+      schema: masterEntryJsonSchema
+    },
+    controller.updateMasterEntry
+  );
+
+  app.delete(
+    '/projects/:projectId/blueprint/:section/:key',
+    {
+      schema: masterEntryRemoveJsonSchema
+    },
+    controller.removeMasterEntry
+  );
+
+  app.log.info('Project routes registered.');
+}
@@ -0,0 +1,65 @@
+// ===== DEVELOPMENT/DEBUG PROJECT SCHEMAS =====
+// This file centralizes all Zod schemas for the project endpoints.
+
+// ===== IMPORTS & DEPENDENCIES =====
+import { z } from 'zod';
+import { DEFAULT_SOURCE_LANGUAGE, DEFAULT_TARGET_LANGUAGE } from '../../core/languages.js';
+import { characterProfileSchema, culturalAdaptationSchema, glossaryItemSchema } from '../../core/agentSchemas.js';
+import { BLUEPRINT_SECTIONS, blueprintEntryFieldsSchema } from '../../core/blueprintVersions.js';
+
+// --- Reusable Core Domain Schemas ---
+
+const styleRulesSchema = z.array(z.string().min(1, 'A style rule cannot be empty.'));
+
+// The part of a blueprint a project shares between its episodes.
+const masterBlueprintSchema = z.object({
+  characterProfiles: z.array(characterProfileSchema).default([]),
+  glossary: z.array(glossaryItemSchema).default([]),
+  culturalAdaptations: z.array(culturalAdaptationSchema).default([]),
+  styleRules: styleRulesSchema.default([]),
+});
+
+const projectParamsSchema = z.object({
+  projectId: z.string().min(1, 'projectId is required.'),
+});
+
+// --- Route-Specific Schemas ---
+
+// POST /api/v1/projects
+export const createProjectRequestSchema = {
+  body: z.object({
+    name: z.string().min(1, 'name is required.').max(200),
+    description: z.string().max(2000).optional(),
+    sourceLanguage: z.string().min(2).default(DEFAULT_SOURCE_LANGUAGE),
+    targetLanguage: z.string().min(2).default(DEFAULT_TARGET_LANGUAGE),
+    masterBlueprint: masterBlueprintSchema.optional(),
+  }),
+};
+
+// GET /api/v1/projects/:projectId
+export const projectRequestSchema = {
+  params: projectParamsSchema,
+};
+
+// PATCH /api/v1/projects/:projectId
+// Every field is optional, but the service rejects a change that sets none of them.
+export const updateProjectRequestSchema = {
+  params: projectParamsSchema,
+  body: z.object({
+    name: z.string().min(1, 'name cannot be empty.').max(200).optional(),
+    description: z.string().max(2000).optional(),
+    // Replaces the project's style rules as a whole.
+    styleRules: styleRulesSchema.optional(),
+  }),
+};
+
+// POST /api/v1/projects/:projectId/blueprint/:section
+// PATCH /api/v1/projects/:projectId/blueprint/:section/:key
+// DELETE /api/v1/projects/:projectId/blueprint/:section/:key
+export const masterEntryRequestSchema = {
+  params: projectParamsSchema.extend({
+    section: z.enum(Object.keys(BLUEPRINT_SECTIONS)),
+    key: z.string().min(1, 'key is required.').optional(),
+  }),
+  body: blueprintEntryFieldsSchema,
+};
@@ -0,0 +1,287 @@
+// ===== DEVELOPMENT/DEBUG PROJECT SERVICE =====
+// This service manages projects: a series or season whose episodes are translated as separate
+// jobs. A project holds a master blueprint (character profiles, glossary, cultural adaptations
+// and style rules) that every new job in it inherits, so decisions do not drift between episodes.
+// Every change to the master is recorded as a revision, stored apart from the project.
+
+// ===== IMPORTS & DEPENDENCIES =====
+import { resolveLanguagePair } from '../../core/languages.js';
+import { applyBlueprintChange, BLUEPRINT_SECTIONS, promoteToMaster } from '../../core/blueprintVersions.js';
+import { BadRequestError, ConflictError, ForbiddenError, NotFoundError } from '../../core/AppError.js';
+
+// ===== TYPES & INTERFACES (JSDoc) =====
+
+/**
+ * One change to a project's master blueprint.
+ * @typedef {object} MasterRevision
+ * @property {number} version - The master version the change produced.
+ * @property {'created'|'edit'|'promotion'} source - How the master was changed: when the project
+ *   was created, by an edit to the master, or by promoting entries from an episode.
+ * @property {import('../../core/blueprintVersions.js').BlueprintChange[]} changes
+ * @property {string} [jobId] - For promotions, the job the entries came from.
+ * @property {number} [blueprintVersion] - For promotions, the job's blueprint version they came from.
+ * @property {string} createdBy - The owner ID of whoever made the change.
+ * @property {Date} createdAt
+ */
+
+// ===== PRIVATE HELPER FUNCTIONS =====
+
+/**
+ * Shapes a stored project for API responses. Projects created before revisions were stored
+ * apart still carry their early revisions on the document; those are never shown on their own.
+ * @private
+ * @param {object} project
+ * @param {MasterRevision[]} [revisions] - Included in the view when given.
+ * @returns {object}
+ */
+function _toProjectView({ _id, revisions: legacyRevisions, ...project }, revisions) {
+  return { projectId: _id.toString(), ...project, ...(revisions && { revisions: [...(legacyRevisions || []), ...revisions] }) };
+}
+
+/**
+ * Builds a master blueprint entry by entry, so entries are validated and duplicate keys are
+ * rejected exactly as they are when the master is edited later.
+ * @private
+ * @param {Partial<import('../../core/blueprintVersions.js').MasterBlueprint>} [initial={}]
+ * @returns {{masterBlueprint: import('../../core/blueprintVersions.js').MasterBlueprint, changes: import('../../core/blueprintVersions.js').BlueprintChange[]}}
+ * @throws {BadRequestError} If an entry is invalid or appears twice.
+ */
+function _buildMasterBlueprint(initial = {}) {
+  let masterBlueprint = {
+    ...Object.fromEntries(Object.keys(BLUEPRINT_SECTIONS).map(section => [section, []])),
+    styleRules: initial.styleRules || [],
+  };
+  const changes = [];
+  Object.keys(BLUEPRINT_SECTIONS).forEach((section) => {
+    (initial[section] || []).forEach((entry) => {
+      try {
+        const result = applyBlueprintChange(masterBlueprint, { action: 'add', section, entry });
+        masterBlueprint = result.blueprint;
+        changes.push(result.change);
+      } catch (error) {
+        // A duplicate is a mistake in the request, not a clash with stored data.
+        throw error instanceof ConflictError ? new BadRequestError(error.message) : error;
+      }
+    });
+  });
+  if (masterBlueprint.styleRules.length > 0) {
+    changes.push({ action: 'update', section: 'styleRules' });
+  }
+  return { masterBlueprint, changes };
+}
+
+// ===== SERVICE CLASS =====
+export class ProjectService {
+  /**
+   * @param {object} deps
+   * @param {import('./project.repository.js').ProjectRepository} deps.repository
+   * @param {import('pino').Logger} deps.logger
+   */
+  constructor({ repository, logger }) {
+    this.repository = repository;
+    this.logger = logger;
+  }
+
+  /**
+   * Loads a project the caller is allowed to access.
+   * @private
+   * @param {string} projectId
+   * @param {import('../auth/auth.service.js').Principal} principal
+   * @returns {Promise<object>}
+   * @throws {NotFoundError} If the project does not exist.
+   * @throws {ForbiddenError} If the project belongs to another workspace.
+   */
+  async _getAccessibleProject(projectId, principal) {
+    const project = await this.repository.getProjectById(projectId);
+    if (!project) {
+      throw new NotFoundError(`Project with ID ${projectId} not found.`);
+    }
+    assertProjectAccess(principal, project);
+    return project;
+  }
+
+  /**
+   * Saves a new state of a project's master blueprint, recording the change as a revision.
+   * @private
+   * @param {object} project
+   * @param {import('../../core/blueprintVersions.js').MasterBlueprint} masterBlueprint
+   * @param {Omit<MasterRevision, 'version'|'createdBy'|'createdAt'>} revision
+   * @param {import('../auth/auth.service.js').Principal} principal
+   * @returns {Promise<object>} The updated project.
+   * @throws {ConflictError} If the master was changed since the project was loaded.
+   */
+  async _saveMasterBlueprint(project, masterBlueprint, revision, principal) {
+    const projectId = project._id.toString();
+    const version = project.masterVersion + 1;
+    await this.repository.saveMasterBlueprint(projectId, {
+      masterBlueprint,
+      revision: { version, ...revision, createdBy: principal.ownerId, createdAt: new Date() },
+      expectedVersion: project.masterVersion,
+    });
+    this.logger.info({ projectId, version, source: revision.source, changeCount: revision.changes.length }, 'Project master blueprint updated.');
+    return _toProjectView(await this.repository.getProjectById(projectId));
+  }
+
+  /**
+   * Creates a project in the caller's workspace. Its languages are fixed, since glossary
+   * translations only make sense for one target language.
+   * @param {{name: string, description?: string, sourceLanguage: string, targetLanguage: string, masterBlueprint?: object}} projectData
+   * @param {import('../auth/auth.service.js').Principal} principal
+   * @returns {Promise<object>}
+   * @throws {BadRequestError} If a language is unsupported or the master blueprint is invalid.
+   */
+  async createProject({ name, description, sourceLanguage, targetLanguage, masterBlueprint: initial }, principal) {
+    const languages = resolveLanguagePair({ sourceLanguage, targetLanguage });
+    const { masterBlueprint, changes } = _buildMasterBlueprint(initial);
+    const project = await this.repository.createProject({
+      name,
+      description: description ?? null,
+      ownerId: principal.ownerId,
+      workspaceId: principal.workspaceId,
+      sourceLanguage: languages.source.code,
+      targetLanguage: languages.target.code,
+      masterBlueprint,
+    }, { version: 1, source: 'created', changes, createdBy: principal.ownerId, createdAt: new Date() });
+    return _toProjectView(project);
+  }
+
+  /**
+   * Lists the projects of the caller's workspace; admins see every project.
+   * @param {import('../auth/auth.service.js').Principal} principal
+   * @returns {Promise<object[]>}
+   */
+  async listProjects(principal) {
+    const projects = await this.repository.listProjects(principal.role === 'admin' ? {} : { workspaceId: principal.workspaceId });
+    return projects.map(project => _toProjectView(project));
+  }
+
+  /**
+   * @param {string} projectId
+   * @param {import('../auth/auth.service.js').Principal} principal
+   * @returns {Promise<object>} The project, with the revisions of its master blueprint.
+   * @throws {NotFoundError} If the project does not exist.
+   * @throws {ForbiddenError} If the project belongs to another workspace.
+   */
+  async getProject(projectId, principal) {
+    const project = await this._getAccessibleProject(projectId, principal);
+    return _toProjectView(project, await this.repository.listRevisions(projectId));
+  }
+
+  /**
+   * Renames a project, changes its description, or replaces its style rules.
+   * @param {string} projectId
+   * @param {{name?: string, description?: string, styleRules?: string[]}} changes
+   * @param {import('../auth/auth.service.js').Principal} principal
+   * @returns {Promise<object>}
+   * @throws {BadRequestError} If nothing would change.
+   * @throws {NotFoundError} If the project does not exist.
+   * @throws {ForbiddenError} If the project belongs to another workspace.
+   * @throws {ConflictError} If the master blueprint changed meanwhile.
+   */
+  async updateProject(projectId, { name, description, styleRules }, principal) {
+    if (name === undefined && description === undefined && styleRules === undefined) {
+      throw new BadRequestError('Send a name, description or styleRules to change.');
+    }
+    const project = await this._getAccessibleProject(projectId, principal);
+    if (name !== undefined || description !== undefined) {
+      await this.repository.updateProject(projectId, {
+        ...(name !== undefined && { name }),
+        ...(description !== undefined && { description }),
+      });
+    }
+    const { styleRules: currentRules } = project.masterBlueprint;
+    if (styleRules !== undefined && JSON.stringify(styleRules) !== JSON.stringify(currentRules)) {
+      return this._saveMasterBlueprint(project, { ...project.masterBlueprint, styleRules }, {
+        source: 'edit',
+        changes: [{ action: 'update', section: 'styleRules' }],
+      }, principal);
+    }
+    return _toProjectView(await this.repository.getProjectById(projectId));
+  }
+
+  /**
+   * Adds, changes or removes one entry of a project's master blueprint. Jobs already in the
+   * project keep the blueprint they were created with; only new jobs see the change.
+   * @param {string} projectId
+   * @param {{action: 'add'|'update'|'remove', section: string, key?: string, entry?: object}} change
+   * @param {import('../auth/auth.service.js').Principal} principal
+   * @returns {Promise<object>} The updated project.
+   * @throws {BadRequestError} If the entry is invalid.
+   * @throws {NotFoundError} If the project or the entry to change does not exist.
+   * @throws {ForbiddenError} If the project belongs to another workspace.
+   * @throws {ConflictError} If the entry already exists, or the master changed meanwhile.
+   */
+  async changeMasterEntry(projectId, change, principal) {
+    const project = await this._getAccessibleProject(projectId, principal);
+    const result = applyBlueprintChange(project.masterBlueprint, change);
+    return this._saveMasterBlueprint(project, result.blueprint, { source: 'edit', changes: [result.change] }, principal);
+  }
+
+  /**
+   * Loads the project a new job is created in, checking that the job's languages match it.
+   * @param {string} projectId
+   * @param {import('../../core/languages.js').LanguagePair} languages - The job's languages.
+   * @param {import('../auth/auth.service.js').Principal} principal
+   * @returns {Promise<object>}
+   * @throws {BadRequestError} If the job's languages differ from the project's.
+   * @throws {NotFoundError} If the project does not exist.
+   * @throws {ForbiddenError} If the project belongs to another workspace.
+   */
+  async getProjectForJob(projectId, languages, principal) {
+    const project = await this._getAccessibleProject(projectId, principal);
+    if (project.sourceLanguage !== languages.source.code || project.targetLanguage !== languages.target.code) {
+      throw new BadRequestError(
+        `Project ${projectId} translates ${project.sourceLanguage} to ${project.targetLanguage}; the job's settings must use the same languages.`
+      );
+    }
+    return _toProjectView(project);
+  }
+
+  /**
+   * Records that a job belongs to a project.
+   * @param {string} projectId
+   * @param {string} jobId
+   * @returns {Promise<void>}
+   */
+  async addJob(projectId, jobId) {
+    await this.repository.addJob(projectId, jobId);
+  }
+
+  /**
+   * Copies entries an episode added or changed into the project's master blueprint.
+   * @param {string} projectId
+   * @param {object} blueprint - The episode's blueprint.
+   * @param {{jobId: string, blueprintVersion: number, selection?: Array<{section: string, key: string}>}} origin -
+   *   Where the blueprint came from, and the entries to promote; by default, every added or changed one.
+   * @param {import('../auth/auth.service.js').Principal} principal
+   * @returns {Promise<{project: object, changes: import('../../core/blueprintVersions.js').BlueprintChange[]}>}
+   * @throws {NotFoundError} If the project does not exist, or a selected entry was not added or changed.
+   * @throws {ForbiddenError} If the project belongs to another workspace.
+   * @throws {ConflictError} If there is nothing to promote, or the master changed meanwhile.
+   */
+  async promoteBlueprint(projectId, blueprint, { jobId, blueprintVersion, selection }, principal) {
+    const project = await this._getAccessibleProject(projectId, principal);
+    const { master, changes } = promoteToMaster(project.masterBlueprint, blueprint, selection);
+    if (changes.length === 0) {
+      throw new ConflictError(`Blueprint version ${blueprintVersion} of job ${jobId} adds or changes nothing in the project's master blueprint.`);
+    }
+    const updated = await this._saveMasterBlueprint(project, master, { source: 'promotion', changes, jobId, blueprintVersion }, principal);
+    return { project: updated, changes };
+  }
+}
+
+// ===== PUBLIC API FUNCTIONS =====
+
+/**
+ * Checks whether a principal may read or change a project: admins may access any project,
+ * everyone else only the projects of their own workspace.
+ * @param {import('../auth/auth.service.js').Principal} principal
+ * @param {{workspaceId: string}} project
+ * @throws {ForbiddenError}
+ */
+export function assertProjectAccess(principal, project) {
+  if (principal.role === 'admin' || project.workspaceId === principal.workspaceId) {
+    return;
+  }
+  throw new ForbiddenError('You do not have access to this project.');
+}
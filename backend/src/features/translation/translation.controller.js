@@ -3,6 +3,25 @@
 // the HTTP request/response cycle to the service layer. It does not contain
 // any business logic or dependency instantiation.
 
+// ===== CONFIGURATION & CONSTANTS =====
+// Comment frames keep idle proxies from closing the event stream.
+const SSE_HEARTBEAT_MS = 15000;
+// Events after which nothing more is published until the client asks for more work.
+const SSE_CLOSING_EVENTS = ['job_complete', 'job_failed', 'retranslation_complete', 'retranslation_failed'];
+
+// ===== PRIVATE HELPER FUNCTIONS =====
+
+/**
+ * Serializes an event into a Server-Sent Events frame.
+ * @private
+ * @param {{id?: number, type: string, data: object}} event
+ * @returns {string}
+ */
+function _toSseFrame({ id, type, data }) {
+  const idLine = id ? `id: ${id}\n` : '';
+  return `${idLine}event: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
 // ===== CONTROLLER CLASS =====
 export class TranslationController {
   /**
@@ -16,22 +35,191 @@ export class TranslationController {
   // This is a standard pattern to avoid .bind(this) in the routes file.
   generateBlueprint = async (request, reply) => {
     // The request body is already validated by the Zod schema in the route definition.
-    const { subtitleContent, settings } = request.body;
-    request.log.info('Blueprint generation request received.');
+    const { subtitleContent, settings, projectId } = request.body;
+    request.log.info({ projectId }, 'Blueprint generation request received.');
   
     // Delegate all business logic to the service layer.
-    const result = await this.service.generateTranslationBlueprint(subtitleContent, settings);
+    const result = await this.service.generateTranslationBlueprint(subtitleContent, settings, projectId, request.principal);
   
     // Fastify handles JSON serialization automatically.
     reply.status(200).send(result);
   }
 
   executeTranslation = async (request, reply) => {
-    const { jobId, settings, confirmedBlueprint } = request.body;
-    request.log.info({ jobId }, 'Translation execution request received.');
+    const { jobId, settings, confirmedBlueprint, blueprintVersion } = request.body;
+    request.log.info({ jobId, blueprintVersion }, 'Translation execution request received.');
   
-    const result = await this.service.executeTranslationChain(jobId, confirmedBlueprint, settings);
+    // The chain runs in the background; clients poll the job status endpoint for the result.
+    const result = await this.service.startTranslationChain(jobId, { confirmedBlueprint, blueprintVersion }, settings, request.principal);
   
+    reply.status(202).send(result);
+  }
+
+  resumeTranslation = async (request, reply) => {
+    const { jobId } = request.params;
+    request.log.info({ jobId }, 'Translation resume request received.');
+
+    const result = await this.service.resumeTranslationChain(jobId, request.principal);
+
+    reply.status(202).send(result);
+  }
+
+  getJobStatus = async (request, reply) => {
+    const { jobId } = request.params;
+    const result = await this.service.getJobStatus(jobId, request.principal);
+    reply.status(200).send(result);
+  }
+
+  getJobProvenance = async (request, reply) => {
+    const { jobId } = request.params;
+    const result = await this.service.getJobProvenance(jobId, request.principal);
+    reply.status(200).send(result);
+  }
+
+  getJobCues = async (request, reply) => {
+    const { jobId } = request.params;
+    const result = await this.service.getJobCues(jobId, request.principal);
+    reply.status(200).send(result);
+  }
+
+  updateJobCue = async (request, reply) => {
+    const { jobId, sequence } = request.params;
+    request.log.info({ jobId, sequence }, 'Cue review request received.');
+
+    const result = await this.service.updateJobCue(jobId, sequence, request.body, request.principal);
+
+    reply.status(200).send(result);
+  }
+
+  retranslateCues = async (request, reply) => {
+    const { jobId } = request.params;
+    request.log.info({ jobId, selection: request.body.cues }, 'Cue re-translation request received.');
+
+    // The cues are re-translated in the background; clients follow the job status or its event stream.
+    const result = await this.service.retranslateCues(jobId, request.body, request.principal);
+
+    reply.status(202).send(result);
+  }
+
+  listBlueprintVersions = async (request, reply) => {
+    const { jobId } = request.params;
+    const result = await this.service.listBlueprintVersions(jobId, request.principal);
+    reply.status(200).send(result);
+  }
+
+  getBlueprintVersion = async (request, reply) => {
+    const { jobId, version } = request.params;
+    const result = await this.service.getBlueprintVersion(jobId, version, request.principal);
+    reply.status(200).send(result);
+  }
+
+  diffBlueprintVersions = async (request, reply) => {
+    const { jobId } = request.params;
+    const result = await this.service.diffBlueprintVersions(jobId, request.query, request.principal);
+    reply.status(200).send(result);
+  }
+
+  addBlueprintEntry = async (request, reply) => {
+    const { jobId, section } = request.params;
+    request.log.info({ jobId, section }, 'Blueprint entry add request received.');
+
+    const result = await this.service.changeBlueprintEntry(jobId, { action: 'add', section, entry: request.body }, request.principal);
+
+    reply.status(201).send(result);
+  }
+
+  updateBlueprintEntry = async (request, reply) => {
+    const { jobId, section, key } = request.params;
+    request.log.info({ jobId, section, key }, 'Blueprint entry update request received.');
+
+    const result = await this.service.changeBlueprintEntry(jobId, { action: 'update', section, key, entry: request.body }, request.principal);
+
+    reply.status(200).send(result);
+  }
+
+  removeBlueprintEntry = async (request, reply) => {
+    const { jobId, section, key } = request.params;
+    request.log.info({ jobId, section, key }, 'Blueprint entry remove request received.');
+
+    const result = await this.service.changeBlueprintEntry(jobId, { action: 'remove', section, key }, request.principal);
+
+    reply.status(200).send(result);
+  }
+
+  promoteBlueprint = async (request, reply) => {
+    const { jobId } = request.params;
+    request.log.info({ jobId, blueprintVersion: request.body.blueprintVersion }, 'Blueprint promotion request received.');
+
+    const result = await this.service.promoteBlueprintToProject(jobId, request.body, request.principal);
+
     reply.status(200).send(result);
   }
+
+  streamJobEvents = async (request, reply) => {
+    const { jobId } = request.params;
+    // Subscribe before reading the snapshot, so an event published in between (even the final
+    // one) is not lost. Events that arrive before the snapshot is sent are held back and sent
+    // after it; clients apply them idempotently, so one already folded into the snapshot is harmless.
+    let pendingEvents = [];
+    let sendEvent = null;
+    const unsubscribe = this.service.subscribeToJobEvents(jobId, (event) => {
+      if (sendEvent) {
+        sendEvent(event);
+      } else {
+        pendingEvents.push(event);
+      }
+    });
+
+    let snapshot;
+    try {
+      // Resolve the snapshot first so an unknown or inaccessible job still gets a normal 404/403 response.
+      snapshot = await this.service.getJobEventSnapshot(jobId, request.principal);
+    } catch (error) {
+      unsubscribe();
+      throw error;
+    }
+    request.log.info({ jobId }, 'Job event stream opened.');
+
+    // We take over the raw response, so headers set by plugins (e.g. CORS) are copied across by hand.
+    reply.hijack();
+    reply.raw.writeHead(200, {
+      ...reply.getHeaders(),
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+    reply.raw.write(_toSseFrame({ type: 'snapshot', data: snapshot }));
+
+    const isFinished = snapshot.status === 'complete' || snapshot.status === 'failed';
+    // A finished job stays open while its cues are being re-translated.
+    if (isFinished && snapshot.retranslation?.status !== 'running') {
+      unsubscribe();
+      reply.raw.end();
+      return;
+    }
+
+    const heartbeat = setInterval(() => reply.raw.write(': heartbeat\n\n'), SSE_HEARTBEAT_MS);
+    const closeStream = () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    };
+    request.raw.on('close', () => {
+      closeStream();
+      request.log.info({ jobId }, 'Job event stream closed.');
+    });
+
+    sendEvent = (event) => {
+      if (reply.raw.writableEnded) {
+        return;
+      }
+      reply.raw.write(_toSseFrame(event));
+      if (SSE_CLOSING_EVENTS.includes(event.type)) {
+        closeStream();
+        reply.raw.end();
+      }
+    };
+    pendingEvents.forEach(sendEvent);
+    pendingEvents = null;
+  }
 }
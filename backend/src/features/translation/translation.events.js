@@ -0,0 +1,150 @@
+// ===== DEVELOPMENT/DEBUG TRANSLATION EVENT HUB =====
+// This module is the in-process publish/subscribe hub for live job progress.
+// The service publishes events as batches move through the agent chain, and
+// the Server-Sent Events endpoint fans them out to every connected client.
+// It also keeps a rolling snapshot of each job so late subscribers can catch up.
+
+// ===== IMPORTS & DEPENDENCIES =====
+import { EventEmitter } from 'node:events';
+
+// ===== CONFIGURATION & CONSTANTS =====
+// How long a finished job's snapshot is kept around for late subscribers.
+const TERMINAL_SNAPSHOT_TTL_MS = 5 * 60 * 1000;
+const TERMINAL_EVENTS = ['job_complete', 'job_failed'];
+
+// ===== TYPES & INTERFACES (JSDoc) =====
+
+/**
+ * A single event published for a job.
+ * @typedef {object} JobEvent
+ * @property {number} id - A monotonically increasing ID, used as the SSE `id:` field.
+ * @property {string} type - The event name (e.g., "batch_stage", "job_complete").
+ * @property {object} data - The JSON-serializable event payload.
+ */
+
+/**
+ * The replayable state of a job, built up from the events published so far.
+ * @typedef {object} JobSnapshot
+ * @property {string} jobId
+ * @property {string} status
+ * @property {{batchesCompleted: number, batchesTotal: number}} progress
+ * @property {Array<{batchIndex: number, stage: string, lines: Array<{sequence: number, text: string}>}>} batches
+ */
+
+// ===== EVENT HUB CLASS =====
+export class JobEventHub {
+  constructor({ logger }) {
+    this.logger = logger;
+    this.emitter = new EventEmitter();
+    // Every open SSE connection is a listener, so the default cap of 10 is too low.
+    this.emitter.setMaxListeners(0);
+    /** @type {Map<string, JobSnapshot>} */
+    this.snapshots = new Map();
+    this.expiryTimers = new Map();
+    this.nextEventId = 1;
+  }
+
+  /**
+   * Publishes an event for a job and folds it into the job's snapshot.
+   * @param {string} jobId
+   * @param {string} type
+   * @param {object} [data={}]
+   */
+  publish(jobId, type, data = {}) {
+    const event = { id: this.nextEventId++, type, data: { jobId, ...data } };
+    this._applyToSnapshot(jobId, event);
+    this.emitter.emit(jobId, event);
+
+    if (TERMINAL_EVENTS.includes(type)) {
+      // Keep the final state briefly for clients that connect just after completion.
+      const timer = setTimeout(() => {
+        this.snapshots.delete(jobId);
+        this.expiryTimers.delete(jobId);
+      }, TERMINAL_SNAPSHOT_TTL_MS);
+      timer.unref();
+      this.expiryTimers.set(jobId, timer);
+    }
+  }
+
+  /**
+   * Registers a listener for a job's events.
+   * @param {string} jobId
+   * @param {(event: JobEvent) => void} listener
+   * @returns {() => void} A function that removes the listener.
+   */
+  subscribe(jobId, listener) {
+    this.emitter.on(jobId, listener);
+    this.logger.debug({ jobId, subscribers: this.emitter.listenerCount(jobId) }, 'Job event subscriber added.');
+    return () => {
+      this.emitter.off(jobId, listener);
+      this.logger.debug({ jobId, subscribers: this.emitter.listenerCount(jobId) }, 'Job event subscriber removed.');
+    };
+  }
+
+  /**
+   * Returns the in-memory snapshot of a job, if this process has published events for it.
+   * @param {string} jobId
+   * @returns {JobSnapshot | undefined}
+   */
+  getSnapshot(jobId) {
+    const snapshot = this.snapshots.get(jobId);
+    if (!snapshot) {
+      return undefined;
+    }
+    return {
+      ...snapshot,
+      batches: [...snapshot.batches.values()].sort((a, b) => a.batchIndex - b.batchIndex),
+    };
+  }
+
+  /**
+   * @private
+   */
+  _applyToSnapshot(jobId, { type, data }) {
+    if (type === 'job_started') {
+      // A resumed job must not lose its fresh snapshot to the previous run's expiry timer.
+      clearTimeout(this.expiryTimers.get(jobId));
+      this.expiryTimers.delete(jobId);
+      this.snapshots.set(jobId, {
+        jobId,
+        status: 'translating',
+        progress: { batchesCompleted: data.batchesCompleted || 0, batchesTotal: data.batchesTotal },
+        batches: new Map(),
+      });
+      return;
+    }
+
+    const snapshot = this.snapshots.get(jobId);
+    if (!snapshot) {
+      return;
+    }
+    switch (type) {
+      case 'batch_stage': {
+        // Lines are merged by sequence because a retry may only re-publish part of a batch.
+        const previousLines = snapshot.batches.get(data.batchIndex)?.lines || [];
+        const lines = new Map(previousLines.map(line => [line.sequence, line]));
+        data.lines.forEach(line => lines.set(line.sequence, line));
+        snapshot.batches.set(data.batchIndex, { batchIndex: data.batchIndex, stage: data.stage, lines: [...lines.values()] });
+        break;
+      }
+      case 'chunk_complete':
+        snapshot.progress = { batchesCompleted: data.batchesCompleted, batchesTotal: data.batchesTotal };
+        break;
+      case 'job_complete':
+        snapshot.status = 'complete';
+        snapshot.format = data.format;
+        snapshot.finalSubtitles = data.finalSubtitles;
+        break;
+      case 'cues_updated':
+        // A reviewer changed the finished file.
+        snapshot.finalSubtitles = data.finalSubtitles;
+        break;
+      case 'job_failed':
+        snapshot.status = 'failed';
+        snapshot.error = data.error;
+        break;
+      default:
+        break;
+    }
+  }
+}
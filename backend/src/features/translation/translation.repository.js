@@ -4,25 +4,125 @@
 // at construction time, cleaning up the service layer calls.
 
 // ===== IMPORTS & DEPENDENCIES =====
+import { createHash } from 'node:crypto';
 import { ObjectId } from 'mongodb';
-import { ApiError } from '../../core/AppError.js';
+import { ApiError, BadRequestError, ConflictError } from '../../core/AppError.js';
+
+// ===== CONFIGURATION & CONSTANTS =====
+const GLOSSARY_NAMESPACE = 'glossary';
+const TRANSLATION_MEMORY_NAMESPACE = 'translation-memory';
+// Jobs in these states already have work in flight and must not be started again.
+const RUNNING_JOB_STATUSES = ['processing_blueprint', 'translating'];
+// Only translations a reviewer approved are trusted enough to fill lines by exact match.
+const APPROVED_MEMORY_TIER = 'approved';
+// How long a running job stays claimed by its instance without writing any progress.
+const DEFAULT_JOB_LEASE_MS = 10 * 60 * 1000;
+
+// ===== PRIVATE HELPER FUNCTIONS =====
+
+/**
+ * Converts a job ID string into a Mongo ObjectId, rejecting malformed IDs with a 400
+ * instead of letting the driver's BSONError surface as a 500.
+ * @private
+ * @param {string} jobId
+ * @returns {ObjectId}
+ * @throws {BadRequestError}
+ */
+function _toObjectId(jobId) {
+  if (!ObjectId.isValid(jobId)) {
+    throw new BadRequestError(`Invalid job ID: ${jobId}`);
+  }
+  return new ObjectId(jobId);
+}
+
+/**
+ * Builds the stable ID of a translation memory entry. Source lines can be long, so the
+ * normalized text is hashed to stay within vector ID length limits.
+ * @private
+ * @param {string} sourceKey - The normalized source line.
+ * @param {{source: {code: string}, target: {code: string}}} languages
+ * @param {string} workspaceId - The workspace the entry belongs to.
+ * @param {'approved'|'machine'} tier - Approved and machine translations of a line are kept apart.
+ * @returns {string}
+ */
+function _toMemoryEntryId(sourceKey, languages, workspaceId, tier) {
+  const digest = createHash('sha256').update(sourceKey).digest('hex');
+  return `${workspaceId}:${languages.source.code}-${languages.target.code}:${tier}:${digest}`;
+}
+
+/**
+ * Builds the vector query filter for a workspace's memory in one language pair.
+ * Memory is never shared between workspaces.
+ * @private
+ * @param {{source: {code: string}, target: {code: string}}} languages
+ * @param {string} workspaceId
+ * @returns {object}
+ */
+function _memoryScopeFilter(languages, workspaceId) {
+  return {
+    workspaceId: { $eq: workspaceId },
+    sourceLanguage: { $eq: languages.source.code },
+    targetLanguage: { $eq: languages.target.code },
+  };
+}
+
+/**
+ * Matches a finished job only while its cues are still at the version the caller read.
+ * Jobs finished before cues were versioned have no version at all.
+ * @private
+ * @param {string} jobId
+ * @param {number} expectedVersion
+ * @returns {object}
+ */
+function _unchangedCuesFilter(jobId, expectedVersion) {
+  return { _id: _toObjectId(jobId), status: 'complete', cuesVersion: expectedVersion || { $exists: false } };
+}
+
+/**
+ * Reads a job stored before other subtitle formats were supported. Those jobs were all SRT,
+ * kept their file as `finalSrt` and have no `format`.
+ * @private
+ * @param {object|null} job
+ * @returns {object|null}
+ */
+function _withLegacyFields(job) {
+  if (!job || 'format' in job) {
+    return job;
+  }
+  const { finalSrt, ...rest } = job;
+  return { ...rest, format: 'srt', ...(finalSrt !== undefined && { finalSubtitles: finalSrt }) };
+}
 
 // ===== REPOSITORY CLASS =====
 export class TranslationRepository {
-  constructor({ db, vectorIndex, logger }) {
+  constructor({ db, vectorIndex, logger, jobLeaseMs = DEFAULT_JOB_LEASE_MS }) {
     if (!db || !vectorIndex || !logger) {
       throw new Error('TranslationRepository missing dependencies: db, vectorIndex, or logger.');
     }
     this.db = db;
     this.jobsCollection = this.db.collection('translationJobs');
+    this.blueprintVersionsCollection = this.db.collection('blueprintVersions');
+    this.memoryCollection = this.db.collection('translationMemory');
     this.vectorIndex = vectorIndex;
     this.logger = logger;
+    this.jobLeaseMs = jobLeaseMs;
+  }
+
+  /**
+   * When the lease of a running job runs out. The instance running the job renews it on a
+   * heartbeat and on every progress write, so a job whose lease has expired was left behind
+   * by an instance that stopped.
+   * @private
+   */
+  _leaseExpiry() {
+    return new Date(Date.now() + this.jobLeaseMs);
   }
 
   async createJob(jobData) {
     const jobDocument = {
       ...jobData,
       status: 'processing_blueprint',
+      leaseExpiresAt: this._leaseExpiry(),
       createdAt: new Date(),
       updatedAt: new Date(),
     };
@@ -37,37 +137,396 @@ export class TranslationRepository {
     }
   }
 
-  async saveBlueprint(jobId, blueprint) {
+  async saveBlueprint(jobId, blueprintVersion) {
     this.logger.info({ jobId }, 'Saving blueprint to database.');
+    const result = await this.jobsCollection.updateOne(
+      { _id: _toObjectId(jobId) },
+      {
+        $set: {
+          blueprint: blueprintVersion.blueprint,
+          blueprintVersion: blueprintVersion.version,
+          status: 'pending_approval',
+          updatedAt: new Date(),
+        },
+      }
+    );
+    await this.blueprintVersionsCollection.insertOne({ jobId, ...blueprintVersion });
+    return result;
+  }
+
+  async saveBlueprintVersion(jobId, { blueprintVersion, expectedVersion }) {
+    this.logger.info({ jobId, version: blueprintVersion.version, source: blueprintVersion.source }, 'Saving new blueprint version to database.');
+    const result = await this.jobsCollection.updateOne(
+      // Jobs created before blueprints were versioned have no version number yet.
+      { _id: _toObjectId(jobId), blueprintVersion: expectedVersion || { $exists: false } },
+      {
+        // `blueprint` always holds the latest version, so readers that predate versioning keep working.
+        $set: { blueprint: blueprintVersion.blueprint, blueprintVersion: blueprintVersion.version, updatedAt: new Date() },
+      }
+    );
+    if (result.matchedCount === 0) {
+      throw new ConflictError(`The blueprint of job ${jobId} was changed by someone else. Reload it and try again.`);
+    }
+    // Only the writer that won the version check gets here, so version numbers stay unique.
+    await this.blueprintVersionsCollection.insertOne({ jobId, ...blueprintVersion });
+    return result;
+  }
+
+  async listBlueprintVersions(jobId) {
+    const versions = await this.blueprintVersionsCollection.find({ jobId }).sort({ version: 1 }).toArray();
+    return versions.map(({ _id, jobId: _jobId, ...version }) => version);
+  }
+
+  async saveFinalSubtitles(jobId, { format, finalSubtitles, ...report }) {
+    this.logger.info({ jobId, format }, 'Saving final subtitles to database.');
     return this.jobsCollection.updateOne(
-      { _id: new ObjectId(jobId) },
+      { _id: _toObjectId(jobId) },
       {
-        $set: { blueprint, status: 'pending_approval', updatedAt: new Date() },
+        // The report holds per-line quality findings (e.g. formatting issues) produced alongside the file.
+        $set: { finalSubtitles, format, ...report, status: 'complete', updatedAt: new Date() },
       }
     );
   }
 
-  async saveFinalSrt(jobId, finalSrt) {
-    this.logger.info({ jobId }, 'Saving final SRT to database.');
+  async saveReviewedCues(jobId, { cues, finalSubtitles, syncSuggestions, expectedVersion }) {
+    this.logger.info({ jobId, expectedVersion }, 'Saving reviewed cues to database.');
+    const result = await this.jobsCollection.updateOne(
+      // Optimistic concurrency: the write only lands if nobody saved the cues (or re-ran the job) in between.
+      _unchangedCuesFilter(jobId, expectedVersion),
+      {
+        $set: { cues, finalSubtitles, syncSuggestions, updatedAt: new Date() },
+        $inc: { cuesVersion: 1 },
+      }
+    );
+    if (result.matchedCount === 0) {
+      throw new ConflictError(`Job ${jobId} was changed by someone else. Reload its cues and try again.`);
+    }
+    return result;
+  }
+
+  async startRetranslation(jobId, { expectedVersion, request }) {
+    this.logger.info({ jobId, expectedVersion }, 'Marking cues as being re-translated.');
+    const result = await this.jobsCollection.updateOne(
+      {
+        ..._unchangedCuesFilter(jobId, expectedVersion),
+        // One re-translation at a time; a run whose instance stopped no longer holds the job once its lease expires.
+        $or: [{ 'retranslationRun.status': { $ne: 'running' } }, { 'retranslationRun.leaseExpiresAt': { $lte: new Date() } }],
+      },
+      {
+        $set: {
+          retranslationRun: { ...request, status: 'running', leaseExpiresAt: this._leaseExpiry() },
+          updatedAt: new Date(),
+        },
+      }
+    );
+    if (result.matchedCount === 0) {
+      throw new ConflictError(`Job ${jobId} is already re-translating cues or was changed by someone else. Reload its cues and try again.`);
+    }
+    return result;
+  }
+
+  async saveRetranslation(jobId, { expectedVersion, retranslation, outcome, ...output }) {
+    this.logger.info({ jobId, expectedVersion, lineCount: retranslation.sourceSequences.length }, 'Saving re-translated cues to database.');
+    const result = await this.jobsCollection.updateOne(
+      _unchangedCuesFilter(jobId, expectedVersion),
+      {
+        // The output replaces the file and its report; the retranslation record keeps the new provenance.
+        $set: { ...output, 'retranslationRun.status': 'complete', 'retranslationRun.outcome': outcome, updatedAt: new Date() },
+        $unset: { 'retranslationRun.leaseExpiresAt': '' },
+        $inc: { cuesVersion: 1 },
+        $push: { retranslations: retranslation },
+      }
+    );
+    if (result.matchedCount === 0) {
+      throw new ConflictError(`Job ${jobId} was changed while its cues were being re-translated. Reload its cues and try again.`);
+    }
+    return result;
+  }
+
+  async markRetranslationFailed(jobId, errorDetails) {
+    this.logger.warn({ jobId, errorDetails }, 'Marking cue re-translation as failed.');
     return this.jobsCollection.updateOne(
-      { _id: new ObjectId(jobId) },
+      // A new run of the job may have discarded the re-translation already.
+      { _id: _toObjectId(jobId), 'retranslationRun.status': 'running' },
       {
-        $set: { finalSrt, status: 'complete', updatedAt: new Date() },
+        $set: { 'retranslationRun.status': 'failed', 'retranslationRun.error': errorDetails, updatedAt: new Date() },
+        $unset: { 'retranslationRun.leaseExpiresAt': '' },
       }
     );
   }
 
-  async upsertGlossaryVectors(jobId, glossary) {
-    this.logger.info({ jobId, glossaryCount: glossary.length }, 'Placeholder: Upserting glossary vectors.');
-    return Promise.resolve();
+  async startTranslation(jobId, { confirmedBlueprint, blueprintVersion, settings, batchesTotal }) {
+    this.logger.info({ jobId, batchesTotal, blueprintVersion }, 'Marking job as translating.');
+    const result = await this.jobsCollection.updateOne(
+      // Checked and claimed in one write, so two concurrent requests cannot both start the job.
+      { _id: _toObjectId(jobId), status: { $nin: RUNNING_JOB_STATUSES } },
+      {
+        $set: {
+          confirmedBlueprint,
+          executedBlueprintVersion: blueprintVersion,
+          executionSettings: settings,
+          status: 'translating',
+          progress: { batchesCompleted: 0, batchesTotal },
+          leaseExpiresAt: this._leaseExpiry(),
+          updatedAt: new Date(),
+        },
+        // A fresh run may use a different blueprint, so old checkpoints, memory matches and re-translations are discarded.
+        $unset: { error: '', batches: '', memoryMatches: '', segmentMap: '', retranslations: '', retranslationRun: '' },
+      }
+    );
+    if (result.matchedCount === 0) {
+      throw new ConflictError(`Job ${jobId} is already in progress.`);
+    }
+    return result;
+  }
+
+  async resumeTranslation(jobId, { batchesCompleted, batchesTotal, expectedStatus }) {
+    this.logger.info({ jobId, batchesCompleted, batchesTotal }, 'Marking job as translating (resumed).');
+    const result = await this.jobsCollection.updateOne(
+      // Only a job still in the state the caller read is resumed, so a job is never resumed twice.
+      { _id: _toObjectId(jobId), status: expectedStatus },
+      {
+        $set: {
+          status: 'translating',
+          progress: { batchesCompleted, batchesTotal },
+          leaseExpiresAt: this._leaseExpiry(),
+          updatedAt: new Date(),
+        },
+        $unset: { error: '' },
+      }
+    );
+    if (result.matchedCount === 0) {
+      throw new ConflictError(`Job ${jobId} is no longer '${expectedStatus}' and cannot be resumed.`);
+    }
+    return result;
+  }
+
+  /**
+   * Extends the lease of a job that is still running.
+   * @param {string} jobId
+   */
+  async renewJobLease(jobId) {
+    return this.jobsCollection.updateOne(
+      { _id: _toObjectId(jobId), status: { $in: RUNNING_JOB_STATUSES } },
+      { $set: { leaseExpiresAt: this._leaseExpiry() } }
+    );
+  }
+
+  /**
+   * Extends the lease of a job's cue re-translation that is still running.
+   * @param {string} jobId
+   */
+  async renewRetranslationLease(jobId) {
+    return this.jobsCollection.updateOne(
+      { _id: _toObjectId(jobId), 'retranslationRun.status': 'running' },
+      { $set: { 'retranslationRun.leaseExpiresAt': this._leaseExpiry() } }
+    );
+  }
+
+  /**
+   * Claims a running job whose lease has expired, so that only one instance recovers it.
+   * @param {string} jobId
+   * @param {string} status - The running status the job was read in.
+   * @returns {Promise<boolean>} Whether this call claimed the job.
+   */
+  async claimInterruptedJob(jobId, status) {
+    const result = await this.jobsCollection.updateOne(
+      {
+        _id: _toObjectId(jobId),
+        status,
+        // Jobs started before leases were recorded have none and are always claimable.
+        $or: [{ leaseExpiresAt: { $exists: false } }, { leaseExpiresAt: { $lte: new Date() } }],
+      },
+      { $set: { leaseExpiresAt: this._leaseExpiry(), updatedAt: new Date() } }
+    );
+    return result.matchedCount > 0;
+  }
+
+  async saveMemoryMatches(jobId, { memoryMatches, batchesTotal }) {
+    this.logger.info({ jobId, matchCount: memoryMatches.length, batchesTotal }, 'Saving translation memory matches.');
+    return this.jobsCollection.updateOne(
+      { _id: _toObjectId(jobId) },
+      {
+        // Lines filled from memory never reach a batch, so the batch count is settled here.
+        $set: { memoryMatches, 'progress.batchesTotal': batchesTotal, leaseExpiresAt: this._leaseExpiry(), updatedAt: new Date() },
+      }
+    );
+  }
+
+  async saveBatchResult(jobId, batchIndex, { translations, provenance, formattingIssues, compressions }) {
+    this.logger.info({ jobId, batchIndex }, 'Checkpointing completed batch.');
+    return this.jobsCollection.updateOne(
+      { _id: _toObjectId(jobId) },
+      {
+        $set: {
+          [`batches.${batchIndex}`]: { status: 'complete', translations, provenance, formattingIssues, compressions, completedAt: new Date() },
+          leaseExpiresAt: this._leaseExpiry(),
+          updatedAt: new Date(),
+        },
+        $inc: { 'progress.batchesCompleted': 1 },
+      }
+    );
+  }
+
+  async markBatchFailed(jobId, batchIndex, errorDetails) {
+    this.logger.warn({ jobId, batchIndex, errorDetails }, 'Checkpointing failed batch.');
+    return this.jobsCollection.updateOne(
+      { _id: _toObjectId(jobId) },
+      {
+        $set: {
+          [`batches.${batchIndex}`]: { status: 'failed', error: errorDetails },
+          leaseExpiresAt: this._leaseExpiry(),
+          updatedAt: new Date(),
+        },
+      }
+    );
+  }
+
+  async recordTokenUsage(jobId, { stage, usage }) {
+    // Totals per pipeline stage, kept across every run of the job.
+    return this.jobsCollection.updateOne(
+      { _id: _toObjectId(jobId) },
+      {
+        $inc: {
+          [`tokenUsage.${stage}.calls`]: 1,
+          [`tokenUsage.${stage}.inputTokens`]: usage.inputTokens,
+          [`tokenUsage.${stage}.outputTokens`]: usage.outputTokens,
+          [`tokenUsage.${stage}.totalTokens`]: usage.totalTokens,
+        },
+      }
+    );
+  }
+
+  async findJobsByStatus(statuses) {
+    this.logger.info({ statuses }, 'Fetching jobs by status from database.');
+    const jobs = await this.jobsCollection.find({ status: { $in: statuses } }).toArray();
+    return jobs.map(_withLegacyFields);
+  }
+
+  async markJobFailed(jobId, errorDetails) {
+    this.logger.warn({ jobId, errorDetails }, 'Marking job as failed.');
+    return this.jobsCollection.updateOne(
+      { _id: _toObjectId(jobId) },
+      {
+        $set: { status: 'failed', error: errorDetails, updatedAt: new Date() },
+      }
+    );
+  }
+
+  async upsertGlossaryVectors(jobId, entries, languages, workspaceId) {
+    this.logger.info({ jobId, workspaceId, glossaryCount: entries.length }, 'Upserting glossary vectors.');
+    const records = entries.map(({ term, proposedTranslation, justification, values }) => ({
+      // One record per workspace, term and language pair, so the latest approved decision wins.
+      id: `${workspaceId}:${languages.source.code}-${languages.target.code}:${term.trim().toLowerCase()}`,
+      values,
+      metadata: {
+        term,
+        translation: proposedTranslation,
+        justification,
+        jobId,
+        workspaceId,
+        sourceLanguage: languages.source.code,
+        targetLanguage: languages.target.code,
+        updatedAt: new Date().toISOString(),
+      },
+    }));
+    try {
+      await this.vectorIndex.namespace(GLOSSARY_NAMESPACE).upsert(records);
+    } catch (error) {
+      this.logger.error({ error, jobId }, 'Error upserting glossary vectors.');
+      throw new ApiError('Failed to upsert glossary vectors', 500, 'VECTOR_STORE_ERROR', { originalError: error });
+    }
+  }
+
+  async findSimilarGlossaryTerms(vectors, languages, workspaceId, { minScore, topK = 1 }) {
+    const filter = _memoryScopeFilter(languages, workspaceId);
+    try {
+      const namespace = this.vectorIndex.namespace(GLOSSARY_NAMESPACE);
+      const results = await Promise.all(
+        vectors.map(vector => namespace.query({ vector, topK, filter, includeMetadata: true }))
+      );
+      return results.map(({ matches = [] }) =>
+        matches
+          .filter(match => match.score >= minScore)
+          .map(match => ({ ...match.metadata, score: match.score }))
+      );
+    } catch (error) {
+      this.logger.error({ error }, 'Error querying glossary vectors.');
+      throw new ApiError('Failed to query glossary vectors', 500, 'VECTOR_STORE_ERROR', { originalError: error });
+    }
+  }
+
+  async findMemoryEntries(sourceKeys, languages, workspaceId) {
+    this.logger.info({ workspaceId, keyCount: sourceKeys.length }, 'Fetching exact translation memory entries.');
+    try {
+      return await this.memoryCollection.find({
+        workspaceId,
+        tier: APPROVED_MEMORY_TIER,
+        sourceLanguage: languages.source.code,
+        targetLanguage: languages.target.code,
+        sourceKey: { $in: sourceKeys },
+      }).toArray();
+    } catch (error) {
+      this.logger.error({ error }, 'Error fetching translation memory entries.');
+      throw new ApiError('Failed to fetch translation memory entries', 500, 'DATABASE_ERROR', { originalError: error });
+    }
+  }
+
+  async upsertMemoryEntries(jobId, entries, languages, workspaceId, { tier }) {
+    this.logger.info({ jobId, workspaceId, tier, entryCount: entries.length }, 'Upserting translation memory entries.');
+    const sourceLanguage = languages.source.code;
+    const targetLanguage = languages.target.code;
+    try {
+      // One entry per workspace, normalized source line, language pair and tier, so the latest
+      // translation of each tier wins and machine output never replaces an approved translation.
+      await Promise.all(entries.map(({ sourceKey, sourceText, targetText }) =>
+        this.memoryCollection.updateOne(
+          { workspaceId, sourceLanguage, targetLanguage, sourceKey, tier },
+          {
+            $set: { sourceText, targetText, jobId, updatedAt: new Date() },
+            $setOnInsert: { createdAt: new Date() },
+          },
+          { upsert: true }
+        )
+      ));
+    } catch (error) {
+      this.logger.error({ error, jobId }, 'Error upserting translation memory entries.');
+      throw new ApiError('Failed to upsert translation memory entries', 500, 'DATABASE_ERROR', { originalError: error });
+    }
+
+    const records = entries.map(({ sourceKey, sourceText, targetText, values }) => ({
+      id: _toMemoryEntryId(sourceKey, languages, workspaceId, tier),
+      values,
+      metadata: { sourceText, targetText, jobId, workspaceId, tier, sourceLanguage, targetLanguage, updatedAt: new Date().toISOString() },
+    }));
+    try {
+      await this.vectorIndex.namespace(TRANSLATION_MEMORY_NAMESPACE).upsert(records);
+    } catch (error) {
+      this.logger.error({ error, jobId }, 'Error upserting translation memory vectors.');
+      throw new ApiError('Failed to upsert translation memory vectors', 500, 'VECTOR_STORE_ERROR', { originalError: error });
+    }
+  }
+
+  async findSimilarMemoryEntries(vectors, languages, workspaceId, { topK = 3 } = {}) {
+    const filter = _memoryScopeFilter(languages, workspaceId);
+    try {
+      const namespace = this.vectorIndex.namespace(TRANSLATION_MEMORY_NAMESPACE);
+      const results = await Promise.all(
+        vectors.map(vector => namespace.query({ vector, topK, filter, includeMetadata: true }))
+      );
+      return results.map(({ matches = [] }) => matches.map(match => match.metadata));
+    } catch (error) {
+      this.logger.error({ error }, 'Error querying translation memory vectors.');
+      throw new ApiError('Failed to query translation memory vectors', 500, 'VECTOR_STORE_ERROR', { originalError: error });
+    }
   }
 
   async getJobById(jobId) {
     this.logger.info({ jobId }, 'Fetching job by ID from database.');
-    const job = await this.jobsCollection.findOne({ _id: new ObjectId(jobId) });
+    const job = await this.jobsCollection.findOne({ _id: _toObjectId(jobId) });
     if (!job) {
       this.logger.warn({ jobId }, 'Job not found in database.');
     }
-    return job;
+    return _withLegacyFields(job);
   }
 }
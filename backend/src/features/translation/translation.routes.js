@@ -3,13 +3,26 @@
 
 // ===== IMPORTS & DEPENDENCIES =====
 import { zodToJsonSchema } from 'zod-to-json-schema';
+import { config } from '../../config/index.js';
 import { getDb } from '../../config/database.js';
 import { getPineconeIndex } from '../../services/vector.service.js';
 import { GeminiAgentService } from '../../services/gemini.service.js';
+import { createLlmGateway } from '../../services/llm.service.js';
 import { TranslationRepository } from './translation.repository.js';
 import { TranslationService } from './translation.service.js';
 import { TranslationController } from './translation.controller.js';
-import { blueprintRequestSchema, executeRequestSchema } from './translation.schemas.js';
+import { JobEventHub } from './translation.events.js';
+import {
+  blueprintDiffRequestSchema,
+  blueprintEntryRequestSchema,
+  blueprintPromoteRequestSchema,
+  blueprintRequestSchema,
+  blueprintVersionRequestSchema,
+  cueUpdateRequestSchema,
+  executeRequestSchema,
+  jobStatusRequestSchema,
+  retranslateRequestSchema,
+} from './translation.schemas.js';
 
 // --- CREATE JSON SCHEMAS ---
 // We convert our Zod schemas into a format Fastify understands natively.
@@ -20,18 +33,64 @@ const blueprintJsonSchema = {
 const executeJsonSchema = {
   body: zodToJsonSchema(executeRequestSchema.body, "executeRequestSchema"),
 };
+const jobStatusJsonSchema = {
+  params: zodToJsonSchema(jobStatusRequestSchema.params, "jobStatusRequestSchema"),
+};
+const cueUpdateJsonSchema = {
+  params: zodToJsonSchema(cueUpdateRequestSchema.params, "cueUpdateParamsSchema"),
+  body: zodToJsonSchema(cueUpdateRequestSchema.body, "cueUpdateRequestSchema"),
+};
+const retranslateJsonSchema = {
+  params: zodToJsonSchema(retranslateRequestSchema.params, "retranslateParamsSchema"),
+  body: zodToJsonSchema(retranslateRequestSchema.body, "retranslateRequestSchema"),
+};
+const blueprintVersionJsonSchema = {
+  params: zodToJsonSchema(blueprintVersionRequestSchema.params, "blueprintVersionRequestSchema"),
+};
+const blueprintDiffJsonSchema = {
+  params: zodToJsonSchema(blueprintDiffRequestSchema.params, "blueprintDiffParamsSchema"),
+  querystring: zodToJsonSchema(blueprintDiffRequestSchema.querystring, "blueprintDiffQuerySchema"),
+};
+const blueprintEntryJsonSchema = {
+  params: zodToJsonSchema(blueprintEntryRequestSchema.params, "blueprintEntryParamsSchema"),
+  body: zodToJsonSchema(blueprintEntryRequestSchema.body, "blueprintEntryRequestSchema"),
+};
+const blueprintPromoteJsonSchema = {
+  params: zodToJsonSchema(blueprintPromoteRequestSchema.params, "blueprintPromoteParamsSchema"),
+  body: zodToJsonSchema(blueprintPromoteRequestSchema.body, "blueprintPromoteRequestSchema"),
+};
+const blueprintEntryRemoveJsonSchema = {
+  params: blueprintEntryJsonSchema.params,
+};
 
 
 /**
  * @param {import('fastify').FastifyInstance} app
+ * @param {{projectService: import('../project/project.service.js').ProjectService}} options - The service
+ *   the project routes also use; jobs in a project read and update its master blueprint through it.
  */
-export async function translationRoutes(app) {
+export async function translationRoutes(app, { projectService }) {
 
   // --- COMPOSITION ROOT for this feature ---
   // We instantiate all dependencies here. The logger is passed from the Fastify instance.
-  const repository = new TranslationRepository({ db: getDb(), vectorIndex: getPineconeIndex(), logger: app.log });
-  const agentService = new GeminiAgentService({ logger: app.log });
-  const translationService = new TranslationService({ repository, agentService, logger: app.log });
+  const repository = new TranslationRepository({
+    db: getDb(),
+    vectorIndex: getPineconeIndex(),
+    logger: app.log,
+    jobLeaseMs: config.JOB_LEASE_SECONDS * 1000,
+  });
+  const llm = createLlmGateway({ logger: app.log, onUsage: (jobId, entry) => repository.recordTokenUsage(jobId, entry) });
+  const agentService = new GeminiAgentService({ llm, logger: app.log });
+  const events = new JobEventHub({ logger: app.log });
+  const translationService = new TranslationService({
+    repository,
+    agentService,
+    events,
+    projects: projectService,
+    logger: app.log,
+    // Renewed well before it runs out, so one slow write does not cost a running job its lease.
+    leaseRenewalMs: (config.JOB_LEASE_SECONDS * 1000) / 3,
+  });
   const controller = new TranslationController(translationService);
   
   // --- ROUTE DEFINITIONS ---
@@ -53,6 +112,134 @@ export async function translationRoutes(app) {
     }, 
     controller.executeTranslation
   );
+
+  app.get(
+    '/jobs/:jobId',
+    {
+      schema: jobStatusJsonSchema
+    },
+    controller.getJobStatus
+  );
+
+  app.get(
+    '/jobs/:jobId/provenance',
+    {
+      schema: jobStatusJsonSchema
+    },
+    controller.getJobProvenance
+  );
+
+  app.post(
+    '/jobs/:jobId/resume',
+    {
+      schema: jobStatusJsonSchema
+    },
+    controller.resumeTranslation
+  );
+
+  app.get(
+    '/jobs/:jobId/cues',
+    {
+      schema: jobStatusJsonSchema
+    },
+    controller.getJobCues
+  );
+
+  app.patch(
+    '/jobs/:jobId/cues/:sequence',
+    {
+      schema: cueUpdateJsonSchema
+    },
+    controller.updateJobCue
+  );
+
+  app.post(
+    '/jobs/:jobId/retranslate',
+    {
+      schema: retranslateJsonSchema
+    },
+    controller.retranslateCues
+  );
+
+  app.get(
+    '/jobs/:jobId/blueprint/versions',
+    {
+      schema: jobStatusJsonSchema
+    },
+    controller.listBlueprintVersions
+  );
+
+  app.get(
+    '/jobs/:jobId/blueprint/versions/:version',
+    {
+      schema: blueprintVersionJsonSchema
+    },
+    controller.getBlueprintVersion
+  );
+
+  app.get(
+    '/jobs/:jobId/blueprint/diff',
+    {
+      schema: blueprintDiffJsonSchema
+    },
+    controller.diffBlueprintVersions
+  );
+
+  app.post(
+    '/jobs/:jobId/blueprint/promote',
+    {
+      schema: blueprintPromoteJsonSchema
+    },
+    controller.promoteBlueprint
+  );
+
+  app.post(
+    '/jobs/:jobId/blueprint/:section',
+    {
+      schema: blueprintEntryJsonSchema
+    },
+    controller.addBlueprintEntry
+  );
+
+  app.patch(
+    '/jobs/:jobId/blueprint/:section/:key',
+    {
+      schema: blueprintEntryJsonSchema
+    },
+    controller.updateBlueprintEntry
+  );
+
+  app.delete(
+    '/jobs/:jobId/blueprint/:section/:key',
+    {
+      schema: blueprintEntryRemoveJsonSchema
+    },
+    controller.removeBlueprintEntry
+  );
+
+  app.get(
+    '/jobs/:jobId/events',
+    {
+      schema: jobStatusJsonSchema
+    },
+    controller.streamJobEvents
+  );
   
+  // --- INTERRUPTED JOB RECOVERY ---
+  // Jobs left in a running state by a crash or redeploy are resumed or failed before we accept traffic,
+  // and again whenever the lease of a job another instance was running runs out.
+  let recoveryTimer;
+  app.addHook('onReady', async () => {
+    await translationService.recoverInterruptedJobs();
+    recoveryTimer = setInterval(() => {
+      translationService.recoverInterruptedJobs()
+        .catch(error => app.log.error({ err: error }, 'Interrupted job recovery failed.'));
+    }, config.JOB_LEASE_SECONDS * 1000);
+    recoveryTimer.unref();
+  });
+  app.addHook('onClose', async () => {
+    clearInterval(recoveryTimer);
+  });
+
   app.log.info('Translation routes registered.');
 }
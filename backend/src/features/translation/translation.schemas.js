@@ -1,38 +1,24 @@
 // ===== DEVELOPMENT/DEBUG TRANSLATION SCHEMAS =====
 // This file centralizes all Zod schemas for the translation feature.
-// It provides a single source of truth for API request and response shapes,
-// including a detailed schema for our core Blueprint data structure.
+// It provides a single source of truth for API request and response shapes.
+// The Blueprint schema lives in core/agentSchemas.js, since agent output is validated against it too.
 
 // ===== IMPORTS & DEPENDENCIES =====
 import { z } from 'zod';
+import { DEFAULT_SOURCE_LANGUAGE, DEFAULT_TARGET_LANGUAGE } from '../../core/languages.js';
+import { blueprintSchema } from '../../core/agentSchemas.js';
+import { BLUEPRINT_SECTIONS, blueprintEntryFieldsSchema } from '../../core/blueprintVersions.js';
 
 // --- Reusable Core Domain Schemas ---
 
-const glossaryItemSchema = z.object({
-  term: z.string(),
-  proposedTranslation: z.string(),
-  justification: z.string(),
-});
-
-// This is the detailed schema for the blueprint object.
-// It ensures that the data we receive from the user (and from our AI agent)
-// is structured correctly, preventing a major source of potential bugs.
-const blueprintSchema = z.object({
-  summary: z.string(),
-  keyPoints: z.array(z.string()),
-  characterProfiles: z.array(z.object({
-    character: z.string(),
-    style: z.string(),
-  })),
-  culturalAdaptations: z.array(z.object({
-    original: z.string(),
-    adaptation: z.string(),
-  })),
-  glossary: z.array(glossaryItemSchema),
-});
-
+// Language codes are checked against the supported profiles in the service layer,
+// which rejects unknown languages with a descriptive 400.
 const settingsSchema = z.object({
   tone: z.string({ required_error: 'Tone is required.' }).min(1, 'Tone cannot be empty.'),
+  sourceLanguage: z.string().min(2).default(DEFAULT_SOURCE_LANGUAGE),
+  targetLanguage: z.string().min(2).default(DEFAULT_TARGET_LANGUAGE),
+  // Split cues whose translation cannot fit on screen and merge short neighbouring cues.
+  resegment: z.boolean().default(false),
 });
 
 // --- Route-Specific Schemas ---
@@ -42,6 +28,8 @@ export const blueprintRequestSchema = {
   body: z.object({
     subtitleContent: z.string().min(1, 'subtitleContent cannot be empty.'),
     settings: settingsSchema,
+    // Jobs in a project inherit its master blueprint.
+    projectId: z.string().min(1).optional(),
   }),
 };
 
@@ -50,7 +38,91 @@ export const executeRequestSchema = {
   body: z.object({
     jobId: z.string().min(1, 'jobId is required.'),
     settings: settingsSchema,
-    // We now validate the confirmedBlueprint against our detailed schema.
-    confirmedBlueprint: blueprintSchema,
+    // Either a full blueprint, validated against our detailed schema, or the number of a saved
+    // version. The service rejects a request with both or neither.
+    confirmedBlueprint: blueprintSchema.optional(),
+    blueprintVersion: z.number().int().positive().optional(),
+  }),
+};
+
+// GET /api/v1/translate/jobs/:jobId
+// GET /api/v1/translate/jobs/:jobId/events
+// GET /api/v1/translate/jobs/:jobId/cues
+// POST /api/v1/translate/jobs/:jobId/resume
+export const jobStatusRequestSchema = {
+  params: z.object({
+    jobId: z.string().min(1, 'jobId is required.'),
+  }),
+};
+
+// PATCH /api/v1/translate/jobs/:jobId/cues/:sequence
+// Every field is optional, but the service rejects a change that sets none of them.
+export const cueUpdateRequestSchema = {
+  params: z.object({
+    jobId: z.string().min(1, 'jobId is required.'),
+    sequence: z.coerce.number().int().positive(),
+  }),
+  body: z.object({
+    text: z.string().min(1, 'text cannot be empty.').optional(),
+    approved: z.boolean().optional(),
+    locked: z.boolean().optional(),
+  }),
+};
+
+// POST /api/v1/translate/jobs/:jobId/retranslate
+export const retranslateRequestSchema = {
+  params: jobStatusRequestSchema.params,
+  body: z.object({
+    // Sequence numbers and inclusive ranges, e.g. [3, "10-14"].
+    cues: z.array(z.union([
+      z.number().int().positive(),
+      z.string().regex(/^\d+\s*-\s*\d+$/, 'Ranges look like "10-14".'),
+    ])).min(1, 'Select at least one cue.'),
+    instruction: z.string().max(1000).optional(),
+  }),
+};
+
+// GET /api/v1/translate/jobs/:jobId/blueprint/versions/:version
+export const blueprintVersionRequestSchema = {
+  params: z.object({
+    jobId: z.string().min(1, 'jobId is required.'),
+    version: z.coerce.number().int().positive(),
+  }),
+};
+
+// GET /api/v1/translate/jobs/:jobId/blueprint/diff?from=1&to=3
+// `to` defaults to the latest version.
+export const blueprintDiffRequestSchema = {
+  params: jobStatusRequestSchema.params,
+  querystring: z.object({
+    from: z.coerce.number().int().positive(),
+    to: z.coerce.number().int().positive().optional(),
+  }),
+};
+
+// POST /api/v1/translate/jobs/:jobId/blueprint/promote
+export const blueprintPromoteRequestSchema = {
+  params: jobStatusRequestSchema.params,
+  body: z.object({
+    // Defaults to the version the job was last translated with.
+    blueprintVersion: z.number().int().positive().optional(),
+    // Defaults to every entry the version added or changed compared with the project's master.
+    entries: z.array(z.object({
+      section: z.enum(Object.keys(BLUEPRINT_SECTIONS)),
+      key: z.string().min(1, 'key is required.'),
+    })).min(1).optional(),
+  }),
+};
+
+// POST /api/v1/translate/jobs/:jobId/blueprint/:section
+// PATCH /api/v1/translate/jobs/:jobId/blueprint/:section/:key
+// DELETE /api/v1/translate/jobs/:jobId/blueprint/:section/:key
+// The entry's fields depend on the section, so the service validates them against its schema.
+export const blueprintEntryRequestSchema = {
+  params: z.object({
+    jobId: z.string().min(1, 'jobId is required.'),
+    section: z.enum(Object.keys(BLUEPRINT_SECTIONS)),
+    key: z.string().min(1, 'key is required.').optional(),
   }),
+  body: blueprintEntryFieldsSchema,
 };
@@ -3,67 +3,1322 @@
 // It orchestrates calls to the repository and external AI services.
 
 // ===== IMPORTS & DEPENDENCIES =====
-import { parseSrt, toSrtString } from '../../core/srtParser.js';
-import { NotFoundError } from '../../core/AppError.js';
+import { detectSubtitleFormat, parseSubtitles, serializeSubtitles, reanchorDocument } from '../../core/subtitleFormats.js';
+import { ApiError, BadRequestError, NotFoundError, ConflictError } from '../../core/AppError.js';
+import { config } from '../../config/index.js';
 import { runInBackground } from '../../utils/async.js';
+import { resolveLanguagePair } from '../../core/languages.js';
+import { protectTags, restoreTags, reattachTags, stripTags } from '../../core/formatTags.js';
+import { normalizeForMatching, similarityScore } from '../../core/textSimilarity.js';
+import { analyzeReadability, needsRewrite } from '../../core/readability.js';
+import { retimeCue, retimeCues } from '../../core/retiming.js';
+import { parseTimestamp } from '../../core/timecode.js';
+import { breakLines, breakCues } from '../../core/lineBreaker.js';
+import { resegmentCues, toResegmentedPosition } from '../../core/resegmenter.js';
+import {
+  applyCueChange,
+  buildReviewCues,
+  expandCueSelection,
+  findPinnedSequences,
+  pinnedTranslations,
+  remapCueFindings,
+  restorePinnedCues,
+  reviewedPairs,
+  toSegmentMap,
+  toSubtitleLines,
+} from '../../core/reviewCues.js';
+import { diffWords } from '../../core/textDiff.js';
+import { applyBlueprintChange, diffBlueprints, inheritMasterBlueprint, listBlueprintChanges } from '../../core/blueprintVersions.js';
+import { assertJobAccess } from '../auth/auth.service.js';
 
 // ===== CONSTANTS =====
 // It's good practice to extract magic numbers into named constants for clarity and easier maintenance.
 const BATCH_SIZE = 25;
+// Batches in flight per job. The model calls they make are also limited process-wide by the
+// LLM scheduler, which shares each model's budget between all running jobs.
 const CONCURRENT_BATCHES = 4;
+// Jobs in these states already have work in flight and must not be started again.
+const RUNNING_STATUSES = ['processing_blueprint', 'translating'];
+const BATCH_STAGES = ['transcreate', 'edit', 'qa', 'sync'];
+// How many times lines that lost a formatting placeholder are re-run before being flagged.
+const MAX_TAG_RETRIES = 1;
+// Minimum cosine similarity for a remembered glossary term to be offered as a preferred translation.
+const GLOSSARY_MATCH_MIN_SCORE = 0.85;
+// Translation memory: approved fuzzy matches at or above the fill score are reused as-is,
+// and those at or above the suggest score are offered to the transcreator as a starting point.
+// Unreviewed machine translations are remembered too, but only ever offered as suggestions.
+const MEMORY_FILL_MIN_SCORE = 0.95;
+const MEMORY_SUGGEST_MIN_SCORE = 0.75;
+// How many source lines on each side of a batch are shown to the transcreator as read-only context.
+const CONTEXT_LINE_COUNT = 3;
+// How often the instance running a job renews its lease, unless the service is given another interval.
+const DEFAULT_LEASE_RENEWAL_MS = 200_000;
+// A re-translation has no batch checkpoints: it saves nothing until every batch is done, is thrown
+// away if a reviewer edits a cue meanwhile, and blocks other re-translations of the job while it
+// runs. It is meant for fixing a scene, not redoing the file, so it is kept to a couple of batches.
+const MAX_RETRANSLATION_CUES = 2 * BATCH_SIZE;
+
+// ===== TYPES & INTERFACES (JSDoc) =====
+
+/**
+ * A subtitle line that matched an entry in the translation memory.
+ * @typedef {object} MemoryMatch
+ * @property {number} sequence - The matched line.
+ * @property {'exact'|'fuzzy'} matchType
+ * @property {number} score - The edit-distance similarity of the two source lines (1 for exact matches).
+ * @property {'approved'|'machine'} tier - Whether a reviewer approved the remembered translation. Only
+ *   approved translations are ever applied.
+ * @property {boolean} applied - True if the line was filled from memory, false if the match was only a suggestion.
+ * @property {string} sourceText - The remembered source line.
+ * @property {string} targetText - The remembered translation.
+ * @property {string} sourceJobId - The job the remembered translation came from.
+ */
+
+/**
+ * What one agent stage made of a line.
+ * @typedef {object} StageOutput
+ * @property {'transcreate'|'edit'|'qa'|'sync'} stage
+ * @property {string|null} model - The model that produced the text, or null if the line skipped the stage
+ *   (the sync agent only sees lines the readability analyzer flags).
+ * @property {string} text - The stage's output, with formatting tags restored.
+ */
+
+/**
+ * The output of every agent stage for one line, as checkpointed with its batch.
+ * @typedef {object} LineProvenance
+ * @property {number} sequence
+ * @property {StageOutput[]} stages - In chain order.
+ */
+
+// ===== PRIVATE HELPER FUNCTIONS =====
+
+/**
+ * Splits parsed subtitle lines into fixed-size batches for the agent chain.
+ * @private
+ * @param {import('../../core/srtParser.js').SrtLine[]} srtLines
+ * @returns {Array<import('../../core/srtParser.js').SrtLine[]>}
+ */
+function _splitIntoBatches(srtLines) {
+  const batches = [];
+  for (let i = 0; i < srtLines.length; i += BATCH_SIZE) {
+    batches.push(srtLines.slice(i, i + BATCH_SIZE));
+  }
+  return batches;
+}
+
+/**
+ * Splits the chosen lines of a file into runs of neighbouring lines, so each run can be
+ * translated with the dialogue around it as context.
+ * @private
+ * @param {import('../../core/srtParser.js').SrtLine[]} srtLines
+ * @param {Set<number>} sequences - The chosen lines.
+ * @returns {Array<import('../../core/srtParser.js').SrtLine[]>}
+ */
+function _splitIntoRuns(srtLines, sequences) {
+  const runs = [];
+  let run = [];
+  srtLines.forEach((line) => {
+    if (sequences.has(line.sequence)) {
+      run.push(line);
+    } else if (run.length > 0) {
+      runs.push(run);
+      run = [];
+    }
+  });
+  return run.length > 0 ? [...runs, run] : runs;
+}
+
+/**
+ * Swaps a line's formatting tags for placeholder tokens, keeping the tags on the line for restoration.
+ * @private
+ * @param {import('../../core/srtParser.js').SrtLine} line
+ * @returns {import('../../core/srtParser.js').SrtLine & {tags: import('../../core/formatTags.js').ProtectedTag[]}}
+ */
+function _protectLine(line) {
+  const { text, tags } = protectTags(line.text);
+  return { ...line, text, tags };
+}
+
+/**
+ * Orders translation memory candidates so approved translations come before machine ones.
+ * @private
+ * @param {{tier?: string}} candidate
+ * @returns {number}
+ */
+function _tierRank(candidate) {
+  return candidate.tier === 'approved' ? 1 : 0;
+}
+
+/**
+ * Checks whether two lines carry the same formatting tags in the same order.
+ * @private
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function _haveSameTags(a, b) {
+  const tagsOf = text => protectTags(text).tags.map(({ tag }) => tag).join('');
+  return tagsOf(a) === tagsOf(b);
+}
+
+/**
+ * Builds the batches for the agent chain. Lines filled from translation memory and lines pinned
+ * by locked review cues are left out, and memory suggestions are attached to the lines they belong to.
+ * @private
+ * @param {import('../../core/srtParser.js').SrtLine[]} srtLines
+ * @param {MemoryMatch[]} [memoryMatches=[]]
+ * @param {Set<number>} [pinnedSequences=new Set()]
+ * @returns {Array<import('../../core/srtParser.js').SrtLine[]>}
+ */
+function _planBatches(srtLines, memoryMatches = [], pinnedSequences = new Set()) {
+  const matchesBySequence = new Map(memoryMatches.map(match => [match.sequence, match]));
+  const pendingLines = srtLines
+    .filter(line => !matchesBySequence.get(line.sequence)?.applied && !pinnedSequences.has(line.sequence))
+    .map((line) => {
+      const match = matchesBySequence.get(line.sequence);
+      const protectedLine = _protectLine(line);
+      return match
+        ? { ...protectedLine, memorySuggestion: { text: stripTags(match.targetText), score: match.score } }
+        : protectedLine;
+    });
+  return _splitIntoBatches(pendingLines);
+}
+
+/**
+ * Collects the read-only dialogue context around a batch: the source lines just before and after it,
+ * with translations for the preceding lines that have already been translated (or filled from memory).
+ * @private
+ * @param {import('../../core/srtParser.js').SrtLine[]} srtLines - Every line of the file.
+ * @param {import('../../core/srtParser.js').SrtLine[]} batch
+ * @param {Map<number, string>} translationsBySequence - Translations known so far.
+ * @returns {{preceding: Array<{sequence: number, text: string, translation: string|null}>, following: Array<{sequence: number, text: string}>}}
+ */
+function _collectSurroundingLines(srtLines, batch, translationsBySequence) {
+  const firstIndex = srtLines.findIndex(line => line.sequence === batch[0].sequence);
+  const lastIndex = srtLines.findIndex(line => line.sequence === batch[batch.length - 1].sequence);
+  const toContextLine = line => ({ sequence: line.sequence, text: stripTags(line.text) });
+  return {
+    preceding: srtLines.slice(Math.max(0, firstIndex - CONTEXT_LINE_COUNT), firstIndex).map((line) => {
+      const translation = translationsBySequence.get(line.sequence);
+      return { ...toContextLine(line), translation: translation ? stripTags(translation) : null };
+    }),
+    following: srtLines.slice(lastIndex + 1, lastIndex + 1 + CONTEXT_LINE_COUNT).map(toContextLine),
+  };
+}
+
+/**
+ * Compares each stage's output with the one before it. The first stage has nothing to compare with.
+ * @private
+ * @param {StageOutput[]} stages
+ * @returns {Array<StageOutput & {changed: boolean|null, diff: import('../../core/textDiff.js').DiffPart[]|null}>}
+ */
+function _compareStages(stages) {
+  return stages.map((output, index) => {
+    const previous = stages[index - 1];
+    return {
+      ...output,
+      changed: previous ? previous.text !== output.text : null,
+      diff: previous ? diffWords(previous.text, output.text) : null,
+    };
+  });
+}
+
+/**
+ * Writes review cues back into the job's subtitle format. Non-cue content (styles, notes) is
+ * re-anchored when cues were split or merged.
+ * @private
+ * @param {import('../../core/subtitleFormats.js').ParsedSubtitles} parsedSubtitles - The parsed source file.
+ * @param {import('../../core/reviewCues.js').ReviewCue[]} cues
+ * @param {import('../../core/resegmenter.js').SegmentMapping[]|null} segmentMap - From `toSegmentMap(cues)`.
+ * @returns {string}
+ */
+function _renderCues(parsedSubtitles, cues, segmentMap) {
+  const document = segmentMap
+    ? reanchorDocument(parsedSubtitles, position => toResegmentedPosition(position, segmentMap))
+    : parsedSubtitles;
+  return serializeSubtitles(document, toSubtitleLines(cues));
+}
+
+/**
+ * @private
+ * @param {import('../../core/blueprintVersions.js').BlueprintVersion[]} versions
+ * @param {number} version
+ * @param {string} jobId
+ * @returns {import('../../core/blueprintVersions.js').BlueprintVersion}
+ * @throws {NotFoundError}
+ */
+function _findBlueprintVersion(versions, version, jobId) {
+  const found = versions.find(entry => entry.version === version);
+  if (!found) {
+    throw new NotFoundError(`Blueprint version ${version} not found in job ${jobId}.`);
+  }
+  return found;
+}
+
+/**
+ * Drops extracted keywords that a project's glossary already translates.
+ * @private
+ * @param {Array<{term: string, definition: string}>} keywords
+ * @param {Array<{term: string}>} glossary
+ * @returns {Array<{term: string, definition: string}>}
+ */
+function _withoutKnownTerms(keywords, glossary) {
+  const knownTerms = new Set(glossary.map(item => normalizeForMatching(item.term)));
+  return keywords.filter(keyword => !knownTerms.has(normalizeForMatching(keyword.term)));
+}
+
+/**
+ * Shapes the state of a job's latest cue re-translation for clients.
+ * @private
+ * @param {object} [retranslationRun]
+ * @returns {object|null}
+ */
+function _toRetranslationView(retranslationRun) {
+  if (!retranslationRun) {
+    return null;
+  }
+  const { leaseExpiresAt, ...view } = retranslationRun;
+  return view;
+}
+
+/**
+ * Reduces an error to the plain details we persist on a failed job.
+ * @private
+ * @param {Error} error
+ * @returns {{message: string, errorCode: string, failedAt: Date}}
+ */
+function _toJobError(error) {
+  return {
+    message: error.message,
+    errorCode: error.errorCode || 'INTERNAL_ERROR',
+    ...(error.context?.failedBatches && { failedBatches: error.context.failedBatches }),
+    failedAt: new Date(),
+  };
+}
 
 // ===== SERVICE CLASS =====
 export class TranslationService {
-  constructor({ repository, agentService, logger }) {
+  constructor({ repository, agentService, events, projects, logger, leaseRenewalMs = DEFAULT_LEASE_RENEWAL_MS }) {
     this.repository = repository;
     this.agentService = agentService;
+    /** @type {import('../project/project.service.js').ProjectService} */
+    this.projects = projects;
+    /** @type {import('./translation.events.js').JobEventHub} */
+    this.events = events;
     this.logger = logger;
+    this.leaseRenewalMs = leaseRenewalMs;
+    // Jobs this process is running, which its recovery sweep must never take over.
+    this.ownedJobs = new Set();
+  }
+
+  /**
+   * Renews a lease on a heartbeat until the returned function is called, so a slow but live run
+   * (a long model call, a rate-limit pause) is never mistaken for one whose instance stopped.
+   * @private
+   * @param {string} jobId
+   * @param {() => Promise<unknown>} renewLease
+   * @returns {() => void} Stops renewing.
+   */
+  _keepLeaseAlive(jobId, renewLease) {
+    const heartbeat = setInterval(() => {
+      renewLease().catch(error => this.logger.warn({ jobId, err: error }, 'Could not renew job lease.'));
+    }, this.leaseRenewalMs);
+    heartbeat.unref();
+    return () => clearInterval(heartbeat);
+  }
+
+  /**
+   * Runs work on a job in a running status, holding the job's lease until it settles.
+   * @private
+   * @template T
+   * @param {string} jobId
+   * @param {() => Promise<T>} work
+   * @returns {Promise<T>}
+   */
+  async _runOwnedJob(jobId, work) {
+    this.ownedJobs.add(jobId);
+    const stopRenewing = this._keepLeaseAlive(jobId, () => this.repository.renewJobLease(jobId));
+    try {
+      return await work();
+    } finally {
+      stopRenewing();
+      this.ownedJobs.delete(jobId);
+    }
+  }
+
+  /**
+   * Loads a job the caller is allowed to access.
+   * @private
+   * @param {string} jobId
+   * @param {import('../auth/auth.service.js').Principal} principal
+   * @returns {Promise<object>}
+   * @throws {NotFoundError} If the job does not exist.
+   * @throws {ForbiddenError} If the job belongs to another workspace.
+   */
+  async _getAccessibleJob(jobId, principal) {
+    const job = await this.repository.getJobById(jobId);
+    if (!job) {
+      throw new NotFoundError(`Job with ID ${jobId} not found.`);
+    }
+    assertJobAccess(principal, job);
+    return job;
   }
 
   /**
-   * Orchestrates the creation of a translation blueprint.
+   * Orchestrates the creation of a translation blueprint. The job is owned by the caller
+   * and their workspace. The generated blueprint is saved as version 1.
+   * A job created in a project inherits the project's master blueprint; only keywords the
+   * master's glossary does not already cover are grounded and added to it.
    * @param {string} subtitleContent
    * @param {object} settings
-   * @returns {Promise<{jobId: string, blueprint: object}>}
+   * @param {string} [projectId] - The project the job belongs to, if any.
+   * @param {import('../auth/auth.service.js').Principal} principal
+   * @returns {Promise<{jobId: string, projectId?: string, blueprintVersion: number, blueprint: object}>}
+   * @throws {BadRequestError} If a language is unsupported or differs from the project's.
+   * @throws {NotFoundError} If the project does not exist.
+   * @throws {ForbiddenError} If the project belongs to another workspace.
    */
-  async generateTranslationBlueprint(subtitleContent, settings) {
+  async generateTranslationBlueprint(subtitleContent, settings, projectId, principal) {
     this.logger.info("--- Service: Starting Blueprint Generation ---");
+    // Reject unsupported languages (and inaccessible projects) before a job record is created.
+    const languages = resolveLanguagePair(settings);
+    const project = projectId ? await this.projects.getProjectForJob(projectId, languages, principal) : null;
 
-    const jobResult = await this.repository.createJob({ subtitleContent, settings });
+    const format = detectSubtitleFormat(subtitleContent);
+    const jobResult = await this.repository.createJob({
+      subtitleContent,
+      format,
+      settings,
+      ownerId: principal.ownerId,
+      workspaceId: principal.workspaceId,
+      ...(project && { projectId }),
+    });
     const jobId = jobResult.insertedId.toString();
-    this.logger.info({ jobId }, "Translation job record created.");
+    this.logger.info({ jobId, projectId }, "Translation job record created.");
 
-    const isSrtMode = subtitleContent.includes('-->');
-    const textToAnalyze = isSrtMode
-      ? parseSrt(subtitleContent).map(line => line.text).join('\n')
-      : subtitleContent;
+    // The job is 'processing_blueprint' until its blueprint is saved, and holds its lease until then.
+    const blueprint = await this._runOwnedJob(jobId, async () => {
+      let generated;
+      try {
+        // Plain-text scripts can still get a blueprint, they just cannot be executed.
+        const textToAnalyze = format
+          ? parseSubtitles(subtitleContent).lines.map(line => stripTags(line.text)).join('\n')
+          : subtitleContent;
 
-    const { keywords } = await this.agentService.extractKeywords(textToAnalyze);
-    const { grounded_keywords } = await this.agentService.groundTranslations(keywords);
-    const blueprint = await this.agentService.assembleBlueprint(textToAnalyze, settings.tone, grounded_keywords);
-    
-    await this.repository.saveBlueprint(jobId, blueprint);
+        const agents = this.agentService.forJob(jobId);
+        const { keywords: extracted } = await agents.extractKeywords(textToAnalyze);
+        const keywords = project ? _withoutKnownTerms(extracted, project.masterBlueprint.glossary) : extracted;
+        const preferredTranslations = await this._recallGlossaryTerms(jobId, keywords, languages, principal.workspaceId);
+        const { grounded_keywords } = await agents.groundTranslations(keywords, languages);
+        generated = await agents.assembleBlueprint(textToAnalyze, settings.tone, grounded_keywords, languages, preferredTranslations);
+        if (project) {
+          generated = inheritMasterBlueprint(project.masterBlueprint, generated);
+          this.logger.info({ jobId, projectId, masterVersion: project.masterVersion, newKeywordCount: keywords.length }, "Project master blueprint inherited.");
+        }
+      } catch (error) {
+        // Record the failure so the job does not sit in 'processing_blueprint' forever.
+        await this.repository.markJobFailed(jobId, _toJobError(error));
+        throw error;
+      }
+
+      await this.repository.saveBlueprint(jobId, {
+        version: 1,
+        blueprint: generated,
+        source: 'generated',
+        changes: [],
+        createdBy: principal.ownerId,
+        createdAt: new Date(),
+      });
+      return generated;
+    });
     this.logger.info({ jobId }, "Blueprint saved successfully.");
+    // Only jobs that got a blueprint are listed in the project.
+    if (project) {
+      await this.projects.addJob(projectId, jobId);
+    }
+
+    this.logger.info({ jobId }, "--- Service: Blueprint Generation Complete ---");
+    return { jobId, ...(project && { projectId }), blueprintVersion: 1, blueprint };
+  }
+
+  /**
+   * Validates a job and schedules its translation chain in the background.
+   * The caller gets an immediate acknowledgement and polls `getJobStatus` for the outcome.
+   * The blueprint is either a saved version, by number, or a full blueprint; a full blueprint that
+   * differs from the latest version is saved as a new version first.
+   * @param {string} jobId
+   * @param {{confirmedBlueprint?: object, blueprintVersion?: number}} blueprintChoice - Exactly one of the two.
+   * @param {object} settings
+   * @param {import('../auth/auth.service.js').Principal} principal
+   * @returns {Promise<{jobId: string, status: string, batchesTotal: number, blueprintVersion: number}>}
+   * @throws {BadRequestError} If both or neither of a blueprint and a version are given, or the
+   *   settings use other languages than the blueprint was generated for.
+   * @throws {NotFoundError} If the job or the blueprint version does not exist.
+   * @throws {ForbiddenError} If the job belongs to another workspace.
+   * @throws {ConflictError} If the job is still generating its blueprint or already translating.
+   */
+  async startTranslationChain(jobId, { confirmedBlueprint, blueprintVersion }, settings, principal) {
+    if (Boolean(confirmedBlueprint) === Boolean(blueprintVersion)) {
+      throw new BadRequestError('Send either a confirmedBlueprint or the blueprintVersion to execute, not both.');
+    }
+    const job = await this._getAccessibleJob(jobId, principal);
+    // Fails fast before any blueprint version is saved; the repository re-checks the status as it starts the job.
+    if (RUNNING_STATUSES.includes(job.status)) {
+      throw new ConflictError(`Job ${jobId} is already in progress (status: ${job.status}).`);
+    }
+    // Validate the languages now so a bad request gets a 400 rather than a failed background job.
+    const languages = resolveLanguagePair(settings);
+    // The blueprint, its glossary and the memory it recalled are all for the languages it was generated in.
+    const blueprintLanguages = resolveLanguagePair(job.settings);
+    if (languages.source.code !== blueprintLanguages.source.code || languages.target.code !== blueprintLanguages.target.code) {
+      throw new BadRequestError(
+        `Job ${jobId} was planned from ${blueprintLanguages.source.code} to ${blueprintLanguages.target.code}; the execution settings must use the same languages.`
+      );
+    }
+
+    // Parse up front so malformed content is rejected with a 400 instead of failing in the background.
+    const batchesTotal = _splitIntoBatches(parseSubtitles(job.subtitleContent).lines).length;
+    const executed = await this._resolveExecutedBlueprint(job, { confirmedBlueprint, blueprintVersion }, principal);
+    const { blueprint } = executed;
+    await this.repository.startTranslation(jobId, { confirmedBlueprint: blueprint, blueprintVersion: executed.version, settings, batchesTotal });
 
+    runInBackground(
+      () => this._runTranslationJob(jobId, blueprint, settings),
+      this.logger,
+      `TranslationChain for Job ${jobId}`
+    );
+
+    // Only the user-approved glossary is remembered for future jobs.
     if (blueprint.glossary?.length > 0) {
       this.logger.info({ jobId, termCount: blueprint.glossary.length }, "Scheduling glossary upsert.");
       runInBackground(
-        () => this.repository.upsertGlossaryVectors(jobId, blueprint.glossary),
+        () => this._rememberGlossaryTerms(jobId, blueprint.glossary, languages, job.workspaceId),
         this.logger,
         `UpsertGlossaryVectors for Job ${jobId}`
       );
     }
-    
-    this.logger.info({ jobId }, "--- Service: Blueprint Generation Complete ---");
-    return { jobId, blueprint };
+
+    return { jobId, status: 'translating', batchesTotal, blueprintVersion: executed.version };
   }
 
   /**
-   * Orchestrates the full translation of an SRT file.
+   * Loads a job's blueprint versions, oldest first. Jobs created before versions were stored
+   * apart still carry their early versions on the document, and jobs created before blueprints
+   * were versioned get their single blueprint as version 1.
+   * @private
+   * @param {object} job
+   * @returns {Promise<import('../../core/blueprintVersions.js').BlueprintVersion[]>} Empty if the job has no blueprint yet.
+   */
+  async _loadBlueprintVersions(job) {
+    const stored = await this.repository.listBlueprintVersions(job._id.toString());
+    const legacy = job.blueprintVersions
+      ?? (job.blueprint ? [{ version: 1, blueprint: job.blueprint, source: 'generated', changes: [], createdBy: job.ownerId ?? null, createdAt: job.createdAt }] : []);
+    const storedNumbers = new Set(stored.map(version => version.version));
+    return [...legacy.filter(version => !storedNumbers.has(version.version)), ...stored];
+  }
+
+  /**
+   * Picks the blueprint version a translation runs with. A full blueprint that differs from
+   * the latest version is saved as a new version first.
+   * @private
+   * @param {object} job
+   * @param {{confirmedBlueprint?: object, blueprintVersion?: number}} blueprintChoice
+   * @param {import('../auth/auth.service.js').Principal} principal
+   * @returns {Promise<import('../../core/blueprintVersions.js').BlueprintVersion>}
+   * @throws {NotFoundError} If the requested version does not exist.
+   */
+  async _resolveExecutedBlueprint(job, { confirmedBlueprint, blueprintVersion }, principal) {
+    const versions = await this._loadBlueprintVersions(job);
+    if (blueprintVersion) {
+      return _findBlueprintVersion(versions, blueprintVersion, job._id.toString());
+    }
+    const latest = versions[versions.length - 1];
+    if (latest && diffBlueprints(latest.blueprint, confirmedBlueprint).identical) {
+      return latest;
+    }
+    return this._saveBlueprintVersion(job, versions, confirmedBlueprint, { source: 'confirmed', principal });
+  }
+
+  /**
+   * Saves a blueprint as the job's next version.
+   * @private
+   * @param {object} job
+   * @param {import('../../core/blueprintVersions.js').BlueprintVersion[]} versions - The job's current versions.
+   * @param {object} blueprint
+   * @param {{source: 'edit'|'confirmed', changes?: import('../../core/blueprintVersions.js').BlueprintChange[], principal: import('../auth/auth.service.js').Principal}} details -
+   *   Without `changes`, they are worked out by comparing with the latest version.
+   * @returns {Promise<import('../../core/blueprintVersions.js').BlueprintVersion>}
+   * @throws {ConflictError} If another version was saved since the job was loaded.
+   */
+  async _saveBlueprintVersion(job, versions, blueprint, { source, changes, principal }) {
+    const latest = versions[versions.length - 1];
+    const entry = {
+      version: (latest?.version || 0) + 1,
+      blueprint,
+      source,
+      changes: changes ?? (latest ? listBlueprintChanges(diffBlueprints(latest.blueprint, blueprint)) : []),
+      createdBy: principal.ownerId,
+      createdAt: new Date(),
+    };
+    await this.repository.saveBlueprintVersion(job._id.toString(), { blueprintVersion: entry, expectedVersion: job.blueprintVersion });
+    this.logger.info({ jobId: job._id.toString(), version: entry.version, source, changeCount: entry.changes.length }, 'Blueprint version saved.');
+    return entry;
+  }
+
+  /**
+   * Lists the versions of a job's blueprint, without their content.
+   * @param {string} jobId
+   * @param {import('../auth/auth.service.js').Principal} principal
+   * @returns {Promise<{jobId: string, currentVersion: number|null, executedVersion: number|null, versions: object[]}>}
+   * @throws {NotFoundError} If the job does not exist.
+   * @throws {ForbiddenError} If the job belongs to another workspace.
+   */
+  async listBlueprintVersions(jobId, principal) {
+    const job = await this._getAccessibleJob(jobId, principal);
+    const versions = await this._loadBlueprintVersions(job);
+    return {
+      jobId,
+      currentVersion: versions[versions.length - 1]?.version ?? null,
+      executedVersion: job.executedBlueprintVersion ?? null,
+      versions: versions.map(({ blueprint, ...details }) => details),
+    };
+  }
+
+  /**
+   * @param {string} jobId
+   * @param {number} version
+   * @param {import('../auth/auth.service.js').Principal} principal
+   * @returns {Promise<import('../../core/blueprintVersions.js').BlueprintVersion & {jobId: string}>}
+   * @throws {NotFoundError} If the job or version does not exist.
+   * @throws {ForbiddenError} If the job belongs to another workspace.
+   */
+  async getBlueprintVersion(jobId, version, principal) {
+    const job = await this._getAccessibleJob(jobId, principal);
+    const versions = await this._loadBlueprintVersions(job);
+    return { jobId, ..._findBlueprintVersion(versions, version, jobId) };
+  }
+
+  /**
+   * Compares two versions of a job's blueprint.
+   * @param {string} jobId
+   * @param {{from: number, to?: number}} versions - `to` defaults to the latest version.
+   * @param {import('../auth/auth.service.js').Principal} principal
+   * @returns {Promise<object>} The diff, with the list of changes it amounts to.
+   * @throws {NotFoundError} If the job or either version does not exist.
+   * @throws {ForbiddenError} If the job belongs to another workspace.
+   */
+  async diffBlueprintVersions(jobId, { from, to }, principal) {
+    const job = await this._getAccessibleJob(jobId, principal);
+    const versions = await this._loadBlueprintVersions(job);
+    const before = _findBlueprintVersion(versions, from, jobId);
+    const after = _findBlueprintVersion(versions, to ?? versions[versions.length - 1].version, jobId);
+    const diff = diffBlueprints(before.blueprint, after.blueprint);
+    return { jobId, from: before.version, to: after.version, changes: listBlueprintChanges(diff), ...diff };
+  }
+
+  /**
+   * Adds, changes or removes one glossary entry, character profile or cultural adaptation,
+   * saving the result as a new blueprint version.
+   * @param {string} jobId
+   * @param {{action: 'add'|'update'|'remove', section: string, key?: string, entry?: object}} change
+   * @param {import('../auth/auth.service.js').Principal} principal
+   * @returns {Promise<{jobId: string, version: number, change: import('../../core/blueprintVersions.js').BlueprintChange, blueprint: object}>}
+   * @throws {BadRequestError} If the entry is invalid.
+   * @throws {NotFoundError} If the job or the entry to change does not exist.
+   * @throws {ForbiddenError} If the job belongs to another workspace.
+   * @throws {ConflictError} If the job has no blueprint yet, the entry already exists, or the blueprint changed meanwhile.
+   */
+  async changeBlueprintEntry(jobId, change, principal) {
+    const job = await this._getAccessibleJob(jobId, principal);
+    const versions = await this._loadBlueprintVersions(job);
+    if (versions.length === 0) {
+      throw new ConflictError(`Job ${jobId} has no blueprint yet (status: ${job.status}).`);
+    }
+    const result = applyBlueprintChange(versions[versions.length - 1].blueprint, change);
+    const { version, blueprint } = await this._saveBlueprintVersion(job, versions, result.blueprint, {
+      source: 'edit',
+      changes: [result.change],
+      principal,
+    });
+    return { jobId, version, change: result.change, blueprint };
+  }
+
+  /**
+   * Promotes entries a job's blueprint added or changed into the master blueprint of the job's
+   * project, so later episodes inherit them. By default the version the job was last translated
+   * with is promoted, since that is the one the user approved.
+   * @param {string} jobId
+   * @param {{blueprintVersion?: number, entries?: Array<{section: string, key: string}>}} promotion -
+   *   The version to promote from, and the entries to promote; by default, every added or changed one.
+   * @param {import('../auth/auth.service.js').Principal} principal
+   * @returns {Promise<{jobId: string, projectId: string, blueprintVersion: number, changes: object[], masterVersion: number, masterBlueprint: object}>}
+   * @throws {NotFoundError} If the job, the version or a selected entry does not exist.
+   * @throws {ForbiddenError} If the job or its project belongs to another workspace.
+   * @throws {ConflictError} If the job is not in a project, has no approved blueprint, or there is nothing to promote.
+   */
+  async promoteBlueprintToProject(jobId, { blueprintVersion, entries }, principal) {
+    const job = await this._getAccessibleJob(jobId, principal);
+    if (!job.projectId) {
+      throw new ConflictError(`Job ${jobId} is not part of a project.`);
+    }
+    const version = blueprintVersion ?? job.executedBlueprintVersion;
+    if (!version) {
+      throw new ConflictError(`Job ${jobId} has not been translated yet. Name the blueprintVersion to promote.`);
+    }
+    const versions = await this._loadBlueprintVersions(job);
+    const promoted = _findBlueprintVersion(versions, version, jobId);
+    const { project, changes } = await this.projects.promoteBlueprint(job.projectId, promoted.blueprint, {
+      jobId,
+      blueprintVersion: promoted.version,
+      selection: entries,
+    }, principal);
+    this.logger.info({ jobId, projectId: job.projectId, blueprintVersion: promoted.version, changeCount: changes.length }, 'Blueprint entries promoted to the project.');
+    return {
+      jobId,
+      projectId: job.projectId,
+      blueprintVersion: promoted.version,
+      changes,
+      masterVersion: project.masterVersion,
+      masterBlueprint: project.masterBlueprint,
+    };
+  }
+
+  /**
+   * Re-runs only the batches of a failed job that are missing or failed, reusing its checkpoints.
+   * @param {string} jobId
+   * @param {import('../auth/auth.service.js').Principal} principal
+   * @returns {Promise<{jobId: string, status: string, batchesTotal: number, batchesRemaining: number}>}
+   * @throws {NotFoundError} If the job does not exist.
+   * @throws {ForbiddenError} If the job belongs to another workspace.
+   * @throws {ConflictError} If the job is not in a resumable state.
+   */
+  async resumeTranslationChain(jobId, principal) {
+    const job = await this._getAccessibleJob(jobId, principal);
+    if (job.status !== 'failed' || !job.confirmedBlueprint) {
+      throw new ConflictError(`Job ${jobId} cannot be resumed (status: ${job.status}).`);
+    }
+    return this._resumeJob(job);
+  }
+
+  /**
+   * Finds running jobs whose instance stopped, claims each one and either resumes or fails it.
+   * A job is only recovered once its lease has expired, so several instances can sweep the
+   * same jobs without taking over each other's work; jobs this process runs are never swept.
+   * Blueprint generation has no checkpoints, so those jobs are always marked as failed.
+   * @returns {Promise<{resumed: number, failed: number, skipped: number, errors: number}>}
+   */
+  async recoverInterruptedJobs() {
+    const jobs = await this.repository.findJobsByStatus(RUNNING_STATUSES);
+    const outcome = { resumed: 0, failed: 0, skipped: 0, errors: 0 };
+    for (const job of jobs) {
+      const jobId = job._id.toString();
+      if (this.ownedJobs.has(jobId)) {
+        outcome.skipped++;
+        continue;
+      }
+      let claimed = false;
+      // One broken job must not stop the others from being recovered.
+      try {
+        claimed = await this.repository.claimInterruptedJob(jobId, job.status);
+        if (!claimed) {
+          outcome.skipped++;
+          continue;
+        }
+        const canResume = job.status === 'translating' && job.confirmedBlueprint && config.JOB_RECOVERY_MODE === 'resume';
+        if (canResume) {
+          await this._resumeJob(job);
+          outcome.resumed++;
+        } else {
+          await this.repository.markJobFailed(jobId, {
+            message: `Job was interrupted by a server restart while in '${job.status}'.`,
+            errorCode: 'JOB_INTERRUPTED',
+            failedAt: new Date(),
+          });
+          outcome.failed++;
+        }
+      } catch (error) {
+        this.logger.error({ jobId, err: error }, 'Could not recover interrupted job.');
+        outcome.errors++;
+        // A claimed job that cannot be resumed is failed, rather than claimed again on every sweep.
+        if (claimed) {
+          await this.repository.markJobFailed(jobId, _toJobError(error))
+            .catch(markError => this.logger.error({ jobId, err: markError }, 'Could not mark unrecoverable job as failed.'));
+        }
+      }
+    }
+    this.logger.info(outcome, 'Interrupted job recovery complete.');
+    return outcome;
+  }
+
+  /**
+   * Marks a job as translating again and schedules the remaining batches in the background.
+   * @private
+   */
+  async _resumeJob(job) {
+    const jobId = job._id.toString();
+    const batchesTotal = _planBatches(parseSubtitles(job.subtitleContent).lines, job.memoryMatches, findPinnedSequences(job.cues)).length;
+    const batchesCompleted = Object.values(job.batches || {}).filter(batch => batch.status === 'complete').length;
+    await this.repository.resumeTranslation(jobId, { batchesCompleted, batchesTotal, expectedStatus: job.status });
+    this.logger.info({ jobId, batchesCompleted, batchesTotal }, 'Resuming translation job from checkpoints.');
+
+    runInBackground(
+      () => this._runTranslationJob(jobId, job.confirmedBlueprint, job.executionSettings),
+      this.logger,
+      `ResumeTranslationChain for Job ${jobId}`
+    );
+
+    return { jobId, status: 'translating', batchesTotal, batchesRemaining: batchesTotal - batchesCompleted };
+  }
+
+  /**
+   * Reports the current state of a job for status polling.
+   * @param {string} jobId
+   * @param {import('../auth/auth.service.js').Principal} principal
+   * @returns {Promise<object>}
+   * @throws {NotFoundError} If the job does not exist.
+   * @throws {ForbiddenError} If the job belongs to another workspace.
+   */
+  async getJobStatus(jobId, principal) {
+    const job = await this._getAccessibleJob(jobId, principal);
+    return {
+      jobId,
+      ownerId: job.ownerId ?? null,
+      workspaceId: job.workspaceId ?? null,
+      projectId: job.projectId ?? null,
+      status: job.status,
+      format: job.format,
+      progress: job.progress || { batchesCompleted: 0, batchesTotal: 0 },
+      blueprintVersion: job.blueprintVersion ?? (job.blueprint ? 1 : null),
+      executedBlueprintVersion: job.executedBlueprintVersion ?? null,
+      // Tokens spent per pipeline stage, across every run of the job.
+      tokenUsage: job.tokenUsage || {},
+      retranslation: _toRetranslationView(job.retranslationRun),
+      ...(job.status === 'complete' && {
+        finalSubtitles: job.finalSubtitles,
+        formattingIssues: job.formattingIssues || [],
+        memoryMatches: job.memoryMatches || [],
+        syncSuggestions: job.syncSuggestions || [],
+        timingChanges: job.timingChanges || [],
+        lineBreakIssues: job.lineBreakIssues || [],
+        compressions: job.compressions || [],
+        ...(job.segmentMap && { segmentMap: job.segmentMap }),
+      }),
+      ...(job.status === 'failed' && { error: job.error }),
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt,
+    };
+  }
+
+  /**
+   * Reports, line by line, what each agent stage produced and how it differed from the stage
+   * before it, with a per-stage count of the lines it ran on and changed.
+   * Lines appear as soon as their batch is checkpointed, so a running job returns a partial history.
+   * @param {string} jobId
+   * @param {import('../auth/auth.service.js').Principal} principal
+   * @returns {Promise<object>}
+   * @throws {NotFoundError} If the job does not exist.
+   * @throws {ForbiddenError} If the job belongs to another workspace.
+   */
+  async getJobProvenance(jobId, principal) {
+    const job = await this._getAccessibleJob(jobId, principal);
+    const sourceBySequence = new Map(parseSubtitles(job.subtitleContent).lines.map(line => [line.sequence, line.text]));
+
+    const memoryLines = (job.memoryMatches || [])
+      .filter(match => match.applied)
+      .map(match => ({
+        sequence: match.sequence,
+        sourceText: sourceBySequence.get(match.sequence),
+        origin: 'memory',
+        stages: [],
+        finalText: match.targetText,
+        memoryMatch: { matchType: match.matchType, score: match.score, sourceJobId: match.sourceJobId },
+      }));
+    const agentLines = Object.values(job.batches || {})
+      .filter(batch => batch.status === 'complete' && batch.provenance)
+      .flatMap(batch => batch.provenance.map((entry, index) => ({
+        sequence: entry.sequence,
+        sourceText: sourceBySequence.get(entry.sequence),
+        origin: 'agents',
+        stages: _compareStages(entry.stages),
+        finalText: batch.translations[index],
+      })));
+    // A line re-translated on request is described by its latest re-translation instead.
+    const retranslatedLines = new Map((job.retranslations || []).flatMap(({ by, at, instruction, provenance }) =>
+      provenance.map(entry => [entry.sequence, {
+        sequence: entry.sequence,
+        sourceText: sourceBySequence.get(entry.sequence),
+        origin: 'retranslation',
+        stages: _compareStages(entry.stages),
+        finalText: entry.stages.at(-1).text,
+        retranslation: { by, at, instruction },
+      }])
+    ));
+    const lines = [...memoryLines, ...agentLines]
+      .filter(line => !retranslatedLines.has(line.sequence))
+      .concat([...retranslatedLines.values()])
+      .sort((a, b) => a.sequence - b.sequence);
+
+    const stageSummary = BATCH_STAGES.map((stage) => {
+      const outputs = lines.map(line => line.stages.find(output => output.stage === stage)).filter(Boolean);
+      return {
+        stage,
+        linesRun: outputs.filter(output => output.model !== null).length,
+        linesChanged: outputs.filter(output => output.changed).length,
+      };
+    });
+
+    return { jobId, status: job.status, stageSummary, lines };
+  }
+
+  /**
+   * Loads the review cues of a finished job. Jobs finished before cues were stored get
+   * theirs rebuilt from the final file.
+   * @private
+   * @param {object} job
+   * @returns {import('../../core/reviewCues.js').ReviewCue[]}
+   * @throws {ConflictError} If the job has not finished translating.
+   */
+  _loadReviewCues(job) {
+    if (job.status !== 'complete') {
+      throw new ConflictError(`Job ${job._id} cannot be reviewed until it is complete (status: ${job.status}).`);
+    }
+    if (job.cues) {
+      return job.cues;
+    }
+    const sourceLines = parseSubtitles(job.subtitleContent).lines;
+    return buildReviewCues(parseSubtitles(job.finalSubtitles).lines, sourceLines, job.segmentMap);
+  }
+
+  /**
+   * Lists a finished job's cues, each paired with the source lines it was translated from,
+   * for review.
+   * @param {string} jobId
+   * @param {import('../auth/auth.service.js').Principal} principal
+   * @returns {Promise<{jobId: string, cuesVersion: number, summary: object, cues: import('../../core/reviewCues.js').ReviewCue[]}>}
+   * @throws {NotFoundError} If the job does not exist.
+   * @throws {ForbiddenError} If the job belongs to another workspace.
+   * @throws {ConflictError} If the job has not finished translating.
+   */
+  async getJobCues(jobId, principal) {
+    const job = await this._getAccessibleJob(jobId, principal);
+    const cues = this._loadReviewCues(job);
+    const summary = {
+      total: cues.length,
+      edited: cues.filter(cue => cue.status === 'edited').length,
+      approved: cues.filter(cue => cue.status === 'approved').length,
+      locked: cues.filter(cue => cue.locked).length,
+    };
+    return { jobId, cuesVersion: job.cuesVersion || 0, summary, cues };
+  }
+
+  /**
+   * Applies a reviewer's change to one cue and regenerates the final file from the cues.
+   * Every change is recorded on the cue with the reviewer's owner ID and the time.
+   * A cue that ends up approved or locked is remembered as an approved translation for future jobs.
+   * @param {string} jobId
+   * @param {number} sequence - The cue's number in the final file.
+   * @param {{text?: string, approved?: boolean, locked?: boolean}} change
+   * @param {import('../auth/auth.service.js').Principal} principal
+   * @returns {Promise<{jobId: string, cuesVersion: number, cue: import('../../core/reviewCues.js').ReviewCue, finalSubtitles: string}>}
+   * @throws {BadRequestError} If the change is empty.
+   * @throws {NotFoundError} If the job or cue does not exist.
+   * @throws {ForbiddenError} If the job belongs to another workspace.
+   * @throws {ConflictError} If the job is not complete, the cue is locked, or the cues were changed concurrently.
+   */
+  async updateJobCue(jobId, sequence, change, principal) {
+    if (['text', 'approved', 'locked'].every(field => change[field] === undefined)) {
+      throw new BadRequestError('Send at least one of text, approved or locked.');
+    }
+    const job = await this._getAccessibleJob(jobId, principal);
+    const cues = this._loadReviewCues(job);
+    const index = cues.findIndex(cue => cue.sequence === sequence);
+    if (index === -1) {
+      throw new NotFoundError(`Cue ${sequence} not found in job ${jobId}.`);
+    }
+
+    const { cue, changed } = applyCueChange(cues[index], change, { by: principal.ownerId, at: new Date() });
+    const cuesVersion = job.cuesVersion || 0;
+    if (!changed) {
+      return { jobId, cuesVersion, cue, finalSubtitles: job.finalSubtitles };
+    }
+    const updatedCues = cues.map((existing, position) => (position === index ? cue : existing));
+    const finalSubtitles = _renderCues(parseSubtitles(job.subtitleContent), updatedCues, toSegmentMap(updatedCues));
+    // Reviewed text is checked against the same reading-speed limits as machine output.
+    const syncSuggestions = analyzeReadability(toSubtitleLines(updatedCues), resolveLanguagePair(job.executionSettings).target);
+    await this.repository.saveReviewedCues(jobId, { cues: updatedCues, finalSubtitles, syncSuggestions, expectedVersion: cuesVersion });
+    this.logger.info({ jobId, sequence, reviewer: principal.ownerId, actions: cue.history.slice(cues[index].history.length).map(entry => entry.action) }, "Cue reviewed.");
+    // Clients that connect to the event stream after the review must get the reviewed file.
+    this.events.publish(jobId, 'cues_updated', { cuesVersion: cuesVersion + 1, finalSubtitles });
+
+    const reviewedPair = reviewedPairs(updatedCues).get(sequence);
+    if (reviewedPair) {
+      runInBackground(
+        () => this._rememberTranslations(jobId, [reviewedPair], resolveLanguagePair(job.executionSettings), job.workspaceId, 'approved'),
+        this.logger,
+        `UpsertTranslationMemory for Job ${jobId}`
+      );
+    }
+
+    return { jobId, cuesVersion: cuesVersion + 1, cue, finalSubtitles };
+  }
+
+  /**
+   * Validates a re-translation of the chosen cues and schedules it in the background. Each chosen
+   * cue is re-translated from its source lines together with every other cue made from them,
+   * optionally with an instruction from the reviewer; locked cues are skipped.
+   * The caller gets an immediate acknowledgement and follows the job's `retranslation` status or
+   * its event stream for the outcome.
+   * @param {string} jobId
+   * @param {{cues: Array<number|string>, instruction?: string}} request - Cue sequence numbers and
+   *   ranges such as "10-14", and the reviewer's instruction.
+   * @param {import('../auth/auth.service.js').Principal} principal
+   * @returns {Promise<{jobId: string, status: string, cuesVersion: number, sourceSequences: number[], skipped: Array<{sequence: number, reason: string}>}>}
+   * @throws {BadRequestError} If the selection is malformed or too large.
+   * @throws {NotFoundError} If the job or a selected cue does not exist.
+   * @throws {ForbiddenError} If the job belongs to another workspace.
+   * @throws {ConflictError} If the job is not complete, every selected cue is locked, the cues changed
+   *   meanwhile, or another re-translation is still running.
+   */
+  async retranslateCues(jobId, { cues: selection, instruction: rawInstruction }, principal) {
+    const instruction = rawInstruction?.trim() || null;
+    const selected = expandCueSelection(selection, MAX_RETRANSLATION_CUES);
+    const job = await this._getAccessibleJob(jobId, principal);
+    const cues = this._loadReviewCues(job);
+    const missing = [...selected].filter(sequence => !cues.some(cue => cue.sequence === sequence));
+    if (missing.length > 0) {
+      throw new NotFoundError(`Cues not found in job ${jobId}: ${missing.join(', ')}.`);
+    }
+
+    const lockedSources = findPinnedSequences(cues);
+    const isLocked = cue => cue.sourceSequences.some(sequence => lockedSources.has(sequence));
+    const selectedCues = cues.filter(cue => selected.has(cue.sequence));
+    const skipped = selectedCues.filter(isLocked).map(cue => ({ sequence: cue.sequence, reason: 'locked' }));
+    const targetSequences = new Set(selectedCues.filter(cue => !isLocked(cue)).flatMap(cue => cue.sourceSequences));
+    if (targetSequences.size === 0) {
+      throw new ConflictError('Every selected cue is locked. Unlock them before re-translating.');
+    }
+
+    const cuesVersion = job.cuesVersion || 0;
+    const by = principal.ownerId;
+    const sourceSequences = [...targetSequences].sort((a, b) => a - b);
+    await this.repository.startRetranslation(jobId, {
+      expectedVersion: cuesVersion,
+      request: { by, requestedAt: new Date(), instruction, sourceSequences, skipped },
+    });
+    this.events.publish(jobId, 'retranslation_started', { sourceSequences, instruction });
+
+    const stopRenewing = this._keepLeaseAlive(jobId, () => this.repository.renewRetranslationLease(jobId));
+    runInBackground(
+      () => this._runRetranslation(job, cues, { targetSequences, instruction, by, skipped }).finally(stopRenewing),
+      this.logger,
+      `RetranslateCues for Job ${jobId}`
+    );
+
+    return { jobId, status: 'retranslating', cuesVersion, sourceSequences, skipped };
+  }
+
+  /**
+   * Runs the chosen source lines back through the agent chain and merges the new translations
+   * into the job. The lines around each run of chosen lines, with their current translations,
+   * are given as context. Re-translated cues lose their review status; their history records
+   * the re-translation. The outcome is saved on the job and published, whether it succeeds or not.
+   * @private
+   * @param {object} job - The job as it was when the re-translation was requested.
+   * @param {import('../../core/reviewCues.js').ReviewCue[]} cues - Its cues at that time.
+   * @param {{targetSequences: Set<number>, instruction: string|null, by: string, skipped: Array<{sequence: number, reason: string}>}} request
+   */
+  async _runRetranslation(job, cues, { targetSequences, instruction, by, skipped }) {
+    const jobId = job._id.toString();
+    try {
+      const languages = resolveLanguagePair(job.executionSettings);
+      const parsedSubtitles = parseSubtitles(job.subtitleContent);
+      const srtLines = parsedSubtitles.lines;
+      const currentTranslations = pinnedTranslations(cues, new Set(srtLines.map(line => line.sequence)));
+      const translationsBySequence = new Map(currentTranslations);
+      const batches = _splitIntoRuns(srtLines, targetSequences)
+        .flatMap(_splitIntoBatches)
+        .map(batch => batch.map(line => ({ ..._protectLine(line), rejectedTranslation: stripTags(currentTranslations.get(line.sequence) || '') })));
+      this.logger.info({ jobId, lineCount: targetSequences.size, batchCount: batches.length, skippedCount: skipped.length, hasInstruction: Boolean(instruction) }, "Re-translating selected cues.");
+
+      // Runs are translated in order, so a run sees the new translations of the runs before it.
+      const provenance = [];
+      const formattingIssues = [];
+      const compressions = [];
+      for (const [batchIndex, batch] of batches.entries()) {
+        const surroundingLines = _collectSurroundingLines(srtLines, batch, translationsBySequence);
+        const result = await this._translateBatch(batch, job.confirmedBlueprint, job.executionSettings, {
+          jobId, batchIndex, languages, surroundingLines, timeline: srtLines, instruction, stageEvent: 'retranslation_stage',
+        });
+        batch.forEach((line, index) => translationsBySequence.set(line.sequence, result.translations[index]));
+        provenance.push(...result.provenance);
+        formattingIssues.push(...result.formattingIssues);
+        compressions.push(...result.compressions);
+      }
+
+      // Every cue that is not being re-translated is kept exactly as it is.
+      const keptSequences = new Set(srtLines.map(line => line.sequence).filter(sequence => !targetSequences.has(sequence)));
+      const assembled = this._assembleCues(jobId, srtLines, translationsBySequence, {
+        settings: job.executionSettings,
+        languages,
+        previousCues: cues,
+        previousTimingChanges: job.timingChanges,
+        pinnedSequences: keptSequences,
+      });
+      const at = new Date();
+      const retranslated = [];
+      const updatedCues = assembled.cues.map((cue) => {
+        if (keptSequences.has(cue.sourceSequences[0])) {
+          return cue;
+        }
+        retranslated.push(cue.sequence);
+        // Earlier history carries over from the cues made from the same source lines.
+        const previousCues = cues.filter(old => old.sourceSequences.some(sequence => cue.sourceSequences.includes(sequence)));
+        return {
+          ...cue,
+          history: [
+            ...previousCues.flatMap(old => old.history),
+            { action: 'retranslate', by, at, previousText: previousCues.map(old => old.text).join('\n'), text: cue.text, ...(instruction && { instruction }) },
+          ],
+          updatedAt: at,
+          updatedBy: by,
+        };
+      });
+      const finalSubtitles = _renderCues(parsedSubtitles, updatedCues, assembled.segmentMap);
+      const cuesVersion = (job.cuesVersion || 0) + 1;
+      // `retranslated` uses the new numbering, which changes if re-translated cues are split or merged differently.
+      const outcome = { cuesVersion, retranslated, completedAt: at };
+      await this.repository.saveRetranslation(jobId, {
+        expectedVersion: job.cuesVersion || 0,
+        cues: updatedCues,
+        finalSubtitles,
+        segmentMap: assembled.segmentMap,
+        syncSuggestions: assembled.syncSuggestions,
+        timingChanges: assembled.timingChanges,
+        lineBreakIssues: assembled.lineBreakIssues,
+        // Findings about the re-translated lines are replaced; those about every other line still stand.
+        formattingIssues: [...(job.formattingIssues || []).filter(issue => !targetSequences.has(issue.sequence)), ...formattingIssues],
+        compressions: [...(job.compressions || []).filter(compression => !targetSequences.has(compression.sequence)), ...compressions],
+        retranslation: { by, at, instruction, sourceSequences: [...targetSequences], provenance },
+        outcome,
+      });
+      this.logger.info({ jobId, retranslatedCount: retranslated.length }, "Re-translated cues saved.");
+
+      this.events.publish(jobId, 'cues_updated', { cuesVersion, finalSubtitles });
+      this.events.publish(jobId, 'retranslation_complete', { ...outcome, skipped });
+    } catch (error) {
+      this.logger.error({ jobId, err: error }, "Cue re-translation failed.");
+      const jobError = _toJobError(error);
+      await this.repository.markRetranslationFailed(jobId, jobError);
+      this.events.publish(jobId, 'retranslation_failed', { error: jobError });
+    }
+  }
+
+  /**
+   * Returns the state a newly connected event-stream client should be brought up to date with.
+   * Jobs running in this process are served from the live snapshot; anything else is read from the database.
+   * @param {string} jobId
+   * @param {import('../auth/auth.service.js').Principal} principal
+   * @returns {Promise<object>}
+   * @throws {NotFoundError} If the job does not exist.
+   * @throws {ForbiddenError} If the job belongs to another workspace.
+   */
+  async getJobEventSnapshot(jobId, principal) {
+    // Live snapshots carry no owner, so access is always checked against the stored job.
+    const storedStatus = await this.getJobStatus(jobId, principal);
+    const liveSnapshot = this.events.getSnapshot(jobId);
+    // Re-translations are followed from the stored job, as they may outlive the live snapshot.
+    const { status, format, progress, finalSubtitles, error, retranslation } = storedStatus;
+    if (liveSnapshot) {
+      return { ...liveSnapshot, retranslation };
+    }
+    return { jobId, status, format, progress, batches: [], finalSubtitles, error, retranslation };
+  }
+
+  /**
+   * Subscribes a listener to a job's live events.
+   * @param {string} jobId
+   * @param {(event: import('./translation.events.js').JobEvent) => void} listener
+   * @returns {() => void} A function that removes the listener.
+   */
+  subscribeToJobEvents(jobId, listener) {
+    return this.events.subscribe(jobId, listener);
+  }
+
+  /**
+   * Looks up glossary decisions from earlier jobs of the same workspace that are semantically
+   * close to the new keywords. The memory is best-effort: a vector store failure never blocks
+   * blueprint generation.
+   * @private
+   * @param {string} jobId
+   * @param {Array<{term: string}>} keywords
+   * @param {object} languages
+   * @param {string} [workspaceId] - Jobs without a workspace neither read nor feed the memory.
+   * @returns {Promise<Array<{keyword: string, term: string, translation: string, justification: string, sourceJobId: string, score: number}>>}
+   */
+  async _recallGlossaryTerms(jobId, keywords, languages, workspaceId) {
+    if (!keywords?.length || !workspaceId) {
+      return [];
+    }
+    try {
+      const vectors = await this.agentService.forJob(jobId).embedTexts(keywords.map(keyword => keyword.term));
+      const matchesPerKeyword = await this.repository.findSimilarGlossaryTerms(vectors, languages, workspaceId, { minScore: GLOSSARY_MATCH_MIN_SCORE });
+      const preferred = keywords.flatMap((keyword, index) =>
+        matchesPerKeyword[index].map(match => ({
+          keyword: keyword.term,
+          term: match.term,
+          translation: match.translation,
+          justification: match.justification,
+          sourceJobId: match.jobId,
+          score: match.score,
+        }))
+      );
+      this.logger.info({ jobId, preferredCount: preferred.length }, "Glossary memory recalled.");
+      return preferred;
+    } catch (error) {
+      this.logger.warn({ jobId, err: error }, "Glossary memory lookup failed; continuing without it.");
+      return [];
+    }
+  }
+
+  /**
+   * Embeds an approved glossary and stores it in the vector index for future jobs of the workspace.
+   * @private
+   */
+  async _rememberGlossaryTerms(jobId, glossary, languages, workspaceId) {
+    if (!workspaceId) {
+      return;
+    }
+    const vectors = await this.agentService.forJob(jobId).embedTexts(glossary.map(entry => entry.term));
+    const entries = glossary.map((entry, index) => ({ ...entry, values: vectors[index] }));
+    await this.repository.upsertGlossaryVectors(jobId, entries, languages, workspaceId);
+  }
+
+  /**
+   * Looks up every line of a file in the translation memory of the job's workspace and language pair.
+   * Exact matches (after normalization) are always filled; other lines are matched by embedding
+   * similarity and scored by edit distance. Like the glossary memory, this is best-effort.
+   * @private
+   * @returns {Promise<MemoryMatch[]>}
+   */
+  async _matchTranslationMemory(jobId, srtLines, languages, workspaceId) {
+    if (!workspaceId) {
+      return [];
+    }
+    try {
+      const sourceKeys = [...new Set(srtLines.map(line => normalizeForMatching(line.text)))];
+      const exactEntries = await this.repository.findMemoryEntries(sourceKeys, languages, workspaceId);
+      const exactByKey = new Map(exactEntries.map(entry => [entry.sourceKey, entry]));
+
+      const memoryMatches = [];
+      const unmatchedLines = [];
+      for (const line of srtLines) {
+        const entry = exactByKey.get(normalizeForMatching(line.text));
+        if (entry) {
+          memoryMatches.push({
+            sequence: line.sequence,
+            matchType: 'exact',
+            tier: entry.tier,
+            score: 1,
+            applied: true,
+            sourceText: entry.sourceText,
+            targetText: entry.targetText,
+            sourceJobId: entry.jobId,
+          });
+        } else {
+          unmatchedLines.push(line);
+        }
+      }
+
+      if (unmatchedLines.length > 0) {
+        const vectors = await this.agentService.forJob(jobId).embedTexts(unmatchedLines.map(line => stripTags(line.text)));
+        const candidatesPerLine = await this.repository.findSimilarMemoryEntries(vectors, languages, workspaceId);
+        unmatchedLines.forEach((line, index) => {
+          const [best] = candidatesPerLine[index]
+            .map(candidate => ({ ...candidate, score: similarityScore(line.text, candidate.sourceText) }))
+            // An approved translation beats a machine one of the same line.
+            .sort((a, b) => b.score - a.score || _tierRank(b) - _tierRank(a));
+          if (!best || best.score < MEMORY_SUGGEST_MIN_SCORE) {
+            return;
+          }
+          memoryMatches.push({
+            sequence: line.sequence,
+            matchType: 'fuzzy',
+            tier: best.tier,
+            score: best.score,
+            // A translation is only reused as-is if a reviewer approved it and it carries the same formatting tags.
+            applied: best.tier === 'approved' && best.score >= MEMORY_FILL_MIN_SCORE && _haveSameTags(line.text, best.sourceText),
+            sourceText: best.sourceText,
+            targetText: best.targetText,
+            sourceJobId: best.jobId,
+          });
+        });
+      }
+
+      memoryMatches.sort((a, b) => a.sequence - b.sequence);
+      this.logger.info({
+        jobId,
+        filledCount: memoryMatches.filter(match => match.applied).length,
+        suggestedCount: memoryMatches.filter(match => !match.applied).length,
+      }, "Translation memory matched.");
+      return memoryMatches;
+    } catch (error) {
+      this.logger.warn({ jobId, err: error }, "Translation memory lookup failed; translating every line.");
+      return [];
+    }
+  }
+
+  /**
+   * Stores source/target pairs of a job in its workspace's translation memory.
+   * @private
+   * @param {string} jobId
+   * @param {Array<{sourceText: string, targetText: string}>} pairs
+   * @param {object} languages
+   * @param {string} [workspaceId]
+   * @param {'approved'|'machine'} tier - 'approved' for cues a reviewer signed off on,
+   *   'machine' for unreviewed agent output.
+   */
+  async _rememberTranslations(jobId, pairs, languages, workspaceId, tier) {
+    if (!workspaceId) {
+      return;
+    }
+    // Repeated lines within a file collapse into a single entry.
+    const entriesByKey = new Map(pairs.map(pair => [normalizeForMatching(pair.sourceText), pair]));
+    const entries = [...entriesByKey].map(([sourceKey, pair]) => ({ sourceKey, ...pair }));
+    const vectors = await this.agentService.forJob(jobId).embedTexts(entries.map(entry => stripTags(entry.sourceText)));
+    await this.repository.upsertMemoryEntries(jobId, entries.map((entry, index) => ({ ...entry, values: vectors[index] })), languages, workspaceId, { tier });
+  }
+
+  /**
+   * Background wrapper around the translation chain that holds the job's lease while it runs
+   * and records failures on the job.
+   * @private
+   */
+  async _runTranslationJob(jobId, confirmedBlueprint, settings) {
+    try {
+      await this._runOwnedJob(jobId, () => this.executeTranslationChain(jobId, confirmedBlueprint, settings));
+    } catch (error) {
+      const jobError = _toJobError(error);
+      await this.repository.markJobFailed(jobId, jobError);
+      this.events.publish(jobId, 'job_failed', { error: jobError });
+      throw error;
+    }
+  }
+
+  /**
+   * Orchestrates the full translation of a subtitle file, returning it in its original format.
+   * Lines found in the translation memory are filled or suggested before batching; the matches are
+   * stored on the job so a resumed run builds the same batches. Each finished batch is checkpointed
+   * on the job, so a re-run only processes batches that are missing or failed. Failed batches do not
+   * stop the rest of the file from being translated. Each batch sees the lines around it as context,
+   * including the translations of lines finished in earlier chunks. The translated cues are then
+   * optionally resegmented, laid out on lines and retimed before the file is written.
+   * Cues a reviewer locked are not translated again: their source lines are left out of the batches
+   * and the locked cues, with their review history, replace whatever this run made of those lines.
    * @param {string} jobId
    * @param {object} confirmedBlueprint
    * @param {object} settings
-   * @returns {Promise<{finalSrt: string, syncSuggestions: Array}>}
+   * @returns {Promise<{format: string, finalSubtitles: string, syncSuggestions: import('../../core/readability.js').ReadabilityReport[]}>}
+   * @throws {ApiError} With code 'BATCHES_FAILED' if any batch could not be translated.
    */
   async executeTranslationChain(jobId, confirmedBlueprint, settings) {
     this.logger.info({ jobId }, "--- Service: Starting Translation Chain Execution ---");
@@ -73,51 +1328,338 @@ export class TranslationService {
       throw new NotFoundError(`Job with ID ${jobId} not found.`);
     }
     
-    const srtLines = parseSrt(job.subtitleContent);
-    const batches = [];
-    for (let i = 0; i < srtLines.length; i += BATCH_SIZE) {
-        batches.push(srtLines.slice(i, i + BATCH_SIZE));
+    const languages = resolveLanguagePair(settings);
+    const parsedSubtitles = parseSubtitles(job.subtitleContent);
+    const srtLines = parsedSubtitles.lines;
+    const memoryMatches = job.memoryMatches ?? await this._matchTranslationMemory(jobId, srtLines, languages, job.workspaceId);
+    const pinnedSequences = findPinnedSequences(job.cues);
+    const batches = _planBatches(srtLines, memoryMatches, pinnedSequences);
+    if (!job.memoryMatches) {
+      await this.repository.saveMemoryMatches(jobId, { memoryMatches, batchesTotal: batches.length });
     }
-    this.logger.info({ jobId, batchCount: batches.length, batchSize: BATCH_SIZE }, "Subtitle content split into batches.");
+    const checkpoints = job.batches || {};
+    const pendingIndexes = batches
+      .map((_, batchIndex) => batchIndex)
+      .filter(batchIndex => checkpoints[batchIndex]?.status !== 'complete');
+    let batchesCompleted = batches.length - pendingIndexes.length;
 
-    const allTranslatedBatches = [];
-    for (let i = 0; i < batches.length; i += CONCURRENT_BATCHES) {
-      const chunk = batches.slice(i, i + CONCURRENT_BATCHES);
-      this.logger.info({ jobId, chunkIndex: i / CONCURRENT_BATCHES }, `Processing chunk of ${chunk.length} batches.`);
+    this.logger.info({ jobId, batchCount: batches.length, batchSize: BATCH_SIZE, pendingCount: pendingIndexes.length, memoryMatchCount: memoryMatches.length, pinnedCount: pinnedSequences.size }, "Subtitle content split into batches.");
+    this.events.publish(jobId, 'job_started', { batchesCompleted, batchesTotal: batches.length });
+
+    // Filled in as batches finish, so later chunks get the translations of the lines before them.
+    const filledFromMemory = memoryMatches.filter(match => match.applied);
+    const translationsBySequence = new Map([
+      ...filledFromMemory.map(match => [match.sequence, match.targetText]),
+      ...pinnedTranslations(job.cues || [], pinnedSequences),
+    ]);
+    const recordTranslations = (batchIndex, translations) => {
+      batches[batchIndex].forEach((line, index) => translationsBySequence.set(line.sequence, translations[index]));
+    };
+    batches.forEach((_, batchIndex) => {
+      if (checkpoints[batchIndex]?.status === 'complete') {
+        recordTranslations(batchIndex, checkpoints[batchIndex].translations);
+      }
+    });
+    const formattingIssues = batches.flatMap((_, batchIndex) => checkpoints[batchIndex]?.formattingIssues || []);
+    const compressions = batches.flatMap((_, batchIndex) => checkpoints[batchIndex]?.compressions || []);
+    const failedBatches = [];
+    for (let i = 0; i < pendingIndexes.length; i += CONCURRENT_BATCHES) {
+      const chunkIndexes = pendingIndexes.slice(i, i + CONCURRENT_BATCHES);
+      const chunkIndex = i / CONCURRENT_BATCHES;
+      this.logger.info({ jobId, chunkIndex }, `Processing chunk of ${chunkIndexes.length} batches.`);
       
-      const chunkPromises = chunk.map(batch => 
-        this._processSingleBatch(batch, confirmedBlueprint, settings)
-      );
+      const chunkPromises = chunkIndexes.map(async (batchIndex) => {
+        try {
+          const surroundingLines = _collectSurroundingLines(srtLines, batches[batchIndex], translationsBySequence);
+          const result = await this._translateBatch(batches[batchIndex], confirmedBlueprint, settings, { jobId, batchIndex, languages, surroundingLines, timeline: srtLines });
+          await this.repository.saveBatchResult(jobId, batchIndex, result);
+          recordTranslations(batchIndex, result.translations);
+          formattingIssues.push(...result.formattingIssues);
+          compressions.push(...result.compressions);
+          batchesCompleted++;
+        } catch (error) {
+          this.logger.error({ jobId, batchIndex, err: error }, 'Batch failed; continuing with remaining batches.');
+          const batchError = _toJobError(error);
+          await this.repository.markBatchFailed(jobId, batchIndex, batchError);
+          failedBatches.push({ batchIndex, ...batchError });
+        }
+      });
       
-      const processedChunks = await Promise.all(chunkPromises);
-      allTranslatedBatches.push(...processedChunks);
+      await Promise.all(chunkPromises);
+      this.events.publish(jobId, 'chunk_complete', {
+        chunkIndex,
+        batchesCompleted,
+        batchesTotal: batches.length,
+      });
+    }
+
+    if (failedBatches.length > 0) {
+      throw new ApiError(
+        `${failedBatches.length} of ${batches.length} batches failed. Resume the job to retry them.`,
+        500,
+        'BATCHES_FAILED',
+        { failedBatches }
+      );
     }
     
-    const translatedLines = allTranslatedBatches.flat();
+    const { cues, segmentMap, lineBreakIssues, timingChanges, syncSuggestions } = this._assembleCues(jobId, srtLines, translationsBySequence, {
+      settings,
+      languages,
+      previousCues: job.cues,
+      previousTimingChanges: job.timingChanges,
+      pinnedSequences,
+    });
+    const finalSubtitles = _renderCues(parsedSubtitles, cues, segmentMap);
+    await this.repository.saveFinalSubtitles(jobId, {
+      format: parsedSubtitles.format,
+      finalSubtitles,
+      formattingIssues,
+      syncSuggestions,
+      timingChanges,
+      lineBreakIssues,
+      compressions,
+      cues,
+      cuesVersion: (job.cuesVersion || 0) + 1,
+      ...(segmentMap && { segmentMap }),
+    });
+    this.logger.info({ jobId, format: parsedSubtitles.format }, "Final subtitles saved to job record.");
+    this.events.publish(jobId, 'job_complete', { format: parsedSubtitles.format, finalSubtitles });
+
+    // Lines that came from memory are already remembered, flagged lines are not trusted for reuse,
+    // and locked lines were not translated by this run. Nobody has reviewed the rest yet, so it is
+    // remembered as machine output, which later jobs only get as suggestions.
+    const skippedSequences = new Set([
+      ...pinnedSequences,
+      ...[...filledFromMemory, ...formattingIssues].map(({ sequence }) => sequence),
+    ]);
+    const machinePairs = srtLines
+      .filter(line => !skippedSequences.has(line.sequence) && translationsBySequence.get(line.sequence))
+      .map(line => ({ sourceText: line.text, targetText: translationsBySequence.get(line.sequence) }));
+    if (machinePairs.length > 0) {
+      runInBackground(
+        () => this._rememberTranslations(jobId, machinePairs, languages, job.workspaceId, 'machine'),
+        this.logger,
+        `UpsertTranslationMemory for Job ${jobId}`
+      );
+    }
     
-    const finalSrtObject = srtLines.map((line, index) => ({
+    return { format: parsedSubtitles.format, finalSubtitles, syncSuggestions };
+  }
+
+  /**
+   * Turns the translation of every source line into the job's final cues: optionally
+   * resegmented, laid out on lines and retimed. Pinned source lines are not rebuilt; the cues
+   * made from them are restored from `previousCues` afterwards, so they keep their text, timing
+   * and review history. Findings are reported against the final numbering.
+   * @private
+   * @param {string} jobId
+   * @param {import('../../core/srtParser.js').SrtLine[]} srtLines - Every source line.
+   * @param {Map<number, string>} translationsBySequence
+   * @param {object} options
+   * @param {{resegment?: boolean}} options.settings
+   * @param {{target: import('../../core/languages.js').LanguageProfile}} options.languages
+   * @param {import('../../core/reviewCues.js').ReviewCue[]} [options.previousCues=[]]
+   * @param {Array<{sequence: number}>} [options.previousTimingChanges=[]] - Numbered by `previousCues`.
+   * @param {Set<number>} [options.pinnedSequences=new Set()]
+   * @returns {{cues: import('../../core/reviewCues.js').ReviewCue[], segmentMap: import('../../core/resegmenter.js').SegmentMapping[]|null, lineBreakIssues: object[], timingChanges: object[], syncSuggestions: import('../../core/readability.js').ReadabilityReport[]}}
+   */
+  _assembleCues(jobId, srtLines, translationsBySequence, { settings, languages, previousCues = [], previousTimingChanges = [], pinnedSequences = new Set() }) {
+    const translatedLines = srtLines.map(line => ({
       ...line,
-      text: translatedLines[index] || line.text, // Fallback to original text if a line is missing
+      text: translationsBySequence.get(line.sequence) || line.text, // Fallback to original text if a line is missing
     }));
-    
-    const finalSrtString = toSrtString(finalSrtObject);
-    await this.repository.saveFinalSrt(jobId, finalSrtString);
-    this.logger.info({ jobId }, "Final SRT saved to job record.");
-    
-    return { finalSrt: finalSrtString, syncSuggestions: [] }; // Placeholder for sync suggestions
+
+    let outputLines = translatedLines;
+    let resegmentMap;
+    if (settings.resegment) {
+      ({ lines: outputLines, segmentMap: resegmentMap } = resegmentCues(translatedLines, languages.target, { pinnedSequences }));
+      this.logger.info({
+        jobId,
+        splitCount: resegmentMap.filter(group => group.operation === 'split').length,
+        mergeCount: resegmentMap.filter(group => group.operation === 'merge').length,
+      }, "Cues resegmented.");
+    }
+
+    const { lines: brokenLines } = breakCues(outputLines, languages.target);
+    const { lines: retimedLines, timingChanges: freshTimingChanges } = retimeCues(brokenLines, languages.target);
+    this.logger.info({ jobId, retimedCount: freshTimingChanges.length }, "Cues retimed for readability.");
+    // Pinned cues are restored after retiming, so they keep the text and timing a reviewer settled on.
+    const freshCues = buildReviewCues(retimedLines, srtLines, resegmentMap);
+    const cues = restorePinnedCues(freshCues, previousCues, pinnedSequences);
+    const pinnedCueSequences = new Set(cues
+      .filter(cue => cue.sourceSequences.some(sequence => pinnedSequences.has(sequence)))
+      .map(cue => cue.sequence));
+    const timingChanges = [
+      ...remapCueFindings(freshTimingChanges, freshCues, cues).filter(change => !pinnedCueSequences.has(change.sequence)),
+      ...remapCueFindings(previousTimingChanges, previousCues, cues).filter(change => pinnedCueSequences.has(change.sequence)),
+    ].sort((a, b) => a.sequence - b.sequence);
+
+    const finalLines = toSubtitleLines(cues);
+    const { lineBreakIssues } = breakCues(finalLines, languages.target);
+    if (lineBreakIssues.length > 0) {
+      this.logger.warn({ jobId, lineBreakIssues }, "Some cues do not fit the line limits.");
+    }
+    // Whatever retiming and the sync agent could not fix is reported back to the client.
+    const syncSuggestions = analyzeReadability(finalLines, languages.target);
+    return { cues, segmentMap: toSegmentMap(cues), lineBreakIssues, timingChanges, syncSuggestions };
   }
 
   /**
+   * Runs a batch through the agent chain and puts its formatting tags back.
+   * Lines that come back without all of their placeholders are re-run on their own; if they
+   * still lose a placeholder, the tags are re-attached at the line edges and the line is flagged.
    * @private
+   * @returns {Promise<{translations: string[], provenance: LineProvenance[], formattingIssues: Array<{sequence: number, missingTags: string[]}>, compressions: Array<{sequence: number, original: string, compressed: string}>}>}
    */
-  async _processSingleBatch(batch, blueprint, settings) {
+  async _translateBatch(batch, blueprint, settings, context) {
+    const result = await this._processSingleBatch(batch, blueprint, settings, context);
+    const restored = batch.map((line, index) => restoreTags(result.translations[index], line.tags));
+    const compressionsBySequence = new Map(result.compressions.map(compression => [compression.sequence, compression]));
+    const provenance = [...result.provenance];
+
+    let failingIndexes = restored.flatMap(({ missingTags }, index) => (missingTags.length > 0 ? [index] : []));
+    for (let attempt = 1; attempt <= MAX_TAG_RETRIES && failingIndexes.length > 0; attempt++) {
+      this.logger.warn({ jobId: context.jobId, batchIndex: context.batchIndex, attempt, lineCount: failingIndexes.length }, 'Lines lost formatting placeholders; retrying them.');
+      const retryBatch = failingIndexes.map(index => batch[index]);
+      // The retried lines get the context around them, with this batch's other lines already translated.
+      const knownTranslations = new Map([
+        ...context.surroundingLines.preceding.map(line => [line.sequence, line.translation]),
+        ...batch.map((line, index) => [line.sequence, restored[index].text]),
+      ]);
+      const surroundingLines = _collectSurroundingLines(context.timeline, retryBatch, knownTranslations);
+      const retry = await this._processSingleBatch(retryBatch, blueprint, settings, { ...context, surroundingLines });
+      failingIndexes = failingIndexes.filter((batchLineIndex, retryIndex) => {
+        const retried = restoreTags(retry.translations[retryIndex], batch[batchLineIndex].tags);
+        if (retried.missingTags.length < restored[batchLineIndex].missingTags.length) {
+          restored[batchLineIndex] = retried;
+          // The retried line replaces the first attempt, including its stage outputs and whether it was compressed.
+          provenance[batchLineIndex] = retry.provenance[retryIndex];
+          const { sequence } = batch[batchLineIndex];
+          const retriedCompression = retry.compressions.find(compression => compression.sequence === sequence);
+          compressionsBySequence.delete(sequence);
+          if (retriedCompression) {
+            compressionsBySequence.set(sequence, retriedCompression);
+          }
+        }
+        return restored[batchLineIndex].missingTags.length > 0;
+      });
+    }
+
+    const formattingIssues = failingIndexes.map(index => ({
+      sequence: batch[index].sequence,
+      missingTags: restored[index].missingTags.map(({ tag }) => tag),
+    }));
+    if (formattingIssues.length > 0) {
+      this.logger.warn({ jobId: context.jobId, batchIndex: context.batchIndex, formattingIssues }, 'Formatting placeholders still missing; re-attaching tags and flagging lines.');
+    }
+
+    const compressions = batch.flatMap((line) => {
+      const compression = compressionsBySequence.get(line.sequence);
+      return compression
+        ? [{ sequence: line.sequence, original: restoreTags(compression.original, line.tags).text, compressed: restoreTags(compression.compressed, line.tags).text }]
+        : [];
+    });
+
+    return {
+      translations: restored.map(({ text, missingTags }) => reattachTags(text, missingTags)),
+      provenance: provenance.map((entry, index) => ({
+        ...entry,
+        stages: entry.stages.map(output => ({ ...output, text: restoreTags(output.text, batch[index].tags).text })),
+      })),
+      formattingIssues,
+      compressions,
+    };
+  }
+
+  /**
+   * Publishes the partial output of one agent stage for a batch. Targeted re-translations publish
+   * under their own event type, so their batches are not taken for the job's.
+   * @private
+   */
+  _publishStage(jobId, batchIndex, stage, batch, translations, eventType = 'batch_stage') {
+    this.events.publish(jobId, eventType, {
+      batchIndex,
+      stage,
+      stageIndex: BATCH_STAGES.indexOf(stage),
+      lines: batch.map((line, index) => ({ sequence: line.sequence, text: restoreTags(translations[index], line.tags).text })),
+    });
+  }
+
+  /**
+   * Sends only the lines the readability analyzer flags for a rewrite to the sync agent;
+   * every other line keeps its QA-approved translation. Lines are judged on the layout and timing
+   * the line breaker and retiming pass will give them, so a line that fits once it is re-broken or
+   * its cue is extended is not compressed.
+   * @private
+   * @returns {Promise<{translations: string[], compressions: Array<{sequence: number, original: string, compressed: string}>, syncedIndexes: number[]}>}
+   */
+  async _syncFlaggedLines(batch, translations, { jobId, languages, timeline }) {
+    const positions = new Map(timeline.map((line, index) => [line.sequence, index]));
+    const translatedLines = batch.map((line, index) => {
+      const translatedLine = { ...line, text: breakLines(translations[index], languages.target).text };
+      const change = retimeCue(translatedLine, timeline[positions.get(line.sequence) + 1], languages.target);
+      if (!change) {
+        return translatedLine;
+      }
+      const duration = parseTimestamp(change.endTime) - parseTimestamp(line.startTime);
+      return { ...translatedLine, endTime: change.endTime, duration: parseFloat(duration.toFixed(3)) };
+    });
+    const reportsBySequence = new Map(
+      analyzeReadability(translatedLines, languages.target)
+        .filter(needsRewrite)
+        .map(report => [report.sequence, report])
+    );
+    const flaggedIndexes = batch.flatMap((line, index) => (reportsBySequence.has(line.sequence) ? [index] : []));
+    if (flaggedIndexes.length === 0) {
+      return { translations, compressions: [], syncedIndexes: [] };
+    }
+
+    const { translations: rewritten, compressions } = await this.agentService.forJob(jobId).phantomSync(
+      flaggedIndexes.map(index => translatedLines[index]),
+      flaggedIndexes.map(index => translatedLines[index].text),
+      languages,
+      flaggedIndexes.map(index => reportsBySequence.get(batch[index].sequence))
+    );
+    const synced = [...translations];
+    flaggedIndexes.forEach((batchLineIndex, flaggedIndex) => {
+      synced[batchLineIndex] = rewritten[flaggedIndex];
+    });
+    return { translations: synced, compressions, syncedIndexes: flaggedIndexes };
+  }
+
+  /**
+   * Runs a batch through every agent stage. A reviewer's instruction, on targeted re-translations,
+   * is given to the transcreate, edit and QA stages so later stages do not undo it.
+   * @private
+   * @returns {Promise<{translations: string[], provenance: LineProvenance[], compressions: Array<{sequence: number, original: string, compressed: string}>}>}
+   *   Provenance texts still carry placeholder tokens; `_translateBatch` restores the tags.
+   */
+  async _processSingleBatch(batch, blueprint, settings, { jobId, batchIndex, languages, surroundingLines, timeline, instruction = null, stageEvent }) {
     // The chain of calls is now cleaner, expecting structured JSON arrays from each step.
-    const transcreated = await this.agentService.transcreateBatch(batch, blueprint, settings.tone);
-    const edited = await this.agentService.editBatch(batch, transcreated, blueprint);
-    const qaApproved = await this.agentService.qaBatch(batch, edited, blueprint);
-    const finalBatch = await this.agentService.phantomSync(batch, qaApproved);
+    const agents = this.agentService.forJob(jobId);
+    const review = { instruction };
+    const transcreated = await agents.transcreateBatch(batch, blueprint, settings.tone, languages, surroundingLines, review);
+    this._publishStage(jobId, batchIndex, 'transcreate', batch, transcreated, stageEvent);
+    const edited = await agents.editBatch(batch, transcreated, blueprint, languages, review);
+    this._publishStage(jobId, batchIndex, 'edit', batch, edited, stageEvent);
+    const qaApproved = await agents.qaBatch(batch, edited, blueprint, languages, review);
+    this._publishStage(jobId, batchIndex, 'qa', batch, qaApproved, stageEvent);
+    const { translations: finalBatch, compressions, syncedIndexes } = await this._syncFlaggedLines(batch, qaApproved, { jobId, languages, timeline });
+    this._publishStage(jobId, batchIndex, 'sync', batch, finalBatch, stageEvent);
 
     // No need for a length check here as the agent service's JSON contract now guarantees it.
-    return finalBatch;
+    // Every stage's output is returned per line so it can be checkpointed alongside the result.
+    const models = this.agentService.getStageModels();
+    const outputs = { transcreate: transcreated, edit: edited, qa: qaApproved, sync: finalBatch };
+    const synced = new Set(syncedIndexes);
+    const provenance = batch.map((line, index) => ({
+      sequence: line.sequence,
+      stages: BATCH_STAGES.map(stage => ({
+        stage,
+        model: stage === 'sync' && !synced.has(index) ? null : models[stage],
+        text: outputs[stage][index],
+      })),
+    }));
+    return { translations: finalBatch, provenance, compressions };
   }
   }
@@ -0,0 +1,76 @@
+// ===== DEVELOPMENT/DEBUG AUTHENTICATION HOOKS =====
+// This middleware authenticates every API request and attaches the caller to it as
+// `request.principal`. Credentials are read from, in order:
+//   - `Authorization: Bearer <token or API key>`
+//   - `X-API-Key: <API key>`
+//   - `?access_token=<token>` on GET requests, for EventSource, which cannot set headers.
+// Only short-lived tokens are accepted in the query string, since URLs end up in logs.
+
+// ===== IMPORTS & DEPENDENCIES =====
+import { ForbiddenError, UnauthorizedError } from '../core/AppError.js';
+
+// ===== CONFIGURATION & CONSTANTS =====
+// Signed tokens have three dot-separated segments; API keys never contain a dot.
+const TOKEN_PATTERN = /^[\w-]+\.[\w-]+\.[\w-]+$/;
+// With authentication disabled, every request acts as this local admin.
+const LOCAL_PRINCIPAL = Object.freeze({ keyId: 'local', ownerId: 'local', workspaceId: 'local', role: 'admin', credential: 'disabled' });
+
+// ===== PRIVATE HELPER FUNCTIONS =====
+
+/**
+ * Finds the credential on a request.
+ * @private
+ * @param {import('fastify').FastifyRequest} request
+ * @returns {{type: 'api_key'|'token', value: string}|null}
+ */
+function _readCredential(request) {
+  const [scheme, value] = (request.headers.authorization || '').split(' ');
+  if (scheme?.toLowerCase() === 'bearer' && value) {
+    return { type: TOKEN_PATTERN.test(value) ? 'token' : 'api_key', value };
+  }
+  if (request.headers['x-api-key']) {
+    return { type: 'api_key', value: request.headers['x-api-key'] };
+  }
+  if (request.method === 'GET' && request.query?.access_token) {
+    return { type: 'token', value: request.query.access_token };
+  }
+  return null;
+}
+
+// ===== PUBLIC API FUNCTIONS =====
+
+/**
+ * Builds the `onRequest` hook that authenticates requests.
+ * @param {object} deps
+ * @param {import('../features/auth/auth.service.js').AuthService} deps.authService
+ * @param {'required'|'disabled'} deps.mode
+ * @returns {(request: import('fastify').FastifyRequest) => Promise<void>}
+ */
+export function createAuthenticationHook({ authService, mode }) {
+  return async function authenticate(request) {
+    if (mode === 'disabled') {
+      request.principal = LOCAL_PRINCIPAL;
+      return;
+    }
+    const credential = _readCredential(request);
+    if (!credential) {
+      throw new UnauthorizedError('Authentication required: send an API key or access token.');
+    }
+    request.principal = credential.type === 'api_key'
+      ? await authService.authenticateApiKey(credential.value)
+      : await authService.authenticateToken(credential.value);
+  };
+}
+
+/**
+ * Builds a `preHandler` hook that only lets principals with the given role through.
+ * @param {'admin'|'member'} role
+ * @returns {(request: import('fastify').FastifyRequest) => Promise<void>}
+ */
+export function requireRole(role) {
+  return async function checkRole(request) {
+    if (request.principal?.role !== role) {
+      throw new ForbiddenError(`This endpoint requires the ${role} role.`);
+    }
+  };
+}
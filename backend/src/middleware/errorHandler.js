@@ -31,6 +31,17 @@ export function zodErrorHandler(error, request, reply) {
     });
   }
 
+  if (error.validation) {
+    // Fastify rejects requests that fail a route's JSON schema before the handler runs.
+    log.warn({ details: error.validation }, 'Request schema validation error');
+    return reply.status(400).send({
+      statusCode: 400,
+      error: 'Bad Request',
+      message: error.message,
+      details: error.validation,
+    });
+  }
+
   if (error instanceof ApiError) {
     // This handles our custom, "expected" errors (e.g., "Resource not found").
     // We trust the status code and message provided by these errors.
@@ -40,11 +40,6 @@ async function start() {
   let app;
 
   try {
-    // --- TEMPORARY DEBUGGING LINE ---
-    // This will print all the validated environment variables to the Render log.
-    console.log('--- RECEIVED CONFIGURATION ---', config);
-    // --- END TEMPORARY DEBUGGING LINE ---
-
     await connectToMongo();
     await connectToPinecone();
     connectToGemini();
@@ -1,37 +1,186 @@
 // ===== DEVELOPMENT/DEBUG GEMINI AGENT SERVICE =====
-// This service abstracts all interactions with the Google Gemini API.
-// It is responsible for prompt engineering and parsing structured responses.
+// This service holds every translation agent. It is responsible for prompt engineering
+// and parsing structured responses; text generation goes through the LLM provider layer
+// (services/llm.service.js), which picks the provider and model for each pipeline stage.
 // This is the COMPLETE file with all prompts included.
 
 // ===== IMPORTS & DEPENDENCIES =====
 import { toSrtPromptFormat } from '../core/srtParser.js';
-import { config } from '../config/index.js';
-import { callGemini } from '../config/gemini.js';
 import { ApiError } from '../core/AppError.js';
+import { parseJsonWithRepair } from '../core/jsonRepair.js';
+import {
+  blueprintSchema,
+  keywordsResponseSchema,
+  groundedKeywordsResponseSchema,
+  translatedLineSchema,
+  syncedLineSchema,
+  batchResponseSchema,
+} from '../core/agentSchemas.js';
+
+// ===== CONFIGURATION & CONSTANTS =====
+// Shared instruction for every batch agent; see core/formatTags.js for the token format.
+const PLACEHOLDER_RULE = 'Tokens such as ⟦1⟧ stand for formatting tags (italics, colour, positioning). Keep every token exactly once in the translated line, around the words it applies to, and never add new ones.';
+// Older sync prompts asked for inline "[PS Sync: ...]" notes; models still add them now and then.
+const SYNC_ANNOTATION_PATTERN = /\s*\[PS Sync:[^\]]*\]/g;
+// How many times an agent is asked again, with the validation error, after an invalid response.
+const MAX_VALIDATION_RETRIES = 2;
+// At most this many schema problems are listed back to the model.
+const MAX_REPORTED_ISSUES = 5;
 
 // ===== UTILITY FUNCTIONS =====
 /**
- * Parses a JSON response from an agent, cleaning up common LLM artifacts.
- * @param {string} responseText - The raw text response from the Gemini API.
- * @param {string} agentName - The name of the agent for error logging.
- * @returns {object} The parsed JSON object.
- * @throws {ApiError} If the JSON is invalid.
+ * Parses and validates an agent response, repairing common LLM JSON mistakes first.
+ * @param {string} responseText - The raw text response from the LLM.
+ * @param {import('zod').ZodTypeAny} schema
+ * @param {number} [expectedLength] - For batch agents, the number of translations the response must hold.
+ * @returns {{success: true, data: any, repaired: boolean} | {success: false, errorCode: string, message: string}}
  */
-function parseJsonAgentResponse(responseText, agentName) {
+function validateAgentResponse(responseText, schema, expectedLength) {
+  let parsed;
   try {
-    const cleanedText = responseText.trim().replace(/^```json\n?/, '').replace(/\n?```$/, '');
-    return JSON.parse(cleanedText);
+    parsed = parseJsonWithRepair(responseText);
   } catch (error) {
-    throw new ApiError(`Agent [${agentName}] returned malformed JSON.`, 500, 'AGENT_JSON_ERROR', { responseText });
+    return { success: false, errorCode: 'AGENT_JSON_ERROR', message: `The response is not valid JSON (${error.message}).` };
+  }
+  const result = schema.safeParse(parsed.value);
+  if (!result.success) {
+    const issues = result.error.issues
+      .slice(0, MAX_REPORTED_ISSUES)
+      .map(issue => `${issue.path.join('.') || '(root)'}: ${issue.message}`);
+    return { success: false, errorCode: 'AGENT_SCHEMA_ERROR', message: `The JSON does not match the required structure. ${issues.join('; ')}.` };
   }
+  if (expectedLength !== undefined && result.data.translations.length !== expectedLength) {
+    return {
+      success: false,
+      errorCode: 'AGENT_LENGTH_MISMATCH',
+      message: `Expected exactly ${expectedLength} translations, one per input line, but received ${result.data.translations.length}.`,
+    };
+  }
+  return { success: true, data: result.data, repaired: parsed.repaired };
+}
+
+/**
+ * Describes a script direction for agent prompts.
+ * @param {import('../core/languages.js').LanguageProfile} profile
+ * @returns {string}
+ */
+function describeDirection(profile) {
+  return profile.direction === 'rtl' ? 'right-to-left' : 'left-to-right';
+}
+
+/**
+ * Formats read-only context lines for a batch prompt, one "Sequence | Text" row per line,
+ * followed by the existing translation when there is one.
+ * @param {Array<{sequence: number, text: string, translation?: string|null}>} lines
+ * @returns {string}
+ */
+function formatContextLines(lines) {
+  if (lines.length === 0) {
+    return '[None]';
+  }
+  return lines
+    .map(line => `${line.sequence} | ${line.text}${line.translation ? ` => ${line.translation}` : ''}`)
+    .join('\n');
+}
+
+/**
+ * Formats a reviewer's instruction for a batch prompt. Regular runs have none, and their
+ * prompts are left exactly as they were.
+ * @param {string|null} [instruction]
+ * @returns {string}
+ */
+function formatReviewerInstruction(instruction) {
+  if (!instruction) {
+    return '';
+  }
+  return `
+REVIEWER INSTRUCTION - a human reviewer sent these lines back for another pass. Follow this instruction; where it conflicts with the Blueprint's tone or personas, the instruction wins, but the glossary still applies:
+---
+${instruction}
+---
+`;
+}
+
+/**
+ * Formats a blueprint's style rules (the house style a project's episodes share) for a batch
+ * prompt. Blueprints without style rules leave the prompt exactly as it was.
+ * @param {{styleRules?: string[]}} blueprint
+ * @returns {string}
+ */
+function formatStyleRules(blueprint) {
+  if (!blueprint.styleRules?.length) {
+    return '';
+  }
+  return `
+STYLE RULES - the house style of this series. Every line must follow all of them:
+${blueprint.styleRules.map(rule => `- ${rule}`).join('\n')}`;
 }
 
 // ===== AGENT SERVICE CLASS =====
 export class GeminiAgentService {
-  constructor({ logger }) {
+  /**
+   * @param {object} deps
+   * @param {import('./llm.service.js').LlmGateway} deps.llm
+   * @param {import('pino').Logger} deps.logger
+   */
+  constructor({ llm, logger }) {
+    this.llm = llm;
     this.logger = logger;
   }
 
+  /**
+   * Returns an agent service whose model calls are queued as the given job's, so the LLM
+   * scheduler can share each model fairly between concurrent jobs.
+   * @param {string} jobId
+   * @returns {GeminiAgentService}
+   */
+  forJob(jobId) {
+    return new GeminiAgentService({ llm: this.llm.forJob(jobId), logger: this.logger.child({ jobId }) });
+  }
+
+  /**
+   * Calls an agent and validates its response against a schema. An invalid response is
+   * sent back to the agent with the validation error while the retry budget lasts.
+   * @param {string} agentName
+   * @param {string} stage - The pipeline stage whose provider and model serve the call.
+   * @param {string} prompt
+   * @param {import('zod').ZodTypeAny} schema
+   * @param {{expectedLength?: number, retryBudget?: {remaining: number}, ownRetries?: number}} [options={}] - Calls
+   *   that pass the same `retryBudget` share it; by default a call has MAX_VALIDATION_RETRIES of its own.
+   *   The first `ownRetries` retries are always made and do not draw on the budget.
+   * @returns {Promise<any>} The validated response.
+   * @throws {ApiError} With the code of the last validation failure ('AGENT_JSON_ERROR',
+   *   'AGENT_SCHEMA_ERROR' or 'AGENT_LENGTH_MISMATCH') if every attempt was invalid.
+   */
+  async _callAgent(agentName, stage, prompt, schema, { expectedLength, retryBudget = { remaining: MAX_VALIDATION_RETRIES }, ownRetries = 0 } = {}) {
+    let attemptPrompt = prompt;
+    for (let attempt = 1; ; attempt++) {
+      const { text: responseText } = await this.llm.generate(stage, attemptPrompt, { expectJson: true, agent: agentName });
+      const outcome = validateAgentResponse(responseText, schema, expectedLength);
+      if (outcome.success) {
+        if (outcome.repaired) {
+          this.logger.info({ agent: agentName }, 'Repaired malformed JSON in agent response.');
+        }
+        return outcome.data;
+      }
+
+      const logContext = { agent: agentName, attempt, errorCode: outcome.errorCode, reason: outcome.message };
+      const isOwnRetry = attempt <= ownRetries;
+      if (!isOwnRetry && retryBudget.remaining <= 0) {
+        this.logger.error(logContext, 'Agent response still invalid; giving up.');
+        throw new ApiError(`Agent [${agentName}] returned an invalid response: ${outcome.message}`, 500, outcome.errorCode, { responseText, expectedLength });
+      }
+      if (!isOwnRetry) {
+        retryBudget.remaining--;
+      }
+      this.logger.warn(logContext, 'Agent response invalid; asking again with the validation error.');
+      attemptPrompt = `${prompt}
+
+YOUR PREVIOUS RESPONSE WAS REJECTED: ${outcome.message}
+Reply again with only the corrected JSON object, in exactly the structure described above.`;
+    }
+  }
+
   // --- BLUEPRINT GENERATION AGENTS (PHASE 1) ---
 
   async extractKeywords(text) {
@@ -46,13 +195,12 @@ ${text}
 ---
 
 Produce the JSON output.`;
-    const response = await callGemini(prompt, { modelName: config.GEMINI_BLUEPRINT_MODEL, expectJson: true });
-    return parseJsonAgentResponse(response, 'extractKeywords');
+    return await this._callAgent('extractKeywords', 'blueprint', prompt, keywordsResponseSchema);
   }
 
-  async groundTranslations(keywords) {
-    this.logger.info({ keywordCount: keywords.length }, 'Agent [groundTranslations] activated.');
-    const prompt = `You are a professional Lexicographer. For each English term provided, find at least 3 high-quality, distinct Persian translations.
+  async groundTranslations(keywords, languages) {
+    this.logger.info({ keywordCount: keywords.length, targetLanguage: languages.target.code }, 'Agent [groundTranslations] activated.');
+    const prompt = `You are a professional Lexicographer. For each ${languages.source.name} term provided, find at least 3 high-quality, distinct ${languages.target.name} translations.
 Your output MUST be a single JSON object with this exact structure: { "grounded_keywords": [{ "term": "...", "translations": ["...", "..."] }] }.
 Do not output any text before or after the JSON object.
 
@@ -62,127 +210,249 @@ ${JSON.stringify(keywords, null, 2)}
 ---
 
 Produce the JSON output.`;
-    const response = await callGemini(prompt, { modelName: config.GEMINI_BLUEPRINT_MODEL, expectJson: true });
-    return parseJsonAgentResponse(response, 'groundTranslations');
+    return await this._callAgent('groundTranslations', 'blueprint', prompt, groundedKeywordsResponseSchema);
   }
 
-  async assembleBlueprint(text, tone, groundedKeywords) {
-    this.logger.info('Agent [assembleBlueprint] activated.');
+  async assembleBlueprint(text, tone, groundedKeywords, languages, preferredTranslations = []) {
+    this.logger.info({ targetLanguage: languages.target.code, preferredCount: preferredTranslations.length }, 'Agent [assembleBlueprint] activated.');
     const prompt = `You are a Pre-production Strategist. Generate a "Translation Blueprint" JSON object based on the provided script, tone, and pre-verified keywords. This blueprint is the single source of truth for the translation team. Your analysis must be meticulous.
 The JSON MUST include:
 1.  'summary': A concise plot summary.
 2.  'keyPoints': An array of key themes.
 3.  'characterProfiles': An array of objects detailing character speaking styles.
-4.  'culturalAdaptations' (Phantom Lingo™): An array identifying idioms and proposing culturally equivalent Persian adaptations.
+4.  'culturalAdaptations' (Phantom Lingo™): An array identifying idioms and proposing culturally equivalent ${languages.target.name} adaptations.
 5.  'glossary' (World Anvil): A detailed glossary where for each keyword, you select the single best 'proposedTranslation' from the candidates provided, and write a powerful 'justification' based on evidence from the text and the requested '${tone}' tone.
+    If a keyword matches a PREFERRED TRANSLATION already approved in an earlier job, use that translation so terms stay consistent across a series, unless the text clearly gives the term a different meaning.
 
-Your output MUST be only the single, valid JSON object. No other text.
+Your output MUST be only the single, valid JSON object, with this exact structure. No other text.
+{ "summary": "...", "keyPoints": ["..."], "characterProfiles": [{ "character": "...", "style": "..." }], "culturalAdaptations": [{ "original": "...", "adaptation": "..." }], "glossary": [{ "term": "...", "proposedTranslation": "...", "justification": "..." }] }
 
 ---
 **PRE-VERIFIED KEYWORD LIST (with translation candidates):**
 ${JSON.stringify(groundedKeywords, null, 2)}
 ---
-**Full English Subtitle Script for Analysis:**
+**PREFERRED TRANSLATIONS (approved in earlier jobs):**
+${preferredTranslations.length > 0 ? JSON.stringify(preferredTranslations, null, 2) : '[None]'}
+---
+**Full ${languages.source.name} Subtitle Script for Analysis:**
 ${text}
 ---
 
 Produce the complete Translation Blueprint JSON.`;
-    const response = await callGemini(prompt, { modelName: config.GEMINI_BLUEPRINT_MODEL, expectJson: true });
-    return parseJsonAgentResponse(response, 'assembleBlueprint');
+    return await this._callAgent('assembleBlueprint', 'blueprint', prompt, blueprintSchema);
+  }
+
+  // --- EMBEDDINGS ---
+
+  /**
+   * Embeds texts for semantic lookups in the vector index.
+   * @param {string[]} texts
+   * @returns {Promise<number[][]>}
+   */
+  async embedTexts(texts) {
+    this.logger.info({ textCount: texts.length }, 'Embedding texts.');
+    return this.llm.embed(texts);
   }
 
   // --- BATCH TRANSLATION AGENTS (PHASE 2) ---
-  
-  async _callBatchAgent(agentName, prompt, batch, modelName) {
-    this.logger.info({ batchSize: batch.length }, `Agent [${agentName}] activated.`);
-    const responseText = await callGemini(prompt, { modelName, expectJson: true });
-    const parsed = parseJsonAgentResponse(responseText, agentName);
-
-    if (!Array.isArray(parsed.translations) || parsed.translations.length !== batch.length) {
-      this.logger.error({ 
-        expected: batch.length, 
-        received: parsed.translations?.length, 
-        agent: agentName 
-      }, "FATAL BATCH MISMATCH: Agent returned a different number of lines than expected.");
-      throw new ApiError(`Agent [${agentName}] returned a mismatched number of translations.`, 500, 'AGENT_LENGTH_MISMATCH');
+
+  /**
+   * Names the model behind each batch agent, so stage outputs can be recorded with it.
+   * @returns {{transcreate: string, edit: string, qa: string, sync: string}}
+   */
+  getStageModels() {
+    return Object.fromEntries(['transcreate', 'edit', 'qa', 'sync'].map(stage => [stage, this.llm.describeStage(stage).model]));
+  }
+
+  /**
+   * Calls a batch agent and checks that it returned exactly one valid translation per batch line.
+   * Any context lines in the prompt are not part of `batch` and so never count toward the check.
+   * If the line count keeps mismatching, the lines are split in half and each half is sent on its
+   * own, down to single lines, before the batch is given up on. The halves share the batch's
+   * validation retry budget, so splitting does not multiply the calls an invalid batch costs, but
+   * each half always gets one retry of its own: once the budget is spent, a single invalid answer
+   * for a half would otherwise fail the whole batch.
+   * @param {string} agentName
+   * @param {string} stage
+   * @param {Array<object>} batch
+   * @param {(start: number, end: number) => string} buildPrompt - Builds the prompt for `batch.slice(start, end)`.
+   * @param {import('zod').ZodTypeAny} itemSchema - The schema of one translated line.
+   * @param {{start?: number, end?: number, retryBudget?: {remaining: number}}} [range={}] - The lines to
+   *   send (the whole batch by default) and the retry budget they draw on. A range narrower than
+   *   the batch is a half.
+   * @returns {Promise<Array<any>>} One validated item per line in the range.
+   * @throws {ApiError}
+   */
+  async _callBatchAgent(agentName, stage, batch, buildPrompt, itemSchema, { start = 0, end = batch.length, retryBudget = { remaining: MAX_VALIDATION_RETRIES } } = {}) {
+    this.logger.info({ batchSize: end - start }, `Agent [${agentName}] activated.`);
+    try {
+      const isHalf = end - start < batch.length;
+      const { translations } = await this._callAgent(agentName, stage, buildPrompt(start, end), batchResponseSchema(itemSchema), {
+        expectedLength: end - start,
+        retryBudget,
+        ownRetries: isHalf ? 1 : 0,
+      });
+      return translations;
+    } catch (error) {
+      if (error.errorCode !== 'AGENT_LENGTH_MISMATCH' || end - start < 2) {
+        throw error;
+      }
+      const middle = start + Math.ceil((end - start) / 2);
+      this.logger.warn({ agent: agentName, lineCount: end - start, firstSequence: batch[start].sequence }, 'Line count keeps mismatching; retrying the lines in two halves.');
+      const firstHalf = await this._callBatchAgent(agentName, stage, batch, buildPrompt, itemSchema, { start, end: middle, retryBudget });
+      const secondHalf = await this._callBatchAgent(agentName, stage, batch, buildPrompt, itemSchema, { start: middle, end, retryBudget });
+      return [...firstHalf, ...secondHalf];
     }
-    return parsed.translations;
   }
 
-  async transcreateBatch(batch, blueprint, tone) {
-    const batchSrt = toSrtPromptFormat(batch);
-    const prompt = `You are a Master Transcreator. Adhering strictly to the provided Blueprint, transcreate the following SRT batch into fluent Persian.
+  /**
+   * Translates a batch, showing the agent the dialogue around it as read-only context.
+   * Lines sent back by a reviewer carry the translation they rejected as `rejectedTranslation`.
+   * @param {{preceding: Array<object>, following: Array<object>}} [surroundingLines] - Source lines
+   *   around the batch; preceding lines carry their translation when one already exists.
+   * @param {{instruction?: string|null}} [review={}] - The reviewer's instruction, for targeted re-translations.
+   */
+  async transcreateBatch(batch, blueprint, tone, languages, surroundingLines = { preceding: [], following: [] }, { instruction = null } = {}) {
+    const buildPrompt = (start, end) => {
+      const lines = batch.slice(start, end);
+      const memorySuggestions = lines
+        .filter(line => line.memorySuggestion)
+        .map(line => `${line.sequence} | ${line.memorySuggestion.text} (similarity ${line.memorySuggestion.score.toFixed(2)})`)
+        .join('\n');
+      const rejectedTranslations = lines
+        .filter(line => line.rejectedTranslation)
+        .map(line => `${line.sequence} | ${line.rejectedTranslation}`)
+        .join('\n');
+      const reviewSection = rejectedTranslations || instruction
+        ? `${formatReviewerInstruction(instruction)}
+REJECTED TRANSLATIONS (the current translations the reviewer sent back, format: "Sequence | Translation"). Do not simply repeat them:
+---
+${rejectedTranslations || '[None]'}
+---
+`
+        : '';
+      return `You are a Master Transcreator. Adhering strictly to the provided Blueprint, transcreate the following ${languages.source.name} SRT batch into fluent ${languages.target.name} (a ${describeDirection(languages.target)} script).
 Your output MUST be a single JSON object with this exact structure: { "translations": ["...", "..."] }. The number of strings in the array must exactly match the number of input entries.
-Previous Context: [No previous context for this batch]
-Blueprint: ${JSON.stringify(blueprint)}
+${PLACEHOLDER_RULE}
+Blueprint: ${JSON.stringify(blueprint)}${formatStyleRules(blueprint)}
 Tone: ${tone}
+${reviewSection}
+TRANSLATION MEMORY SUGGESTIONS (approved translations of similar earlier lines, format: "Sequence | Suggestion"). Reuse their wording where the meaning still matches, and adapt whatever differs:
+---
+${memorySuggestions || '[None]'}
+---
+
+CONTEXT ONLY - these lines surround the batch so you can follow the conversation (who is speaking to whom, pronouns, register). Do NOT translate them and do NOT include them in your output.
+Preceding lines (Format: "Sequence | Text => Existing translation"):
+---
+${formatContextLines(surroundingLines.preceding)}
+---
+Following lines (Format: "Sequence | Text"):
+---
+${formatContextLines(surroundingLines.following)}
+---
 
 BATCH TO TRANSLATE (Format: "Sequence | Text"):
 ---
-${batchSrt}
+${toSrtPromptFormat(lines)}
 ---
 Produce the JSON output.`;
-    return await this._callBatchAgent('transcreateBatch', prompt, batch, config.GEMINI_TRANSLATION_MODEL);
+    };
+    return await this._callBatchAgent('transcreateBatch', 'transcreate', batch, buildPrompt, translatedLineSchema);
   }
 
-  async editBatch(batch, initialTranslations, blueprint) {
-    const batchSrt = toSrtPromptFormat(batch);
-    const prompt = `You are a Senior Editor. Polish the provided Persian translation, ensuring it is faithful to the original English and the Blueprint directives (Glossary, Personas, Tone).
+  async editBatch(batch, initialTranslations, blueprint, languages, { instruction = null } = {}) {
+    const buildPrompt = (start, end) => `You are a Senior Editor. Polish the provided ${languages.target.name} translation, ensuring it is faithful to the original ${languages.source.name} and the Blueprint directives (Glossary, Personas, Tone).
 Your output MUST be a single JSON object with this exact structure: { "translations": ["...", "..."] }. The number of strings in the array must exactly match the number of input entries.
+${PLACEHOLDER_RULE}
 
 ORIGINAL BATCH:
 ---
-${batchSrt}
+${toSrtPromptFormat(batch.slice(start, end))}
 ---
 INITIAL TRANSLATION (to be edited):
 ---
-${initialTranslations.join('\n')}
----
-Blueprint: ${JSON.stringify(blueprint)}
+${initialTranslations.slice(start, end).join('\n')}
 ---
+Blueprint: ${JSON.stringify(blueprint)}${formatStyleRules(blueprint)}
+---${formatReviewerInstruction(instruction)}
 Produce the JSON output.`;
-    return await this._callBatchAgent('editBatch', prompt, batch, config.GEMINI_TRANSLATION_MODEL);
+    return await this._callBatchAgent('editBatch', 'edit', batch, buildPrompt, translatedLineSchema);
   }
 
-  async qaBatch(batch, editedTranslations, blueprint) {
-    const batchSrt = toSrtPromptFormat(batch);
-    const prompt = `You are Head of QA. Perform a final review of the edited translation for accuracy and brief compliance.
+  async qaBatch(batch, editedTranslations, blueprint, languages, { instruction = null } = {}) {
+    const buildPrompt = (start, end) => `You are Head of QA. Perform a final review of the edited ${languages.target.name} translation of this ${languages.source.name} batch for accuracy and brief compliance.
 Your output MUST be a single JSON object with this exact structure: { "translations": ["...", "..."] }. The number of strings in the array must exactly match the number of input entries.
+${PLACEHOLDER_RULE}
 
 ORIGINAL BATCH:
 ---
-${batchSrt}
+${toSrtPromptFormat(batch.slice(start, end))}
 ---
 EDITED TRANSLATION (to be reviewed):
 ---
-${editedTranslations.join('\n')}
----
-Blueprint: ${JSON.stringify(blueprint)}
+${editedTranslations.slice(start, end).join('\n')}
 ---
+Blueprint: ${JSON.stringify(blueprint)}${formatStyleRules(blueprint)}
+---${formatReviewerInstruction(instruction)}
 Produce the JSON output.`;
-    return await this._callBatchAgent('qaBatch', prompt, batch, config.GEMINI_TRANSLATION_MODEL);
+    return await this._callBatchAgent('qaBatch', 'qa', batch, buildPrompt, translatedLineSchema);
   }
 
-  async phantomSync(batch, qaTranslations) {
-    const promptData = batch.map((line, index) => {
+  /**
+   * Rewrites lines the readability analyzer flagged, so only those lines are sent.
+   * The subtitle text and the record of what was compressed come back as separate fields,
+   * so no annotation ever reaches the delivered file. A line the agent leaves empty is not synced.
+   * @param {import('../core/readability.js').ReadabilityReport[]} [reports=[]] - The analyzer findings for each line, in batch order.
+   * @returns {Promise<{translations: string[], compressions: Array<{sequence: number, original: string, compressed: string}>}>}
+   */
+  async phantomSync(batch, qaTranslations, languages, reports = []) {
+    const { name, maxCps, maxCharsPerLine, maxLines } = languages.target;
+    const describeLine = (line, index) => {
       const translatedLine = qaTranslations[index] || '';
+      const issues = (reports[index]?.violations || []).map(violation => violation.message);
       return `L${line.sequence}:
 - Duration: ${line.duration.toFixed(2)}s
-- Translated Persian: "${translatedLine}"`;
-    }).join('\n');
+- Translated ${name}: "${translatedLine}"
+- Issues: ${issues.length > 0 ? issues.join(' ') : 'None'}`;
+    };
 
-    const prompt = `You are "Phantom Sync™", a subtitle Pacing & Readability Analyst. Adjust translated Persian lines that are too long for their on-screen duration by rewriting them to be more concise while preserving 100% of the original meaning.
+    const buildPrompt = (start, end) => `You are "Phantom Sync™", a subtitle Pacing & Readability Analyst. Every line below was flagged by our readability checker. Fix the listed issues by rewriting each line to be more concise, or by re-breaking it, while preserving 100% of the original meaning.
 **Rules:**
-1.  Analyze each line's reading pace (Characters Per Second). The professional threshold for Persian is ~22 CPS.
-2.  If a line is too fast (> 22 CPS), rewrite it to be shorter. Append the annotation: \`[PS Sync: Compressed from "original longer translation" for readability.]\`.
-3.  If a line's pace is acceptable, return it exactly as is.
-4.  Your output MUST be a single JSON object with this exact structure: { "translations": ["...", "..."] }. The number of strings in the array must exactly match the number of input lines.
+1.  The professional limits for ${name} are ~${maxCps} CPS (Characters Per Second), ${maxCharsPerLine} characters per line and ${maxLines} lines per subtitle.
+2.  If a line is too fast or too long, rewrite it to be shorter. Put only the subtitle text in "text"; never add notes or annotations to it.
+3.  If only the line breaks are wrong, keep the words and move the breaks (use \\n between lines).
+4.  Your output MUST be a single JSON object with this exact structure: { "translations": [{ "text": "...", "original": "..." }] }, where "original" is the line exactly as you received it if you shortened it, or null if you did not. The number of objects in the array must exactly match the number of input lines.
+5.  ${PLACEHOLDER_RULE} Placeholders do not count towards the reading pace.
 
 **Data for Analysis:**
 ---
-${promptData}
+${batch.slice(start, end).map((line, offset) => describeLine(line, start + offset)).join('\n')}
 ---
-Produce the JSON output containing the final, sync-checked Persian subtitle text.`;
-    return await this._callBatchAgent('phantomSync', prompt, batch, config.GEMINI_SYNC_MODEL);
+Produce the JSON output containing the final, sync-checked ${name} subtitle text.`;
+    const results = await this._callBatchAgent('phantomSync', 'sync', batch, buildPrompt, syncedLineSchema);
+
+    const wording = line => line.replace(/\s+/g, ' ').trim();
+    const translations = [];
+    const compressions = [];
+    results.forEach((result, index) => {
+      // Tolerate a bare string, which is what the agent returned before this structure existed.
+      const text = typeof result === 'string' ? result : result.text;
+      const cleanText = text.replace(SYNC_ANNOTATION_PATTERN, '').trim();
+      if (!cleanText) {
+        // Nothing left to show (e.g. the agent only wrote a note). The line keeps its QA translation,
+        // which is still flagged in the readability report, instead of falling back to the source.
+        this.logger.warn({ sequence: batch[index].sequence }, 'Sync agent returned no text for a line; keeping the QA translation.');
+        translations.push(qaTranslations[index]);
+        return;
+      }
+      translations.push(cleanText);
+      // A changed wording is recorded even if the agent forgot to report it, and our own copy of
+      // the line is the authoritative pre-compression text rather than the agent's echo of it.
+      if (wording(cleanText) !== wording(qaTranslations[index])) {
+        compressions.push({ sequence: batch[index].sequence, original: qaTranslations[index], compressed: cleanText });
+      }
+    });
+    return { translations, compressions };
   }
                         }
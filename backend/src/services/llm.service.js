@@ -0,0 +1,313 @@
+// ===== DEVELOPMENT/DEBUG LLM PROVIDER LAYER =====
+// This module puts every LLM vendor behind one provider interface, and routes each
+// pipeline stage (blueprint, transcreate, edit, qa, sync) to the provider and model
+// configured for it. Agents only ever name the stage they are calling for.
+// With LLM_FIXTURE_MODE set, every call (embeddings included) is also recorded to, or
+// replayed from, the fixture store instead of reaching a provider.
+// Every call that does reach a provider is queued on the process-wide LLM scheduler
+// (services/llmScheduler.js), which owns rate limits and retries.
+
+// ===== IMPORTS & DEPENDENCIES =====
+import { config, LLM_STAGES } from '../config/index.js';
+import { callGemini, embedWithGemini, EMBED_BATCH_LIMIT } from '../config/gemini.js';
+import { callOpenAiCompatible } from '../config/openaiCompatible.js';
+import { ApiError } from '../core/AppError.js';
+import { LlmFixtureStore } from './llmFixtures.js';
+import { LlmScheduler } from './llmScheduler.js';
+
+// ===== CONFIGURATION & CONSTANTS =====
+// The Gemini model a stage falls back to when no LLM_<STAGE>_MODEL is set.
+const GEMINI_STAGE_MODELS = {
+  blueprint: config.GEMINI_BLUEPRINT_MODEL,
+  transcreate: config.GEMINI_TRANSLATION_MODEL,
+  edit: config.GEMINI_TRANSLATION_MODEL,
+  qa: config.GEMINI_TRANSLATION_MODEL,
+  sync: config.GEMINI_SYNC_MODEL,
+};
+
+// Every gateway in the process shares one scheduler, so budgets hold across all jobs.
+let sharedScheduler = null;
+
+// ===== TYPES & INTERFACES (JSDoc) =====
+
+/**
+ * Token counts for one call, as reported by the provider.
+ * @typedef {object} LlmUsage
+ * @property {number} inputTokens
+ * @property {number} outputTokens
+ * @property {number} totalTokens
+ */
+
+/**
+ * Receives the token counts of every call a job's gateway sent to a provider.
+ * @callback UsageRecorder
+ * @param {string} jobId
+ * @param {{stage: string, provider: string, model: string, usage: LlmUsage}} entry
+ * @returns {Promise<void>|void}
+ */
+
+/**
+ * Options for a single generation.
+ * @typedef {object} LlmGenerateOptions
+ * @property {string} model
+ * @property {boolean} [expectJson=false] - Ask the model for a bare JSON response.
+ * @property {number} [temperature=0.5]
+ */
+
+/**
+ * The interface every LLM vendor is wrapped in.
+ * @typedef {object} LlmProvider
+ * @property {string} name
+ * @property {import('./llmScheduler.js').RetryPolicy} retryPolicy - How the scheduler retries the provider's failed calls.
+ * @property {(prompt: string, options: LlmGenerateOptions) => Promise<{text: string, usage: LlmUsage|null}>} generate
+ * @property {(texts: string[], options: {model: string}) => Promise<number[][]>} [embed] - Only for providers that serve embeddings.
+ * @property {number} [embedBatchLimit] - The most texts `embed` accepts in one call; unlimited if unset.
+ */
+
+/**
+ * The provider and model that serve a pipeline stage.
+ * @typedef {object} StageRoute
+ * @property {string} provider
+ * @property {string} model
+ */
+
+// ===== PROVIDERS =====
+
+/**
+ * @implements {LlmProvider}
+ */
+export class GeminiProvider {
+  name = 'gemini';
+  retryPolicy = { maxAttempts: config.GEMINI_MAX_RETRIES, backoffMs: config.GEMINI_BACKOFF_MS };
+  embedBatchLimit = EMBED_BATCH_LIMIT;
+
+  async generate(prompt, { model, expectJson = false, temperature = 0.5 }) {
+    return callGemini(prompt, { modelName: model, expectJson, temperature });
+  }
+
+  async embed(texts, { model }) {
+    return embedWithGemini(texts, { modelName: model });
+  }
+}
+
+/**
+ * Any server that speaks the OpenAI chat completions API, including local servers
+ * such as Ollama and llama.cpp.
+ * @implements {LlmProvider}
+ */
+export class OpenAiCompatibleProvider {
+  name = 'openai-compatible';
+  retryPolicy = { maxAttempts: config.OPENAI_COMPATIBLE_MAX_RETRIES, backoffMs: config.OPENAI_COMPATIBLE_BACKOFF_MS };
+
+  async generate(prompt, { model, expectJson = false, temperature = 0.5 }) {
+    return callOpenAiCompatible(prompt, { modelName: model, expectJson, temperature });
+  }
+}
+
+// ===== GATEWAY CLASS =====
+export class LlmGateway {
+  /**
+   * @param {object} deps
+   * @param {Record<string, LlmProvider>} deps.providers - Providers by name.
+   * @param {Record<string, StageRoute>} deps.routes - The provider and model for each stage.
+   * @param {StageRoute} deps.embeddingRoute - The provider and model that embed texts.
+   * @param {{mode: 'off'|'record'|'replay', store?: LlmFixtureStore}} [deps.fixtures={mode: 'off'}]
+   * @param {LlmScheduler} deps.scheduler
+   * @param {string|null} [deps.jobId=null] - The job this gateway's calls are queued for.
+   * @param {UsageRecorder|null} [deps.onUsage=null] - Where a job's token usage is recorded.
+   * @param {import('pino').Logger} deps.logger
+   */
+  constructor({ providers, routes, embeddingRoute, fixtures = { mode: 'off' }, scheduler, jobId = null, onUsage = null, logger }) {
+    this.providers = providers;
+    this.routes = routes;
+    this.embeddingRoute = embeddingRoute;
+    this.fixtures = fixtures;
+    this.scheduler = scheduler;
+    this.jobId = jobId;
+    this.onUsage = onUsage;
+    this.logger = logger;
+  }
+
+  /**
+   * Returns a gateway whose calls are queued as the given job's, so the scheduler can share
+   * each model fairly between jobs. Everything else is shared with this gateway.
+   * @param {string} jobId
+   * @returns {LlmGateway}
+   */
+  forJob(jobId) {
+    const { providers, routes, embeddingRoute, fixtures, scheduler, onUsage, logger } = this;
+    return new LlmGateway({ providers, routes, embeddingRoute, fixtures, scheduler, jobId, onUsage, logger });
+  }
+
+  /**
+   * Records the token usage of a job's call. Replayed calls spent no tokens, and usage is
+   * informational, so a failure to record it never fails the call.
+   * @private
+   * @param {string} stage
+   * @param {{provider: string, model: string, usage: LlmUsage|null}} response
+   */
+  async _recordUsage(stage, { provider, model, usage }) {
+    if (!this.jobId || !this.onUsage || !usage || this.fixtures.mode === 'replay') {
+      return;
+    }
+    try {
+      await this.onUsage(this.jobId, { stage, provider, model, usage });
+    } catch (error) {
+      this.logger.warn({ err: error, jobId: this.jobId, stage }, 'Failed to record LLM token usage.');
+    }
+  }
+
+  /**
+   * Queues one provider call on the scheduler.
+   * @private
+   * @template T
+   * @param {string} provider
+   * @param {string} model
+   * @param {string} input - What the call sends, for the token estimate.
+   * @param {() => Promise<T>} call
+   * @returns {Promise<T>}
+   */
+  _schedule(provider, model, input, call) {
+    return this.scheduler.schedule({
+      provider,
+      model,
+      jobId: this.jobId,
+      estimatedTokens: LlmScheduler.estimateTokens(input),
+      retryPolicy: this.providers[provider].retryPolicy,
+    }, call);
+  }
+
+  /**
+   * Runs a provider call, or answers it from the fixture store, depending on the fixture mode.
+   * @private
+   * @template T
+   * @param {string} agent
+   * @param {string} prompt - The exact input the fixture is keyed by.
+   * @param {() => Promise<T>} call
+   * @returns {Promise<T>}
+   * @throws {ApiError} With code 'LLM_FIXTURE_MISSING' when replaying a prompt that was never recorded.
+   */
+  async _withFixtures(agent, prompt, call) {
+    const { mode, store } = this.fixtures;
+    if (mode === 'replay') {
+      const fixture = await store.read(agent, prompt);
+      if (!fixture) {
+        throw new ApiError(`No recorded LLM response for agent [${agent}]. Record the fixtures again.`, 500, 'LLM_FIXTURE_MISSING', { agent });
+      }
+      return fixture.response;
+    }
+    const response = await call();
+    if (mode === 'record') {
+      await store.write(agent, prompt, response);
+    }
+    return response;
+  }
+
+  /**
+   * Names the provider and model that serve a stage.
+   * @param {string} stage
+   * @returns {StageRoute}
+   * @throws {ApiError} If the stage is not configured.
+   */
+  describeStage(stage) {
+    const route = this.routes[stage];
+    if (!route || !this.providers[route.provider]) {
+      throw new ApiError(`No LLM provider is configured for the "${stage}" stage.`, 500, 'LLM_NOT_CONFIGURED', { stage });
+    }
+    return route;
+  }
+
+  /**
+   * Generates text for a pipeline stage with the provider and model configured for it.
+   * @param {string} stage
+   * @param {string} prompt
+   * @param {{expectJson?: boolean, temperature?: number, agent?: string}} [options={}] - `agent` names
+   *   the calling agent for fixtures and logs; it defaults to the stage.
+   * @returns {Promise<{text: string, usage: LlmUsage|null, provider: string, model: string}>}
+   * @throws {ApiError}
+   */
+  async generate(stage, prompt, { expectJson = false, temperature = 0.5, agent = stage } = {}) {
+    const { provider, model } = this.describeStage(stage);
+    const response = await this._withFixtures(agent, prompt, async () => {
+      const { text, usage } = await this._schedule(provider, model, prompt, () => this.providers[provider].generate(prompt, { model, expectJson, temperature }));
+      return { text, usage, provider, model };
+    });
+    this.logger.info({ stage, agent, jobId: this.jobId, provider: response.provider, model: response.model, usage: response.usage, fixtureMode: this.fixtures.mode }, 'LLM call completed.');
+    await this._recordUsage(stage, response);
+    return response;
+  }
+
+  /**
+   * Embeds texts with the configured embedding provider and model.
+   * @param {string[]} texts
+   * @returns {Promise<number[][]>} One vector per text, in order.
+   * @throws {ApiError}
+   */
+  async embed(texts) {
+    const { provider, model } = this.embeddingRoute;
+    const { embedBatchLimit = texts.length || 1 } = this.providers[provider];
+    return this._withFixtures('embedTexts', JSON.stringify(texts), async () => {
+      // Each request the provider accepts is its own call, budgeted and retried on its own.
+      const vectors = [];
+      for (let i = 0; i < texts.length; i += embedBatchLimit) {
+        const chunk = texts.slice(i, i + embedBatchLimit);
+        const chunkInput = JSON.stringify(chunk);
+        vectors.push(...await this._schedule(provider, model, chunkInput, () => this.providers[provider].embed(chunk, { model })));
+      }
+      return vectors;
+    });
+  }
+}
+
+// ===== PUBLIC API FUNCTIONS =====
+
+/**
+ * Reads the provider and model of every stage from the configuration.
+ * @returns {Record<string, StageRoute>}
+ */
+export function resolveStageRoutes() {
+  return Object.fromEntries(LLM_STAGES.map((stage) => {
+    const provider = config[`LLM_${stage.toUpperCase()}_PROVIDER`];
+    // Only Gemini has default models; the config loader requires a model for every other provider.
+    const model = config[`LLM_${stage.toUpperCase()}_MODEL`] || GEMINI_STAGE_MODELS[stage];
+    return [stage, { provider, model }];
+  }));
+}
+
+/**
+ * Returns the process-wide scheduler, creating it with the configured budgets on first use.
+ * @param {{logger: import('pino').Logger}} deps
+ * @returns {LlmScheduler}
+ */
+export function getLlmScheduler({ logger }) {
+  if (!sharedScheduler) {
+    sharedScheduler = new LlmScheduler({
+      defaultLimits: { rpm: config.LLM_DEFAULT_RPM, tpm: config.LLM_DEFAULT_TPM, maxConcurrency: config.LLM_MAX_CONCURRENCY },
+      modelLimits: config.LLM_MODEL_LIMITS,
+      logger,
+    });
+  }
+  return sharedScheduler;
+}
+
+/**
+ * Builds the gateway the agents use, with every provider, the configured stage routes,
+ * the configured fixture mode and the process-wide scheduler.
+ * @param {{logger: import('pino').Logger, onUsage?: UsageRecorder}} deps
+ * @returns {LlmGateway}
+ */
+export function createLlmGateway({ logger, onUsage = null }) {
+  const providers = [new GeminiProvider(), new OpenAiCompatibleProvider()];
+  return new LlmGateway({
+    providers: Object.fromEntries(providers.map(provider => [provider.name, provider])),
+    routes: resolveStageRoutes(),
+    embeddingRoute: { provider: 'gemini', model: config.GEMINI_EMBEDDING_MODEL },
+    fixtures: {
+      mode: config.LLM_FIXTURE_MODE,
+      ...(config.LLM_FIXTURE_MODE !== 'off' && { store: new LlmFixtureStore({ directory: config.LLM_FIXTURE_DIR, logger }) }),
+    },
+    scheduler: getLlmScheduler({ logger }),
+    onUsage,
+    logger,
+  });
+}
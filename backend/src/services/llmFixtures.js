@@ -0,0 +1,88 @@
+// ===== DEVELOPMENT/DEBUG LLM FIXTURE STORE =====
+// This module stores recorded LLM responses on disk, one JSON file per agent and prompt,
+// so the pipeline can be replayed offline and deterministically. Fixtures are keyed by the
+// agent name and a hash of the exact prompt: any change to a prompt, its inputs or the
+// subtitle text needs a new recording.
+
+// ===== IMPORTS & DEPENDENCIES =====
+import { createHash } from 'node:crypto';
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+
+// ===== TYPES & INTERFACES (JSDoc) =====
+
+/**
+ * A recorded response.
+ * @typedef {object} LlmFixture
+ * @property {string} agent
+ * @property {string} promptHash
+ * @property {object} response - Whatever the gateway returned for the call.
+ * @property {string} recordedAt
+ */
+
+// ===== PRIVATE HELPER FUNCTIONS =====
+
+/**
+ * @private
+ * @param {string} input
+ * @returns {string}
+ */
+function _hash(input) {
+  return createHash('sha256').update(input).digest('hex');
+}
+
+// ===== STORE CLASS =====
+export class LlmFixtureStore {
+  /**
+   * @param {object} deps
+   * @param {string} deps.directory - Where fixture files live, relative to the working directory unless absolute.
+   * @param {import('pino').Logger} deps.logger
+   */
+  constructor({ directory, logger }) {
+    this.directory = path.resolve(directory);
+    this.logger = logger;
+  }
+
+  /**
+   * @private
+   */
+  _pathFor(agent, promptHash) {
+    return path.join(this.directory, agent, `${promptHash}.json`);
+  }
+
+  /**
+   * Looks up the recorded response to a prompt.
+   * @param {string} agent
+   * @param {string} prompt
+   * @returns {Promise<LlmFixture|null>} The fixture, or null if none was recorded.
+   */
+  async read(agent, prompt) {
+    const promptHash = _hash(prompt);
+    try {
+      return JSON.parse(await readFile(this._pathFor(agent, promptHash), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        this.logger.warn({ agent, promptHash }, 'No LLM fixture recorded for this prompt.');
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Records the response to a prompt, replacing any earlier recording.
+   * @param {string} agent
+   * @param {string} prompt
+   * @param {object} response
+   * @returns {Promise<LlmFixture>}
+   */
+  async write(agent, prompt, response) {
+    const promptHash = _hash(prompt);
+    const fixture = { agent, promptHash, response, recordedAt: new Date().toISOString() };
+    const filePath = this._pathFor(agent, promptHash);
+    await mkdir(path.dirname(filePath), { recursive: true });
+    await writeFile(filePath, `${JSON.stringify(fixture, null, 2)}\n`);
+    this.logger.info({ agent, promptHash }, 'LLM fixture recorded.');
+    return fixture;
+  }
+}
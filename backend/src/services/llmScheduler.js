@@ -0,0 +1,350 @@
+// ===== DEVELOPMENT/DEBUG LLM CALL SCHEDULER =====
+// This module holds the process-wide scheduler every model call goes through, whichever
+// job it belongs to. For each model it keeps calls within a requests-per-minute and
+// tokens-per-minute budget, hands free slots to waiting jobs in turn so one large job
+// cannot starve the others, and retries failed calls, waiting as long as the provider
+// asks to. Concurrency per model adapts to errors: it is halved when calls are rate
+// limited or fail on the provider's side, and grows by one again as calls succeed.
+
+// ===== IMPORTS & DEPENDENCIES =====
+import { ApiError, LlmProviderError } from '../core/AppError.js';
+
+// ===== CONFIGURATION & CONSTANTS =====
+const WINDOW_MS = 60_000;
+// A rough token count for budgeting before the provider reports the real one.
+const CHARS_PER_TOKEN = 4;
+// Concurrency is halved at most once per this interval, so a burst of failures from calls
+// that were already in flight counts as one congestion signal.
+const DECREASE_COOLDOWN_MS = 5_000;
+// Work that is not tied to a job still gets a fair share, under this key.
+const UNASSIGNED_JOB = 'unassigned';
+
+// ===== TYPES & INTERFACES (JSDoc) =====
+
+/**
+ * The budget of one model.
+ * @typedef {object} ModelLimits
+ * @property {number} rpm - Requests per minute.
+ * @property {number} tpm - Tokens per minute.
+ * @property {number} maxConcurrency - The most calls in flight at once; the adaptive limit never exceeds it.
+ */
+
+/**
+ * How a provider's failed calls are retried.
+ * @typedef {object} RetryPolicy
+ * @property {number} maxAttempts
+ * @property {number} backoffMs - The first delay when the provider gives no retry hint; it doubles with each attempt.
+ */
+
+/**
+ * A call to schedule.
+ * @typedef {object} ScheduledCall
+ * @property {string} provider
+ * @property {string} model
+ * @property {string|null} [jobId] - The job the call is made for; calls without one share a queue.
+ * @property {number} estimatedTokens
+ * @property {RetryPolicy} retryPolicy
+ */
+
+/**
+ * The scheduling state of one model.
+ * @typedef {object} ModelLane
+ * @property {string} key
+ * @property {ModelLimits} limits
+ * @property {number} concurrency - The current adaptive limit.
+ * @property {number} active - Calls in flight.
+ * @property {number} successStreak - Successes since the limit last changed.
+ * @property {number} lastDecreaseAt
+ * @property {number} pausedUntil - Set when the provider asks us to back off.
+ * @property {Array<{startedAt: number, tokens: number}>} window - Calls started in the last minute.
+ * @property {Map<string, Array<{tokens: number, start: () => void}>>} queues - Waiting calls by job.
+ * @property {string[]} rotation - Jobs with waiting calls, in the order they are served.
+ * @property {NodeJS.Timeout|null} timer
+ */
+
+// ===== PRIVATE HELPER FUNCTIONS =====
+
+/**
+ * @private
+ * @param {number} ms
+ */
+function _sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Rate limiting, timeouts and server errors mean the provider is overloaded; anything else
+ * (a bad request, a blocked response) says nothing about load.
+ * @private
+ * @param {LlmProviderError} error
+ * @returns {boolean}
+ */
+function _isCongestion(error) {
+  const { status } = error.context;
+  return status == null || status === 408 || status === 429 || status >= 500;
+}
+
+// ===== SCHEDULER CLASS =====
+export class LlmScheduler {
+  /**
+   * @param {object} deps
+   * @param {ModelLimits} deps.defaultLimits - The budget of any model without its own entry.
+   * @param {Record<string, Partial<ModelLimits>>} [deps.modelLimits={}] - Budgets by model name.
+   * @param {import('pino').Logger} deps.logger
+   */
+  constructor({ defaultLimits, modelLimits = {}, logger }) {
+    this.defaultLimits = defaultLimits;
+    this.modelLimits = modelLimits;
+    this.logger = logger;
+    /** @type {Map<string, ModelLane>} */
+    this.lanes = new Map();
+  }
+
+  /**
+   * Estimates the tokens a call will use: the prompt, and a response of up to the same length.
+   * The estimate is replaced by the provider's count once the call completes.
+   * @param {string} input
+   * @returns {number}
+   */
+  static estimateTokens(input) {
+    return Math.ceil(input.length / CHARS_PER_TOKEN) * 2;
+  }
+
+  /**
+   * @private
+   * @returns {ModelLane}
+   */
+  _laneFor(provider, model) {
+    const key = `${provider}/${model}`;
+    if (!this.lanes.has(key)) {
+      const limits = { ...this.defaultLimits, ...this.modelLimits[model] };
+      this.lanes.set(key, {
+        key,
+        limits,
+        concurrency: limits.maxConcurrency,
+        active: 0,
+        successStreak: 0,
+        lastDecreaseAt: 0,
+        pausedUntil: 0,
+        window: [],
+        queues: new Map(),
+        rotation: [],
+        timer: null,
+      });
+    }
+    return this.lanes.get(key);
+  }
+
+  /**
+   * Works out how long the next call of a lane has to wait for its budget.
+   * @private
+   * @param {ModelLane} lane
+   * @param {number} tokens - The next call's estimate.
+   * @param {number} now
+   * @returns {number} 0 if it can start now.
+   */
+  _budgetWait(lane, tokens, now) {
+    while (lane.window.length > 0 && lane.window[0].startedAt <= now - WINDOW_MS) {
+      lane.window.shift();
+    }
+    if (lane.pausedUntil > now) {
+      return lane.pausedUntil - now;
+    }
+    const untilOldestExpires = lane.window.length > 0 ? lane.window[0].startedAt + WINDOW_MS - now : 0;
+    if (lane.window.length >= lane.limits.rpm) {
+      return untilOldestExpires;
+    }
+    const windowTokens = lane.window.reduce((sum, entry) => sum + entry.tokens, 0);
+    // A call larger than the whole budget still runs, alone, once the window is empty.
+    if (lane.window.length > 0 && windowTokens + tokens > lane.limits.tpm) {
+      return untilOldestExpires;
+    }
+    return 0;
+  }
+
+  /**
+   * Starts as many waiting calls as concurrency and budget allow, taking one call from each
+   * waiting job in turn. If the budget is the limit, wakes up again when it frees.
+   * @private
+   * @param {ModelLane} lane
+   */
+  _drain(lane) {
+    while (lane.active < lane.concurrency && lane.rotation.length > 0) {
+      const jobKey = lane.rotation[0];
+      const queue = lane.queues.get(jobKey);
+      const now = Date.now();
+      const wait = this._budgetWait(lane, queue[0].tokens, now);
+      if (wait > 0) {
+        if (!lane.timer) {
+          lane.timer = setTimeout(() => {
+            lane.timer = null;
+            this._drain(lane);
+          }, wait);
+          // Waiting calls keep their callers' promises pending; the timer alone must not keep the process up.
+          lane.timer.unref();
+        }
+        return;
+      }
+      const call = queue.shift();
+      lane.rotation.shift();
+      if (queue.length > 0) {
+        lane.rotation.push(jobKey);
+      } else {
+        lane.queues.delete(jobKey);
+      }
+      lane.active++;
+      call.start();
+    }
+  }
+
+  /**
+   * Waits for a slot in a lane and records the call against the budget.
+   * @private
+   * @param {ModelLane} lane
+   * @param {string} jobKey
+   * @param {number} tokens
+   * @returns {Promise<{startedAt: number, tokens: number}>} The call's entry in the budget window.
+   */
+  _acquire(lane, jobKey, tokens) {
+    return new Promise((resolve) => {
+      const start = () => {
+        const entry = { startedAt: Date.now(), tokens };
+        lane.window.push(entry);
+        resolve(entry);
+      };
+      if (!lane.queues.has(jobKey)) {
+        lane.queues.set(jobKey, []);
+        lane.rotation.push(jobKey);
+      }
+      lane.queues.get(jobKey).push({ tokens, start });
+      this._drain(lane);
+    });
+  }
+
+  /**
+   * @private
+   * @param {ModelLane} lane
+   */
+  _release(lane) {
+    lane.active--;
+    this._drain(lane);
+  }
+
+  /**
+   * Pauses a lane when the provider rate limits a call and says when to retry. The quota is
+   * shared by every call to the model, so they all hold off.
+   * @private
+   * @param {ModelLane} lane
+   * @param {Error} error
+   */
+  _pauseIfRateLimited(lane, error) {
+    if (!(error instanceof LlmProviderError)) {
+      return;
+    }
+    const { status, retryAfterMs } = error.context;
+    if (retryAfterMs != null && status === 429) {
+      lane.pausedUntil = Math.max(lane.pausedUntil, Date.now() + retryAfterMs);
+    }
+  }
+
+  /**
+   * Additive increase: one more concurrent call after a full round of successes.
+   * @private
+   * @param {ModelLane} lane
+   */
+  _recordSuccess(lane) {
+    lane.successStreak++;
+    if (lane.concurrency < lane.limits.maxConcurrency && lane.successStreak >= lane.concurrency) {
+      lane.concurrency++;
+      lane.successStreak = 0;
+      this.logger.info({ lane: lane.key, concurrency: lane.concurrency }, 'LLM calls recovering; concurrency raised.');
+    }
+  }
+
+  /**
+   * Multiplicative decrease: half the concurrent calls, at least one.
+   * @private
+   * @param {ModelLane} lane
+   */
+  _recordCongestion(lane) {
+    lane.successStreak = 0;
+    const now = Date.now();
+    if (now - lane.lastDecreaseAt < DECREASE_COOLDOWN_MS || lane.concurrency === 1) {
+      return;
+    }
+    lane.lastDecreaseAt = now;
+    lane.concurrency = Math.max(1, Math.floor(lane.concurrency / 2));
+    this.logger.warn({ lane: lane.key, concurrency: lane.concurrency }, 'LLM calls failing; concurrency reduced.');
+  }
+
+  /**
+   * Runs a model call once its model has room for it, retrying failures the provider marks as
+   * retryable. Each attempt waits for its own slot and counts against the budget.
+   * @template T
+   * @param {ScheduledCall} call
+   * @param {() => Promise<T>} operation - One attempt. If it resolves to an object with
+   *   `usage.totalTokens`, that count replaces the estimate in the budget.
+   * @returns {Promise<T>}
+   * @throws {ApiError} With code 'LLM_API_ERROR' once a provider call has failed for good.
+   *   Errors other than {@link LlmProviderError} are rethrown as they are, without a retry.
+   */
+  async schedule({ provider, model, jobId = null, estimatedTokens, retryPolicy }, operation) {
+    const lane = this._laneFor(provider, model);
+    const jobKey = jobId || UNASSIGNED_JOB;
+    for (let attempt = 1; ; attempt++) {
+      const entry = await this._acquire(lane, jobKey, estimatedTokens);
+      let error;
+      try {
+        const result = await operation();
+        if (result?.usage?.totalTokens) {
+          entry.tokens = result.usage.totalTokens;
+        }
+        this._recordSuccess(lane);
+        return result;
+      } catch (caught) {
+        error = caught;
+        // Before the slot is released, so no queued call starts into the exhausted quota.
+        this._pauseIfRateLimited(lane, error);
+      } finally {
+        this._release(lane);
+      }
+
+      // Anything else is not the provider failing (e.g. a client that was never configured).
+      if (!(error instanceof LlmProviderError)) {
+        throw error;
+      }
+      const { status, retryable, retryAfterMs } = error.context;
+      if (_isCongestion(error)) {
+        this._recordCongestion(lane);
+      }
+      const logContext = { provider, model, jobId, attempt, status, error: error.message };
+      if (!retryable || attempt >= retryPolicy.maxAttempts) {
+        this.logger.error(logContext, 'LLM call failed on final attempt.');
+        throw new ApiError(`LLM call to ${provider} model "${model}" failed after ${attempt} attempt(s).`, 503, 'LLM_API_ERROR', { provider, model, status, originalError: error });
+      }
+      const delay = retryAfterMs ?? retryPolicy.backoffMs * Math.pow(2, attempt - 1);
+      this.logger.warn(logContext, `LLM call failed. Retrying in ${delay}ms...`);
+      await _sleep(delay);
+    }
+  }
+
+  /**
+   * Reports the state of every model the process has called, for monitoring.
+   * @returns {Array<{model: string, concurrency: number, maxConcurrency: number, active: number, queued: number, requestsLastMinute: number, tokensLastMinute: number}>}
+   */
+  getStats() {
+    const now = Date.now();
+    return [...this.lanes.values()].map((lane) => {
+      const window = lane.window.filter(entry => entry.startedAt > now - WINDOW_MS);
+      return {
+        model: lane.key,
+        concurrency: lane.concurrency,
+        maxConcurrency: lane.limits.maxConcurrency,
+        active: lane.active,
+        queued: [...lane.queues.values()].reduce((sum, queue) => sum + queue.length, 0),
+        requestsLastMinute: window.length,
+        tokensLastMinute: window.reduce((sum, entry) => sum + entry.tokens, 0),
+      };
+    });
+  }
+}
@@ -0,0 +1,117 @@
+// ===== DEVELOPMENT/DEBUG IN-MEMORY VECTOR STORE =====
+// This module is a local stand-in for a Pinecone index. It implements the subset of
+// the Pinecone Index API that the application uses (namespaces, upsert, metadata-filtered
+// cosine-similarity query and index stats), so tests and local development can run
+// without a Pinecone account. Data lives only as long as the process.
+
+// ===== PRIVATE HELPER FUNCTIONS =====
+
+/**
+ * Computes the cosine similarity of two vectors.
+ * @private
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number}
+ */
+function _cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / (Math.sqrt(normA) * Math.sqrt(normB)) : 0;
+}
+
+/**
+ * Checks record metadata against a Pinecone-style filter. Supports plain equality,
+ * `$eq`, `$ne` and `$in`, which is all the application relies on.
+ * @private
+ * @param {object} [metadata={}]
+ * @param {object} [filter={}]
+ * @returns {boolean}
+ */
+function _matchesFilter(metadata = {}, filter = {}) {
+  return Object.entries(filter).every(([key, condition]) => {
+    const value = metadata[key];
+    if (condition === null || typeof condition !== 'object') return value === condition;
+    if ('$eq' in condition) return value === condition.$eq;
+    if ('$ne' in condition) return value !== condition.$ne;
+    if ('$in' in condition) return condition.$in.includes(value);
+    return false;
+  });
+}
+
+// ===== VECTOR STORE CLASSES =====
+
+/**
+ * A single namespace of the in-memory index.
+ */
+class InMemoryNamespace {
+  constructor() {
+    /** @type {Map<string, {id: string, values: number[], metadata?: object}>} */
+    this.records = new Map();
+  }
+
+  async upsert(records) {
+    records.forEach(record => this.records.set(record.id, structuredClone(record)));
+  }
+
+  async query({ vector, topK = 10, filter, includeMetadata = false, includeValues = false }) {
+    const matches = [...this.records.values()]
+      .filter(record => _matchesFilter(record.metadata, filter))
+      .map(record => ({
+        id: record.id,
+        score: _cosineSimilarity(vector, record.values),
+        ...(includeValues && { values: record.values }),
+        ...(includeMetadata && { metadata: record.metadata }),
+      }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, topK);
+    return { matches };
+  }
+
+  async deleteMany(ids) {
+    ids.forEach(id => this.records.delete(id));
+  }
+}
+
+/**
+ * An in-memory replacement for a Pinecone Index.
+ */
+export class InMemoryVectorIndex {
+  constructor() {
+    /** @type {Map<string, InMemoryNamespace>} */
+    this.namespaces = new Map();
+  }
+
+  /**
+   * Returns a namespace-scoped view of the index, creating it on first use.
+   * @param {string} name
+   * @returns {InMemoryNamespace}
+   */
+  namespace(name) {
+    if (!this.namespaces.has(name)) {
+      this.namespaces.set(name, new InMemoryNamespace());
+    }
+    return this.namespaces.get(name);
+  }
+
+  async upsert(records) {
+    return this.namespace('').upsert(records);
+  }
+
+  async query(options) {
+    return this.namespace('').query(options);
+  }
+
+  async describeIndexStats() {
+    const namespaces = Object.fromEntries(
+      [...this.namespaces].map(([name, ns]) => [name, { recordCount: ns.records.size }])
+    );
+    const totalRecordCount = Object.values(namespaces).reduce((sum, ns) => sum + ns.recordCount, 0);
+    return { namespaces, totalRecordCount };
+  }
+}
@@ -1,11 +1,13 @@
 // ===== DEVELOPMENT/DEBUG VECTOR DB CLIENT (PINECONE) =====
 // This module manages the singleton connection to the Pinecone vector database.
+// When VECTOR_STORE_PROVIDER is 'memory', an in-memory index with the same API is used instead.
 
 // ===== IMPORTS & DEPENDENCIES =====
 import { Pinecone } from '@pinecone-database/pinecone';
 import { config } from '../config/index.js';
 import { logger } from '../config/logger.js';
 import { ApiError } from '../core/AppError.js';
+import { InMemoryVectorIndex } from './memoryVectorStore.js';
 
 // ===== MODULE-LEVEL CLIENT STATE =====
 let pineconeIndex = null;
@@ -16,6 +18,11 @@ export async function connectToPinecone() {
     logger.info('Pinecone index reference already established.');
     return;
   }
+  if (config.VECTOR_STORE_PROVIDER === 'memory') {
+    pineconeIndex = new InMemoryVectorIndex();
+    logger.warn('Using the in-memory vector store. Vectors will not persist across restarts.');
+    return;
+  }
   try {
     logger.info('Initializing Pinecone client...');
     const pinecone = new Pinecone({ apiKey: config.PINECONE_API_KEY });
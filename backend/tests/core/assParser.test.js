@@ -0,0 +1,49 @@
+// ===== DEVELOPMENT/DEBUG ASS/SSA PARSER TESTS =====
+
+// ===== IMPORTS & DEPENDENCIES =====
+import { parseAss, toAssString } from '../../src/core/assParser.js';
+import { breakLines } from '../../src/core/lineBreaker.js';
+import { protectTags } from '../../src/core/formatTags.js';
+import { getLanguageProfile } from '../../src/core/languages.js';
+
+// ===== CONFIGURATION & CONSTANTS =====
+const HEAD = [
+  '[Script Info]',
+  'ScriptType: v4.00+',
+  '',
+  '[Events]',
+  'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text',
+];
+
+function script(...texts) {
+  return [...HEAD, ...texts.map(text => `Dialogue: 0,0:00:01.00,0:00:03.00,Default,Ava,0,0,0,,${text}`)].join('\n');
+}
+
+describe('parseAss', () => {
+  test('keeps hard spaces and line breaks through a round trip', () => {
+    const content = script('{\\an8}Mr.\\hSmith,\\Nwelcome\\h\\hback.');
+    const { document, lines } = parseAss(content);
+    expect(lines[0].text).toBe('{\\an8}Mr.\u00A0Smith,\nwelcome\u00A0\u00A0back.');
+    expect(toAssString(document, lines)).toBe(content);
+  });
+
+  test('leaves the backslash codes inside override blocks alone', () => {
+    const content = script('{\\fnNoto Sans\\h1}Hello\\Nthere');
+    const { document, lines } = parseAss(content);
+    expect(lines[0].text).toBe('{\\fnNoto Sans\\h1}Hello\nthere');
+    expect(toAssString(document, lines)).toBe(content);
+  });
+
+  test('marks only the tags before the first visible text, counting line breaks as breaks', () => {
+    const { lines } = parseAss(script('{\\an8}\\N{\\i1}Hello{\\i0}'));
+    expect(protectTags(lines[0].text).tags.map(tag => tag.leading)).toEqual([true, true, false]);
+  });
+});
+
+describe('hard spaces in line breaking', () => {
+  test('never breaks a line at a hard space', () => {
+    const profile = { ...getLanguageProfile('es'), maxCharsPerLine: 12 };
+    const { text } = breakLines('Hola\u00A0señor\u00A0Smith y adiós', profile);
+    expect(text.split('\n')).toEqual(['Hola\u00A0señor\u00A0Smith', 'y adiós']);
+  });
+});
@@ -0,0 +1,166 @@
+// ===== DEVELOPMENT/DEBUG BLUEPRINT VERSIONING TESTS =====
+
+// ===== IMPORTS & DEPENDENCIES =====
+import { applyBlueprintChange, diffBlueprints, inheritMasterBlueprint, listBlueprintChanges, promoteToMaster } from '../../src/core/blueprintVersions.js';
+
+// ===== CONFIGURATION & CONSTANTS =====
+const MASTER = Object.freeze({
+  characterProfiles: [{ character: 'Ava', style: 'Dry, formal.' }],
+  glossary: [{ term: 'The Boss', proposedTranslation: 'El Jefe', justification: 'Series-wide nickname.' }],
+  culturalAdaptations: [],
+  styleRules: ['Use "usted" with strangers.'],
+});
+
+function episodeBlueprint(overrides = {}) {
+  return {
+    summary: 'Episode 2.',
+    keyPoints: [],
+    characterProfiles: [],
+    glossary: [],
+    culturalAdaptations: [],
+    ...overrides,
+  };
+}
+
+describe('inheritMasterBlueprint', () => {
+  test('gives the episode the master\'s entries and style rules, keeping entries new to the episode', () => {
+    const inherited = inheritMasterBlueprint(MASTER, episodeBlueprint({
+      glossary: [{ term: 'Harbor', proposedTranslation: 'Puerto', justification: 'Setting.' }],
+    }));
+    expect(inherited.styleRules).toEqual(MASTER.styleRules);
+    expect(inherited.characterProfiles).toEqual(MASTER.characterProfiles);
+    expect(inherited.glossary.map(entry => entry.term)).toEqual(['The Boss', 'Harbor']);
+    expect(inherited.summary).toBe('Episode 2.');
+  });
+
+  test('the master wins over an episode entry with the same key, compared without case or spacing', () => {
+    const inherited = inheritMasterBlueprint(MASTER, episodeBlueprint({
+      glossary: [{ term: ' the boss', proposedTranslation: 'La Jefa', justification: 'Generated.' }],
+    }));
+    expect(inherited.glossary).toEqual(MASTER.glossary);
+  });
+
+  test('does not modify its inputs', () => {
+    const blueprint = episodeBlueprint();
+    const inherited = inheritMasterBlueprint(MASTER, blueprint);
+    inherited.styleRules.push('Another rule.');
+    expect(MASTER.styleRules).toHaveLength(1);
+    expect(blueprint.glossary).toEqual([]);
+  });
+});
+
+describe('promoteToMaster', () => {
+  const blueprint = inheritMasterBlueprint(MASTER, episodeBlueprint({
+    glossary: [{ term: 'Harbor', proposedTranslation: 'Puerto', justification: 'Setting.' }],
+  }));
+  // The episode also changed the master's character and dropped nothing.
+  blueprint.characterProfiles = [{ character: 'Ava', style: 'Dry, formal, never swears.' }];
+
+  test('promotes every added or changed entry by default', () => {
+    const { master, changes } = promoteToMaster(MASTER, blueprint);
+    expect(changes).toEqual([
+      { action: 'add', section: 'glossary', key: 'Harbor' },
+      { action: 'update', section: 'characterProfiles', key: 'Ava' },
+    ]);
+    expect(master.characterProfiles[0].style).toBe('Dry, formal, never swears.');
+    expect(master.glossary.map(entry => entry.term)).toEqual(['The Boss', 'Harbor']);
+    expect(MASTER.glossary).toHaveLength(1);
+  });
+
+  test('promotes only the selected entries', () => {
+    const { master, changes } = promoteToMaster(MASTER, blueprint, [{ section: 'glossary', key: 'harbor' }]);
+    expect(changes).toEqual([{ action: 'add', section: 'glossary', key: 'Harbor' }]);
+    expect(master.characterProfiles).toEqual(MASTER.characterProfiles);
+  });
+
+  test('keeps master entries the episode dropped', () => {
+    const { master, changes } = promoteToMaster(MASTER, episodeBlueprint());
+    expect(changes).toEqual([]);
+    expect(master.glossary).toEqual(MASTER.glossary);
+  });
+
+  test('rejects a selected entry the episode did not add or change', () => {
+    expect(() => promoteToMaster(MASTER, blueprint, [{ section: 'glossary', key: 'The Boss' }]))
+      .toThrow(expect.objectContaining({ httpStatus: 404 }));
+    expect(() => promoteToMaster(MASTER, blueprint, [{ section: 'summary', key: 'x' }]))
+      .toThrow(expect.objectContaining({ httpStatus: 400 }));
+  });
+});
+
+describe('applyBlueprintChange', () => {
+  const blueprint = episodeBlueprint({ glossary: MASTER.glossary });
+  const harbor = { term: 'Harbor', proposedTranslation: 'Puerto', justification: 'Setting.' };
+
+  test('adds an entry without modifying the blueprint it was given', () => {
+    const { blueprint: changed, change } = applyBlueprintChange(blueprint, { action: 'add', section: 'glossary', entry: harbor });
+    expect(change).toEqual({ action: 'add', section: 'glossary', key: 'Harbor' });
+    expect(changed.glossary.map(entry => entry.term)).toEqual(['The Boss', 'Harbor']);
+    expect(blueprint.glossary).toHaveLength(1);
+  });
+
+  test('updates only the fields sent, finding the entry without case or spacing', () => {
+    const { blueprint: changed, change } = applyBlueprintChange(blueprint, {
+      action: 'update', section: 'glossary', key: ' the BOSS', entry: { proposedTranslation: 'La Jefa' },
+    });
+    expect(change).toEqual({ action: 'update', section: 'glossary', key: 'The Boss' });
+    expect(changed.glossary[0]).toEqual({ ...MASTER.glossary[0], proposedTranslation: 'La Jefa' });
+  });
+
+  test('removes an entry by key', () => {
+    const { blueprint: changed, change } = applyBlueprintChange(blueprint, { action: 'remove', section: 'glossary', key: 'the boss' });
+    expect(change).toEqual({ action: 'remove', section: 'glossary', key: 'The Boss' });
+    expect(changed.glossary).toEqual([]);
+  });
+
+  test('rejects duplicate keys, unknown entries, empty updates and unknown sections', () => {
+    const status = change => {
+      try {
+        applyBlueprintChange(blueprint, change);
+      } catch (error) {
+        return error.httpStatus;
+      }
+      return null;
+    };
+    expect(status({ action: 'add', section: 'glossary', entry: { ...harbor, term: 'the boss' } })).toBe(409);
+    expect(status({ action: 'update', section: 'glossary', key: 'Harbor', entry: { proposedTranslation: 'Puerto' } })).toBe(404);
+    expect(status({ action: 'update', section: 'glossary', key: 'The Boss', entry: {} })).toBe(400);
+    expect(status({ action: 'add', section: 'glossary', entry: { ...harbor, term: '  ' } })).toBe(400);
+    expect(status({ action: 'add', section: 'summary', entry: harbor })).toBe(400);
+  });
+});
+
+describe('diffBlueprints', () => {
+  test('identical blueprints, with list entries in another order, have no changes', () => {
+    const before = episodeBlueprint({ glossary: [...MASTER.glossary, { term: 'Harbor', proposedTranslation: 'Puerto', justification: 'Setting.' }] });
+    const after = { ...before, glossary: [...before.glossary].reverse() };
+    const diff = diffBlueprints(before, after);
+    expect(diff.identical).toBe(true);
+    expect(listBlueprintChanges(diff)).toEqual([]);
+  });
+
+  test('reports the summary, key points, style rules and entries that changed', () => {
+    const before = episodeBlueprint({ glossary: MASTER.glossary, keyPoints: ['Departure'], styleRules: [] });
+    const after = episodeBlueprint({
+      summary: 'Episode 2, revised.',
+      keyPoints: ['Arrival'],
+      styleRules: ['No slang.'],
+      glossary: [{ ...MASTER.glossary[0], proposedTranslation: 'La Jefa' }],
+      characterProfiles: MASTER.characterProfiles,
+    });
+    const diff = diffBlueprints(before, after);
+
+    expect(diff.identical).toBe(false);
+    expect(diff.summary).toMatchObject({ before: 'Episode 2.', after: 'Episode 2, revised.' });
+    expect(diff.keyPoints).toEqual({ added: ['Arrival'], removed: ['Departure'] });
+    expect(diff.styleRules).toEqual({ added: ['No slang.'], removed: [] });
+    expect(diff.sections.glossary.changed).toHaveLength(1);
+    expect(Object.keys(diff.sections.glossary.changed[0].fields)).toEqual(['proposedTranslation']);
+    expect(listBlueprintChanges(diff)).toEqual([
+      { action: 'update', section: 'summary' },
+      { action: 'update', section: 'keyPoints' },
+      { action: 'update', section: 'styleRules' },
+      { action: 'update', section: 'glossary', key: 'The Boss' },
+      { action: 'add', section: 'characterProfiles', key: 'Ava' },
+    ]);
+  });
+});
@@ -0,0 +1,72 @@
+// ===== DEVELOPMENT/DEBUG FORMATTING TAG PROTECTION TESTS =====
+
+// ===== IMPORTS & DEPENDENCIES =====
+import { protectTags, restoreTags, reattachTags, stripTags, toPlaceholder } from '../../src/core/formatTags.js';
+
+describe('protectTags', () => {
+  test('replaces nested HTML tags with numbered placeholders, marking those before any visible text as leading', () => {
+    const { text, tags } = protectTags('<i><font color="#ffff00">Run!</font></i>');
+    expect(text).toBe('⟦1⟧⟦2⟧Run!⟦3⟧⟦4⟧');
+    expect(tags).toEqual([
+      { token: '⟦1⟧', tag: '<i>', leading: true },
+      { token: '⟦2⟧', tag: '<font color="#ffff00">', leading: true },
+      { token: '⟦3⟧', tag: '</font>', leading: false },
+      { token: '⟦4⟧', tag: '</i>', leading: false },
+    ]);
+  });
+
+  test('replaces ASS override blocks whole, backslash codes included', () => {
+    const { text, tags } = protectTags('{\\an8}{\\i1\\c&H00FFFF&}Hello{\\i0} <v Ava>there');
+    expect(text).toBe('⟦1⟧⟦2⟧Hello⟦3⟧ ⟦4⟧there');
+    expect(tags.map(tag => tag.tag)).toEqual(['{\\an8}', '{\\i1\\c&H00FFFF&}', '{\\i0}', '<v Ava>']);
+  });
+
+  test('protects placeholder-like text already in the line, so it comes back verbatim', () => {
+    const { text, tags } = protectTags('Press ⟦1⟧ <i>now</i>');
+    expect(text).toBe('Press ⟦1⟧ ⟦2⟧now⟦3⟧');
+    expect(tags.map(tag => tag.tag)).toEqual(['⟦1⟧', '<i>', '</i>']);
+    expect(restoreTags('Pulsa ⟦1⟧ ⟦2⟧ya⟦3⟧', tags)).toEqual({ text: 'Pulsa ⟦1⟧ <i>ya</i>', missingTags: [] });
+  });
+
+  test('leaves lines without tags alone', () => {
+    expect(protectTags('Just text.')).toEqual({ text: 'Just text.', tags: [] });
+    expect(toPlaceholder(3)).toBe('⟦3⟧');
+  });
+});
+
+describe('restoreTags', () => {
+  const { tags } = protectTags('<i>red</i> <b>car</b>');
+
+  test('puts every tag back, wherever the model moved its placeholder', () => {
+    expect(restoreTags('⟦3⟧coche⟦4⟧ ⟦1⟧rojo⟦2⟧', tags)).toEqual({ text: '<b>coche</b> <i>rojo</i>', missingTags: [] });
+  });
+
+  test('reports the tags of placeholders the model dropped', () => {
+    const { text, missingTags } = restoreTags('⟦1⟧coche rojo⟦2⟧', tags);
+    expect(text).toBe('<i>coche rojo</i>');
+    expect(missingTags.map(tag => tag.tag)).toEqual(['<b>', '</b>']);
+  });
+
+  test('restores a duplicated placeholder once, and drops placeholders the model invented', () => {
+    expect(restoreTags('⟦1⟧coche⟦1⟧ rojo⟦2⟧⟦3⟧⟦4⟧⟦9⟧', tags)).toEqual({ text: '<i>coche rojo</i><b></b>', missingTags: [] });
+  });
+});
+
+describe('reattachTags', () => {
+  test('puts lost leading tags back at the front and every other lost tag at the end', () => {
+    const { tags } = protectTags('{\\an8}<i>Hello</i>');
+    const { text, missingTags } = restoreTags('Hola', tags);
+    expect(missingTags).toHaveLength(3);
+    expect(reattachTags(text, missingTags)).toBe('{\\an8}<i>Hola</i>');
+  });
+
+  test('leaves the text alone when nothing was lost', () => {
+    expect(reattachTags('<i>Hola</i>', [])).toBe('<i>Hola</i>');
+  });
+});
+
+describe('stripTags', () => {
+  test('removes tags, override blocks and placeholders, leaving the visible text', () => {
+    expect(stripTags('{\\an8}<i>Hello</i> ⟦1⟧there')).toBe('Hello there');
+  });
+});
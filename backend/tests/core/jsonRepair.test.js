@@ -0,0 +1,35 @@
+// ===== DEVELOPMENT/DEBUG JSON REPAIR TESTS =====
+
+// ===== IMPORTS & DEPENDENCIES =====
+import { parseJsonWithRepair } from '../../src/core/jsonRepair.js';
+
+describe('parseJsonWithRepair', () => {
+  test('parses valid JSON as it is', () => {
+    expect(parseJsonWithRepair('{"translations": ["Hola."]}')).toEqual({ value: { translations: ['Hola.'] }, repaired: false });
+  });
+
+  test('takes the object out of a code fence and the prose around it', () => {
+    const text = 'Here is the result:\n```json\n{"translations": ["Hola."]}\n```\nLet me know if you need more.';
+    expect(parseJsonWithRepair(text)).toEqual({ value: { translations: ['Hola.'] }, repaired: true });
+  });
+
+  test('drops comments, trailing commas and anything after the top-level value', () => {
+    const text = '{\n  // the lines\n  "translations": ["Hola.", /* second */ "Adiós.",],\n}\nDone. {"extra": true}';
+    expect(parseJsonWithRepair(text).value).toEqual({ translations: ['Hola.', 'Adiós.'] });
+  });
+
+  test('escapes raw line breaks and tabs inside strings, leaving escaped quotes alone', () => {
+    const text = '{"translations": ["Hola,\n\t\\"amigo\\"."]}';
+    expect(parseJsonWithRepair(text)).toEqual({ value: { translations: ['Hola,\n\t"amigo".'] }, repaired: true });
+  });
+
+  test('closes output that was cut off, dropping a half-written escape sequence', () => {
+    expect(parseJsonWithRepair('{"translations": ["Hola.", "Adi').value).toEqual({ translations: ['Hola.', 'Adi'] });
+    expect(parseJsonWithRepair('{"translations": ["Hola.",').value).toEqual({ translations: ['Hola.'] });
+    expect(parseJsonWithRepair('{"translations": ["Hola \\').value).toEqual({ translations: ['Hola '] });
+  });
+
+  test('throws a SyntaxError when there is nothing to repair into JSON', () => {
+    expect(() => parseJsonWithRepair('I could not translate these lines.')).toThrow(SyntaxError);
+  });
+});
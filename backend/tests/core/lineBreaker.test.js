@@ -0,0 +1,78 @@
+// ===== DEVELOPMENT/DEBUG LINE BREAKER TESTS =====
+
+// ===== IMPORTS & DEPENDENCIES =====
+import { breakLines, breakCues, splitInTwo } from '../../src/core/lineBreaker.js';
+import { getLanguageProfile } from '../../src/core/languages.js';
+
+// ===== CONFIGURATION & CONSTANTS =====
+const SPANISH = getLanguageProfile('es');
+const PERSIAN = getLanguageProfile('fa');
+const RLM = '\u200F';
+
+describe('breakLines', () => {
+  test('keeps text that fits on one line', () => {
+    expect(breakLines('El barco zarpa al amanecer.', SPANISH)).toEqual({ text: 'El barco zarpa al amanecer.', fits: true, lineCount: 1, maxLineLength: 27 });
+  });
+
+  test('breaks longer text into two balanced lines at a phrase boundary', () => {
+    expect(breakLines('El barco zarpa al amanecer, así que tenemos que darnos prisa.', SPANISH).text)
+      .toBe('El barco zarpa al amanecer,\nasí que tenemos que darnos prisa.');
+    // A new line starts on "de" rather than leaving it, or a lone word, at the end of a line.
+    expect(breakLines('Tenemos que llegar al puerto antes de que se ponga el sol esta noche.', SPANISH).text)
+      .toBe('Tenemos que llegar al puerto antes\nde que se ponga el sol esta noche.');
+  });
+
+  test('keeps formatting tags around the broken text', () => {
+    expect(breakLines('<i>El barco zarpa al amanecer, así que tenemos que darnos prisa.</i>', SPANISH).text)
+      .toBe('<i>El barco zarpa al amanecer,\nasí que tenemos que darnos prisa.</i>');
+  });
+
+  test('keeps dialogue one speaker per line, even when a line is too long', () => {
+    expect(breakLines('- ¿Vienes con nosotros?\n- Sí.', SPANISH).text).toBe('- ¿Vienes con nosotros?\n- Sí.');
+    expect(breakLines('- ¿Vienes?\n- Sí, voy contigo hasta el puerto y luego vuelvo a casa.', SPANISH)).toEqual({
+      text: '- ¿Vienes?\n- Sí, voy contigo hasta el puerto y luego vuelvo a casa.',
+      fits: false,
+      lineCount: 2,
+      maxLineLength: 56,
+    });
+    // Without dashes, the line breaks are the translator's and are laid out again.
+    expect(breakLines('¿Vienes con nosotros?\nSí.', SPANISH).text).toBe('¿Vienes con nosotros? Sí.');
+  });
+
+  test('never breaks at a no-break space', () => {
+    // "García de la Vega" is held together by no-break spaces; with plain spaces the best break is inside it.
+    const name = 'García\u00A0de\u00A0la\u00A0Vega';
+    expect(breakLines('Esperamos al señor García de la Vega en el puerto mañana.', SPANISH).text).toBe('Esperamos al señor García\nde la Vega en el puerto mañana.');
+    expect(breakLines(`Esperamos al señor ${name} en el puerto mañana.`, SPANISH).text).toBe(`Esperamos al señor ${name}\nen el puerto mañana.`);
+    expect(splitInTwo(`Esperamos al señor ${name} en el puerto mañana.`, SPANISH)).toEqual([`Esperamos al señor ${name}`, 'en el puerto mañana.']);
+  });
+
+  test('adds an RLM only to right-to-left lines that start with a neutral or left-to-right character', () => {
+    expect(breakLines('سلام، کاپیتان.', PERSIAN).text).toBe('سلام، کاپیتان.');
+    expect(breakLines('<i>سلام</i>', PERSIAN).text).toBe('<i>سلام</i>');
+    expect(breakLines('- سلام، کاپیتان.', PERSIAN).text).toBe(`${RLM}- سلام، کاپیتان.`);
+    expect(breakLines('2024 سال خوبی بود.', PERSIAN).text).toBe(`${RLM}2024 سال خوبی بود.`);
+    // Marks already in the text are replaced, not doubled.
+    expect(breakLines(`${RLM}- سلام، کاپیتان.`, PERSIAN).text).toBe(`${RLM}- سلام، کاپیتان.`);
+    expect(breakLines('- Hola.', SPANISH).text).toBe('- Hola.');
+  });
+});
+
+describe('breakCues', () => {
+  test('reports the cues that still do not fit', () => {
+    const words = ['a'.repeat(50), 'b'.repeat(50), 'c'.repeat(10)];
+    const { lines, lineBreakIssues } = breakCues([
+      { sequence: 3, text: 'El barco zarpa al amanecer.' },
+      { sequence: 4, text: words.join(' ') },
+    ], SPANISH);
+
+    expect(lines[0].text).toBe('El barco zarpa al amanecer.');
+    expect(lines[1].text).toBe(`${words[0]}\n${words[1]} ${words[2]}`);
+    expect(lineBreakIssues).toEqual([{
+      sequence: 4,
+      lineCount: 2,
+      maxLineLength: 61,
+      message: 'The text needs 2 line(s) of up to 61 characters; Spanish allows 2 of 42.',
+    }]);
+  });
+});
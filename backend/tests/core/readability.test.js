@@ -0,0 +1,93 @@
+// ===== DEVELOPMENT/DEBUG READABILITY ANALYZER TESTS =====
+
+// ===== IMPORTS & DEPENDENCIES =====
+import { analyzeReadability, countVisibleCharacters, needsRewrite } from '../../src/core/readability.js';
+import { getLanguageProfile } from '../../src/core/languages.js';
+
+// ===== CONFIGURATION & CONSTANTS =====
+const SPANISH = getLanguageProfile('es');
+
+function cue(sequence, startTime, endTime, text) {
+  return { sequence, startTime, endTime, duration: 0, text };
+}
+
+const rulesOf = reports => reports.flatMap(report => report.violations.map(violation => violation.rule));
+
+describe('reading speed', () => {
+  // 40 characters in 2 seconds is 20 CPS.
+  const fastCue = [cue(1, '00:00:01,000', '00:00:03,000', 'x'.repeat(40))];
+
+  test('is checked against the limit of the target language', () => {
+    expect(analyzeReadability(fastCue, getLanguageProfile('es'))).toEqual([{
+      sequence: 1,
+      metrics: { cps: 20, maxLineLength: 40, lineCount: 1, duration: 2, gapToNext: null },
+      violations: [{
+        rule: 'max_cps',
+        severity: 'major',
+        actual: 20,
+        limit: 17,
+        fix: { action: 'shorten', targetLength: 34 },
+        message: 'Reading speed is 20 CPS (limit 17). Shorten to about 34 characters.',
+      }],
+    }]);
+    expect(rulesOf(analyzeReadability(fastCue, getLanguageProfile('tr')))).toEqual(['max_cps']);
+    // Arabic allows exactly 20 CPS and Persian 22.
+    expect(analyzeReadability(fastCue, getLanguageProfile('ar'))).toEqual([]);
+    expect(analyzeReadability(fastCue, getLanguageProfile('fa'))).toEqual([]);
+  });
+
+  test('does not count tags, line breaks or direction marks as characters', () => {
+    expect(countVisibleCharacters('<i>Hola</i>\n\u200Fadiós')).toBe(9);
+    const tagged = [cue(1, '00:00:01,000', '00:00:03,000', `<font color="#ffff00">${'x'.repeat(17)}\n${'x'.repeat(17)}</font>`)];
+    expect(analyzeReadability(tagged, SPANISH)).toEqual([]);
+  });
+});
+
+describe('line length and line count', () => {
+  test('asks for a re-break when the text would fit on screen, and for a shorter text when it would not', () => {
+    const [rebreak] = analyzeReadability([cue(1, '00:00:01,000', '00:00:07,000', 'x'.repeat(45))], SPANISH);
+    expect(rebreak.violations).toEqual([expect.objectContaining({ rule: 'max_chars_per_line', severity: 'minor', fix: { action: 'rebreak' } })]);
+
+    const [shorten] = analyzeReadability([cue(1, '00:00:01,000', '00:00:07,000', 'x'.repeat(90))], SPANISH);
+    expect(shorten.violations).toEqual([expect.objectContaining({ rule: 'max_chars_per_line', severity: 'critical', fix: { action: 'shorten', targetLength: 84 } })]);
+
+    const [tooManyLines] = analyzeReadability([cue(1, '00:00:01,000', '00:00:07,000', 'uno\ndos\ntres')], SPANISH);
+    expect(tooManyLines.violations).toEqual([expect.objectContaining({ rule: 'max_lines', actual: 3, limit: 2, fix: { action: 'rebreak', maxLines: 2 } })]);
+    expect([rebreak, shorten, tooManyLines].every(needsRewrite)).toBe(true);
+  });
+});
+
+describe('timing', () => {
+  test('extends a short cue up to the minimum duration, or asks for a merge when the next cue leaves no room', () => {
+    const [extend] = analyzeReadability([cue(1, '00:00:01,000', '00:00:01,500', 'Hola.'), cue(2, '00:00:05,000', '00:00:06,000', 'Adiós.')], SPANISH);
+    expect(extend.violations).toEqual([expect.objectContaining({
+      rule: 'min_duration', severity: 'critical', actual: 0.5, limit: 0.833, fix: { action: 'extend', targetEndTime: '00:00:01,833' },
+    })]);
+
+    const [merge] = analyzeReadability([cue(1, '00:00:01,000', '00:00:01,500', 'Hola.'), cue(2, '00:00:01,500', '00:00:03,000', 'Adiós.')], SPANISH);
+    expect(merge.violations.find(violation => violation.rule === 'min_duration').fix).toEqual({ action: 'merge' });
+    expect(needsRewrite(merge)).toBe(false);
+  });
+
+  test('asks to split a cue that stays on screen too long', () => {
+    const [report] = analyzeReadability([cue(1, '00:00:01,000', '00:00:09,000', 'Hola.')], SPANISH);
+    expect(report.violations).toEqual([expect.objectContaining({ rule: 'max_duration', severity: 'major', actual: 8, limit: 7, fix: { action: 'split' } })]);
+  });
+
+  test('asks to end a cue earlier when the gap to the next one is too small or they overlap', () => {
+    const [close] = analyzeReadability([cue(1, '00:00:01,000', '00:00:02,950', 'Hola.'), cue(2, '00:00:03,000', '00:00:04,000', 'Adiós.')], SPANISH);
+    expect(close.violations).toEqual([expect.objectContaining({ rule: 'min_gap', actual: 0.05, fix: { action: 'trim_end', targetEndTime: '00:00:02,917' } })]);
+
+    const [overlap] = analyzeReadability([cue(1, '00:00:01,000', '00:00:03,000', 'Hola.'), cue(2, '00:00:02,500', '00:00:04,000', 'Adiós.')], SPANISH);
+    expect(overlap.violations).toEqual([expect.objectContaining({
+      rule: 'min_gap', severity: 'critical', actual: -0.5, message: 'The cue overlaps the next one by 0.5s. End it earlier.',
+    })]);
+  });
+
+  test('applies the same timing rules to every language', () => {
+    const lines = [cue(1, '00:00:01,000', '00:00:01,500', 'Hola.'), cue(2, '00:00:01,550', '00:00:09,000', 'Adiós.')];
+    ['es', 'fa', 'ar', 'tr'].forEach((code) => {
+      expect(rulesOf(analyzeReadability(lines, getLanguageProfile(code)))).toEqual(['min_duration', 'min_gap', 'max_duration']);
+    });
+  });
+});
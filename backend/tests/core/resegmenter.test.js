@@ -0,0 +1,45 @@
+// ===== DEVELOPMENT/DEBUG CUE RESEGMENTATION TESTS =====
+
+// ===== IMPORTS & DEPENDENCIES =====
+import { resegmentCues } from '../../src/core/resegmenter.js';
+import { getLanguageProfile } from '../../src/core/languages.js';
+
+// ===== CONFIGURATION & CONSTANTS =====
+const PROFILE = getLanguageProfile('es');
+
+function cue(sequence, startTime, endTime, text, meta) {
+  return { sequence, startTime, endTime, duration: 1, text, ...(meta ? { meta } : {}) };
+}
+
+describe('resegmentCues merging', () => {
+  test('merges two short, close cues that name the same speaker', () => {
+    const { lines, segmentMap } = resegmentCues([
+      cue(1, '00:00:01,000', '00:00:02,000', '<v Ava>Espera.'),
+      cue(2, '00:00:02,200', '00:00:03,000', '<v Ava>Ya voy.'),
+    ], PROFILE);
+    expect(lines.map(line => line.text)).toEqual(['<v Ava>Espera. Ya voy.']);
+    expect(segmentMap).toEqual([{ operation: 'merge', original: [1, 2], result: [1] }]);
+  });
+
+  test('does not merge cues whose speaker is unknown, as in SRT', () => {
+    const { lines, segmentMap } = resegmentCues([
+      cue(1, '00:00:01,000', '00:00:02,000', '¿Vienes?'),
+      cue(2, '00:00:02,200', '00:00:03,000', 'Sí.'),
+    ], PROFILE);
+    expect(lines.map(line => line.text)).toEqual(['¿Vienes?', 'Sí.']);
+    expect(segmentMap.map(mapping => mapping.operation)).toEqual(['keep', 'keep']);
+  });
+
+  test('does not merge different speakers or dialogue cues', () => {
+    const differentSpeakers = resegmentCues([
+      cue(1, '00:00:01,000', '00:00:02,000', '<v Ava>¿Vienes?'),
+      cue(2, '00:00:02,200', '00:00:03,000', '<v Ben>Sí.'),
+    ], PROFILE);
+    const dialogue = resegmentCues([
+      cue(1, '00:00:01,000', '00:00:02,000', '<v Ava>- ¿Vienes?'),
+      cue(2, '00:00:02,200', '00:00:03,000', '<v Ava>Sí.'),
+    ], PROFILE);
+    expect(differentSpeakers.lines).toHaveLength(2);
+    expect(dialogue.lines).toHaveLength(2);
+  });
+});
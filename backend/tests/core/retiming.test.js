@@ -0,0 +1,45 @@
+// ===== DEVELOPMENT/DEBUG SUBTITLE RETIMING TESTS =====
+
+// ===== IMPORTS & DEPENDENCIES =====
+import { retimeCues } from '../../src/core/retiming.js';
+import { analyzeReadability } from '../../src/core/readability.js';
+import { getLanguageProfile } from '../../src/core/languages.js';
+
+// ===== CONFIGURATION & CONSTANTS =====
+const PROFILE = getLanguageProfile('es');
+
+function cue(sequence, startTime, endTime, text = 'Sí.') {
+  return { sequence, startTime, endTime, duration: 0, text };
+}
+
+describe('retimeCues', () => {
+  test('pulls a cue back from the next one, keeping the minimum gap when it still lasts long enough', () => {
+    const { lines, timingChanges } = retimeCues([
+      cue(1, '00:00:01,000', '00:00:03,500'),
+      cue(2, '00:00:03,000', '00:00:04,000'),
+    ], PROFILE);
+    expect(lines[0].endTime).toBe('00:00:02,917');
+    expect(timingChanges).toEqual([expect.objectContaining({ sequence: 1, reason: 'overlap' })]);
+  });
+
+  test('gives up the minimum gap rather than leave a pulled-back cue too short, without overlapping', () => {
+    const { lines } = retimeCues([
+      cue(1, '00:00:01,000', '00:00:02,500'),
+      cue(2, '00:00:01,900', '00:00:03,000'),
+    ], PROFILE);
+    expect(lines[0].endTime).toBe('00:00:01,833');
+  });
+
+  test('never runs into the next cue, and leaves a cue with no room to be merged', () => {
+    const { lines } = retimeCues([
+      cue(1, '00:00:01,000', '00:00:01,700'),
+      cue(2, '00:00:01,600', '00:00:03,000'),
+    ], PROFILE);
+    expect(lines[0].endTime).toBe('00:00:01,600');
+
+    const [report] = analyzeReadability(lines, PROFILE);
+    expect(report.violations).toEqual(expect.arrayContaining([
+      expect.objectContaining({ rule: 'min_duration', fix: { action: 'merge' } }),
+    ]));
+  });
+});
@@ -0,0 +1,38 @@
+// ===== DEVELOPMENT/DEBUG REVIEW CUE TESTS =====
+
+// ===== IMPORTS & DEPENDENCIES =====
+import { applyCueChange, buildReviewCues, reviewedPairs } from '../../src/core/reviewCues.js';
+
+// ===== CONFIGURATION & CONSTANTS =====
+const REVIEWER = { by: 'reviewer-1', at: new Date('2026-01-01T00:00:00Z') };
+
+function line(sequence, text) {
+  return { sequence, startTime: '00:00:01,000', endTime: '00:00:02,000', duration: 1000, text };
+}
+
+describe('reviewedPairs', () => {
+  const sourceLines = [line(1, 'Hello.'), line(2, 'Goodbye.'), line(3, 'See you'), line(4, 'tomorrow.')];
+  // Source line 3 and 4 were merged into one cue.
+  const cues = buildReviewCues(
+    [line(1, 'Hola.'), line(2, 'Adiós.'), line(3, 'Hasta mañana.')],
+    sourceLines,
+    [{ original: [3, 4], result: [3] }]
+  );
+
+  test('pairs approved and locked cues with their source line', () => {
+    const reviewed = cues.map((cue) => {
+      if (cue.sequence === 1) return applyCueChange(cue, { text: '¡Hola!', approved: true }, REVIEWER).cue;
+      if (cue.sequence === 2) return applyCueChange(cue, { locked: true }, REVIEWER).cue;
+      return cue;
+    });
+    expect([...reviewedPairs(reviewed)]).toEqual([
+      [1, { sourceText: 'Hello.', targetText: '¡Hola!' }],
+      [2, { sourceText: 'Goodbye.', targetText: 'Adiós.' }],
+    ]);
+  });
+
+  test('leaves out unreviewed cues and cues that were merged or split', () => {
+    const reviewed = cues.map(cue => (cue.sequence === 3 ? applyCueChange(cue, { approved: true }, REVIEWER).cue : cue));
+    expect(reviewedPairs(reviewed).size).toBe(0);
+  });
+});
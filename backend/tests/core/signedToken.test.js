@@ -0,0 +1,53 @@
+// ===== DEVELOPMENT/DEBUG SIGNED TOKEN TESTS =====
+
+// ===== IMPORTS & DEPENDENCIES =====
+import { createHmac } from 'node:crypto';
+import { signToken, verifyToken } from '../../src/core/signedToken.js';
+
+// ===== CONFIGURATION & CONSTANTS =====
+const SECRET = 'a-test-secret-that-is-long-enough-to-sign-with';
+const PAYLOAD = { sub: 'alice', ws: 'workspace-a', role: 'member', kid: '0123456789abcdef' };
+
+const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+/** Signs any header and payload the way an attacker who knew the format would. */
+function forge(header, payload, secret = SECRET) {
+  const signingInput = `${encode(header)}.${encode(payload)}`;
+  return `${signingInput}.${createHmac('sha256', secret).update(signingInput).digest('base64url')}`;
+}
+
+describe('signToken and verifyToken', () => {
+  test('a signed token verifies and carries its payload with issue and expiry times', () => {
+    const result = verifyToken(signToken(PAYLOAD, SECRET, { expiresInSeconds: 60 }), SECRET);
+    expect(result.valid).toBe(true);
+    expect(result.payload).toMatchObject(PAYLOAD);
+    expect(result.payload.exp - result.payload.iat).toBe(60);
+  });
+
+  test('rejects a tampered signature or payload and a token signed with another secret', () => {
+    const token = signToken(PAYLOAD, SECRET, { expiresInSeconds: 60 });
+    const [header, payload, signature] = token.split('.');
+    const flipped = `${signature.startsWith('A') ? 'B' : 'A'}${signature.slice(1)}`;
+    const escalated = encode({ ...JSON.parse(Buffer.from(payload, 'base64url')), role: 'admin' });
+
+    expect(verifyToken(`${header}.${payload}.${flipped}`, SECRET)).toEqual({ valid: false, reason: 'The token signature is invalid.' });
+    expect(verifyToken(`${header}.${escalated}.${signature}`, SECRET).valid).toBe(false);
+    expect(verifyToken(token, `${SECRET}-rotated`).valid).toBe(false);
+  });
+
+  test('rejects any algorithm other than HS256, including unsigned tokens', () => {
+    const payload = { ...PAYLOAD, exp: Math.floor(Date.now() / 1000) + 60 };
+    expect(verifyToken(forge({ alg: 'HS512', typ: 'JWT' }, payload), SECRET)).toEqual({ valid: false, reason: 'Unsupported token algorithm: HS512.' });
+    expect(verifyToken(`${encode({ alg: 'none', typ: 'JWT' })}.${encode(payload)}.`, SECRET).valid).toBe(false);
+  });
+
+  test('rejects an expired token and one without an expiry', () => {
+    expect(verifyToken(signToken(PAYLOAD, SECRET, { expiresInSeconds: 0 }), SECRET)).toEqual({ valid: false, reason: 'The token has expired.' });
+    expect(verifyToken(forge({ alg: 'HS256', typ: 'JWT' }, PAYLOAD), SECRET)).toEqual({ valid: false, reason: 'The token has expired.' });
+  });
+
+  test('rejects malformed tokens', () => {
+    expect(verifyToken('not-a-token', SECRET)).toEqual({ valid: false, reason: 'The token is malformed.' });
+    expect(verifyToken('a.b.c', SECRET)).toEqual({ valid: false, reason: 'The token is malformed.' });
+  });
+});
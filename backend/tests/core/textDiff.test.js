@@ -0,0 +1,51 @@
+// ===== DEVELOPMENT/DEBUG TEXT DIFF TESTS =====
+
+// ===== IMPORTS & DEPENDENCIES =====
+import { diffWords } from '../../src/core/textDiff.js';
+
+describe('diffWords', () => {
+  test('reports unchanged text as a single equal part', () => {
+    expect(diffWords('El barco zarpa.', 'El barco zarpa.')).toEqual([{ type: 'equal', text: 'El barco zarpa.' }]);
+  });
+
+  test('reports inserted words', () => {
+    expect(diffWords('Hola.', 'Hola. ¿Qué tal?')).toEqual([
+      { type: 'equal', text: 'Hola. ' },
+      { type: 'insert', text: '¿Qué tal?' },
+    ]);
+    expect(diffWords('El barco zarpa.', 'El gran barco zarpa.')).toEqual([
+      { type: 'equal', text: 'El ' },
+      { type: 'insert', text: 'gran ' },
+      { type: 'equal', text: 'barco zarpa.' },
+    ]);
+  });
+
+  test('reports deleted words', () => {
+    expect(diffWords('Hola, mi querido amigo.', 'Hola, amigo.')).toEqual([
+      { type: 'equal', text: 'Hola, ' },
+      { type: 'delete', text: 'mi querido ' },
+      { type: 'equal', text: 'amigo.' },
+    ]);
+  });
+
+  test('reports a replaced word as a deletion followed by an insertion', () => {
+    expect(diffWords('El barco zarpa al amanecer.', 'El barco sale al amanecer.')).toEqual([
+      { type: 'equal', text: 'El barco ' },
+      { type: 'delete', text: 'zarpa ' },
+      { type: 'insert', text: 'sale ' },
+      { type: 'equal', text: 'al amanecer.' },
+    ]);
+  });
+
+  test('ignores a change of whitespace between words, such as a new line break', () => {
+    expect(diffWords('El barco zarpa al amanecer.', 'El barco zarpa\nal amanecer.')).toEqual([
+      { type: 'equal', text: 'El barco zarpa\nal amanecer.' },
+    ]);
+  });
+
+  test('handles empty text on either side', () => {
+    expect(diffWords('', '')).toEqual([]);
+    expect(diffWords('', 'Hola.')).toEqual([{ type: 'insert', text: 'Hola.' }]);
+    expect(diffWords('Hola.', '')).toEqual([{ type: 'delete', text: 'Hola.' }]);
+  });
+});
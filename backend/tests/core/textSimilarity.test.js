@@ -0,0 +1,53 @@
+// ===== DEVELOPMENT/DEBUG TEXT SIMILARITY TESTS =====
+
+// ===== IMPORTS & DEPENDENCIES =====
+import { normalizeForMatching, similarityScore } from '../../src/core/textSimilarity.js';
+
+// ===== CONFIGURATION & CONSTANTS =====
+// MEMORY_FILL_MIN_SCORE in translation.service.js: fuzzy matches at or above it are reused as-is.
+const FILL_MIN_SCORE = 0.95;
+
+describe('normalizeForMatching', () => {
+  test('ignores case and whitespace, including line breaks, but keeps punctuation and tags', () => {
+    expect(normalizeForMatching('  Hello\n  THERE,\tCaptain. ')).toBe('hello there, captain.');
+    expect(normalizeForMatching('<i>Hello!</i>')).toBe('<i>hello!</i>');
+  });
+});
+
+describe('similarityScore', () => {
+  test('scores identical lines 1, and lines that differ only in case or whitespace too', () => {
+    expect(similarityScore('The ship leaves at dawn.', 'The ship leaves at dawn.')).toBe(1);
+    expect(similarityScore('The ship leaves\nat dawn.', '  the SHIP leaves at dawn.')).toBe(1);
+  });
+
+  test('counts a change of punctuation as an edit', () => {
+    expect(similarityScore('Hello there, Captain.', 'Hello there, Captain!')).toBe(0.9524);
+    // The same one-character edit weighs more in a shorter line.
+    expect(similarityScore('Hold the line.', 'Hold the line!')).toBe(0.9286);
+  });
+
+  test('puts a one-character edit just above, at or just below the fill threshold depending on line length', () => {
+    const above = similarityScore('Abcdefghijklmnopqrstu', 'Abcdefghijklmnopqrstx');
+    const at = similarityScore('Abcdefghijklmnopqrst', 'Abcdefghijklmnopqrsx');
+    const below = similarityScore('Abcdefghijklmnopqrs', 'Abcdefghijklmnopqrx');
+
+    expect(above).toBe(0.9524);
+    expect(above).toBeGreaterThan(FILL_MIN_SCORE);
+    expect(at).toBe(FILL_MIN_SCORE);
+    expect(below).toBe(0.9474);
+    expect(below).toBeLessThan(FILL_MIN_SCORE);
+  });
+
+  test('is symmetric and counts insertions and deletions against the longer line', () => {
+    expect(similarityScore('Hello there, Captain.', 'Hello, Captain.')).toBe(0.7143);
+    expect(similarityScore('Hello, Captain.', 'Hello there, Captain.')).toBe(0.7143);
+    expect(similarityScore('abc', 'xyz')).toBe(0);
+  });
+
+  test('scores two empty lines 1 and an empty line against any text 0', () => {
+    expect(similarityScore('', '')).toBe(1);
+    expect(similarityScore(' \n ', '')).toBe(1);
+    expect(similarityScore('', 'Hello.')).toBe(0);
+    expect(similarityScore('Hello.', '   ')).toBe(0);
+  });
+});
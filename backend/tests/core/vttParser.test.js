@@ -0,0 +1,132 @@
+// ===== DEVELOPMENT/DEBUG WEBVTT PARSER TESTS =====
+
+// ===== IMPORTS & DEPENDENCIES =====
+import { parseVtt, toVttString } from '../../src/core/vttParser.js';
+import { detectSubtitleFormat, parseSubtitles, serializeSubtitles, reanchorDocument } from '../../src/core/subtitleFormats.js';
+
+// ===== CONFIGURATION & CONSTANTS =====
+const VTT = [
+  'WEBVTT - Bridge scene',
+  'Kind: captions',
+  'Language: en',
+  '',
+  'STYLE',
+  '::cue { color: yellow; }',
+  '',
+  'REGION',
+  'id:bottom width:40% lines:3',
+  '',
+  'NOTE The captain speaks first.',
+  '',
+  'intro',
+  '00:00:01.000 --> 00:00:03.500 align:start line:90% region:bottom',
+  '<v Captain>Hello there,',
+  'everyone.',
+  '',
+  'NOTE',
+  'Spans two lines',
+  'between the cues.',
+  '',
+  '00:04.250 --> 00:06.000',
+  'The ship leaves at dawn.',
+  '',
+].join('\n');
+
+describe('parseVtt', () => {
+  test('keeps the header with its metadata lines', () => {
+    expect(parseVtt(VTT).document.header).toBe('WEBVTT - Bridge scene\nKind: captions\nLanguage: en');
+  });
+
+  test('keeps NOTE, STYLE and REGION blocks verbatim, anchored to the cue they precede', () => {
+    expect(parseVtt(VTT).document.blocks).toEqual([
+      { type: 'style', content: 'STYLE\n::cue { color: yellow; }', position: 0 },
+      { type: 'region', content: 'REGION\nid:bottom width:40% lines:3', position: 0 },
+      { type: 'note', content: 'NOTE The captain speaks first.', position: 0 },
+      { type: 'note', content: 'NOTE\nSpans two lines\nbetween the cues.', position: 1 },
+    ]);
+  });
+
+  test('maps cues onto SrtLines with their identifiers and settings, reading "." timestamps with or without hours', () => {
+    expect(parseVtt(VTT).lines).toEqual([
+      {
+        sequence: 1,
+        startTime: '00:00:01,000',
+        endTime: '00:00:03,500',
+        duration: 2.5,
+        text: '<v Captain>Hello there,\neveryone.',
+        meta: { identifier: 'intro', settings: 'align:start line:90% region:bottom' },
+      },
+      {
+        sequence: 2,
+        startTime: '00:00:04,250',
+        endTime: '00:00:06,000',
+        duration: 1.75,
+        text: 'The ship leaves at dawn.',
+        meta: { identifier: null, settings: null },
+      },
+    ]);
+  });
+
+  test('accepts a byte order mark and Windows line endings', () => {
+    const { document, lines } = parseVtt(`\uFEFF${VTT.replace(/\n/g, '\r\n')}`);
+    expect(document.header).toBe('WEBVTT - Bridge scene\nKind: captions\nLanguage: en');
+    expect(lines.map(line => line.text)).toEqual(['<v Captain>Hello there,\neveryone.', 'The ship leaves at dawn.']);
+  });
+
+  test('rejects content without a WEBVTT header, and malformed cue timings', () => {
+    expect(() => parseVtt('')).toThrow(expect.objectContaining({ httpStatus: 400 }));
+    expect(() => parseVtt('WEBVTTX\n\n00:01.000 --> 00:02.000\nHi')).toThrow(expect.objectContaining({ httpStatus: 400 }));
+    expect(() => parseVtt('WEBVTT\n\nintro\n00:01.000 to 00:02.000\nHi')).toThrow(expect.objectContaining({ httpStatus: 400 }));
+  });
+});
+
+describe('toVttString', () => {
+  test('writes a parsed file back unchanged, apart from normalizing timestamps to hours', () => {
+    const { document, lines } = parseVtt(VTT);
+    expect(toVttString(document, lines)).toBe(VTT.replace('00:04.250 --> 00:06.000', '00:00:04.250 --> 00:00:06.000'));
+  });
+
+  test('writes translated text in place of the source, keeping identifiers and settings', () => {
+    const { document, lines } = parseVtt(VTT);
+    const translated = lines.map((line, index) => ({ ...line, text: ['<v Captain>Hola a todos.', 'El barco zarpa al amanecer.'][index] }));
+    const output = toVttString(document, translated);
+    expect(output).toContain('intro\n00:00:01.000 --> 00:00:03.500 align:start line:90% region:bottom\n<v Captain>Hola a todos.\n');
+    expect(output).toContain('\n00:00:04.250 --> 00:00:06.000\nEl barco zarpa al amanecer.\n');
+  });
+
+  test('writes blocks anchored past the last cue at the end of the file', () => {
+    const { document } = parseVtt(VTT);
+    expect(toVttString(document, [])).toBe([
+      'WEBVTT - Bridge scene\nKind: captions\nLanguage: en',
+      'STYLE\n::cue { color: yellow; }',
+      'REGION\nid:bottom width:40% lines:3',
+      'NOTE The captain speaks first.',
+      'NOTE\nSpans two lines\nbetween the cues.',
+    ].join('\n\n') + '\n');
+  });
+});
+
+describe('subtitleFormats', () => {
+  test('detects WebVTT by its header, even behind a byte order mark', () => {
+    expect(detectSubtitleFormat(VTT)).toBe('vtt');
+    expect(detectSubtitleFormat(`\uFEFF${VTT}`)).toBe('vtt');
+    expect(detectSubtitleFormat('1\n00:00:01,000 --> 00:00:02,000\nHi')).toBe('srt');
+    expect(detectSubtitleFormat('Just some text.')).toBeNull();
+    expect(() => parseSubtitles('Just some text.')).toThrow(expect.objectContaining({ httpStatus: 400 }));
+  });
+
+  test('moves the blocks of a re-anchored document to the new cue positions', () => {
+    const parsed = parseSubtitles(VTT);
+    expect(parsed.format).toBe('vtt');
+
+    // The first cue was split in two, so the second original cue is now the third.
+    const reanchored = reanchorDocument(parsed, position => (position >= 1 ? position + 1 : position));
+    expect(reanchored.document.blocks.map(block => block.position)).toEqual([0, 0, 0, 2]);
+    expect(parsed.document.blocks.map(block => block.position)).toEqual([0, 0, 0, 1]);
+
+    const [first, second] = parsed.lines;
+    const split = [first, { ...first, meta: { ...first.meta, identifier: 'intro-2' } }, second];
+    const output = serializeSubtitles(reanchored, split);
+    expect(output.indexOf('NOTE\nSpans two lines')).toBeGreaterThan(output.indexOf('intro-2\n'));
+  });
+});
@@ -0,0 +1,96 @@
+// ===== DEVELOPMENT/DEBUG AUTHENTICATION END-TO-END TESTS =====
+// Drives the real application with authentication required: credentials on each request,
+// the admin-only key routes, and job access across workspaces. Jobs live in the in-memory database.
+
+// ===== IMPORTS & DEPENDENCIES =====
+import { fileURLToPath } from 'node:url';
+import request from 'supertest';
+
+// ===== CONFIGURATION & CONSTANTS =====
+const FIXTURE_DIR = fileURLToPath(new URL('../fixtures/llm', import.meta.url));
+const STAGES = ['BLUEPRINT', 'TRANSCREATE', 'EDIT', 'QA', 'SYNC'];
+const ADMIN_KEY = 'admin-bootstrap-key-for-the-authentication-tests';
+
+// The configuration is read when the app is first imported, so it is set up before that.
+Object.assign(process.env, {
+  CORS_ORIGIN: 'http://localhost',
+  DB_PROVIDER: 'memory',
+  VECTOR_STORE_PROVIDER: 'memory',
+  AUTH_MODE: 'required',
+  AUTH_TOKEN_SECRET: 'a-test-secret-that-is-long-enough-to-sign-with',
+  AUTH_ADMIN_API_KEY: ADMIN_KEY,
+  LOG_LEVEL: 'silent',
+  LLM_FIXTURE_DIR: FIXTURE_DIR,
+  LLM_FIXTURE_MODE: 'replay',
+  ...Object.fromEntries(STAGES.flatMap(stage => [[`LLM_${stage}_PROVIDER`, 'openai-compatible'], [`LLM_${stage}_MODEL`, 'fixture-model']])),
+});
+
+const { connectToMongo, getDb } = await import('../../src/config/database.js');
+const { connectToPinecone } = await import('../../src/services/vector.service.js');
+const { logger } = await import('../../src/config/logger.js');
+const { buildApp } = await import('../../src/app.js');
+
+// ===== TESTS =====
+describe('authentication (end to end)', () => {
+  let app;
+  let server;
+  let memberKey;
+  let otherWorkspaceKey;
+  let jobId;
+
+  beforeAll(async () => {
+    await connectToMongo();
+    await connectToPinecone();
+    app = buildApp({ logger });
+    await app.ready();
+    server = app.server;
+
+    const issue = async workspaceId => (await request(server)
+      .post('/api/v1/admin/api-keys')
+      .set('X-API-Key', ADMIN_KEY)
+      .send({ ownerId: `owner-of-${workspaceId}`, workspaceId, role: 'member' })
+      .expect(201)).body.apiKey;
+    memberKey = await issue('workspace-a');
+    otherWorkspaceKey = await issue('workspace-b');
+
+    const { insertedId } = await getDb().collection('translationJobs').insertOne({
+      status: 'pending_approval', format: 'srt', subtitleContent: '', settings: {}, ownerId: 'owner-of-workspace-a', workspaceId: 'workspace-a',
+    });
+    jobId = insertedId.toString();
+  });
+
+  afterAll(async () => {
+    await app.close();
+  });
+
+  test('requests without a credential, or with an unknown key, are rejected with 401', async () => {
+    await request(server).get(`/api/v1/translate/jobs/${jobId}`).expect(401);
+    await request(server).get(`/api/v1/translate/jobs/${jobId}`).set('X-API-Key', 'pst_0123456789abcdef_unknown').expect(401);
+  });
+
+  test('a member reaches the jobs of their workspace with a key, a Bearer token or an access_token on GET', async () => {
+    await request(server).get(`/api/v1/translate/jobs/${jobId}`).set('X-API-Key', memberKey).expect(200);
+
+    const { body: token } = await request(server).post('/api/v1/auth/token').set('Authorization', `Bearer ${memberKey}`).expect(200);
+    expect(token).toMatchObject({ tokenType: 'Bearer', expiresIn: expect.any(Number) });
+    await request(server).get(`/api/v1/translate/jobs/${jobId}`).set('Authorization', `Bearer ${token.accessToken}`).expect(200);
+    await request(server).get(`/api/v1/translate/jobs/${jobId}`).query({ access_token: token.accessToken }).expect(200);
+    await request(server).post(`/api/v1/translate/jobs/${jobId}/resume`).query({ access_token: token.accessToken }).expect(401);
+  });
+
+  test('a member of another workspace gets 403 for the job, and everyone gets 404 for a job that does not exist', async () => {
+    const { body } = await request(server).get(`/api/v1/translate/jobs/${jobId}`).set('X-API-Key', otherWorkspaceKey).expect(403);
+    expect(body).not.toHaveProperty('workspaceId');
+    await request(server).get('/api/v1/translate/jobs/0123456789abcdef01234567').set('X-API-Key', memberKey).expect(404);
+  });
+
+  test('only admins manage keys, and a revoked key stops working', async () => {
+    await request(server).get('/api/v1/admin/api-keys').set('X-API-Key', memberKey).expect(403);
+    const { body: { keys } } = await request(server).get('/api/v1/admin/api-keys').set('X-API-Key', ADMIN_KEY).expect(200);
+    const { keyId } = keys.find(key => key.workspaceId === 'workspace-b');
+    expect(keys.every(key => !('keyHash' in key))).toBe(true);
+
+    await request(server).delete(`/api/v1/admin/api-keys/${keyId}`).set('X-API-Key', ADMIN_KEY).expect(200);
+    await request(server).get(`/api/v1/translate/jobs/${jobId}`).set('X-API-Key', otherWorkspaceKey).expect(401);
+  });
+});
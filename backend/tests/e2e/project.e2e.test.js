@@ -0,0 +1,137 @@
+// ===== DEVELOPMENT/DEBUG PROJECT END-TO-END TESTS =====
+// Drives the project routes and the promotion of a job's blueprint through the real application,
+// with authentication required. Jobs live in the in-memory database.
+
+// ===== IMPORTS & DEPENDENCIES =====
+import { fileURLToPath } from 'node:url';
+import request from 'supertest';
+
+// ===== CONFIGURATION & CONSTANTS =====
+const FIXTURE_DIR = fileURLToPath(new URL('../fixtures/llm', import.meta.url));
+const STAGES = ['BLUEPRINT', 'TRANSCREATE', 'EDIT', 'QA', 'SYNC'];
+const ADMIN_KEY = 'admin-bootstrap-key-for-the-project-tests';
+const CAPTAIN = { term: 'Captain', proposedTranslation: 'Capitana', justification: 'The captain is a woman.' };
+const HARBOR = { term: 'harbor', proposedTranslation: 'puerto', justification: 'Plain word.' };
+
+// The configuration is read when the app is first imported, so it is set up before that.
+Object.assign(process.env, {
+  CORS_ORIGIN: 'http://localhost',
+  DB_PROVIDER: 'memory',
+  VECTOR_STORE_PROVIDER: 'memory',
+  AUTH_MODE: 'required',
+  AUTH_TOKEN_SECRET: 'a-test-secret-that-is-long-enough-to-sign-with',
+  AUTH_ADMIN_API_KEY: ADMIN_KEY,
+  LOG_LEVEL: 'silent',
+  LLM_FIXTURE_DIR: FIXTURE_DIR,
+  LLM_FIXTURE_MODE: 'replay',
+  ...Object.fromEntries(STAGES.flatMap(stage => [[`LLM_${stage}_PROVIDER`, 'openai-compatible'], [`LLM_${stage}_MODEL`, 'fixture-model']])),
+});
+
+const { connectToMongo, getDb } = await import('../../src/config/database.js');
+const { connectToPinecone } = await import('../../src/services/vector.service.js');
+const { logger } = await import('../../src/config/logger.js');
+const { buildApp } = await import('../../src/app.js');
+
+// ===== TESTS =====
+describe('projects (end to end)', () => {
+  let app;
+  let server;
+  let memberKey;
+  let otherWorkspaceKey;
+
+  beforeAll(async () => {
+    await connectToMongo();
+    await connectToPinecone();
+    app = buildApp({ logger });
+    await app.ready();
+    server = app.server;
+
+    const issue = async workspaceId => (await request(server)
+      .post('/api/v1/admin/api-keys')
+      .set('X-API-Key', ADMIN_KEY)
+      .send({ ownerId: `owner-of-${workspaceId}`, workspaceId, role: 'member' })
+      .expect(201)).body.apiKey;
+    memberKey = await issue('workspace-a');
+    otherWorkspaceKey = await issue('workspace-b');
+  });
+
+  afterAll(async () => {
+    await app.close();
+  });
+
+  /** Creates a project in workspace-a through the API. */
+  async function createProject() {
+    const { body } = await request(server)
+      .post('/api/v1/projects')
+      .set('X-API-Key', memberKey)
+      .send({ name: 'The Lighthouse', targetLanguage: 'es', masterBlueprint: { glossary: [CAPTAIN] } })
+      .expect(201);
+    return body;
+  }
+
+  test('creates a project and edits its master blueprint, recording each change as a revision', async () => {
+    const project = await createProject();
+    expect(project).toMatchObject({ workspaceId: 'workspace-a', sourceLanguage: 'en', targetLanguage: 'es', masterVersion: 1 });
+    const url = `/api/v1/projects/${project.projectId}`;
+
+    const { body: added } = await request(server).post(`${url}/blueprint/glossary`).set('X-API-Key', memberKey).send(HARBOR).expect(201);
+    expect(added).toMatchObject({ masterVersion: 2, masterBlueprint: { glossary: [CAPTAIN, HARBOR] } });
+    await request(server).post(`${url}/blueprint/glossary`).set('X-API-Key', memberKey).send(HARBOR).expect(409);
+    await request(server).patch(`${url}/blueprint/glossary/Harbor`).set('X-API-Key', memberKey).send({ proposedTranslation: 'muelle' }).expect(200);
+    await request(server).delete(`${url}/blueprint/glossary/harbor`).set('X-API-Key', memberKey).expect(200);
+    await request(server).patch(url).set('X-API-Key', memberKey).send({ styleRules: ['Keep it short.'] }).expect(200);
+
+    const { body } = await request(server).get(url).set('X-API-Key', memberKey).expect(200);
+    expect(body).toMatchObject({ masterVersion: 5, masterBlueprint: { glossary: [CAPTAIN], styleRules: ['Keep it short.'] } });
+    expect(body.revisions.map(revision => [revision.version, revision.source])).toEqual([
+      [1, 'created'], [2, 'edit'], [3, 'edit'], [4, 'edit'], [5, 'edit'],
+    ]);
+    const { body: { projects } } = await request(server).get('/api/v1/projects').set('X-API-Key', memberKey).expect(200);
+    expect(projects.map(listed => listed.projectId)).toContain(project.projectId);
+  });
+
+  test('promotes a job blueprint\'s new entries to the master blueprint', async () => {
+    const { projectId } = await createProject();
+    const { insertedId } = await getDb().collection('translationJobs').insertOne({
+      status: 'pending_approval',
+      format: 'srt',
+      subtitleContent: '',
+      settings: {},
+      ownerId: 'owner-of-workspace-a',
+      workspaceId: 'workspace-a',
+      projectId,
+      blueprint: { summary: 'A greeting.', keyPoints: [], characterProfiles: [], culturalAdaptations: [], glossary: [CAPTAIN, HARBOR] },
+      createdAt: new Date(),
+    });
+    const jobUrl = `/api/v1/translate/jobs/${insertedId}`;
+
+    await request(server).post(`${jobUrl}/blueprint/promote`).set('X-API-Key', otherWorkspaceKey).send({ blueprintVersion: 1 }).expect(403);
+    const { body } = await request(server).post(`${jobUrl}/blueprint/promote`).set('X-API-Key', memberKey).send({ blueprintVersion: 1 }).expect(200);
+    expect(body).toMatchObject({ projectId, blueprintVersion: 1, masterVersion: 2, changes: [{ action: 'add', section: 'glossary', key: 'harbor' }] });
+
+    const { body: project } = await request(server).get(`/api/v1/projects/${projectId}`).set('X-API-Key', memberKey).expect(200);
+    expect(project.masterBlueprint.glossary).toEqual([CAPTAIN, HARBOR]);
+    expect(project.revisions[1]).toMatchObject({ version: 2, source: 'promotion', jobId: insertedId.toString(), blueprintVersion: 1 });
+    await request(server).post(`${jobUrl}/blueprint/promote`).set('X-API-Key', memberKey).send({ blueprintVersion: 1 }).expect(409);
+  });
+
+  test('members of another workspace get 403 for the project and do not see it listed', async () => {
+    const { projectId } = await createProject();
+    const url = `/api/v1/projects/${projectId}`;
+
+    await request(server).get(url).set('X-API-Key', otherWorkspaceKey).expect(403);
+    await request(server).patch(url).set('X-API-Key', otherWorkspaceKey).send({ name: 'Mine now' }).expect(403);
+    await request(server).post(`${url}/blueprint/glossary`).set('X-API-Key', otherWorkspaceKey).send(HARBOR).expect(403);
+    const { body: { projects } } = await request(server).get('/api/v1/projects').set('X-API-Key', otherWorkspaceKey).expect(200);
+    expect(projects).toEqual([]);
+    await request(server).get(url).set('X-API-Key', ADMIN_KEY).expect(200);
+  });
+
+  test('rejects unknown and malformed project IDs and invalid requests', async () => {
+    await request(server).get('/api/v1/projects/0123456789abcdef01234567').set('X-API-Key', memberKey).expect(404);
+    await request(server).get('/api/v1/projects/not-an-id').set('X-API-Key', memberKey).expect(400);
+    await request(server).post('/api/v1/projects').set('X-API-Key', memberKey).send({ targetLanguage: 'es' }).expect(400);
+    const { projectId } = await createProject();
+    await request(server).post(`/api/v1/projects/${projectId}/blueprint/keyPoints`).set('X-API-Key', memberKey).send(HARBOR).expect(400);
+  });
+});
@@ -0,0 +1,238 @@
+// ===== DEVELOPMENT/DEBUG TRANSLATION END-TO-END TESTS =====
+// Drives /blueprint and /execute through the real application, offline: jobs live in the
+// in-memory database and every LLM response is replayed from tests/fixtures/llm.
+// To record the fixtures again (after a prompt change), run the suite with
+// LLM_FIXTURE_MODE=record and the LLM_* / OPENAI_COMPATIBLE_* variables of a real provider.
+
+// ===== IMPORTS & DEPENDENCIES =====
+import { fileURLToPath } from 'node:url';
+import request from 'supertest';
+
+// ===== CONFIGURATION & CONSTANTS =====
+const FIXTURE_DIR = fileURLToPath(new URL('../fixtures/llm', import.meta.url));
+const STAGES = ['BLUEPRINT', 'TRANSCREATE', 'EDIT', 'QA', 'SYNC'];
+const SUBTITLES = [
+  '1', '00:00:01,000 --> 00:00:03,000', 'Hello there, Captain.', '',
+  '2', '00:00:04,000 --> 00:00:06,500', 'The ship leaves at dawn.', '',
+  '3', '00:00:07,000 --> 00:00:09,000', 'Good bye, my friend.', '',
+].join('\n');
+const SETTINGS = { tone: 'casual', targetLanguage: 'es' };
+// The first cue is too long to fit on screen once translated, so resegmentation splits it.
+const WEBVTT_SUBTITLES = [
+  'WEBVTT - Harbour scene', 'Kind: captions', '',
+  'STYLE', '::cue { color: yellow; }', '',
+  'NOTE The captain gives the order.', '',
+  'order', '00:00:01.000 --> 00:00:07.000 align:start line:90%',
+  'The storm is coming in from the north, so we have to leave the harbour before the sun goes down.', '',
+  'reply', '00:07.500 --> 00:09.000', 'Aye, Captain.', '',
+].join('\n');
+
+// The configuration is read when the app is first imported, so it is set up before that.
+Object.assign(process.env, {
+  CORS_ORIGIN: 'http://localhost',
+  DB_PROVIDER: 'memory',
+  VECTOR_STORE_PROVIDER: 'memory',
+  AUTH_MODE: 'disabled',
+  LOG_LEVEL: 'silent',
+  LLM_FIXTURE_DIR: FIXTURE_DIR,
+  ...Object.fromEntries(STAGES.flatMap(stage => [[`LLM_${stage}_PROVIDER`, 'openai-compatible'], [`LLM_${stage}_MODEL`, 'fixture-model']])),
+}, {
+  LLM_FIXTURE_MODE: process.env.LLM_FIXTURE_MODE || 'replay',
+});
+
+const { connectToMongo } = await import('../../src/config/database.js');
+const { connectToPinecone } = await import('../../src/services/vector.service.js');
+const { logger } = await import('../../src/config/logger.js');
+const { buildApp } = await import('../../src/app.js');
+
+// ===== HELPERS =====
+
+/**
+ * Polls a job until it leaves the 'translating' state.
+ * @param {import('http').Server} server
+ * @param {string} jobId
+ * @returns {Promise<object>} The final job status.
+ */
+async function waitForJob(server, jobId) {
+  for (let attempt = 0; attempt < 100; attempt++) {
+    const { body } = await request(server).get(`/api/v1/translate/jobs/${jobId}`);
+    if (body.status !== 'translating') {
+      return body;
+    }
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  throw new Error(`Job ${jobId} did not finish.`);
+}
+
+/**
+ * Polls a job until its latest cue re-translation is no longer running.
+ * @param {import('http').Server} server
+ * @param {string} jobId
+ * @returns {Promise<object>} The final job status.
+ */
+async function waitForRetranslation(server, jobId) {
+  for (let attempt = 0; attempt < 100; attempt++) {
+    const { body } = await request(server).get(`/api/v1/translate/jobs/${jobId}`);
+    if (body.retranslation?.status !== 'running') {
+      return body;
+    }
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  throw new Error(`Re-translation of job ${jobId} did not finish.`);
+}
+
+// ===== TESTS =====
+describe('translation pipeline (end to end)', () => {
+  let app;
+
+  beforeAll(async () => {
+    await connectToMongo();
+    await connectToPinecone();
+    app = buildApp({ logger });
+    await app.ready();
+  });
+
+  afterAll(async () => {
+    await app.close();
+  });
+
+  test('generates a blueprint, executes it, serves the translated file and reports what each stage produced', async () => {
+    const blueprintResponse = await request(app.server)
+      .post('/api/v1/translate/blueprint')
+      .send({ subtitleContent: SUBTITLES, settings: SETTINGS });
+    expect(blueprintResponse.status).toBe(200);
+    const { jobId, blueprint, blueprintVersion } = blueprintResponse.body;
+    expect(blueprintVersion).toBe(1);
+    expect(blueprint.glossary).toEqual(expect.arrayContaining([expect.objectContaining({ term: 'Captain' })]));
+
+    const executeResponse = await request(app.server)
+      .post('/api/v1/translate/execute')
+      .send({ jobId, settings: SETTINGS, confirmedBlueprint: blueprint });
+    expect(executeResponse.status).toBe(202);
+    expect(executeResponse.body).toMatchObject({ jobId, status: 'translating', batchesTotal: 1, blueprintVersion: 1 });
+
+    const job = await waitForJob(app.server, jobId);
+    expect(job.status).toBe('complete');
+    expect(job.format).toBe('srt');
+    expect(job.executedBlueprintVersion).toBe(1);
+    expect(job.finalSubtitles).toContain('00:00:04,000 --> 00:00:06,500');
+    expect(job.finalSubtitles).toContain('Hola, Capitán.');
+    expect(job.finalSubtitles).toContain('El barco zarpa al amanecer.');
+
+    const cuesResponse = await request(app.server).get(`/api/v1/translate/jobs/${jobId}/cues`);
+    expect(cuesResponse.status).toBe(200);
+    expect(cuesResponse.body.cues.map(cue => cue.sourceText)).toEqual([
+      'Hello there, Captain.',
+      'The ship leaves at dawn.',
+      'Good bye, my friend.',
+    ]);
+
+    const { body: provenance } = await request(app.server).get(`/api/v1/translate/jobs/${jobId}/provenance`).expect(200);
+    expect(provenance).toMatchObject({ jobId, status: 'complete' });
+    expect(provenance.stageSummary).toEqual([
+      { stage: 'transcreate', linesRun: 3, linesChanged: 0 },
+      { stage: 'edit', linesRun: 3, linesChanged: 0 },
+      { stage: 'qa', linesRun: 3, linesChanged: 0 },
+      // No line broke a readability rule, so the sync agent never ran.
+      { stage: 'sync', linesRun: 0, linesChanged: 0 },
+    ]);
+    expect(provenance.lines.map(line => line.sequence)).toEqual([1, 2, 3]);
+    expect(provenance.lines[1]).toEqual({
+      sequence: 2,
+      sourceText: 'The ship leaves at dawn.',
+      origin: 'agents',
+      finalText: 'El barco zarpa al amanecer.',
+      stages: [
+        { stage: 'transcreate', model: 'fixture-model', text: 'El barco zarpa al amanecer.', changed: null, diff: null },
+        ...['edit', 'qa'].map(stage => ({
+          stage, model: 'fixture-model', text: 'El barco zarpa al amanecer.', changed: false, diff: [{ type: 'equal', text: 'El barco zarpa al amanecer.' }],
+        })),
+        { stage: 'sync', model: null, text: 'El barco zarpa al amanecer.', changed: false, diff: [{ type: 'equal', text: 'El barco zarpa al amanecer.' }] },
+      ],
+    });
+  });
+
+  test('translates a WebVTT upload and writes it back with its blocks, identifiers and settings', async () => {
+    const settings = { ...SETTINGS, resegment: true };
+    const { body: { jobId, blueprint } } = await request(app.server)
+      .post('/api/v1/translate/blueprint')
+      .send({ subtitleContent: WEBVTT_SUBTITLES, settings })
+      .expect(200);
+    await request(app.server)
+      .post('/api/v1/translate/execute')
+      .send({ jobId, settings, confirmedBlueprint: blueprint })
+      .expect(202);
+
+    const job = await waitForJob(app.server, jobId);
+    expect(job.status).toBe('complete');
+    expect(job.format).toBe('vtt');
+    const blocks = job.finalSubtitles.trimEnd().split('\n\n');
+    expect(blocks.slice(0, 3)).toEqual(['WEBVTT - Harbour scene\nKind: captions', 'STYLE\n::cue { color: yellow; }', 'NOTE The captain gives the order.']);
+
+    // The split cue keeps its identifier and settings; its second half gets the "-2" suffix.
+    const cues = blocks.slice(3).map(block => block.split('\n'));
+    expect(cues.map(([identifier]) => identifier)).toEqual(['order', 'order-2', 'reply']);
+    expect(cues[0][1]).toMatch(/^00:00:01\.000 --> \S+ align:start line:90%$/);
+    expect(cues[1][1]).toMatch(/ --> 00:00:07\.000 align:start line:90%$/);
+    expect(cues[2][1]).toBe('00:00:07.500 --> 00:00:09.000');
+  });
+
+  test('re-translates chosen cues in the background and saves them as a new cues version', async () => {
+    const { body: { jobId, blueprint } } = await request(app.server)
+      .post('/api/v1/translate/blueprint')
+      .send({ subtitleContent: SUBTITLES, settings: SETTINGS });
+    await request(app.server)
+      .post('/api/v1/translate/execute')
+      .send({ jobId, settings: SETTINGS, confirmedBlueprint: blueprint });
+    expect((await waitForJob(app.server, jobId)).status).toBe('complete');
+
+    const retranslateResponse = await request(app.server)
+      .post(`/api/v1/translate/jobs/${jobId}/retranslate`)
+      .send({ cues: [2], instruction: 'Sound more urgent.' });
+    expect(retranslateResponse.status).toBe(202);
+    expect(retranslateResponse.body).toMatchObject({ jobId, status: 'retranslating', sourceSequences: [2], skipped: [] });
+    const { cuesVersion } = retranslateResponse.body;
+
+    const job = await waitForRetranslation(app.server, jobId);
+    expect(job.retranslation).toMatchObject({ status: 'complete', instruction: 'Sound more urgent.', outcome: { cuesVersion: cuesVersion + 1, retranslated: [2] } });
+    const { body: cues } = await request(app.server).get(`/api/v1/translate/jobs/${jobId}/cues`);
+    expect(cues.cuesVersion).toBe(cuesVersion + 1);
+    expect(cues.cues[1].history.map(entry => entry.action)).toEqual(['retranslate']);
+  });
+
+  test('rejects an execution for a job that does not exist', async () => {
+    const { body: { blueprint } } = await request(app.server)
+      .post('/api/v1/translate/blueprint')
+      .send({ subtitleContent: SUBTITLES, settings: SETTINGS });
+    const response = await request(app.server)
+      .post('/api/v1/translate/execute')
+      .send({ jobId: '0123456789abcdef01234567', settings: SETTINGS, confirmedBlueprint: blueprint });
+    expect(response.status).toBe(404);
+  });
+
+  test('rejects an execution in other languages than the blueprint was generated for', async () => {
+    const { body: { jobId, blueprint } } = await request(app.server)
+      .post('/api/v1/translate/blueprint')
+      .send({ subtitleContent: SUBTITLES, settings: SETTINGS });
+    const response = await request(app.server)
+      .post('/api/v1/translate/execute')
+      .send({ jobId, settings: { ...SETTINGS, targetLanguage: 'fa' }, confirmedBlueprint: blueprint });
+    expect(response.status).toBe(400);
+
+    const { body: job } = await request(app.server).get(`/api/v1/translate/jobs/${jobId}`);
+    expect(job.status).toBe('pending_approval');
+  });
+
+  test('rejects a blueprint request without subtitles', async () => {
+    const response = await request(app.server)
+      .post('/api/v1/translate/blueprint')
+      .send({ settings: SETTINGS });
+    expect(response.status).toBe(400);
+  });
+
+  test('reports the health of its dependencies', async () => {
+    const response = await request(app.server).get('/health');
+    expect(response.status).toBe(200);
+    expect(response.body.status).toBe('ok');
+  });
+});
@@ -0,0 +1,93 @@
+// ===== DEVELOPMENT/DEBUG AUTH SERVICE TESTS =====
+// The API key lifecycle and access tokens, against the in-memory database.
+
+// ===== IMPORTS & DEPENDENCIES =====
+import { createHash } from 'node:crypto';
+import { InMemoryDb } from '../../src/config/memoryDatabase.js';
+import { AuthRepository } from '../../src/features/auth/auth.repository.js';
+import { AuthService, assertJobAccess } from '../../src/features/auth/auth.service.js';
+
+// ===== CONFIGURATION & CONSTANTS =====
+const silentLogger = { info() {}, warn() {}, error() {}, debug() {} };
+const SETTINGS = { tokenSecret: 'a-test-secret-that-is-long-enough-to-sign-with', tokenTtlSeconds: 60, bootstrapApiKey: 'b'.repeat(40) };
+const ADMIN = { keyId: 'bootstrap', ownerId: 'bootstrap', workspaceId: 'admin', role: 'admin', credential: 'api_key' };
+
+function createAuthService(settings = SETTINGS) {
+  const repository = new AuthRepository({ db: new InMemoryDb(), logger: silentLogger });
+  return { service: new AuthService({ repository, settings, logger: silentLogger }), repository };
+}
+
+const unauthorized = expect.objectContaining({ httpStatus: 401 });
+
+describe('API keys', () => {
+  test('an issued key is stored only as its hash and authenticates as its owner', async () => {
+    const { service, repository } = createAuthService();
+    const issued = await service.issueApiKey({ ownerId: 'alice', workspaceId: 'workspace-a', role: 'member' }, ADMIN);
+
+    expect(issued.apiKey).toMatch(/^pst_[0-9a-f]{16}_/);
+    const stored = await repository.findApiKey(issued.keyId);
+    expect(stored.keyHash).toBe(createHash('sha256').update(issued.apiKey).digest('hex'));
+    expect(JSON.stringify(stored)).not.toContain(issued.apiKey);
+    expect(await service.authenticateApiKey(issued.apiKey)).toEqual({
+      keyId: issued.keyId, ownerId: 'alice', workspaceId: 'workspace-a', role: 'member', credential: 'api_key',
+    });
+  });
+
+  test('a key with a known key ID but another secret, or in another format, is rejected', async () => {
+    const { service } = createAuthService();
+    const issued = await service.issueApiKey({ ownerId: 'alice', workspaceId: 'workspace-a', role: 'member' }, ADMIN);
+    const forged = `pst_${issued.keyId}_${'x'.repeat(43)}`;
+
+    await expect(service.authenticateApiKey(forged)).rejects.toEqual(unauthorized);
+    await expect(service.authenticateApiKey('not-a-key')).rejects.toEqual(unauthorized);
+  });
+
+  test('revoking a key rejects it and every token already issued from it', async () => {
+    const { service } = createAuthService();
+    const issued = await service.issueApiKey({ ownerId: 'alice', workspaceId: 'workspace-a', role: 'member' }, ADMIN);
+    const { accessToken } = service.issueAccessToken(await service.authenticateApiKey(issued.apiKey));
+    expect(await service.authenticateToken(accessToken)).toMatchObject({ ownerId: 'alice', credential: 'token' });
+
+    const revoked = await service.revokeApiKey(issued.keyId);
+    expect(revoked.revokedAt).toBeInstanceOf(Date);
+    expect(await service.revokeApiKey(issued.keyId)).toEqual(revoked);
+
+    await expect(service.authenticateApiKey(issued.apiKey)).rejects.toEqual(unauthorized);
+    await expect(service.authenticateToken(accessToken)).rejects.toEqual(unauthorized);
+    await expect(service.revokeApiKey('0123456789abcdef')).rejects.toMatchObject({ httpStatus: 404 });
+  });
+
+  test('the bootstrap key from the environment authenticates as an admin, and only when it is set', async () => {
+    expect(await createAuthService().service.authenticateApiKey(SETTINGS.bootstrapApiKey)).toEqual(ADMIN);
+    const { service } = createAuthService({ ...SETTINGS, bootstrapApiKey: undefined });
+    await expect(service.authenticateApiKey(SETTINGS.bootstrapApiKey)).rejects.toEqual(unauthorized);
+  });
+});
+
+describe('access tokens', () => {
+  test('are only issued in exchange for an API key', async () => {
+    const { service } = createAuthService();
+    const { accessToken, tokenType, expiresIn } = service.issueAccessToken(ADMIN);
+    expect({ tokenType, expiresIn }).toEqual({ tokenType: 'Bearer', expiresIn: 60 });
+
+    const tokenPrincipal = await service.authenticateToken(accessToken);
+    expect(() => service.issueAccessToken(tokenPrincipal)).toThrow(expect.objectContaining({ httpStatus: 403 }));
+  });
+
+  test('signed with another secret are rejected', async () => {
+    const { accessToken } = createAuthService().service.issueAccessToken(ADMIN);
+    const { service } = createAuthService({ ...SETTINGS, tokenSecret: `${SETTINGS.tokenSecret}-rotated` });
+    await expect(service.authenticateToken(accessToken)).rejects.toEqual(unauthorized);
+  });
+});
+
+describe('assertJobAccess', () => {
+  const member = { ...ADMIN, role: 'member', workspaceId: 'workspace-a' };
+
+  test('members reach only their workspace\'s jobs; admins reach every job', () => {
+    expect(() => assertJobAccess(member, { workspaceId: 'workspace-a' })).not.toThrow();
+    expect(() => assertJobAccess(member, { workspaceId: 'workspace-b' })).toThrow(expect.objectContaining({ httpStatus: 403 }));
+    expect(() => assertJobAccess(member, {})).toThrow(expect.objectContaining({ httpStatus: 403 }));
+    expect(() => assertJobAccess(ADMIN, { workspaceId: 'workspace-b' })).not.toThrow();
+  });
+});
@@ -0,0 +1,238 @@
+// ===== DEVELOPMENT/DEBUG PROJECT SERVICE TESTS =====
+// Projects, their master blueprint and its revisions, and jobs created in a project, with the
+// in-memory database and a stand-in agent service.
+
+// The configuration is read when the module is first imported, so it is set up before that.
+Object.assign(process.env, {
+  CORS_ORIGIN: 'http://localhost',
+  DB_PROVIDER: 'memory',
+  VECTOR_STORE_PROVIDER: 'memory',
+  AUTH_MODE: 'disabled',
+  LOG_LEVEL: 'silent',
+  LLM_FIXTURE_MODE: 'replay',
+});
+
+// ===== IMPORTS & DEPENDENCIES =====
+const { InMemoryDb } = await import('../../src/config/memoryDatabase.js');
+const { InMemoryVectorIndex } = await import('../../src/services/memoryVectorStore.js');
+const { ProjectRepository } = await import('../../src/features/project/project.repository.js');
+const { ProjectService, assertProjectAccess } = await import('../../src/features/project/project.service.js');
+const { TranslationRepository } = await import('../../src/features/translation/translation.repository.js');
+const { TranslationService } = await import('../../src/features/translation/translation.service.js');
+const { JobEventHub } = await import('../../src/features/translation/translation.events.js');
+
+// ===== CONFIGURATION & CONSTANTS =====
+const silentLogger = { info() {}, warn() {}, error() {}, debug() {} };
+const PRINCIPAL = { keyId: 'key-1', ownerId: 'alice', workspaceId: 'workspace-a', role: 'member' };
+const OUTSIDER = { keyId: 'key-2', ownerId: 'bob', workspaceId: 'workspace-b', role: 'member' };
+const ADMIN = { keyId: 'bootstrap', ownerId: 'bootstrap', workspaceId: 'admin', role: 'admin' };
+const SETTINGS = { tone: 'casual', sourceLanguage: 'en', targetLanguage: 'es' };
+const SUBTITLES = '1\n00:00:01,000 --> 00:00:03,000\nHello, Captain. Welcome to the harbor.\n';
+const CAPTAIN = { term: 'Captain', proposedTranslation: 'Capitana', justification: 'The captain is a woman.' };
+const HARBOR = { term: 'harbor', proposedTranslation: 'puerto', justification: 'Plain word.' };
+const PROJECT = {
+  name: 'The Lighthouse, season 1',
+  sourceLanguage: 'en',
+  targetLanguage: 'es',
+  masterBlueprint: { glossary: [CAPTAIN], styleRules: ['Use "tú" between crew members.'] },
+};
+
+/** A stand-in agent service that records the keywords each blueprint was assembled from. */
+function createAgentService() {
+  const agents = {
+    assembledWith: [],
+    forJob: () => agents,
+    extractKeywords: async () => ({
+      keywords: [{ term: 'captain', definition: 'A rank.' }, { term: 'harbor', definition: 'A port.' }],
+    }),
+    groundTranslations: async keywords => ({ grounded_keywords: keywords }),
+    assembleBlueprint: async (text, tone, keywords) => {
+      agents.assembledWith.push(keywords.map(keyword => keyword.term));
+      return {
+        summary: 'A greeting at the harbor.',
+        keyPoints: [],
+        characterProfiles: [],
+        culturalAdaptations: [],
+        glossary: [{ ...CAPTAIN, proposedTranslation: 'Capitán' }, HARBOR],
+      };
+    },
+    embedTexts: async texts => texts.map(() => [0, 0]),
+  };
+  return agents;
+}
+
+/** Builds the project and translation services on one in-memory database, as the app does. */
+function createServices() {
+  const db = new InMemoryDb();
+  const repository = new ProjectRepository({ db, logger: silentLogger });
+  const projects = new ProjectService({ repository, logger: silentLogger });
+  const agents = createAgentService();
+  const translations = new TranslationService({
+    repository: new TranslationRepository({ db, vectorIndex: new InMemoryVectorIndex(), logger: silentLogger }),
+    agentService: agents,
+    events: new JobEventHub({ logger: silentLogger }),
+    projects,
+    logger: silentLogger,
+  });
+  return { projects, repository, translations, agents };
+}
+
+const withStatus = httpStatus => expect.objectContaining({ httpStatus });
+
+describe('creating projects', () => {
+  test('a new project is in the caller\'s workspace, at master version 1 with a "created" revision', async () => {
+    const { projects } = createServices();
+    const project = await projects.createProject(PROJECT, PRINCIPAL);
+
+    expect(project).toMatchObject({
+      projectId: expect.any(String),
+      name: PROJECT.name,
+      description: null,
+      ownerId: 'alice',
+      workspaceId: 'workspace-a',
+      masterVersion: 1,
+      jobIds: [],
+      masterBlueprint: { glossary: [CAPTAIN], characterProfiles: [], culturalAdaptations: [], styleRules: PROJECT.masterBlueprint.styleRules },
+    });
+    const { revisions } = await projects.getProject(project.projectId, PRINCIPAL);
+    expect(revisions).toEqual([expect.objectContaining({
+      version: 1,
+      source: 'created',
+      changes: [{ action: 'add', section: 'glossary', key: 'Captain' }, { action: 'update', section: 'styleRules' }],
+      createdBy: 'alice',
+    })]);
+  });
+
+  test('rejects an unsupported language and a master blueprint that repeats an entry', async () => {
+    const { projects } = createServices();
+    await expect(projects.createProject({ ...PROJECT, targetLanguage: 'xx' }, PRINCIPAL)).rejects.toEqual(withStatus(400));
+    const repeated = { glossary: [CAPTAIN, { ...CAPTAIN, term: 'captain' }] };
+    await expect(projects.createProject({ ...PROJECT, masterBlueprint: repeated }, PRINCIPAL)).rejects.toEqual(withStatus(400));
+  });
+});
+
+describe('jobs in a project', () => {
+  test('a new job inherits the master blueprint and is listed in the project', async () => {
+    const { projects, translations, agents } = createServices();
+    const { projectId } = await projects.createProject(PROJECT, PRINCIPAL);
+
+    const { jobId, blueprint } = await translations.generateTranslationBlueprint(SUBTITLES, SETTINGS, projectId, PRINCIPAL);
+
+    // The master already translates "captain", so only the new term is researched.
+    expect(agents.assembledWith).toEqual([['harbor']]);
+    expect(blueprint.glossary).toEqual([CAPTAIN, HARBOR]);
+    expect(blueprint.styleRules).toEqual(PROJECT.masterBlueprint.styleRules);
+    expect((await projects.getProject(projectId, PRINCIPAL)).jobIds).toEqual([jobId]);
+  });
+
+  test('a job must use the project\'s languages', async () => {
+    const { projects, translations } = createServices();
+    const { projectId } = await projects.createProject(PROJECT, PRINCIPAL);
+    await expect(translations.generateTranslationBlueprint(SUBTITLES, { ...SETTINGS, targetLanguage: 'fa' }, projectId, PRINCIPAL))
+      .rejects.toEqual(withStatus(400));
+    expect((await projects.getProject(projectId, PRINCIPAL)).jobIds).toEqual([]);
+  });
+
+  test('a job blueprint\'s new entries are promoted to the master and recorded as a revision', async () => {
+    const { projects, translations } = createServices();
+    const { projectId } = await projects.createProject(PROJECT, PRINCIPAL);
+    const { jobId } = await translations.generateTranslationBlueprint(SUBTITLES, SETTINGS, projectId, PRINCIPAL);
+    const profile = { character: 'Mara', style: 'Dry and curt.' };
+    await translations.changeBlueprintEntry(jobId, { action: 'add', section: 'characterProfiles', entry: profile }, PRINCIPAL);
+
+    const promoted = await translations.promoteBlueprintToProject(jobId, { blueprintVersion: 2 }, PRINCIPAL);
+
+    expect(promoted).toMatchObject({
+      jobId,
+      projectId,
+      blueprintVersion: 2,
+      masterVersion: 2,
+      changes: [{ action: 'add', section: 'glossary', key: 'harbor' }, { action: 'add', section: 'characterProfiles', key: 'Mara' }],
+    });
+    expect(promoted.masterBlueprint).toMatchObject({ glossary: [CAPTAIN, HARBOR], characterProfiles: [profile] });
+
+    const { revisions } = await projects.getProject(projectId, PRINCIPAL);
+    expect(revisions.map(({ version, source }) => ({ version, source }))).toEqual([{ version: 1, source: 'created' }, { version: 2, source: 'promotion' }]);
+    expect(revisions[1]).toMatchObject({ jobId, blueprintVersion: 2, createdBy: 'alice' });
+
+    // Promoting the same version again changes nothing.
+    await expect(translations.promoteBlueprintToProject(jobId, { blueprintVersion: 2 }, PRINCIPAL)).rejects.toEqual(withStatus(409));
+  });
+
+  test('promotes only the selected entries, and rejects a selection that was not added or changed', async () => {
+    const { projects, translations } = createServices();
+    const { projectId } = await projects.createProject(PROJECT, PRINCIPAL);
+    const { jobId } = await translations.generateTranslationBlueprint(SUBTITLES, SETTINGS, projectId, PRINCIPAL);
+
+    await expect(translations.promoteBlueprintToProject(jobId, { blueprintVersion: 1, entries: [{ section: 'glossary', key: 'Captain' }] }, PRINCIPAL))
+      .rejects.toEqual(withStatus(404));
+    const { changes } = await translations.promoteBlueprintToProject(jobId, { blueprintVersion: 1, entries: [{ section: 'glossary', key: 'Harbor' }] }, PRINCIPAL);
+    expect(changes).toEqual([{ action: 'add', section: 'glossary', key: 'harbor' }]);
+  });
+});
+
+describe('master blueprint revisions', () => {
+  test('every edit to the master is a new version with its own revision', async () => {
+    const { projects } = createServices();
+    const { projectId } = await projects.createProject(PROJECT, PRINCIPAL);
+
+    await projects.changeMasterEntry(projectId, { action: 'update', section: 'glossary', key: 'captain', entry: { proposedTranslation: 'Capitán' } }, PRINCIPAL);
+    await projects.updateProject(projectId, { name: 'The Lighthouse', styleRules: [] }, PRINCIPAL);
+    // Unchanged style rules are not a new version.
+    const renamed = await projects.updateProject(projectId, { styleRules: [] }, PRINCIPAL);
+
+    expect(renamed).toMatchObject({ name: 'The Lighthouse', masterVersion: 3, masterBlueprint: { styleRules: [] } });
+    expect(renamed.masterBlueprint.glossary[0].proposedTranslation).toBe('Capitán');
+    const { revisions } = await projects.getProject(projectId, PRINCIPAL);
+    expect(revisions.map(({ version, source, changes }) => ({ version, source, changes }))).toEqual([
+      { version: 1, source: 'created', changes: expect.any(Array) },
+      { version: 2, source: 'edit', changes: [{ action: 'update', section: 'glossary', key: 'Captain' }] },
+      { version: 3, source: 'edit', changes: [{ action: 'update', section: 'styleRules' }] },
+    ]);
+    await expect(projects.updateProject(projectId, {}, PRINCIPAL)).rejects.toEqual(withStatus(400));
+  });
+
+  test('a promotion against a master that changed after it was loaded is rejected with 409', async () => {
+    const { projects, repository, translations } = createServices();
+    const { projectId } = await projects.createProject(PROJECT, PRINCIPAL);
+    const { jobId } = await translations.generateTranslationBlueprint(SUBTITLES, SETTINGS, projectId, PRINCIPAL);
+
+    // Someone edits the master between the promotion loading the project and saving it.
+    const load = repository.getProjectById.bind(repository);
+    repository.getProjectById = async (id) => {
+      const stale = await load(id);
+      repository.getProjectById = load;
+      await projects.changeMasterEntry(projectId, { action: 'add', section: 'characterProfiles', entry: { character: 'Mara', style: 'Curt.' } }, PRINCIPAL);
+      return stale;
+    };
+
+    await expect(translations.promoteBlueprintToProject(jobId, { blueprintVersion: 1 }, PRINCIPAL)).rejects.toEqual(withStatus(409));
+    const project = await projects.getProject(projectId, PRINCIPAL);
+    expect(project.masterVersion).toBe(2);
+    expect(project.masterBlueprint.glossary).toEqual([CAPTAIN]);
+    expect(project.revisions.map(revision => revision.source)).toEqual(['created', 'edit']);
+  });
+});
+
+describe('project access', () => {
+  test('assertProjectAccess lets admins and members of the project\'s workspace through', () => {
+    expect(() => assertProjectAccess(PRINCIPAL, { workspaceId: 'workspace-a' })).not.toThrow();
+    expect(() => assertProjectAccess(ADMIN, { workspaceId: 'workspace-a' })).not.toThrow();
+    expect(() => assertProjectAccess(OUTSIDER, { workspaceId: 'workspace-a' })).toThrow(withStatus(403));
+  });
+
+  test('members of another workspace can neither read, change nor add jobs to a project', async () => {
+    const { projects, translations } = createServices();
+    const { projectId } = await projects.createProject(PROJECT, PRINCIPAL);
+
+    await expect(projects.getProject(projectId, OUTSIDER)).rejects.toEqual(withStatus(403));
+    await expect(projects.updateProject(projectId, { name: 'Mine now' }, OUTSIDER)).rejects.toEqual(withStatus(403));
+    await expect(projects.changeMasterEntry(projectId, { action: 'remove', section: 'glossary', key: 'Captain' }, OUTSIDER)).rejects.toEqual(withStatus(403));
+    await expect(translations.generateTranslationBlueprint(SUBTITLES, SETTINGS, projectId, OUTSIDER)).rejects.toEqual(withStatus(403));
+    expect(await projects.listProjects(OUTSIDER)).toEqual([]);
+
+    expect((await projects.getProject(projectId, ADMIN)).name).toBe(PROJECT.name);
+    expect(await projects.listProjects(ADMIN)).toHaveLength(1);
+    await expect(projects.getProject('0123456789abcdef01234567', PRINCIPAL)).rejects.toEqual(withStatus(404));
+  });
+});
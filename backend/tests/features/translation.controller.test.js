@@ -0,0 +1,81 @@
+// ===== DEVELOPMENT/DEBUG TRANSLATION CONTROLLER TESTS =====
+// The job event stream, against a stand-in service whose events are published by hand.
+
+// ===== IMPORTS & DEPENDENCIES =====
+import Fastify from 'fastify';
+import { TranslationController } from '../../src/features/translation/translation.controller.js';
+import { JobEventHub } from '../../src/features/translation/translation.events.js';
+
+// ===== CONFIGURATION & CONSTANTS =====
+const silentLogger = { info() {}, warn() {}, error() {}, debug() {} };
+
+/**
+ * Builds an app serving the event stream. The service reads the snapshot with `readSnapshot`.
+ * @param {(events: JobEventHub) => Promise<object>} readSnapshot
+ */
+async function createApp(readSnapshot) {
+  const events = new JobEventHub({ logger: silentLogger });
+  const service = {
+    getJobEventSnapshot: () => readSnapshot(events),
+    subscribeToJobEvents: (jobId, listener) => events.subscribe(jobId, listener),
+  };
+  const app = Fastify();
+  app.get('/jobs/:jobId/events', new TranslationController(service).streamJobEvents);
+  await app.ready();
+  return { app, events };
+}
+
+/**
+ * Lists the event names of a Server-Sent Events body.
+ * @param {string} body
+ * @returns {string[]}
+ */
+function eventNames(body) {
+  return body.split('\n').filter(line => line.startsWith('event: ')).map(line => line.slice('event: '.length));
+}
+
+describe('job event stream', () => {
+  test('an event published while the snapshot is being read is sent after it, and a final one ends the stream', async () => {
+    const { app } = await createApp(async (events) => {
+      // The job finishes after the caller subscribed but before the snapshot comes back.
+      events.publish('job-1', 'job_complete', { format: 'srt', finalSubtitles: '...' });
+      return { jobId: 'job-1', status: 'translating', progress: { batchesCompleted: 0, batchesTotal: 1 }, batches: [] };
+    });
+    const response = await app.inject({ method: 'GET', url: '/jobs/job-1/events' });
+    expect(response.statusCode).toBe(200);
+    expect(eventNames(response.body)).toEqual(['snapshot', 'job_complete']);
+    await app.close();
+  });
+
+  test('a finished job gets its snapshot and the stream ends', async () => {
+    const { app, events } = await createApp(async () => ({ jobId: 'job-1', status: 'complete', batches: [] }));
+    const response = await app.inject({ method: 'GET', url: '/jobs/job-1/events' });
+    expect(eventNames(response.body)).toEqual(['snapshot']);
+    expect(events.emitter.listenerCount('job-1')).toBe(0);
+    await app.close();
+  });
+
+  test('a finished job whose cues are being re-translated stays open until the re-translation ends', async () => {
+    const { app } = await createApp(async (events) => {
+      setImmediate(() => {
+        events.publish('job-1', 'retranslation_stage', { batchIndex: 0, stage: 'transcreate', stageIndex: 0, lines: [] });
+        events.publish('job-1', 'cues_updated', { cuesVersion: 1, finalSubtitles: '...' });
+        events.publish('job-1', 'retranslation_complete', { cuesVersion: 1, retranslated: [2], skipped: [] });
+      });
+      return { jobId: 'job-1', status: 'complete', batches: [], retranslation: { status: 'running' } };
+    });
+    const response = await app.inject({ method: 'GET', url: '/jobs/job-1/events' });
+    expect(eventNames(response.body)).toEqual(['snapshot', 'retranslation_stage', 'cues_updated', 'retranslation_complete']);
+    await app.close();
+  });
+
+  test('a rejected request leaves no subscription behind', async () => {
+    const { app, events } = await createApp(async () => {
+      throw Object.assign(new Error('Job not found.'), { statusCode: 404 });
+    });
+    const response = await app.inject({ method: 'GET', url: '/jobs/job-1/events' });
+    expect(response.statusCode).toBe(404);
+    expect(events.emitter.listenerCount('job-1')).toBe(0);
+    await app.close();
+  });
+});
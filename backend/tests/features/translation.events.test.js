@@ -0,0 +1,17 @@
+// ===== DEVELOPMENT/DEBUG TRANSLATION EVENT HUB TESTS =====
+
+// ===== IMPORTS & DEPENDENCIES =====
+import { JobEventHub } from '../../src/features/translation/translation.events.js';
+
+// ===== CONFIGURATION & CONSTANTS =====
+const silentLogger = { info() {}, warn() {}, error() {}, debug() {} };
+
+describe('JobEventHub snapshots', () => {
+  test('a reviewed file replaces the final subtitles of a finished job\'s snapshot', () => {
+    const hub = new JobEventHub({ logger: silentLogger });
+    hub.publish('job-1', 'job_started', { batchesTotal: 1 });
+    hub.publish('job-1', 'job_complete', { format: 'srt', finalSubtitles: 'machine' });
+    hub.publish('job-1', 'cues_updated', { cuesVersion: 2, finalSubtitles: 'reviewed' });
+    expect(hub.getSnapshot('job-1')).toMatchObject({ status: 'complete', finalSubtitles: 'reviewed' });
+  });
+});
@@ -0,0 +1,214 @@
+// ===== DEVELOPMENT/DEBUG TRANSLATION REPOSITORY TESTS =====
+// Translation memory and glossary lookups against the in-memory database and vector index.
+
+// ===== IMPORTS & DEPENDENCIES =====
+import { InMemoryDb } from '../../src/config/memoryDatabase.js';
+import { InMemoryVectorIndex } from '../../src/services/memoryVectorStore.js';
+import { TranslationRepository } from '../../src/features/translation/translation.repository.js';
+
+// ===== CONFIGURATION & CONSTANTS =====
+const LANGUAGES = { source: { code: 'en' }, target: { code: 'es' } };
+const silentLogger = { info() {}, warn() {}, error() {}, debug() {} };
+
+function createRepository(options = {}) {
+  return new TranslationRepository({ db: new InMemoryDb(), vectorIndex: new InMemoryVectorIndex(), logger: silentLogger, ...options });
+}
+
+describe('translation memory workspace scoping', () => {
+  test('exact and similar memory lookups only return entries of the caller\'s workspace', async () => {
+    const repository = createRepository();
+    const entry = { sourceKey: 'hello there', sourceText: 'Hello there.', targetText: 'Hola.', values: [1, 0] };
+    await repository.upsertMemoryEntries('job-a', [entry], LANGUAGES, 'workspace-a', { tier: 'approved' });
+    await repository.upsertMemoryEntries('job-b', [{ ...entry, targetText: 'Buenas.' }], LANGUAGES, 'workspace-b', { tier: 'approved' });
+
+    const exact = await repository.findMemoryEntries(['hello there'], LANGUAGES, 'workspace-a');
+    expect(exact).toHaveLength(1);
+    expect(exact[0]).toMatchObject({ jobId: 'job-a', targetText: 'Hola.' });
+
+    const [similar] = await repository.findSimilarMemoryEntries([[1, 0]], LANGUAGES, 'workspace-b');
+    expect(similar.map(match => match.jobId)).toEqual(['job-b']);
+
+    expect(await repository.findMemoryEntries(['hello there'], LANGUAGES, 'workspace-c')).toEqual([]);
+  });
+
+  test('machine translations are kept apart from approved ones and never match exactly', async () => {
+    const repository = createRepository();
+    const entry = { sourceKey: 'hello there', sourceText: 'Hello there.', values: [1, 0] };
+    await repository.upsertMemoryEntries('job-a', [{ ...entry, targetText: 'Hola.' }], LANGUAGES, 'workspace-a', { tier: 'approved' });
+    await repository.upsertMemoryEntries('job-b', [{ ...entry, targetText: 'Hola ahí.' }], LANGUAGES, 'workspace-a', { tier: 'machine' });
+
+    const exact = await repository.findMemoryEntries(['hello there'], LANGUAGES, 'workspace-a');
+    expect(exact.map(({ tier, targetText }) => ({ tier, targetText }))).toEqual([{ tier: 'approved', targetText: 'Hola.' }]);
+
+    const [similar] = await repository.findSimilarMemoryEntries([[1, 0]], LANGUAGES, 'workspace-a');
+    expect(similar.map(match => match.tier).sort()).toEqual(['approved', 'machine']);
+  });
+
+  test('glossary lookups only return terms of the caller\'s workspace', async () => {
+    const repository = createRepository();
+    const term = { term: 'Captain', proposedTranslation: 'Capitán', justification: 'Rank.', values: [0, 1] };
+    await repository.upsertGlossaryVectors('job-a', [term], LANGUAGES, 'workspace-a');
+
+    const [own] = await repository.findSimilarGlossaryTerms([[0, 1]], LANGUAGES, 'workspace-a', { minScore: 0.5 });
+    const [other] = await repository.findSimilarGlossaryTerms([[0, 1]], LANGUAGES, 'workspace-b', { minScore: 0.5 });
+    expect(own.map(match => match.translation)).toEqual(['Capitán']);
+    expect(other).toEqual([]);
+  });
+
+  test('glossary terms are kept per language pair, and the latest decision on a term wins', async () => {
+    const repository = createRepository();
+    const term = { term: 'Captain', proposedTranslation: 'Capitán', justification: 'Rank.', values: [0, 1] };
+    await repository.upsertGlossaryVectors('job-a', [term], LANGUAGES, 'workspace-a');
+    await repository.upsertGlossaryVectors('job-b', [{ ...term, term: 'captain ', proposedTranslation: 'Comandante' }], LANGUAGES, 'workspace-a');
+    await repository.upsertGlossaryVectors('job-c', [{ ...term, proposedTranslation: 'Kapitän' }], { ...LANGUAGES, target: { code: 'de' } }, 'workspace-a');
+
+    const [matches] = await repository.findSimilarGlossaryTerms([[0, 1]], LANGUAGES, 'workspace-a', { minScore: 0.5, topK: 5 });
+    expect(matches).toEqual([expect.objectContaining({ translation: 'Comandante', justification: 'Rank.', jobId: 'job-b', sourceLanguage: 'en', targetLanguage: 'es' })]);
+  });
+
+  test('glossary terms below the minimum similarity are not returned', async () => {
+    const repository = createRepository();
+    await repository.upsertGlossaryVectors('job-a', [{ term: 'Captain', proposedTranslation: 'Capitán', justification: 'Rank.', values: [1, 0] }], LANGUAGES, 'workspace-a');
+
+    const [close, far] = await repository.findSimilarGlossaryTerms([[1, 0.1], [0, 1]], LANGUAGES, 'workspace-a', { minScore: 0.9 });
+    expect(close.map(match => match.term)).toEqual(['Captain']);
+    expect(close[0].score).toBeGreaterThan(0.9);
+    expect(far).toEqual([]);
+  });
+});
+
+describe('token usage', () => {
+  test('adds up the usage of each stage on the job', async () => {
+    const repository = createRepository();
+    const { insertedId } = await repository.createJob({ subtitleContent: '', settings: {} });
+    const jobId = insertedId.toString();
+    await repository.recordTokenUsage(jobId, { stage: 'transcreate', usage: { inputTokens: 10, outputTokens: 4, totalTokens: 14 } });
+    await repository.recordTokenUsage(jobId, { stage: 'transcreate', usage: { inputTokens: 6, outputTokens: 2, totalTokens: 8 } });
+    await repository.recordTokenUsage(jobId, { stage: 'qa', usage: { inputTokens: 3, outputTokens: 1, totalTokens: 4 } });
+
+    const job = await repository.getJobById(jobId);
+    expect(job.tokenUsage).toEqual({
+      transcreate: { calls: 2, inputTokens: 16, outputTokens: 6, totalTokens: 22 },
+      qa: { calls: 1, inputTokens: 3, outputTokens: 1, totalTokens: 4 },
+    });
+  });
+});
+
+describe('jobs stored before other subtitle formats', () => {
+  test('are read as SRT jobs whose final file is finalSubtitles', async () => {
+    const repository = createRepository();
+    const { insertedId } = await repository.jobsCollection.insertOne({ status: 'complete', subtitleContent: '', finalSrt: '1\n...' });
+    const job = await repository.getJobById(insertedId.toString());
+    expect(job).toMatchObject({ format: 'srt', finalSubtitles: '1\n...' });
+    expect(job).not.toHaveProperty('finalSrt');
+  });
+
+  test('leave jobs with a format as they are, including plain-text scripts', async () => {
+    const repository = createRepository();
+    const { insertedId } = await repository.createJob({ subtitleContent: 'A script.', format: null, settings: {} });
+    expect((await repository.getJobById(insertedId.toString())).format).toBeNull();
+  });
+});
+
+describe('starting a translation', () => {
+  test('only one of two concurrent starts claims the job', async () => {
+    const repository = createRepository();
+    const { insertedId } = await repository.createJob({ subtitleContent: '', format: 'srt', settings: {} });
+    await repository.jobsCollection.updateOne({ _id: insertedId }, { $set: { status: 'blueprint_ready' } });
+    const start = { confirmedBlueprint: {}, blueprintVersion: 1, settings: {}, batchesTotal: 1 };
+
+    const results = await Promise.allSettled([
+      repository.startTranslation(insertedId.toString(), start),
+      repository.startTranslation(insertedId.toString(), start),
+    ]);
+    expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(results.find(result => result.status === 'rejected').reason.httpStatus).toBe(409);
+  });
+});
+
+describe('recovering interrupted jobs', () => {
+  test('a running job can only be claimed once its lease has expired, and only once', async () => {
+    const repository = createRepository({ jobLeaseMs: 60_000 });
+    const { insertedId } = await repository.createJob({ subtitleContent: '', format: 'srt', settings: {} });
+    const jobId = insertedId.toString();
+
+    expect(await repository.claimInterruptedJob(jobId, 'processing_blueprint')).toBe(false);
+
+    await repository.jobsCollection.updateOne({ _id: insertedId }, { $set: { leaseExpiresAt: new Date(Date.now() - 1) } });
+    const claims = await Promise.all([
+      repository.claimInterruptedJob(jobId, 'processing_blueprint'),
+      repository.claimInterruptedJob(jobId, 'processing_blueprint'),
+    ]);
+    expect(claims.sort()).toEqual([false, true]);
+  });
+
+  test('renewing a lease keeps a running job from being claimed, and leaves other jobs alone', async () => {
+    const repository = createRepository({ jobLeaseMs: 60_000 });
+    const { insertedId } = await repository.createJob({ subtitleContent: '', format: 'srt', settings: {} });
+    const jobId = insertedId.toString();
+    await repository.jobsCollection.updateOne({ _id: insertedId }, { $set: { leaseExpiresAt: new Date(Date.now() - 1) } });
+
+    await repository.renewJobLease(jobId);
+    expect(await repository.claimInterruptedJob(jobId, 'processing_blueprint')).toBe(false);
+
+    await repository.markJobFailed(jobId, { message: 'boom' });
+    expect((await repository.renewJobLease(jobId)).matchedCount).toBe(0);
+  });
+
+  test('jobs without a lease are claimable', async () => {
+    const repository = createRepository();
+    const { insertedId } = await repository.createJob({ subtitleContent: '', format: 'srt', settings: {} });
+    await repository.jobsCollection.updateOne({ _id: insertedId }, { $unset: { leaseExpiresAt: '' } });
+
+    expect(await repository.claimInterruptedJob(insertedId.toString(), 'processing_blueprint')).toBe(true);
+    expect(await repository.claimInterruptedJob(insertedId.toString(), 'translating')).toBe(false);
+  });
+
+  test('a job is only resumed from the status it was read in', async () => {
+    const repository = createRepository();
+    const { insertedId } = await repository.createJob({ subtitleContent: '', format: 'srt', settings: {} });
+    await repository.markJobFailed(insertedId.toString(), { message: 'boom' });
+    const resume = { batchesCompleted: 0, batchesTotal: 1, expectedStatus: 'failed' };
+
+    await repository.resumeTranslation(insertedId.toString(), resume);
+    await expect(repository.resumeTranslation(insertedId.toString(), resume)).rejects.toMatchObject({ httpStatus: 409 });
+    expect((await repository.getJobById(insertedId.toString())).status).toBe('translating');
+  });
+});
+
+describe('re-translating cues', () => {
+  test('only one re-translation of a job runs at a time, and a failed one frees the job', async () => {
+    const repository = createRepository();
+    const { insertedId } = await repository.createJob({ subtitleContent: '', format: 'srt', settings: {} });
+    const jobId = insertedId.toString();
+    await repository.saveFinalSubtitles(jobId, { format: 'srt', finalSubtitles: '' });
+    const start = { expectedVersion: 0, request: { by: 'alice', sourceSequences: [1] } };
+
+    await repository.startRetranslation(jobId, start);
+    await expect(repository.startRetranslation(jobId, start)).rejects.toMatchObject({ httpStatus: 409 });
+
+    await repository.markRetranslationFailed(jobId, { message: 'boom' });
+    expect((await repository.getJobById(jobId)).retranslationRun).toEqual({ by: 'alice', sourceSequences: [1], status: 'failed', error: { message: 'boom' } });
+    await repository.startRetranslation(jobId, start);
+  });
+});
+
+describe('blueprint versions', () => {
+  test('are stored apart from the job, which keeps only the latest blueprint', async () => {
+    const repository = createRepository();
+    const { insertedId } = await repository.createJob({ subtitleContent: '', format: 'srt', settings: {} });
+    const jobId = insertedId.toString();
+    const generated = { version: 1, blueprint: { summary: 'v1' }, source: 'generated', changes: [] };
+    const edited = { version: 2, blueprint: { summary: 'v2' }, source: 'edit', changes: [{ action: 'update', section: 'summary' }] };
+
+    await repository.saveBlueprint(jobId, generated);
+    await repository.saveBlueprintVersion(jobId, { blueprintVersion: edited, expectedVersion: 1 });
+    await expect(repository.saveBlueprintVersion(jobId, { blueprintVersion: { ...edited, version: 2 }, expectedVersion: 1 }))
+      .rejects.toMatchObject({ httpStatus: 409 });
+
+    expect(await repository.listBlueprintVersions(jobId)).toEqual([generated, edited]);
+    const job = await repository.getJobById(jobId);
+    expect(job).toMatchObject({ blueprint: { summary: 'v2' }, blueprintVersion: 2 });
+    expect(job.blueprintVersions).toBeUndefined();
+  });
+});
@@ -0,0 +1,213 @@
+// ===== DEVELOPMENT/DEBUG TRANSLATION SERVICE TESTS =====
+// Cross-job glossary memory, formatting tag retries and job leases, with the in-memory database and vector index and a stand-in agent service.
+
+// The configuration is read when the module is first imported, so it is set up before that.
+Object.assign(process.env, {
+  CORS_ORIGIN: 'http://localhost',
+  DB_PROVIDER: 'memory',
+  VECTOR_STORE_PROVIDER: 'memory',
+  AUTH_MODE: 'disabled',
+  LOG_LEVEL: 'silent',
+  LLM_FIXTURE_MODE: 'replay',
+});
+
+// ===== IMPORTS & DEPENDENCIES =====
+const { InMemoryDb } = await import('../../src/config/memoryDatabase.js');
+const { InMemoryVectorIndex } = await import('../../src/services/memoryVectorStore.js');
+const { TranslationRepository } = await import('../../src/features/translation/translation.repository.js');
+const { TranslationService } = await import('../../src/features/translation/translation.service.js');
+const { JobEventHub } = await import('../../src/features/translation/translation.events.js');
+
+// ===== CONFIGURATION & CONSTANTS =====
+const silentLogger = { info() {}, warn() {}, error() {}, debug() {} };
+const PRINCIPAL = { keyId: 'key-1', ownerId: 'alice', workspaceId: 'workspace-a', role: 'member' };
+const SETTINGS = { tone: 'casual', sourceLanguage: 'en', targetLanguage: 'es' };
+const SUBTITLES = '1\n00:00:01,000 --> 00:00:03,000\nHello, Captain.\n';
+// Embeddings that make "Captain" and "captain" the same term and everything else unrelated.
+const EMBEDDINGS = { captain: [1, 0], harbor: [0, 1] };
+
+/**
+ * A stand-in agent service that records the preferred translations each blueprint was assembled with.
+ * @param {{embedTexts?: (texts: string[]) => Promise<number[][]>}} [overrides]
+ */
+function createAgentService(overrides = {}) {
+  const agents = {
+    assembledWith: [],
+    forJob: () => agents,
+    getStageModels: () => ({ transcreate: 'stub', edit: 'stub', qa: 'stub', sync: 'stub' }),
+    extractKeywords: async () => ({ keywords: [{ term: 'captain', definition: 'A rank.' }] }),
+    groundTranslations: async keywords => ({ grounded_keywords: keywords }),
+    assembleBlueprint: async (text, tone, keywords, languages, preferredTranslations) => {
+      agents.assembledWith.push(preferredTranslations);
+      return { summary: 'A greeting.', keyPoints: [], characterProfiles: [], culturalAdaptations: [], glossary: [] };
+    },
+    embedTexts: async texts => texts.map(text => EMBEDDINGS[text.trim().toLowerCase()] || [0, 0]),
+    transcreateBatch: async batch => batch.map(line => `ES ${line.text}`),
+    editBatch: async (batch, translations) => translations,
+    qaBatch: async (batch, translations) => translations,
+    ...overrides,
+  };
+  return agents;
+}
+
+/**
+ * Builds a service on the in-memory stores, or another instance on the repository of an existing one.
+ * @param {object} agentService
+ * @param {{repository?: TranslationRepository, leaseRenewalMs?: number}} [options]
+ */
+function createService(agentService, { repository, leaseRenewalMs } = {}) {
+  const jobs = repository ?? new TranslationRepository({ db: new InMemoryDb(), vectorIndex: new InMemoryVectorIndex(), logger: silentLogger });
+  const service = new TranslationService({ repository: jobs, agentService, events: new JobEventHub({ logger: silentLogger }), projects: null, logger: silentLogger, leaseRenewalMs });
+  return { service, repository: jobs };
+}
+
+/** A promise that stays pending until the test resolves it. */
+function deferred() {
+  let resolve;
+  const promise = new Promise((done) => { resolve = done; });
+  return { promise, resolve };
+}
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('cross-job glossary memory', () => {
+  test('a new blueprint is given the terms an earlier job of the workspace approved', async () => {
+    const agents = createAgentService();
+    const { service, repository } = createService(agents);
+    await repository.upsertGlossaryVectors('earlier-job', [
+      { term: 'Captain', proposedTranslation: 'Capitán', justification: 'Naval rank.', values: EMBEDDINGS.captain },
+    ], { source: { code: 'en' }, target: { code: 'es' } }, PRINCIPAL.workspaceId);
+
+    await service.generateTranslationBlueprint(SUBTITLES, SETTINGS, undefined, PRINCIPAL);
+
+    expect(agents.assembledWith).toEqual([[
+      expect.objectContaining({ keyword: 'captain', term: 'Captain', translation: 'Capitán', justification: 'Naval rank.', sourceJobId: 'earlier-job' }),
+    ]]);
+  });
+
+  test('executing a job remembers the glossary the user approved for later jobs', async () => {
+    const agents = createAgentService();
+    const { service, repository } = createService(agents);
+    const { jobId, blueprint } = await service.generateTranslationBlueprint(SUBTITLES, SETTINGS, undefined, PRINCIPAL);
+    const glossary = [{ term: 'Captain', proposedTranslation: 'Capitana', justification: 'The captain is a woman.' }];
+
+    await service.startTranslationChain(jobId, { confirmedBlueprint: { ...blueprint, glossary } }, SETTINGS, PRINCIPAL);
+
+    const languages = { source: { code: 'en' }, target: { code: 'es' } };
+    let remembered = [];
+    for (let attempt = 0; attempt < 50 && remembered.length === 0; attempt++) {
+      await wait(10);
+      [remembered] = await repository.findSimilarGlossaryTerms([EMBEDDINGS.captain], languages, PRINCIPAL.workspaceId, { minScore: 0.9 });
+    }
+    expect(remembered).toEqual([expect.objectContaining({ term: 'Captain', translation: 'Capitana', justification: 'The captain is a woman.', jobId })]);
+  });
+
+  test('other workspaces and language pairs do not share their terms', async () => {
+    const agents = createAgentService();
+    const { service, repository } = createService(agents);
+    const captain = { term: 'Captain', proposedTranslation: 'Capitán', justification: 'Naval rank.', values: EMBEDDINGS.captain };
+    await repository.upsertGlossaryVectors('other-workspace', [captain], { source: { code: 'en' }, target: { code: 'es' } }, 'workspace-b');
+    await repository.upsertGlossaryVectors('other-language', [captain], { source: { code: 'en' }, target: { code: 'fa' } }, PRINCIPAL.workspaceId);
+
+    await service.generateTranslationBlueprint(SUBTITLES, SETTINGS, undefined, PRINCIPAL);
+
+    expect(agents.assembledWith).toEqual([[]]);
+  });
+
+  test('a failing vector store does not stop the blueprint', async () => {
+    const agents = createAgentService({ embedTexts: async () => { throw new Error('embedding service down'); } });
+    const { service } = createService(agents);
+
+    const { blueprint } = await service.generateTranslationBlueprint(SUBTITLES, SETTINGS, undefined, PRINCIPAL);
+
+    expect(blueprint.summary).toBe('A greeting.');
+    expect(agents.assembledWith).toEqual([[]]);
+  });
+});
+
+describe('formatting tag retries', () => {
+  test('retried lines are given the context around them, with the batch\'s other lines translated', async () => {
+    const transcreateCalls = [];
+    const agents = createAgentService({
+      transcreateBatch: async (batch, blueprint, tone, languages, surroundingLines) => {
+        transcreateCalls.push({ sequences: batch.map(line => line.sequence), surroundingLines });
+        // The first attempt drops every placeholder; the retry keeps them.
+        return batch.map(line => `ES ${transcreateCalls.length === 1 ? line.text.replace(/⟦\d+⟧/g, '') : line.text}`);
+      },
+    });
+    const { service } = createService(agents);
+    const subtitles = [
+      '1\n00:00:01,000 --> 00:00:02,000\nHello.\n',
+      '2\n00:00:03,000 --> 00:00:04,000\n<i>Captain</i>, wait.\n',
+      '3\n00:00:05,000 --> 00:00:06,000\nGoodbye.\n',
+    ].join('\n');
+    const { jobId, blueprint } = await service.generateTranslationBlueprint(subtitles, SETTINGS, undefined, PRINCIPAL);
+
+    await service.startTranslationChain(jobId, { confirmedBlueprint: blueprint }, SETTINGS, PRINCIPAL);
+    for (let attempt = 0; attempt < 50 && transcreateCalls.length < 2; attempt++) {
+      await wait(10);
+    }
+
+    expect(transcreateCalls[1].sequences).toEqual([2]);
+    expect(transcreateCalls[1].surroundingLines).toEqual({
+      preceding: [{ sequence: 1, text: 'Hello.', translation: 'ES Hello.' }],
+      following: [{ sequence: 3, text: 'Goodbye.' }],
+    });
+  });
+});
+
+describe('job leases', () => {
+  // Leases far shorter than the runs below, renewed on a heartbeat.
+  const LEASE = { jobLeaseMs: 30, leaseRenewalMs: 5 };
+
+  function createLeasedServices(agents) {
+    const repository = new TranslationRepository({ db: new InMemoryDb(), vectorIndex: new InMemoryVectorIndex(), logger: silentLogger, jobLeaseMs: LEASE.jobLeaseMs });
+    const { service } = createService(agents, { repository, leaseRenewalMs: LEASE.leaseRenewalMs });
+    // Another instance sharing the database.
+    const { service: otherInstance } = createService(agents, { repository, leaseRenewalMs: LEASE.leaseRenewalMs });
+    return { service, otherInstance, repository };
+  }
+
+  test('a blueprint that outlasts the lease is not recovered while it is still being generated', async () => {
+    const extraction = deferred();
+    const agents = createAgentService({ extractKeywords: () => extraction.promise });
+    const { service, otherInstance, repository } = createLeasedServices(agents);
+
+    const generating = service.generateTranslationBlueprint(SUBTITLES, SETTINGS, undefined, PRINCIPAL);
+    await wait(4 * LEASE.jobLeaseMs);
+
+    expect(await service.recoverInterruptedJobs()).toMatchObject({ skipped: 1, failed: 0 });
+    expect(await otherInstance.recoverInterruptedJobs()).toMatchObject({ skipped: 1, failed: 0 });
+
+    extraction.resolve({ keywords: [] });
+    const { jobId } = await generating;
+    expect((await repository.getJobById(jobId)).status).toBe('pending_approval');
+  });
+
+  test('a translation that outlasts the lease is not resumed a second time while it runs', async () => {
+    const translation = deferred();
+    let transcreateCalls = 0;
+    const agents = createAgentService({
+      transcreateBatch: async (batch) => {
+        transcreateCalls++;
+        await translation.promise;
+        return batch.map(line => `ES ${line.text}`);
+      },
+    });
+    const { service, otherInstance, repository } = createLeasedServices(agents);
+    const { jobId, blueprint } = await service.generateTranslationBlueprint(SUBTITLES, SETTINGS, undefined, PRINCIPAL);
+
+    await service.startTranslationChain(jobId, { confirmedBlueprint: blueprint }, SETTINGS, PRINCIPAL);
+    await wait(4 * LEASE.jobLeaseMs);
+
+    expect(await otherInstance.recoverInterruptedJobs()).toMatchObject({ skipped: 1, resumed: 0 });
+    expect(await service.recoverInterruptedJobs()).toMatchObject({ skipped: 1, resumed: 0 });
+
+    translation.resolve();
+    for (let attempt = 0; attempt < 50 && (await repository.getJobById(jobId)).status !== 'complete'; attempt++) {
+      await wait(10);
+    }
+    expect((await repository.getJobById(jobId)).status).toBe('complete');
+    expect(transcreateCalls).toBe(1);
+  });
+});
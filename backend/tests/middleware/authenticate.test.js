@@ -0,0 +1,54 @@
+// ===== DEVELOPMENT/DEBUG AUTHENTICATION HOOK TESTS =====
+
+// ===== IMPORTS & DEPENDENCIES =====
+import { createAuthenticationHook, requireRole } from '../../src/middleware/authenticate.js';
+
+// ===== CONFIGURATION & CONSTANTS =====
+const TOKEN = 'aGVhZGVy.cGF5bG9hZA.c2lnbmF0dXJl';
+const API_KEY = 'pst_0123456789abcdef_secret';
+
+/** An auth service that reports which credential it was asked to check. */
+const authService = {
+  authenticateApiKey: async value => ({ credential: 'api_key', value }),
+  authenticateToken: async value => ({ credential: 'token', value }),
+};
+
+async function authenticate({ method = 'GET', headers = {}, query = {} }, mode = 'required') {
+  const request = { method, headers, query };
+  await createAuthenticationHook({ authService, mode })(request);
+  return request.principal;
+}
+
+describe('createAuthenticationHook', () => {
+  test('reads a Bearer credential as a token or an API key by its shape', async () => {
+    expect(await authenticate({ headers: { authorization: `Bearer ${TOKEN}` } })).toEqual({ credential: 'token', value: TOKEN });
+    expect(await authenticate({ headers: { authorization: `bearer ${API_KEY}` } })).toEqual({ credential: 'api_key', value: API_KEY });
+  });
+
+  test('reads an API key from X-API-Key', async () => {
+    expect(await authenticate({ method: 'POST', headers: { 'x-api-key': API_KEY } })).toEqual({ credential: 'api_key', value: API_KEY });
+  });
+
+  test('accepts ?access_token as a token on GET requests only', async () => {
+    expect(await authenticate({ query: { access_token: TOKEN } })).toEqual({ credential: 'token', value: TOKEN });
+    await expect(authenticate({ method: 'POST', query: { access_token: TOKEN } })).rejects.toMatchObject({ httpStatus: 401 });
+  });
+
+  test('rejects requests without a credential, or with another scheme', async () => {
+    await expect(authenticate({})).rejects.toMatchObject({ httpStatus: 401 });
+    await expect(authenticate({ headers: { authorization: `Basic ${API_KEY}` } })).rejects.toMatchObject({ httpStatus: 401 });
+  });
+
+  test('lets every request through as the local admin when authentication is disabled', async () => {
+    expect(await authenticate({}, 'disabled')).toMatchObject({ role: 'admin', credential: 'disabled' });
+  });
+});
+
+describe('requireRole', () => {
+  test('only lets principals with the role through', async () => {
+    const adminOnly = requireRole('admin');
+    await expect(adminOnly({ principal: { role: 'admin' } })).resolves.toBeUndefined();
+    await expect(adminOnly({ principal: { role: 'member' } })).rejects.toMatchObject({ httpStatus: 403 });
+    await expect(adminOnly({ principal: null })).rejects.toMatchObject({ httpStatus: 403 });
+  });
+});
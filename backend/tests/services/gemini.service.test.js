@@ -0,0 +1,135 @@
+// ===== DEVELOPMENT/DEBUG AGENT SERVICE TESTS =====
+
+// ===== IMPORTS & DEPENDENCIES =====
+import { GeminiAgentService } from '../../src/services/gemini.service.js';
+
+// ===== CONFIGURATION & CONSTANTS =====
+const silentLogger = { info() {}, warn() {}, error() {}, debug() {}, child() { return this; } };
+const LANGUAGES = {
+  source: { code: 'en', name: 'English', direction: 'ltr' },
+  target: { code: 'es', name: 'Spanish', direction: 'ltr' },
+};
+const BATCH = [{ sequence: 1, text: 'Hello.' }];
+const BLUEPRINT = { summary: '', keyPoints: [], characterProfiles: [], culturalAdaptations: [], glossary: [] };
+
+/**
+ * Builds an agent service whose model returns the given translations and keeps every prompt.
+ * @param {Array<string|object>} [translations]
+ * @returns {{agents: GeminiAgentService, prompts: string[]}}
+ */
+function createAgents(translations = ['Hola.']) {
+  const prompts = [];
+  const llm = {
+    generate: async (stage, prompt) => {
+      prompts.push(prompt);
+      return { text: JSON.stringify({ translations }) };
+    },
+  };
+  return { agents: new GeminiAgentService({ llm, logger: silentLogger }), prompts };
+}
+
+describe('style rules in batch prompts', () => {
+  test('the transcreate, edit and QA prompts list every style rule', async () => {
+    const { agents, prompts } = createAgents();
+    const blueprint = { ...BLUEPRINT, styleRules: ['Use "usted" with strangers.', 'No exclamation marks.'] };
+    await agents.transcreateBatch(BATCH, blueprint, 'casual', LANGUAGES);
+    await agents.editBatch(BATCH, ['Hola.'], blueprint, LANGUAGES);
+    await agents.qaBatch(BATCH, ['Hola.'], blueprint, LANGUAGES);
+    expect(prompts).toHaveLength(3);
+    prompts.forEach((prompt) => {
+      expect(prompt).toContain('STYLE RULES');
+      expect(prompt).toContain('- Use "usted" with strangers.\n- No exclamation marks.');
+    });
+  });
+
+  test('a blueprint without style rules gets no style rules section', async () => {
+    const { agents, prompts } = createAgents();
+    await agents.transcreateBatch(BATCH, BLUEPRINT, 'casual', LANGUAGES);
+    await agents.qaBatch(BATCH, ['Hola.'], { ...BLUEPRINT, styleRules: [] }, LANGUAGES);
+    prompts.forEach(prompt => expect(prompt).not.toContain('STYLE RULES'));
+  });
+});
+
+describe('phantomSync', () => {
+  const syncBatch = [{ sequence: 1, text: 'Hello there, my friend.', duration: 1 }, { sequence: 2, text: 'Goodbye.', duration: 1 }];
+  const qaTranslations = ['Hola, amigo mío, ¿qué tal?', 'Adiós.'];
+
+  test('returns clean text and records the lines it shortened', async () => {
+    const { agents } = createAgents([
+      { text: 'Hola, amigo. [PS Sync: Compressed for readability.]', original: qaTranslations[0] },
+      { text: 'Adiós.', original: null },
+    ]);
+    const { translations, compressions } = await agents.phantomSync(syncBatch, qaTranslations, LANGUAGES);
+    expect(translations).toEqual(['Hola, amigo.', 'Adiós.']);
+    expect(compressions).toEqual([{ sequence: 1, original: qaTranslations[0], compressed: 'Hola, amigo.' }]);
+  });
+
+  test('keeps the QA translation of a line it returns empty', async () => {
+    const { agents } = createAgents([{ text: '[PS Sync: Compressed for readability.]', original: null }, '']);
+    const { translations, compressions } = await agents.phantomSync(syncBatch, qaTranslations, LANGUAGES);
+    expect(translations).toEqual(qaTranslations);
+    expect(compressions).toEqual([]);
+  });
+});
+
+describe('batch line count mismatches', () => {
+  test('the halves of a split batch share its retry budget', async () => {
+    const prompts = [];
+    const llm = {
+      generate: async (stage, prompt) => {
+        prompts.push(prompt);
+        // The model answers single lines correctly and always adds a line to anything longer.
+        const lineCount = prompt.match(/^QA-\d$/gm).length;
+        const translations = Array.from({ length: lineCount === 1 ? 1 : lineCount + 1 }, () => 'Hola.');
+        return { text: JSON.stringify({ translations }) };
+      },
+    };
+    const agents = new GeminiAgentService({ llm, logger: silentLogger });
+    const batch = [1, 2, 3, 4].map(sequence => ({ sequence, startTime: '00:00:01,000', endTime: '00:00:02,000', text: `Line ${sequence}.` }));
+
+    const translations = await agents.qaBatch(batch, ['QA-1', 'QA-2', 'QA-3', 'QA-4'], BLUEPRINT, LANGUAGES);
+
+    expect(translations).toHaveLength(4);
+    // Three attempts at the whole batch use the budget up; each half then gets its own retry and each single line is asked once.
+    expect(prompts).toHaveLength(3 + 2 * 2 + 4);
+  });
+
+  describe('once the shared budget is spent', () => {
+    const batch = [1, 2].map(sequence => ({ sequence, startTime: '00:00:01,000', endTime: '00:00:02,000', text: `Line ${sequence}.` }));
+
+    /**
+     * Builds an agent service whose model adds a line to every two-line batch, and answers a single
+     * line with an invalid item unless the prompt is a retry and `fixesRetries` is set.
+     * @param {boolean} fixesRetries
+     * @returns {{agents: GeminiAgentService, prompts: string[]}}
+     */
+    function createSplittingAgents(fixesRetries) {
+      const prompts = [];
+      const llm = {
+        generate: async (stage, prompt) => {
+          prompts.push(prompt);
+          const lineCount = prompt.match(/^QA-\d$/gm).length;
+          if (lineCount > 1) {
+            return { text: JSON.stringify({ translations: ['Hola.', 'Hola.', 'Hola.'] }) };
+          }
+          const isRetry = prompt.includes('YOUR PREVIOUS RESPONSE WAS REJECTED');
+          return { text: JSON.stringify({ translations: [fixesRetries && isRetry ? 'Hola.' : 42] }) };
+        },
+      };
+      return { agents: new GeminiAgentService({ llm, logger: silentLogger }), prompts };
+    }
+
+    test('each half still gets one retry of its own', async () => {
+      const { agents, prompts } = createSplittingAgents(true);
+      const translations = await agents.qaBatch(batch, ['QA-1', 'QA-2'], BLUEPRINT, LANGUAGES);
+      expect(translations).toEqual(['Hola.', 'Hola.']);
+      expect(prompts).toHaveLength(3 + 2 * 2);
+    });
+
+    test('a half that is still invalid after its own retry fails the batch', async () => {
+      const { agents, prompts } = createSplittingAgents(false);
+      await expect(agents.qaBatch(batch, ['QA-1', 'QA-2'], BLUEPRINT, LANGUAGES)).rejects.toMatchObject({ errorCode: 'AGENT_SCHEMA_ERROR' });
+      expect(prompts).toHaveLength(3 + 2);
+    });
+  });
+});
@@ -0,0 +1,72 @@
+// ===== DEVELOPMENT/DEBUG LLM GATEWAY TESTS =====
+
+// The configuration is read when the module is first imported, so it is set up before that.
+Object.assign(process.env, {
+  CORS_ORIGIN: 'http://localhost',
+  DB_PROVIDER: 'memory',
+  VECTOR_STORE_PROVIDER: 'memory',
+  AUTH_MODE: 'disabled',
+  LOG_LEVEL: 'silent',
+  LLM_FIXTURE_MODE: 'replay',
+});
+
+// ===== IMPORTS & DEPENDENCIES =====
+const { LlmGateway } = await import('../../src/services/llm.service.js');
+
+// ===== CONFIGURATION & CONSTANTS =====
+const silentLogger = { info() {}, warn() {}, error() {}, debug() {} };
+const USAGE = { inputTokens: 12, outputTokens: 5, totalTokens: 17 };
+
+function createGateway({ onUsage, fixtures, scheduler = { schedule: (options, call) => call() } } = {}) {
+  const provider = {
+    name: 'stub',
+    retryPolicy: { maxAttempts: 1, backoffMs: 0 },
+    embedBatchLimit: 2,
+    generate: async prompt => ({ text: `echo:${prompt}`, usage: USAGE }),
+    embed: async texts => texts.map(text => [text.length]),
+  };
+  return new LlmGateway({
+    providers: { stub: provider },
+    routes: { transcreate: { provider: 'stub', model: 'stub-model' } },
+    embeddingRoute: { provider: 'stub', model: 'stub-embed' },
+    fixtures,
+    scheduler,
+    onUsage,
+    logger: silentLogger,
+  });
+}
+
+describe('LlmGateway token usage', () => {
+  test('reports the usage of every call a job makes, by stage', async () => {
+    const recorded = [];
+    const gateway = createGateway({ onUsage: (jobId, entry) => recorded.push({ jobId, ...entry }) });
+    await gateway.forJob('job-1').generate('transcreate', 'hello', { agent: 'transcreateBatch' });
+    expect(recorded).toEqual([{ jobId: 'job-1', stage: 'transcreate', provider: 'stub', model: 'stub-model', usage: USAGE }]);
+  });
+
+  test('does not report calls made outside a job or answered from fixtures', async () => {
+    const recorded = [];
+    const onUsage = (jobId, entry) => recorded.push(entry);
+    await createGateway({ onUsage }).generate('transcreate', 'hello');
+    const store = { read: async () => ({ response: { text: 'recorded', usage: USAGE, provider: 'stub', model: 'stub-model' } }) };
+    await createGateway({ onUsage, fixtures: { mode: 'replay', store } }).forJob('job-1').generate('transcreate', 'hello');
+    expect(recorded).toEqual([]);
+  });
+
+  test('a failure to record usage does not fail the call', async () => {
+    const gateway = createGateway({ onUsage: async () => { throw new Error('database down'); } });
+    await expect(gateway.forJob('job-1').generate('transcreate', 'hello')).resolves.toMatchObject({ text: 'echo:hello' });
+  });
+});
+
+describe('LlmGateway embeddings', () => {
+  test('schedules each request the provider accepts as a call of its own', async () => {
+    const scheduled = [];
+    const scheduler = { schedule: (options, call) => { scheduled.push(options); return call(); } };
+    const vectors = await createGateway({ scheduler }).embed(['a', 'bb', 'ccc', 'dddd', 'eeeee']);
+
+    expect(vectors).toEqual([[1], [2], [3], [4], [5]]);
+    expect(scheduled).toHaveLength(3);
+    expect(scheduled.every(options => options.model === 'stub-embed')).toBe(true);
+  });
+});
@@ -0,0 +1,112 @@
+// ===== DEVELOPMENT/DEBUG LLM CALL SCHEDULER TESTS =====
+// Budgets, fairness between jobs, retries and rate-limit pauses, with small limits and short delays.
+
+// ===== IMPORTS & DEPENDENCIES =====
+import { LlmScheduler } from '../../src/services/llmScheduler.js';
+import { LlmProviderError } from '../../src/core/AppError.js';
+
+// ===== CONFIGURATION & CONSTANTS =====
+const silentLogger = { info() {}, warn() {}, error() {}, debug() {} };
+const RETRY_POLICY = { maxAttempts: 3, backoffMs: 1 };
+
+function createScheduler(limits = {}) {
+  return new LlmScheduler({
+    defaultLimits: { rpm: 100, tpm: 1_000_000, maxConcurrency: 1, ...limits },
+    logger: silentLogger,
+  });
+}
+
+function call(jobId, overrides = {}) {
+  return { provider: 'stub', model: 'stub-model', jobId, estimatedTokens: 10, retryPolicy: RETRY_POLICY, ...overrides };
+}
+
+/** A call that stays in flight until the test resolves it. */
+function deferred() {
+  let resolve;
+  const promise = new Promise((done) => { resolve = done; });
+  return { promise, resolve };
+}
+
+describe('LlmScheduler', () => {
+  test('serves waiting jobs in turn instead of one job\'s whole queue first', async () => {
+    const scheduler = createScheduler();
+    const blocker = deferred();
+    const order = [];
+
+    const running = scheduler.schedule(call('job-a'), () => blocker.promise);
+    const queued = [
+      scheduler.schedule(call('job-a'), async () => order.push('a1')),
+      scheduler.schedule(call('job-a'), async () => order.push('a2')),
+      scheduler.schedule(call('job-b'), async () => order.push('b1')),
+    ];
+    blocker.resolve();
+    await Promise.all([running, ...queued]);
+
+    expect(order).toEqual(['a1', 'b1', 'a2']);
+  });
+
+  test('retries retryable provider failures and gives up with LLM_API_ERROR after the last attempt', async () => {
+    const scheduler = createScheduler();
+    let attempts = 0;
+    const flaky = async () => {
+      attempts++;
+      if (attempts < 2) throw new LlmProviderError('overloaded', { status: 503, retryable: true });
+      return 'ok';
+    };
+    await expect(scheduler.schedule(call('job-a'), flaky)).resolves.toBe('ok');
+    expect(attempts).toBe(2);
+
+    const failing = async () => { throw new LlmProviderError('overloaded', { status: 503, retryable: true }); };
+    await expect(scheduler.schedule(call('job-a'), failing)).rejects.toMatchObject({ errorCode: 'LLM_API_ERROR' });
+  });
+
+  test('rethrows errors that are not the provider failing without retrying them', async () => {
+    const scheduler = createScheduler();
+    let attempts = 0;
+    const broken = async () => {
+      attempts++;
+      throw new TypeError('client not configured');
+    };
+    await expect(scheduler.schedule(call('job-a'), broken)).rejects.toThrow(TypeError);
+    expect(attempts).toBe(1);
+  });
+
+  test('pauses queued calls when the provider rate limits a call, before they take the freed slot', async () => {
+    const scheduler = createScheduler();
+    const retryAfterMs = 50;
+    let rateLimited = false;
+    const limitedOnce = async () => {
+      if (!rateLimited) {
+        rateLimited = true;
+        throw new LlmProviderError('quota', { status: 429, retryable: true, retryAfterMs });
+      }
+      return 'retried';
+    };
+    let queuedStartedAt = null;
+
+    const failedAt = Date.now();
+    const first = scheduler.schedule(call('job-a'), limitedOnce);
+    const second = scheduler.schedule(call('job-b'), async () => { queuedStartedAt = Date.now(); });
+    await Promise.all([first, second]);
+
+    expect(queuedStartedAt - failedAt).toBeGreaterThanOrEqual(retryAfterMs - 5);
+  });
+
+  test('halves concurrency on congestion and keeps at least one call running', async () => {
+    const scheduler = createScheduler({ maxConcurrency: 4 });
+    const failing = async () => { throw new LlmProviderError('overloaded', { status: 503, retryable: false }); };
+
+    await expect(scheduler.schedule(call('job-a'), failing)).rejects.toThrow();
+
+    const [stats] = scheduler.getStats();
+    expect(stats).toMatchObject({ model: 'stub/stub-model', concurrency: 2, maxConcurrency: 4, active: 0, queued: 0 });
+  });
+
+  test('counts the provider\'s reported tokens against the budget instead of the estimate', async () => {
+    const scheduler = createScheduler();
+    await scheduler.schedule(call('job-a', { estimatedTokens: 10 }), async () => ({ usage: { totalTokens: 42 } }));
+
+    const [stats] = scheduler.getStats();
+    expect(stats).toMatchObject({ requestsLastMinute: 1, tokensLastMinute: 42 });
+  });
+});
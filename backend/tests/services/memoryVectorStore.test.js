@@ -0,0 +1,49 @@
+// ===== DEVELOPMENT/DEBUG IN-MEMORY VECTOR STORE TESTS =====
+// The subset of the Pinecone Index API the glossary and translation memories rely on.
+
+// ===== IMPORTS & DEPENDENCIES =====
+import { InMemoryVectorIndex } from '../../src/services/memoryVectorStore.js';
+
+describe('InMemoryVectorIndex', () => {
+  test('ranks records by cosine similarity and returns at most topK', async () => {
+    const namespace = new InMemoryVectorIndex().namespace('glossary');
+    await namespace.upsert([
+      { id: 'same', values: [2, 0], metadata: { term: 'same' } },
+      { id: 'close', values: [1, 1], metadata: { term: 'close' } },
+      { id: 'opposite', values: [-1, 0], metadata: { term: 'opposite' } },
+    ]);
+
+    const { matches } = await namespace.query({ vector: [1, 0], topK: 2, includeMetadata: true });
+    expect(matches.map(match => match.id)).toEqual(['same', 'close']);
+    expect(matches[0].score).toBeCloseTo(1);
+    expect(matches[1].metadata).toEqual({ term: 'close' });
+  });
+
+  test('filters on metadata and replaces records with the same ID', async () => {
+    const namespace = new InMemoryVectorIndex().namespace('glossary');
+    await namespace.upsert([
+      { id: 'a', values: [1, 0], metadata: { targetLanguage: 'es', tier: 'approved' } },
+      { id: 'b', values: [1, 0], metadata: { targetLanguage: 'fa', tier: 'approved' } },
+      { id: 'c', values: [1, 0], metadata: { targetLanguage: 'es', tier: 'machine' } },
+    ]);
+    await namespace.upsert([{ id: 'a', values: [1, 0], metadata: { targetLanguage: 'es', tier: 'machine' } }]);
+
+    const query = filter => namespace.query({ vector: [1, 0], filter }).then(({ matches }) => matches.map(match => match.id).sort());
+    expect(await query({ targetLanguage: 'es' })).toEqual(['a', 'c']);
+    expect(await query({ tier: { $eq: 'approved' } })).toEqual(['b']);
+    expect(await query({ targetLanguage: { $ne: 'es' } })).toEqual(['b']);
+    expect(await query({ targetLanguage: { $in: ['fa', 'de'] } })).toEqual(['b']);
+  });
+
+  test('keeps namespaces apart and counts their records', async () => {
+    const index = new InMemoryVectorIndex();
+    await index.namespace('glossary').upsert([{ id: 'x', values: [1] }]);
+    await index.namespace('translation-memory').upsert([{ id: 'x', values: [1] }, { id: 'y', values: [1] }]);
+
+    expect((await index.namespace('glossary').query({ vector: [1] })).matches).toHaveLength(1);
+    expect(await index.describeIndexStats()).toEqual({
+      namespaces: { glossary: { recordCount: 1 }, 'translation-memory': { recordCount: 2 } },
+      totalRecordCount: 3,
+    });
+  });
+});